@@ -8,6 +8,16 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Colombo';
+
+/**
+ * Read a number from the environment; unlike `parseFloat(value) || fallback`, 0 is kept
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
 export const config = {
   // Gemini API configuration
   gemini: {
@@ -16,25 +26,207 @@ export const config = {
     maxTokens: 8192,
     temperature: 1, // Slightly higher for more natural, less robotic responses
     thinkingBudget: -1, // Unlimited thinking
+    maxToolRounds: parseInt(process.env.GEMINI_MAX_TOOL_ROUNDS) || 5, // Function-calling rounds per reply
   },
 
   // Bot configuration
   bot: {
     maxChatHistory: parseInt(process.env.MAX_CHAT_HISTORY) || 30, // Increased for better memory
+    contextMessages: parseInt(process.env.CONTEXT_MESSAGES) || parseInt(process.env.MAX_CHAT_HISTORY) || 30, // Messages sent to Gemini per reply
+    contextTokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 0, // 0 = no token limit on the context
     thinkingDelay: parseInt(process.env.THINKING_DELAY) || 1500, // Faster response time
     proactiveMessaging: process.env.PROACTIVE_MESSAGING === 'true' || true,
     proactiveInterval: parseInt(process.env.PROACTIVE_INTERVAL) || 1800000, // 30 minutes in ms (more frequent)
     verboseLogging: process.env.VERBOSE_LOGGING === 'true' || false,
   },
 
+  // Group chat configuration
+  groups: {
+    enabled: process.env.GROUP_CHAT_ENABLED === 'true',
+    defaultTriggerMode: process.env.GROUP_TRIGGER_MODE || 'any', // mention | reply | keyword | any
+    triggerKeywords: (process.env.GROUP_TRIGGER_KEYWORDS || process.env.PERSONA_NAME || 'Sandun')
+      .split(',').map(k => k.trim().toLowerCase()).filter(Boolean),
+    adminOnlySettings: process.env.GROUP_ADMIN_ONLY_SETTINGS !== 'false',
+  },
+
+  // Slash commands for users (/memory, /forget, /reset, /export)
+  commands: {
+    language: (process.env.COMMAND_LANGUAGE || 'auto').toLowerCase(), // 'en', 'si' or 'auto' (Sinhala if the user writes in Sinhala script)
+    forgetMaxMatches: parseInt(process.env.FORGET_MAX_MATCHES) || 3, // /forget asks to be more specific above this
+  },
+
+  // Relationship and crisis signal detection
+  signals: {
+    classifier: (process.env.SIGNAL_CLASSIFIER || 'model').toLowerCase(), // 'model' (keywords as offline fallback) or 'keywords'
+    timeoutMs: parseInt(process.env.SIGNAL_CLASSIFIER_TIMEOUT_MS) || 8000,
+    // Minimum confidence (0-1) for a signal to count
+    thresholds: {
+      personal_share: envNumber('SIGNAL_THRESHOLD_PERSONAL_SHARE', 0.6),
+      emotional_support: envNumber('SIGNAL_THRESHOLD_EMOTIONAL_SUPPORT', 0.6),
+      crisis: envNumber('SIGNAL_THRESHOLD_CRISIS', 0.5),
+      celebration: envNumber('SIGNAL_THRESHOLD_CELEBRATION', 0.6),
+      academic_help: envNumber('SIGNAL_THRESHOLD_ACADEMIC_HELP', 0.6),
+    },
+  },
+
+  // Crisis escalation policy (runs without the model)
+  crisis: {
+    escalation: process.env.CRISIS_ESCALATION !== 'false',
+    defaultCountry: (process.env.CRISIS_DEFAULT_COUNTRY || 'LK').toUpperCase(), // Helplines for chats whose JID has no phone number
+    adminNumbers: (process.env.CRISIS_ADMIN_NUMBERS || '')
+      .split(',').map(n => n.replace(/\D/g, '')).filter(Boolean),
+    adminMinSeverity: (process.env.CRISIS_ADMIN_MIN_SEVERITY || 'high').toLowerCase(), // 'medium' or 'high'
+    trustedContacts: process.env.CRISIS_TRUSTED_CONTACTS === 'true', // Let users name a contact with /trusted
+    contactMinSeverity: (process.env.CRISIS_CONTACT_MIN_SEVERITY || 'high').toLowerCase(),
+    resourceCooldownHours: parseFloat(process.env.CRISIS_RESOURCE_COOLDOWN_HOURS) || 6, // Don't resend helplines within this time
+    followUpHours: parseFloat(process.env.CRISIS_FOLLOW_UP_HOURS) || 2,
+    autoResolveHours: parseFloat(process.env.CRISIS_AUTO_RESOLVE_HOURS) || 72, // Close cases with no activity for this long
+  },
+
+  // Timezone and quiet hours for users who haven't set their own (/timezone, /quiet)
+  time: {
+    defaultTimezone: DEFAULT_TIMEZONE, // IANA name, e.g. Asia/Colombo
+    defaultQuietHours: process.env.DEFAULT_QUIET_HOURS === 'off' ? null : (process.env.DEFAULT_QUIET_HOURS || '22:00-07:00'), // Local time, no proactive messages
+  },
+
+  // Budget and coordination of unsolicited messages (check-ins, motivation, celebrations, follow-ups)
+  proactive: {
+    dailyCap: parseInt(process.env.PROACTIVE_DAILY_CAP) || 3, // Per user, rolling 24 hours; crisis follow-ups are not capped
+    weeklyCap: parseInt(process.env.PROACTIVE_WEEKLY_CAP) || 10, // Per user, rolling 7 days
+    minGapMinutes: parseInt(process.env.PROACTIVE_MIN_GAP_MINUTES) || 120, // Between two proactive messages to one user
+    mergeWindowMinutes: parseInt(process.env.PROACTIVE_MERGE_WINDOW_MINUTES) || 5, // Messages queued this close together are sent as one
+    activeConversationMinutes: parseInt(process.env.PROACTIVE_ACTIVE_CONVERSATION_MINUTES) || 20, // Hold messages while the user chatted this recently
+    candidateTtlHours: parseInt(process.env.PROACTIVE_CANDIDATE_TTL_HOURS) || 12, // Held messages older than this are dropped
+  },
+
+  // Opt-in/opt-out of proactive message categories (/proactive)
+  consent: {
+    defaultEnabled: process.env.PROACTIVE_CONSENT_DEFAULT === 'in', // Categories a user never chose: 'in' or 'out' (default)
+    invite: process.env.PROACTIVE_CONSENT_INVITE !== 'false', // Tell new users once how to opt in
+    adminNumbers: (process.env.CONSENT_ADMIN_NUMBERS || '')
+      .split(',').map(n => n.replace(/\D/g, '')).filter(Boolean), // May use /consent to see the consent report
+  },
+
+  // Exam dates taken from conversation, with countdown, good-luck and follow-up messages (local times)
+  exams: {
+    enabled: process.env.EXAM_REMINDERS !== 'false',
+    reminderDays: (process.env.EXAM_REMINDER_DAYS || '30,7,1')
+      .split(',').map(n => parseInt(n)).filter(n => n > 0), // Countdown messages this many days before
+    reminderTime: process.env.EXAM_REMINDER_TIME || '18:00',
+    goodLuckTime: process.env.EXAM_GOOD_LUCK_TIME || '07:00', // Earlier when the exam starts within an hour of it
+    followUpTime: process.env.EXAM_FOLLOW_UP_TIME || '17:00', // The day after the exam
+  },
+
+  // Birthdays and anniversaries taken from conversation (the user's own and other people's)
+  importantDates: {
+    enabled: process.env.IMPORTANT_DATES !== 'false',
+    hour: parseInt(process.env.IMPORTANT_DATES_HOUR) || 8, // Local hour of the wishes and reminders
+    remindOthers: process.env.IMPORTANT_DATES_REMIND_OTHERS !== 'false', // Remind users to wish the people in their life
+  },
+
+  // Reminders users ask for ("remind me at 8pm to ...")
+  reminders: {
+    maxPerUser: parseInt(process.env.REMINDERS_MAX_PER_USER) || 50, // Active reminders per user
+    defaultSnoozeMinutes: parseInt(process.env.REMINDERS_DEFAULT_SNOOZE_MINUTES) || 10,
+  },
+
+  // Spaced-repetition flashcards reviewed in chat
+  flashcards: {
+    enabled: process.env.FLASHCARDS !== 'false',
+    reminderHour: parseInt(process.env.FLASHCARDS_REMINDER_HOUR) || 19, // Local hour of the daily review reminder
+    sessionSize: parseInt(process.env.FLASHCARDS_SESSION_SIZE) || 20, // Cards per review
+    sessionTimeoutMinutes: parseInt(process.env.FLASHCARDS_SESSION_TIMEOUT_MINUTES) || 30, // Later messages are normal chat again
+    maxGenerated: parseInt(process.env.FLASHCARDS_MAX_GENERATED) || 30, // Cards the model makes at once
+  },
+
+  // Interactive quizzes; measured accuracy decides strongSubjects/weakSubjects
+  quiz: {
+    questions: parseInt(process.env.QUIZ_QUESTIONS) || 5, // Questions when the user doesn't say
+    maxQuestions: parseInt(process.env.QUIZ_MAX_QUESTIONS) || 15,
+    sessionTimeoutMinutes: parseInt(process.env.QUIZ_SESSION_TIMEOUT_MINUTES) || 30, // Later messages are normal chat again
+    accuracyWindow: parseInt(process.env.QUIZ_ACCURACY_WINDOW) || 20, // Latest answers per subject the accuracy is measured over
+    minAnswers: parseInt(process.env.QUIZ_MIN_ANSWERS) || 8, // Answers before a subject counts as strong or weak
+    strongAccuracy: parseFloat(process.env.QUIZ_STRONG_ACCURACY) || 0.8,
+    weakAccuracy: parseFloat(process.env.QUIZ_WEAK_ACCURACY) || 0.5,
+  },
+
+  // Pomodoro study sessions (/study start <subject>) and their weekly summary
+  study: {
+    focusMinutes: parseInt(process.env.STUDY_FOCUS_MINUTES) || 25,
+    shortBreakMinutes: parseInt(process.env.STUDY_SHORT_BREAK_MINUTES) || 5,
+    longBreakMinutes: parseInt(process.env.STUDY_LONG_BREAK_MINUTES) || 15,
+    pomodorosBeforeLongBreak: parseInt(process.env.STUDY_POMODOROS_BEFORE_LONG_BREAK) || 4,
+    maxSessionHours: parseInt(process.env.STUDY_MAX_SESSION_HOURS) || 4, // Forgotten sessions stop themselves
+    weeklySummary: process.env.STUDY_WEEKLY_SUMMARY !== 'false',
+    weeklySummaryHour: parseInt(process.env.STUDY_WEEKLY_SUMMARY_HOUR) || 19, // Local hour on Sunday
+  },
+
+  // Per-user timetable and to-do list, with a morning agenda
+  planner: {
+    maxTasks: parseInt(process.env.PLANNER_MAX_TASKS) || 100, // Pending tasks per user
+    maxTimetableEntries: parseInt(process.env.PLANNER_MAX_TIMETABLE_ENTRIES) || 50,
+    morningAgenda: process.env.PLANNER_MORNING_AGENDA !== 'false',
+    agendaHour: parseInt(process.env.PLANNER_AGENDA_HOUR) || 7, // Local hour of the morning agenda
+    agendaExamDays: parseInt(process.env.PLANNER_AGENDA_EXAM_DAYS) || 14, // Exams this close are in the agenda
+  },
+
+  // Persistent scheduler for proactive and predictive jobs
+  scheduler: {
+    timezone: process.env.SCHEDULER_TIMEZONE || DEFAULT_TIMEZONE, // Timezone of recurring schedules
+    maxAttempts: parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 3,
+    retryDelayMs: parseInt(process.env.SCHEDULER_RETRY_DELAY_MS) || 60000, // Doubles after each failed attempt
+    retentionDays: parseInt(process.env.SCHEDULER_RETENTION_DAYS) || 7, // Finished jobs are kept this long
+    adminNumbers: (process.env.SCHEDULER_ADMIN_NUMBERS || '')
+      .split(',').map(n => n.replace(/\D/g, '')).filter(Boolean), // May use /jobs to inspect and cancel jobs
+  },
+
+  // Inbound media understanding (images, PDFs, voice notes)
+  media: {
+    enabled: process.env.MEDIA_UNDERSTANDING !== 'false',
+    transcribeVoiceNotes: process.env.MEDIA_TRANSCRIBE_VOICE_NOTES !== 'false',
+    maxInlineBytes: (parseInt(process.env.MEDIA_MAX_SIZE_MB) || 15) * 1024 * 1024, // Gemini inline data limit is ~20MB
+    supportedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'],
+  },
+
+  // Rolling summaries of conversation that has left the context window
+  summaries: {
+    enabled: process.env.CONVERSATION_SUMMARIES !== 'false',
+    chunkSize: parseInt(process.env.SUMMARY_CHUNK_SIZE) || 40, // Archived messages per summary
+    maxInjected: parseInt(process.env.SUMMARY_MAX_INJECTED) || 3, // Summaries added to each prompt
+  },
+
+  // Semantic memory retrieval
+  embeddings: {
+    enabled: process.env.SEMANTIC_MEMORY !== 'false',
+    provider: (process.env.EMBEDDING_PROVIDER || 'gemini').toLowerCase(), // 'gemini' or 'local' (offline, deterministic)
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-004',
+    topK: parseInt(process.env.MEMORY_TOP_K) || 8, // Memories added to each prompt
+  },
+
+  // Storage backend for chat history, memories and settings
+  storage: {
+    driver: (process.env.STORAGE_DRIVER || 'json').toLowerCase(), // 'json' or 'sqlite'
+    sqliteFile: process.env.SQLITE_FILE || 'data/bot.sqlite',
+  },
+
   // File paths
   paths: {
+    dataDir: process.env.DATA_DIR || 'data',
     chatHistoryFile: process.env.CHAT_HISTORY_FILE || 'data/chat_history.json',
+    memoryFile: process.env.MEMORY_FILE || 'data/user_memories.json',
+    groupSettingsFile: process.env.GROUP_SETTINGS_FILE || 'data/group_settings.json',
     sessionDir: process.env.SESSION_DIR || 'sessions',
     projectRoot: path.resolve(__dirname, '../..'),
   },
 
-  // Customizable Persona System
+  // Persona files (personas/*.yaml|json) and their per-chat assignment table (personas/assignments.yaml)
+  personas: {
+    dir: process.env.PERSONAS_DIR || 'personas',
+    defaultPersona: process.env.DEFAULT_PERSONA ? process.env.DEFAULT_PERSONA.toLowerCase() : null, // Persona id for unassigned chats; the PERSONA_* env persona ('default') if unset
+    hotReload: process.env.PERSONA_HOT_RELOAD !== 'false',
+  },
+
+  // Customizable Persona System ('default' persona, used when no persona file applies)
   persona: {
     // Core Identity
     name: process.env.PERSONA_NAME || 'Sandun',
@@ -100,6 +292,13 @@ export const config = {
     relationship_evolution: process.env.PERSONA_RELATIONSHIP_EVOLUTION === 'true' || true,
     max_relationship_level: parseInt(process.env.PERSONA_MAX_RELATIONSHIP_LEVEL) || 5,
     relationship_decay: process.env.PERSONA_RELATIONSHIP_DECAY === 'true' || false,
+    relationship_decay_curve: (process.env.PERSONA_RELATIONSHIP_DECAY_CURVE || 'exponential').toLowerCase(), // 'exponential' or 'linear'
+    relationship_decay_grace_days: parseFloat(process.env.PERSONA_RELATIONSHIP_DECAY_GRACE_DAYS) || 3, // Inactive days before decay starts
+    relationship_decay_half_life_days: parseFloat(process.env.PERSONA_RELATIONSHIP_DECAY_HALF_LIFE_DAYS) || 30, // exponential: days to lose half the level above the floor
+    relationship_decay_per_day: parseFloat(process.env.PERSONA_RELATIONSHIP_DECAY_PER_DAY) || 0.05, // linear: levels lost per day
+    relationship_decay_floor: process.env.PERSONA_RELATIONSHIP_DECAY_FLOOR !== undefined ?
+      parseFloat(process.env.PERSONA_RELATIONSHIP_DECAY_FLOOR) : 1, // Decay never goes below this level
+    long_absence_days: parseFloat(process.env.PERSONA_LONG_ABSENCE_DAYS) || 7, // Returning after this long counts as a long absence
     
     // Dynamic Personality Settings
     adapt_to_mood: process.env.PERSONA_ADAPT_TO_MOOD === 'true' || true,
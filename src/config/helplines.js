@@ -0,0 +1,58 @@
+/**
+ * Crisis helplines shown to users, by ISO country code.
+ * Only add services that are free, verified and staffed; check numbers when editing this list.
+ */
+export const HELPLINES = {
+  LK: {
+    country: 'Sri Lanka',
+    emergency: '119 (Police) / 1990 (Suwa Seriya ambulance)',
+    lines: [
+      { name: 'CCCline', number: '1333', hours: '24/7' },
+      { name: 'National Mental Health Helpline (NIMH)', number: '1926', hours: '24/7' },
+      { name: 'Sri Lanka Sumithrayo', number: '011 2 696 666' },
+      { name: 'Child Helpline (NCPA)', number: '1929', hours: '24/7' }
+    ]
+  },
+  IN: {
+    country: 'India',
+    emergency: '112',
+    lines: [
+      { name: 'Tele-MANAS', number: '14416', hours: '24/7' }
+    ]
+  },
+  GB: {
+    country: 'United Kingdom',
+    emergency: '999',
+    lines: [
+      { name: 'Samaritans', number: '116 123', hours: '24/7' },
+      { name: 'Childline', number: '0800 1111', hours: '24/7' }
+    ]
+  },
+  US: {
+    country: 'United States',
+    emergency: '911',
+    lines: [
+      { name: '988 Suicide & Crisis Lifeline', number: '988', hours: '24/7' }
+    ]
+  },
+  AU: {
+    country: 'Australia',
+    emergency: '000',
+    lines: [
+      { name: 'Lifeline', number: '13 11 14', hours: '24/7' },
+      { name: 'Kids Helpline', number: '1800 55 1800', hours: '24/7' }
+    ]
+  }
+};
+
+// Directory for countries without a local list
+export const INTERNATIONAL_HELPLINES = 'https://findahelpline.com';
+
+// Phone calling code -> country, to pick helplines from a WhatsApp number
+export const CALLING_CODES = {
+  94: 'LK',
+  91: 'IN',
+  44: 'GB',
+  1: 'US',
+  61: 'AU'
+};
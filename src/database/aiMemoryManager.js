@@ -11,7 +11,7 @@ export class AIMemoryManager {
   /**
    * Process AI memory decisions from JSON
    */
-  async processAIMemoryDecisions(userId, memoryDecisions) {
+  async processAIMemoryDecisions(userId, memoryDecisions, sourceMessageId = null) {
     if (this.processingQueue.has(userId)) {
       logger.debug(`Memory processing already in progress for ${userId}`);
       return;
@@ -29,7 +29,7 @@ export class AIMemoryManager {
       logger.info(`Processing ${operations.length} memory operations for ${userId}`);
 
       for (const operation of operations) {
-        await this.executeMemoryOperation(userId, operation);
+        await this.executeMemoryOperation(userId, operation, sourceMessageId);
       }
 
       logger.success(`Completed ${operations.length} memory operations for ${userId}`);
@@ -43,7 +43,7 @@ export class AIMemoryManager {
   /**
    * Execute individual memory operation
    */
-  async executeMemoryOperation(userId, operation) {
+  async executeMemoryOperation(userId, operation, sourceMessageId = null) {
     try {
       const { operation: op, category, subcategory, data, reason } = operation;
 
@@ -54,18 +54,26 @@ export class AIMemoryManager {
 
       logger.debug(`Executing ${op} on ${category}${subcategory ? `.${subcategory}` : ''} for ${userId}: ${reason}`);
 
+      // Recorded in the memory audit log alongside the change
+      const provenance = {
+        actor: 'ai_memory_analysis',
+        operation: op.toLowerCase(),
+        reason: reason || null,
+        sourceMessageId
+      };
+
       switch (op.toLowerCase()) {
         case 'store':
-          await this.storeMemoryData(userId, category, subcategory, data);
+          await this.storeMemoryData(userId, category, subcategory, data, provenance);
           break;
         case 'update':
-          await this.updateMemoryData(userId, category, subcategory, data);
+          await this.updateMemoryData(userId, category, subcategory, data, provenance);
           break;
         case 'append':
-          await this.appendMemoryData(userId, category, subcategory, data);
+          await this.appendMemoryData(userId, category, subcategory, data, provenance);
           break;
         case 'delete':
-          await this.deleteMemoryData(userId, category, subcategory, data);
+          await this.deleteMemoryData(userId, category, subcategory, data, provenance);
           break;
         default:
           logger.warn(`Unknown memory operation: ${op}`);
@@ -78,48 +86,48 @@ export class AIMemoryManager {
   /**
    * Store new memory data
    */
-  async storeMemoryData(userId, category, subcategory, data) {
+  async storeMemoryData(userId, category, subcategory, data, provenance = {}) {
     if (subcategory) {
       const memory = await memoryManager.getUserMemory(userId);
       if (!memory[category]) memory[category] = {};
       memory[category][subcategory] = data;
-      await memoryManager.updateMemory(userId, category, memory[category]);
+      await memoryManager.updateMemory(userId, category, memory[category], false, provenance);
     } else {
-      await memoryManager.updateMemory(userId, category, data, true);
+      await memoryManager.updateMemory(userId, category, data, true, provenance);
     }
   }
 
   /**
    * Update existing memory data
    */
-  async updateMemoryData(userId, category, subcategory, data) {
+  async updateMemoryData(userId, category, subcategory, data, provenance = {}) {
     if (subcategory) {
       const memory = await memoryManager.getUserMemory(userId);
       if (!memory[category]) memory[category] = {};
       memory[category][subcategory] = { ...memory[category][subcategory], ...data };
-      await memoryManager.updateMemory(userId, category, memory[category]);
+      await memoryManager.updateMemory(userId, category, memory[category], false, provenance);
     } else {
-      await memoryManager.updateMemory(userId, category, data, true);
+      await memoryManager.updateMemory(userId, category, data, true, provenance);
     }
   }
 
   /**
    * Append to array-based memory data
    */
-  async appendMemoryData(userId, category, subcategory, data) {
+  async appendMemoryData(userId, category, subcategory, data, provenance = {}) {
     if (Array.isArray(data)) {
       for (const item of data) {
-        await memoryManager.addToMemoryArray(userId, category, subcategory || 'items', item);
+        await memoryManager.addToMemoryArray(userId, category, subcategory || 'items', item, 20, provenance);
       }
     } else {
-      await memoryManager.addToMemoryArray(userId, category, subcategory || 'items', data);
+      await memoryManager.addToMemoryArray(userId, category, subcategory || 'items', data, 20, provenance);
     }
   }
 
   /**
    * Delete memory data
    */
-  async deleteMemoryData(userId, category, subcategory, data) {
+  async deleteMemoryData(userId, category, subcategory, data, provenance = {}) {
     const memory = await memoryManager.getUserMemory(userId);
     
     if (subcategory && memory[category] && memory[category][subcategory]) {
@@ -130,11 +138,12 @@ export class AIMemoryManager {
         // Delete entire subcategory
         delete memory[category][subcategory];
       }
-      await memoryManager.updateMemory(userId, category, memory[category]);
-    } else if (!subcategory && data.key) {
+      // Replace rather than merge, otherwise the deleted keys would survive
+      await memoryManager.updateMemory(userId, category, memory[category], false, provenance);
+    } else if (!subcategory && data.key && memory[category]) {
       // Delete specific key from category
       delete memory[category][data.key];
-      await memoryManager.updateMemory(userId, category, memory[category]);
+      await memoryManager.updateMemory(userId, category, memory[category], false, provenance);
     }
   }
 
@@ -156,9 +165,9 @@ MEMORY CATEGORIES AVAILABLE:
 - relationships: friends, crushes, family, teachers (with names as keys)
 - preferences: favoriteSubjects, dislikedSubjects, favoriteFood, favoriteMovies, favoriteMusic, favoriteColors
 - emotionalProfile: currentMood, stressLevel, personalityTraits, emotionalPatterns, supportNeeds
-- academicInfo: stream, currentGrade, strongSubjects, weakSubjects, examSchedule, studyHabits, academicGoals
-- lifeEvents: importantDates, achievements, challenges, goals, recentEvents
-- conversationContext: lastTopics, ongoingIssues, promisesToKeep, thingsToRemember, lastInteraction
+- academicInfo: stream, currentGrade, strongSubjects, weakSubjects, studyHabits, academicGoals (examSchedule and quizPerformance are filled separately, never write them; don't move subjects that have quizPerformance between strongSubjects and weakSubjects, quiz results decide those)
+- lifeEvents: achievements, challenges, goals, recentEvents (importantDates is filled separately, never write it)
+- conversationContext: lastTopics, ongoingIssues, promisesToKeep, thingsToRemember, lastInteraction (class times and to-do items are kept in the planner, never write them to thingsToRemember)
 - contacts: stored contact information
 
 OPERATIONS AVAILABLE:
@@ -197,7 +206,7 @@ RESPOND WITH VALID JSON ONLY - NO OTHER TEXT.`;
   /**
    * Ask AI to analyze message for memory operations
    */
-  async analyzeMessageForMemoryOperations(userId, userMessage, geminiClient) {
+  async analyzeMessageForMemoryOperations(userId, userMessage, geminiClient, sourceMessageId = null) {
     try {
       const currentMemory = await memoryManager.getUserMemory(userId);
       const analysisPrompt = this.generateMemoryAnalysisPrompt(userMessage, currentMemory);
@@ -219,7 +228,7 @@ RESPOND WITH VALID JSON ONLY - NO OTHER TEXT.`;
         
         if (memoryDecisions.memory_operations && memoryDecisions.memory_operations.length > 0) {
           logger.info(`AI identified ${memoryDecisions.memory_operations.length} memory operations`);
-          await this.processAIMemoryDecisions(userId, memoryDecisions);
+          await this.processAIMemoryDecisions(userId, memoryDecisions, sourceMessageId);
         }
         
         return memoryDecisions;
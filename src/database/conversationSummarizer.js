@@ -0,0 +1,255 @@
+import { config } from '../config/config.js';
+import { storage } from './storage.js';
+import { jsonDb } from './jsonDb.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { personaManager } from '../system/personaManager.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Summarizer');
+
+const COLLECTION = 'conversation_summaries';
+const MAX_CHUNKS_PER_RUN = 3; // Catch up gradually instead of bursting API calls
+
+// Common words ignored when matching summaries to the current message
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'you', 'are', 'was', 'were', 'that', 'this', 'with', 'have', 'has', 'had',
+  'what', 'when', 'where', 'how', 'why', 'who', 'about', 'they', 'them', 'their', 'your', 'our',
+  'from', 'but', 'not', 'can', 'did', 'just', 'like', 'will', 'would', 'there', 'then', 'than',
+  'also', 'into', 'some', 'more', 'very', 'really', 'talked', 'said', 'user', 'bot'
+]);
+
+export class ConversationSummarizer {
+  constructor() {
+    this.storage = storage;
+    this.inProgress = new Set(); // Chats currently being summarized
+  }
+
+  /**
+   * Create an empty summary record for a chat
+   */
+  createEmptyRecord() {
+    return {
+      summarizedCount: 0, // Number of oldest archived messages already covered by episodes
+      episodes: [],
+      lastUpdated: null
+    };
+  }
+
+  /**
+   * Get the summary record for a chat
+   */
+  async getSummaries(chatId) {
+    try {
+      return await this.storage.get(COLLECTION, chatId) || this.createEmptyRecord();
+    } catch (error) {
+      logger.error(`Failed to get summaries for ${chatId}:`, error);
+      return this.createEmptyRecord();
+    }
+  }
+
+  /**
+   * Delete every summary for a chat
+   */
+  async clearSummaries(chatId) {
+    await this.storage.delete(COLLECTION, chatId);
+    logger.info(`Conversation summaries cleared for ${chatId}`);
+  }
+
+  /**
+   * Summarize newly archived messages after a reply, without blocking it
+   */
+  summarizeInBackground(chatId) {
+    if (!config.summaries.enabled) return;
+
+    setTimeout(async () => {
+      await this.summarizePending(chatId);
+    }, 2000);
+  }
+
+  /**
+   * Summarize archived messages that have fallen out of the context window
+   */
+  async summarizePending(chatId) {
+    if (this.inProgress.has(chatId)) return;
+    this.inProgress.add(chatId);
+
+    try {
+      const { chunkSize } = config.summaries;
+
+      for (let run = 0; run < MAX_CHUNKS_PER_RUN; run++) {
+        let record = await this.getSummaries(chatId);
+        const total = await jsonDb.getArchiveCount(chatId);
+
+        // The archive was cleared since the last run; start over
+        if (total < record.summarizedCount) {
+          await this.clearSummaries(chatId);
+          record = this.createEmptyRecord();
+        }
+
+        // Only summarize messages the context window no longer shows
+        const outOfWindow = total - config.bot.contextMessages;
+        if (outOfWindow - record.summarizedCount < chunkSize) return;
+
+        const { messages } = await jsonDb.getArchiveRange(chatId, record.summarizedCount, chunkSize);
+        const episode = await this.summarizeMessages(chatId, messages);
+        if (!episode) return;
+
+        await this.storage.update(COLLECTION, chatId, (current) => {
+          const next = current || this.createEmptyRecord();
+          next.episodes.push(episode);
+          next.summarizedCount = record.summarizedCount + messages.length;
+          next.lastUpdated = new Date().toISOString();
+          return next;
+        });
+
+        logger.debug(`Summarized ${messages.length} archived messages for ${chatId}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to summarize conversation for ${chatId}:`, error);
+    } finally {
+      this.inProgress.delete(chatId);
+    }
+  }
+
+  /**
+   * Ask Gemini for a short episodic summary of a chunk of messages
+   */
+  async summarizeMessages(chatId, messages) {
+    if (messages.length === 0) return null;
+
+    const { name: personaName } = await personaManager.getChatPersona(chatId);
+    const transcript = messages.map(msg => {
+      const speaker = msg.role === 'user' ? (msg.senderName || 'User') : personaName;
+      return `[${msg.localTime || msg.timestamp}] ${speaker}: ${msg.content}`;
+    }).join('\n');
+
+    const summaryPrompt = `CONVERSATION SUMMARY TASK:
+
+Summarize this part of a WhatsApp conversation between ${personaName} and the user so it can be remembered later.
+Write in English even if the chat is in Sinhala or Singlish. Keep names, dates, plans, feelings and anything the user would expect a friend to remember.
+
+${transcript}
+
+Respond with ONLY this JSON:
+{
+  "summary": "3-5 sentence summary",
+  "topics": ["short", "topic", "keywords"]
+}`;
+
+    const response = await geminiClient.generateContent([{ role: 'user', parts: [{ text: summaryPrompt }] }], null, null, 1);
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+
+    if (!jsonMatch) {
+      logger.debug('No valid JSON found in summary response');
+      return null;
+    }
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!parsed.summary) return null;
+
+    return {
+      id: Date.now().toString(),
+      from: messages[0].timestamp,
+      to: messages[messages.length - 1].timestamp,
+      messageCount: messages.length,
+      summary: parsed.summary,
+      topics: Array.isArray(parsed.topics) ? parsed.topics.map(topic => String(topic).toLowerCase()) : [],
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Split text into lowercase keywords for matching
+   */
+  extractKeywords(text) {
+    return new Set(
+      (text || '').toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    );
+  }
+
+  /**
+   * Find the time range a message refers to ("yesterday", "last month", "3 weeks ago"), if any
+   */
+  getTimeReferenceRange(text, now = new Date()) {
+    const lowerText = (text || '').toLowerCase();
+    const day = 24 * 60 * 60 * 1000;
+    const units = { day, week: 7 * day, month: 30 * day, year: 365 * day };
+
+    const ago = lowerText.match(/(\d+)\s*(day|week|month|year)s?\s+ago/);
+    if (ago) {
+      const center = now.getTime() - parseInt(ago[1]) * units[ago[2]];
+      return { from: new Date(center - units[ago[2]]), to: new Date(center + units[ago[2]]) };
+    }
+
+    if (lowerText.includes('yesterday')) {
+      return { from: new Date(now.getTime() - 2 * day), to: now };
+    }
+
+    const last = lowerText.match(/last\s+(week|month|year)/);
+    if (last) {
+      return { from: new Date(now.getTime() - 2 * units[last[1]]), to: new Date(now.getTime() - units[last[1]] / 2) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the summaries most relevant to the current message.
+   * Keyword overlap and any time reference decide; recency breaks ties, and the latest episode is always included.
+   */
+  async getRelevantSummaries(chatId, messageText, limit = config.summaries.maxInjected) {
+    const { episodes } = await this.getSummaries(chatId);
+    if (episodes.length === 0 || limit <= 0) return [];
+
+    const keywords = this.extractKeywords(messageText);
+    const timeRange = this.getTimeReferenceRange(messageText);
+    const scored = episodes.map((episode, index) => {
+      const episodeWords = this.extractKeywords(`${episode.summary} ${episode.topics.join(' ')}`);
+      let score = index / episodes.length;
+      keywords.forEach(word => { if (episodeWords.has(word)) score++; });
+      if (timeRange && new Date(episode.to) >= timeRange.from && new Date(episode.from) <= timeRange.to) {
+        score += 3;
+      }
+      return { episode, score };
+    });
+
+    const latest = episodes[episodes.length - 1];
+    const selected = scored
+      .filter(({ episode }) => episode !== latest)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit - 1)
+      .map(({ episode }) => episode);
+
+    // Present in chronological order
+    return [...selected, latest].sort((a, b) => new Date(a.from) - new Date(b.from));
+  }
+
+  /**
+   * Format summaries for the AI context
+   */
+  formatSummariesForAI(summaries, timeZone = config.time.defaultTimezone) {
+    if (!summaries || summaries.length === 0) return '';
+
+    const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', {
+      timeZone,
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+
+    let context = '\n\n=== EARLIER CONVERSATIONS ===\n';
+    for (const episode of summaries) {
+      const from = formatDate(episode.from);
+      const to = formatDate(episode.to);
+      context += `- ${from === to ? from : `${from} – ${to}`}: ${episode.summary}\n`;
+    }
+    context += 'Bring these up naturally when relevant, like a friend who remembers.\n';
+
+    return context;
+  }
+}
+
+// Export singleton instance
+export const conversationSummarizer = new ConversationSummarizer();
@@ -0,0 +1,135 @@
+import { storage } from './storage.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('CrisisCaseStore');
+
+const CASES_COLLECTION = 'crisis_cases';
+const CONTACTS_COLLECTION = 'trusted_contacts';
+const RISK_NOTES_COLLECTION = 'crisis_risk_notes';
+
+export const CASE_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+export class CrisisCaseStore {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Generate a short case id
+   */
+  generateId() {
+    return (Date.now().toString(36).slice(-4) + Math.random().toString(36).slice(2, 4)).toLowerCase();
+  }
+
+  /**
+   * Add an event to a case record
+   */
+  addEvent(record, type, actor = 'system', note = null) {
+    const timestamp = new Date().toISOString();
+    record.events.push({ timestamp, type, actor, note });
+    record.updatedAt = timestamp;
+    return record;
+  }
+
+  /**
+   * Open a new case for a user
+   */
+  async createCase(userId, { severity, reason, source, country }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: this.generateId(),
+      userId,
+      severity,
+      status: 'open',
+      reason,
+      source,
+      country,
+      openedAt: now,
+      updatedAt: now,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolution: null,
+      resourcesSentAt: null,
+      adminNotifiedAt: null,
+      contactNotifiedAt: null,
+      followUpSentAt: null,
+      events: []
+    };
+    this.addEvent(record, 'opened', source, reason);
+
+    await this.storage.set(CASES_COLLECTION, record.id, record);
+    logger.debug(`Crisis case ${record.id} opened for ${userId}`);
+    return record;
+  }
+
+  /**
+   * Atomically change a case. The updater edits the record in place; returning false leaves it unchanged.
+   */
+  async updateCase(caseId, updater) {
+    return await this.storage.update(CASES_COLLECTION, caseId, (current) => {
+      if (!current) return undefined;
+      return updater(current) === false ? undefined : current;
+    });
+  }
+
+  /**
+   * Get a case by id
+   */
+  async getCase(caseId) {
+    return await this.storage.get(CASES_COLLECTION, caseId);
+  }
+
+  /**
+   * List cases, newest first, optionally filtered by status and user
+   */
+  async listCases({ status = null, userId = null } = {}) {
+    const cases = Object.values(await this.storage.all(CASES_COLLECTION));
+    return cases
+      .filter(record => (!status || [].concat(status).includes(record.status)) && (!userId || record.userId === userId))
+      .sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+  }
+
+  /**
+   * Get the trusted contact a user named, or null
+   */
+  async getTrustedContact(userId) {
+    return await this.storage.get(CONTACTS_COLLECTION, userId);
+  }
+
+  /**
+   * Save the trusted contact a user consented to
+   */
+  async setTrustedContact(userId, contactJid) {
+    const contact = { jid: contactJid, consentedAt: new Date().toISOString() };
+    await this.storage.set(CONTACTS_COLLECTION, userId, contact);
+    return contact;
+  }
+
+  /**
+   * Remove a user's trusted contact (withdraws consent)
+   */
+  async removeTrustedContact(userId) {
+    await this.storage.delete(CONTACTS_COLLECTION, userId);
+  }
+
+  /**
+   * Get the last predicted-risk note sent to admins about a user, or null
+   */
+  async getRiskNote(userId) {
+    return await this.storage.get(RISK_NOTES_COLLECTION, userId);
+  }
+
+  /**
+   * Record that admins were told about a predicted risk
+   */
+  async setRiskNote(userId, { reason, source }) {
+    const note = { reason, source, sentAt: new Date().toISOString() };
+    await this.storage.set(RISK_NOTES_COLLECTION, userId, note);
+    return note;
+  }
+}
+
+// Export singleton instance
+export const crisisCaseStore = new CrisisCaseStore();
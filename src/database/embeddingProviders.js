@@ -0,0 +1,104 @@
+import { config } from '../config/config.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Embeddings');
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Cosine similarity of two vectors of equal length
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embeddings from the Gemini embedding API
+ */
+export class GeminiEmbeddingProvider {
+  constructor({ model = config.embeddings.model } = {}) {
+    this.model = model;
+    this.id = `gemini:${model}`;
+  }
+
+  async embed(texts) {
+    return await geminiClient.embedTexts(texts, this.model);
+  }
+}
+
+/**
+ * Offline, deterministic embeddings using feature hashing of words and character trigrams.
+ * Much weaker than a real model, but needs no network and gives stable results for tests.
+ */
+export class LocalEmbeddingProvider {
+  constructor({ dimensions = 256 } = {}) {
+    this.dimensions = dimensions;
+    this.id = `local:${dimensions}`;
+  }
+
+  /**
+   * Words plus their character trigrams, so related word forms still overlap
+   */
+  tokenize(text) {
+    const words = (text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+    const features = [];
+    for (const word of words) {
+      features.push(`w:${word}`);
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        features.push(`t:${padded.slice(i, i + 3)}`);
+      }
+    }
+    return features;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const feature of this.tokenize(text)) {
+      const hash = hashString(feature);
+      const weight = feature.startsWith('w:') ? 2 : 1;
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+/**
+ * Create an embedding provider by name
+ */
+export function createEmbeddingProvider(name = config.embeddings.provider) {
+  switch (name) {
+    case 'local':
+      return new LocalEmbeddingProvider();
+    case 'gemini':
+      return new GeminiEmbeddingProvider();
+    default:
+      logger.warn(`Unknown embedding provider '${name}', using local embeddings`);
+      return new LocalEmbeddingProvider();
+  }
+}
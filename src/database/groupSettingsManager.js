@@ -0,0 +1,106 @@
+import { config } from '../config/config.js';
+import { storage } from './storage.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('GroupSettings');
+
+const COLLECTION = 'group_settings';
+
+export const GROUP_TRIGGER_MODES = ['mention', 'reply', 'keyword', 'any'];
+
+export class GroupSettingsManager {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Create default settings for a group from config
+   */
+  createDefaultSettings() {
+    return {
+      enabled: config.groups.enabled,
+      triggerMode: config.groups.defaultTriggerMode,
+      keywords: [...config.groups.triggerKeywords],
+      persona: null, // Optional partial persona override for this group
+      createdAt: new Date().toISOString(),
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get settings for a group, falling back to defaults
+   */
+  async getGroupSettings(groupId) {
+    try {
+      const settings = await this.storage.get(COLLECTION, groupId, {});
+      return { ...this.createDefaultSettings(), ...settings };
+    } catch (error) {
+      logger.error(`Failed to read group settings for ${groupId}:`, error);
+      return this.createDefaultSettings();
+    }
+  }
+
+  /**
+   * Update settings for a group
+   */
+  async updateGroupSettings(groupId, updates) {
+    if ('triggerMode' in updates && !GROUP_TRIGGER_MODES.includes(updates.triggerMode)) {
+      throw new Error(`Invalid trigger mode '${updates.triggerMode}'. Use one of: ${GROUP_TRIGGER_MODES.join(', ')}`);
+    }
+
+    try {
+      const settings = await this.storage.update(COLLECTION, groupId, (current) => ({
+        ...this.createDefaultSettings(),
+        ...(current || {}),
+        ...updates,
+        lastUpdated: new Date().toISOString()
+      }));
+
+      logger.debug(`Group settings updated for ${groupId}: ${Object.keys(updates).join(', ')}`);
+      return settings;
+    } catch (error) {
+      logger.error(`Failed to update group settings for ${groupId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide whether a group message should trigger a bot response
+   */
+  shouldRespond(settings, messageInfo) {
+    if (!settings.enabled) return { respond: false, reason: 'disabled' };
+
+    const mentioned = !!messageInfo.mentionsBot;
+    const replied = !!messageInfo.isReplyToBot;
+    const lowerText = (messageInfo.text || '').toLowerCase();
+    const keyword = (settings.keywords || []).find(k => {
+      const escaped = k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escaped}($|[^\\p{L}\\p{M}\\p{N}])`, 'iu').test(lowerText);
+    });
+
+    switch (settings.triggerMode) {
+      case 'mention':
+        return { respond: mentioned, reason: 'mention' };
+      case 'reply':
+        return { respond: replied, reason: 'reply' };
+      case 'keyword':
+        return { respond: !!keyword, reason: keyword ? `keyword:${keyword}` : 'keyword' };
+      case 'any':
+      default:
+        if (mentioned) return { respond: true, reason: 'mention' };
+        if (replied) return { respond: true, reason: 'reply' };
+        if (keyword) return { respond: true, reason: `keyword:${keyword}` };
+        return { respond: false, reason: 'no_trigger' };
+    }
+  }
+
+  /**
+   * Memory key for a participant inside a group, kept apart from their private chat memory
+   */
+  getParticipantMemoryKey(groupId, participantId) {
+    return `${groupId}::${participantId}`;
+  }
+}
+
+// Export singleton instance
+export const groupSettingsManager = new GroupSettingsManager();
@@ -1,38 +1,25 @@
-import { FileUtils } from '../utils/fileUtils.js';
 import { config } from '../config/config.js';
+import { storage } from './storage.js';
+import { memoryManager } from './memoryManager.js';
+import { TimeUtils } from '../utils/timeUtils.js';
 import { createModuleLogger } from '../utils/logger.js';
 
 const logger = createModuleLogger('JsonDB');
 
+const COLLECTION = 'chat_history';
+const ARCHIVE_LOG = 'message_archive';
+
 export class JsonDatabase {
   constructor() {
-    this.chatHistoryFile = config.paths.chatHistoryFile;
-    this.lockMap = new Map(); // Simple in-memory lock for concurrent operations
-  }
-
-  /**
-   * Get a lock for a specific sender to prevent concurrent modifications
-   */
-  async acquireLock(senderId) {
-    while (this.lockMap.has(senderId)) {
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
-    this.lockMap.set(senderId, true);
-  }
-
-  /**
-   * Release lock for a sender
-   */
-  releaseLock(senderId) {
-    this.lockMap.delete(senderId);
+    this.storage = storage;
   }
 
   /**
-   * Read the entire chat history from JSON file
+   * Read the entire chat history from storage
    */
   async readChatHistory() {
     try {
-      const data = await FileUtils.readJsonFile(this.chatHistoryFile, {});
+      const data = await this.storage.all(COLLECTION);
       logger.debug(`Loaded chat history: ${Object.keys(data).length} users`);
       return data;
     } catch (error) {
@@ -41,26 +28,12 @@ export class JsonDatabase {
     }
   }
 
-  /**
-   * Write the entire chat history to JSON file
-   */
-  async writeChatHistory(data) {
-    try {
-      await FileUtils.writeJsonFile(this.chatHistoryFile, data);
-      logger.debug('Chat history saved successfully');
-    } catch (error) {
-      logger.error('Failed to write chat history:', error);
-      throw error;
-    }
-  }
-
   /**
    * Get chat messages for a specific sender
    */
   async getMessagesForSender(senderId) {
     try {
-      const chatHistory = await this.readChatHistory();
-      return chatHistory[senderId] || [];
+      return await this.storage.get(COLLECTION, senderId, []);
     } catch (error) {
       logger.error(`Failed to get messages for ${senderId}:`, error);
       return [];
@@ -68,84 +41,95 @@ export class JsonDatabase {
   }
 
   /**
-   * Add a new message to the chat history
+   * Check whether a stored entry is a chat message, typed ones such as reminders and check-ins included
+   * (contacts and emotional notes share the history but have no role)
+   */
+  isChatMessage(entry) {
+    return (entry.role === 'user' || entry.role === 'assistant') && typeof entry.content === 'string';
+  }
+
+  /**
+   * Get a user's timezone (set with /timezone), or the default timezone
+   */
+  async getUserTimezone(senderId) {
+    const memory = await memoryManager.getUserMemory(senderId);
+    return TimeUtils.normalizeTimezone(memory.availability?.timezone) || config.time.defaultTimezone;
+  }
+
+  /**
+   * Add a new message to the chat history.
+   * Every message also goes to the unbounded archive; the history itself stays a sliding window.
    */
   async addMessage(senderId, role, content, metadata = {}) {
-    await this.acquireLock(senderId);
-    
     try {
-      const chatHistory = await this.readChatHistory();
-      
-      if (!chatHistory[senderId]) {
-        chatHistory[senderId] = [];
-      }
-
-      // Check for duplicate messages to prevent double-sending
-      const recentMessages = chatHistory[senderId].slice(-5);
-      const isDuplicate = recentMessages.some(msg => 
-        msg.content === content && 
-        msg.role === role && 
-        (Date.now() - new Date(msg.timestamp).getTime()) < 5000 // Within 5 seconds
-      );
+      let message = null;
+      const timeZone = await this.getUserTimezone(senderId);
+
+      await this.storage.update(COLLECTION, senderId, async (current) => {
+        const messages = current || [];
+
+        // Check for duplicate messages to prevent double-sending
+        const recentMessages = messages.slice(-5);
+        const isDuplicate = recentMessages.some(msg => 
+          msg.content === content && 
+          msg.role === role && 
+          (Date.now() - new Date(msg.timestamp).getTime()) < 5000 // Within 5 seconds
+        );
       
-      if (isDuplicate && !metadata.forceDuplicate) {
-        logger.debug(`Duplicate message prevented for ${senderId}: ${role}`);
-        return null;
-      }
-      const message = {
-        id: Date.now().toString(),
-        role, // 'user' or 'assistant'
-        content,
-        timestamp: new Date().toISOString(),
-        localTime: new Date().toLocaleString("en-US", {timeZone: "Asia/Colombo"}),
-        timeOfDay: this.getTimeOfDay(),
-        ...metadata
-      };
-
-      chatHistory[senderId].push(message);
+        if (isDuplicate && !metadata.forceDuplicate) {
+          logger.debug(`Duplicate message prevented for ${senderId}: ${role}`);
+          return undefined;
+        }
+        message = {
+          id: Date.now().toString(),
+          role, // 'user' or 'assistant'
+          content,
+          timestamp: new Date().toISOString(),
+          localTime: new Date().toLocaleString('en-US', { timeZone }),
+          timeOfDay: this.getTimeOfDay(timeZone),
+          ...metadata
+        };
+
+        // Messages stored before the archive existed are archived first so nothing is lost on trim
+        const unarchived = messages.filter(msg => this.isChatMessage(msg) && !msg.archived);
+        await this.storage.appendAll(ARCHIVE_LOG, senderId, [...unarchived, message]);
+        unarchived.forEach(msg => { msg.archived = true; });
+        message.archived = true;
+
+        messages.push(message);
+
+        // Limit chat history to prevent storage from growing too large
+        const maxHistory = config.bot.maxChatHistory;
+        return messages.length > maxHistory ? messages.slice(-maxHistory) : messages;
+      });
 
-      // Limit chat history to prevent file from growing too large
-      const maxHistory = config.bot.maxChatHistory;
-      if (chatHistory[senderId].length > maxHistory) {
-        chatHistory[senderId] = chatHistory[senderId].slice(-maxHistory);
+      if (message) {
+        logger.debug(`Message added for ${senderId}: ${role}`);
       }
-
-      await this.writeChatHistory(chatHistory);
-      
-      logger.debug(`Message added for ${senderId}: ${role}`);
       return message;
     } catch (error) {
       logger.error(`Failed to add message for ${senderId}:`, error);
       throw error;
-    } finally {
-      this.releaseLock(senderId);
     }
   }
 
   /**
-   * Get time of day category
+   * Get time of day category in a timezone
    */
-  getTimeOfDay() {
-    const now = new Date();
-    const sriLankaTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
-    const hour = sriLankaTime.getHours();
-    
-    if (hour >= 5 && hour < 12) return 'morning';
-    if (hour >= 12 && hour < 17) return 'afternoon';
-    if (hour >= 17 && hour < 21) return 'evening';
-    return 'night';
+  getTimeOfDay(timeZone = config.time.defaultTimezone) {
+    return TimeUtils.getTimeOfDay(TimeUtils.getZonedParts(new Date(), timeZone).hour);
   }
 
   /**
-   * Get time-based context for conversations
+   * Get time-based context for conversations, in the user's timezone
    */
   async getTimeContext(senderId) {
     try {
       const messages = await this.getMessagesForSender(senderId);
+      const timeZone = await this.getUserTimezone(senderId);
       const now = new Date();
-      const sriLankaTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
-      const currentHour = sriLankaTime.getHours();
-      const currentTimeOfDay = this.getTimeOfDay();
+      const currentHour = TimeUtils.getZonedParts(now, timeZone).hour;
+      const currentTimeOfDay = this.getTimeOfDay(timeZone);
       
       // Get last message timing
       const lastMessage = messages[messages.length - 1];
@@ -167,11 +151,8 @@ export class JsonDatabase {
       }));
       
       return {
-        currentTime: sriLankaTime.toLocaleTimeString('en-US', {
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        }),
+        currentTime: TimeUtils.formatTime(now, timeZone),
+        timeZone,
         currentTimeOfDay,
         currentHour,
         timeSinceLastMessage,
@@ -190,30 +171,120 @@ export class JsonDatabase {
     }
   }
   /**
-   * Clear chat history for a specific sender
+   * Clear chat history for a specific sender, optionally including the archive
    */
-  async clearMessagesForSender(senderId) {
-    await this.acquireLock(senderId);
-    
+  async clearMessagesForSender(senderId, includeArchive = false) {
     try {
-      const chatHistory = await this.readChatHistory();
-      delete chatHistory[senderId];
-      await this.writeChatHistory(chatHistory);
-      logger.info(`Chat history cleared for ${senderId}`);
+      await this.storage.delete(COLLECTION, senderId);
+      if (includeArchive) {
+        await this.storage.deleteLog(ARCHIVE_LOG, senderId);
+      }
+      logger.info(`Chat history cleared for ${senderId}${includeArchive ? ' (including archive)' : ''}`);
     } catch (error) {
       logger.error(`Failed to clear messages for ${senderId}:`, error);
       throw error;
-    } finally {
-      this.releaseLock(senderId);
     }
   }
 
   /**
-   * Get conversation context for Gemini API (formatted for chat)
+   * Get a page of archived messages, newest page first, each page in chronological order
    */
-  async getConversationContext(senderId, includeSystemPrompt = true) {
+  async getArchivedMessages(senderId, { page = 1, pageSize = 50, query = null } = {}) {
     try {
-      const messages = await this.getMessagesForSender(senderId);
+      const safePage = Math.max(1, page);
+      const { items, total } = await this.storage.readLog(ARCHIVE_LOG, senderId, {
+        offset: (safePage - 1) * pageSize,
+        limit: pageSize,
+        query
+      });
+
+      return {
+        messages: items.reverse(),
+        total,
+        page: safePage,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize)
+      };
+    } catch (error) {
+      logger.error(`Failed to read archive for ${senderId}:`, error);
+      return { messages: [], total: 0, page, pageSize, totalPages: 0 };
+    }
+  }
+
+  /**
+   * Count archived messages for a sender
+   */
+  async getArchiveCount(senderId) {
+    const { total } = await this.storage.readLog(ARCHIVE_LOG, senderId, { limit: 0 });
+    return total;
+  }
+
+  /**
+   * Get archived messages by chronological position: [start, start + count)
+   */
+  async getArchiveRange(senderId, start, count) {
+    const total = await this.getArchiveCount(senderId);
+    const end = Math.min(start + count, total);
+    if (end <= start) return { messages: [], total };
+
+    const { items } = await this.storage.readLog(ARCHIVE_LOG, senderId, { offset: total - end, limit: end - start });
+    return { messages: items.reverse(), total };
+  }
+
+  /**
+   * Search the archive for messages containing the query text
+   */
+  async searchArchive(senderId, query, { page = 1, pageSize = 20 } = {}) {
+    return await this.getArchivedMessages(senderId, { page, pageSize, query });
+  }
+
+  /**
+   * Get the last `limit` chat messages, reaching into the archive when the window is too short
+   */
+  async getRecentMessages(senderId, limit) {
+    const windowMessages = (await this.getMessagesForSender(senderId)).filter(msg => this.isChatMessage(msg));
+    if (windowMessages.length >= limit) {
+      return windowMessages.slice(-limit);
+    }
+
+    const { items } = await this.storage.readLog(ARCHIVE_LOG, senderId, { limit });
+    const archivedMessages = items.reverse().filter(msg => this.isChatMessage(msg));
+    return archivedMessages.length > windowMessages.length ? archivedMessages : windowMessages;
+  }
+
+  /**
+   * Rough token estimate (about 4 characters per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Keep the newest messages that fit in the token budget (the latest message is always kept)
+   */
+  fitToTokenBudget(messages, tokenBudget) {
+    if (!tokenBudget || tokenBudget <= 0) return messages;
+
+    let used = 0;
+    let start = messages.length;
+    while (start > 0) {
+      const tokens = this.estimateTokens(messages[start - 1].content);
+      if (used + tokens > tokenBudget && start < messages.length) break;
+      used += tokens;
+      start--;
+    }
+
+    return messages.slice(start);
+  }
+
+  /**
+   * Get conversation context for Gemini API (formatted for chat).
+   * Uses the last `limit` messages, trimmed further to `tokenBudget` when one is set.
+   */
+  async getConversationContext(senderId, includeSystemPrompt = true, limit = config.bot.contextMessages, tokenBudget = config.bot.contextTokenBudget) {
+    try {
+      const recentMessages = await this.getRecentMessages(senderId, limit);
+      const messages = this.fitToTokenBudget(recentMessages, tokenBudget);
       const context = [];
 
       if (includeSystemPrompt) {
@@ -229,9 +300,14 @@ export class JsonDatabase {
 
       // Convert stored messages to Gemini format
       messages.forEach(msg => {
+        // Group messages carry the participant so the model can tell speakers apart
+        const text = msg.role === 'user' && msg.participant ?
+          `[${msg.senderName || msg.participant.split('@')[0]}]: ${msg.content}` :
+          msg.content;
+
         context.push({
           role: msg.role === 'user' ? 'user' : 'model',
-          parts: [{ text: msg.content }]
+          parts: [{ text }]
         });
       });
 
@@ -255,20 +331,7 @@ export class JsonDatabase {
    * Store contact information for a user
    */
   async storeContact(userId, contactName, contactNumber, relationship = 'friend') {
-    await this.acquireLock(userId);
-    
     try {
-      const chatHistory = await this.readChatHistory();
-      
-      if (!chatHistory[userId]) {
-        chatHistory[userId] = [];
-      }
-
-      // Check if contact already exists
-      const existingContactIndex = chatHistory[userId].findIndex(
-        msg => msg.type === 'contact' && msg.contactName?.toLowerCase() === contactName.toLowerCase()
-      );
-
       const contactInfo = {
         id: Date.now().toString(),
         type: 'contact',
@@ -279,22 +342,29 @@ export class JsonDatabase {
         addedBy: 'user'
       };
 
-      if (existingContactIndex >= 0) {
-        // Update existing contact
-        chatHistory[userId][existingContactIndex] = contactInfo;
-      } else {
-        // Add new contact
-        chatHistory[userId].push(contactInfo);
-      }
+      await this.storage.update(COLLECTION, userId, (current) => {
+        const messages = current || [];
+
+        // Check if contact already exists
+        const existingContactIndex = messages.findIndex(
+          msg => msg.type === 'contact' && msg.contactName?.toLowerCase() === contactName.toLowerCase()
+        );
+
+        if (existingContactIndex >= 0) {
+          // Update existing contact
+          messages[existingContactIndex] = contactInfo;
+        } else {
+          // Add new contact
+          messages.push(contactInfo);
+        }
+        return messages;
+      });
 
-      await this.writeChatHistory(chatHistory);
       logger.debug(`Contact stored for ${userId}: ${contactName} - ${contactNumber}`);
       return contactInfo;
     } catch (error) {
       logger.error(`Failed to store contact for ${userId}:`, error);
       throw error;
-    } finally {
-      this.releaseLock(userId);
     }
   }
 
@@ -341,15 +411,7 @@ export class JsonDatabase {
    * Store emotional context and relationship insights
    */
   async storeEmotionalContext(userId, context) {
-    await this.acquireLock(userId);
-    
     try {
-      const chatHistory = await this.readChatHistory();
-      
-      if (!chatHistory[userId]) {
-        chatHistory[userId] = [];
-      }
-
       const emotionalEntry = {
         id: Date.now().toString(),
         type: 'emotional_context',
@@ -357,23 +419,24 @@ export class JsonDatabase {
         timestamp: new Date().toISOString()
       };
 
-      chatHistory[userId].push(emotionalEntry);
-
-      // Keep only last 10 emotional contexts
-      const emotionalEntries = chatHistory[userId].filter(msg => msg.type === 'emotional_context');
-      if (emotionalEntries.length > 10) {
-        const toRemove = emotionalEntries.slice(0, emotionalEntries.length - 10);
-        chatHistory[userId] = chatHistory[userId].filter(msg => 
-          !toRemove.some(remove => remove.id === msg.id)
-        );
-      }
+      await this.storage.update(COLLECTION, userId, (current) => {
+        let messages = current || [];
+        messages.push(emotionalEntry);
+
+        // Keep only last 10 emotional contexts
+        const emotionalEntries = messages.filter(msg => msg.type === 'emotional_context');
+        if (emotionalEntries.length > 10) {
+          const toRemove = emotionalEntries.slice(0, emotionalEntries.length - 10);
+          messages = messages.filter(msg => 
+            !toRemove.some(remove => remove.id === msg.id)
+          );
+        }
+        return messages;
+      });
 
-      await this.writeChatHistory(chatHistory);
       logger.debug(`Emotional context stored for ${userId}`);
     } catch (error) {
       logger.error(`Failed to store emotional context for ${userId}:`, error);
-    } finally {
-      this.releaseLock(userId);
     }
   }
 
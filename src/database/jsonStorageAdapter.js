@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileUtils } from '../utils/fileUtils.js';
+import { StorageAdapter } from './storageAdapter.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('JsonStorage');
+
+/**
+ * Stores each collection as one JSON file keyed by document key.
+ * Every write rewrites the whole file, so writes are serialized per collection.
+ * Logs are append-only JSONL files, one per key, under data/<log>/.
+ */
+export class JsonStorageAdapter extends StorageAdapter {
+  constructor({ files = {}, dataDir = 'data' } = {}) {
+    super();
+    this.files = files;
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * Resolve the JSON file backing a collection
+   */
+  getFile(collection) {
+    return this.files[collection] || path.join(this.dataDir, `${collection}.json`);
+  }
+
+  /**
+   * Read a whole collection file
+   */
+  async readCollection(collection) {
+    try {
+      return await FileUtils.readJsonFile(this.getFile(collection), {});
+    } catch (error) {
+      logger.error(`Failed to read collection ${collection}:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Write a whole collection file
+   */
+  async writeCollection(collection, data) {
+    try {
+      await FileUtils.writeJsonFile(this.getFile(collection), data);
+    } catch (error) {
+      logger.error(`Failed to write collection ${collection}:`, error);
+      throw error;
+    }
+  }
+
+  async get(collection, key, defaultValue = null) {
+    const data = await this.readCollection(collection);
+    return data[key] ?? defaultValue;
+  }
+
+  async set(collection, key, value) {
+    return await this.withLock(collection, async () => {
+      const data = await this.readCollection(collection);
+      data[key] = value;
+      await this.writeCollection(collection, data);
+      return value;
+    });
+  }
+
+  async delete(collection, key) {
+    return await this.withLock(collection, async () => {
+      const data = await this.readCollection(collection);
+      if (!(key in data)) return false;
+      delete data[key];
+      await this.writeCollection(collection, data);
+      return true;
+    });
+  }
+
+  async all(collection) {
+    return await this.readCollection(collection);
+  }
+
+  async update(collection, key, updater) {
+    return await this.withLock(collection, async () => {
+      const data = await this.readCollection(collection);
+      const next = await updater(data[key] ?? null);
+      if (next === undefined) return data[key] ?? null;
+
+      data[key] = next;
+      await this.writeCollection(collection, data);
+      return next;
+    });
+  }
+
+  async setAll(collection, documents) {
+    return await this.withLock(collection, async () => {
+      const data = await this.readCollection(collection);
+      await this.writeCollection(collection, { ...data, ...documents });
+    });
+  }
+
+  /**
+   * Resolve the JSONL file backing one key of a log
+   */
+  getLogFile(log, key) {
+    return path.join(this.dataDir, log, `${encodeURIComponent(key)}.jsonl`);
+  }
+
+  /**
+   * Read every entry of a log in insertion order
+   */
+  async readLogEntries(log, key) {
+    try {
+      const data = await fs.readFile(this.getLogFile(log, key), 'utf8');
+      const entries = [];
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          logger.warn(`Skipping corrupt line in ${log} log for ${key}`);
+        }
+      }
+      return entries;
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      logger.error(`Failed to read ${log} log for ${key}:`, error);
+      throw error;
+    }
+  }
+
+  async append(log, key, entry) {
+    return await this.withLock(`${log}:${key}`, async () => {
+      const file = this.getLogFile(log, key);
+      await FileUtils.ensureDir(path.dirname(file));
+      await fs.appendFile(file, JSON.stringify(entry) + '\n', 'utf8');
+      return entry;
+    });
+  }
+
+  async appendAll(log, key, entries) {
+    if (entries.length === 0) return;
+    return await this.withLock(`${log}:${key}`, async () => {
+      const file = this.getLogFile(log, key);
+      await FileUtils.ensureDir(path.dirname(file));
+      await fs.appendFile(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+    });
+  }
+
+  async readLog(log, key, { offset = 0, limit = 50, query = null } = {}) {
+    let entries = await this.readLogEntries(log, key);
+
+    if (query) {
+      const lowerQuery = query.toLowerCase();
+      entries = entries.filter(entry => typeof entry.content === 'string' && entry.content.toLowerCase().includes(lowerQuery));
+    }
+
+    return {
+      items: entries.reverse().slice(offset, offset + limit),
+      total: entries.length
+    };
+  }
+
+  async deleteLog(log, key) {
+    return await this.withLock(`${log}:${key}`, async () => {
+      try {
+        await fs.unlink(this.getLogFile(log, key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  async listLogKeys(log) {
+    try {
+      const files = await fs.readdir(path.join(this.dataDir, log));
+      return files
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => decodeURIComponent(file.slice(0, -'.jsonl'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
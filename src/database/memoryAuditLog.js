@@ -0,0 +1,150 @@
+import { config } from '../config/config.js';
+import { storage } from './storage.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('MemoryAudit');
+
+const AUDIT_LOG = 'memory_audit';
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare two values by their JSON representation
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export class MemoryAuditLog {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Generate a short id that is easy to type in a chat command
+   */
+  generateId() {
+    return (Date.now().toString(36).slice(-4) + Math.random().toString(36).slice(2, 4)).toLowerCase();
+  }
+
+  /**
+   * Diff a memory category down to its individual keys.
+   * Each change is { path, before, after }; an undefined side means the key did not exist.
+   */
+  diffCategory(category, before, after) {
+    if (isPlainObject(before) && isPlainObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      return [...keys]
+        .filter(key => !sameValue(before[key], after[key]))
+        .map(key => ({ path: [category, key], before: before[key], after: after[key] }));
+    }
+
+    return sameValue(before, after) ? [] : [{ path: [category], before, after }];
+  }
+
+  /**
+   * Record a memory change with its provenance. Returns the entry, or null when nothing changed.
+   */
+  async recordChange(userId, { operation, actor = 'system', reason = null, sourceMessageId = null, category = null, changes = [] }) {
+    if (changes.length === 0) return null;
+
+    const entry = {
+      id: this.generateId(),
+      timestamp: new Date().toISOString(),
+      operation,
+      actor,
+      reason,
+      sourceMessageId,
+      category,
+      changes
+    };
+
+    try {
+      await this.storage.append(AUDIT_LOG, userId, entry);
+      logger.debug(`Memory change ${entry.id} recorded for ${userId}: ${operation} ${category || ''} by ${actor}`);
+    } catch (error) {
+      // Auditing must never block the memory write itself
+      logger.error(`Failed to record memory change for ${userId}:`, error);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get recent changes for a user, newest first
+   */
+  async getChanges(userId, { page = 1, pageSize = 10 } = {}) {
+    const safePage = Math.max(1, page);
+    const { items, total } = await this.storage.readLog(AUDIT_LOG, userId, {
+      offset: (safePage - 1) * pageSize,
+      limit: pageSize
+    });
+
+    return { changes: items, total, page: safePage, totalPages: Math.ceil(total / pageSize) };
+  }
+
+  /**
+   * Get every recorded change for a user, newest first
+   */
+  async getAllChanges(userId) {
+    const { items } = await this.storage.readLog(AUDIT_LOG, userId, { limit: Infinity });
+    return items;
+  }
+
+  /**
+   * Find a single change by id
+   */
+  async getChange(userId, changeId) {
+    const changes = await this.getAllChanges(userId);
+    return changes.find(entry => entry.id === changeId) || null;
+  }
+
+  /**
+   * Delete the audit trail for a user
+   */
+  async clearLog(userId) {
+    await this.storage.deleteLog(AUDIT_LOG, userId);
+  }
+
+  /**
+   * Short human readable description of a value
+   */
+  describeValue(value) {
+    if (value === undefined) return '(none)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  /**
+   * Format a change as a few lines for a chat message
+   */
+  formatChange(entry, timeZone = config.time.defaultTimezone) {
+    const time = new Date(entry.timestamp).toLocaleString('en-US', {
+      timeZone,
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    let text = `#${entry.id} · ${time} · ${entry.operation} by ${entry.actor}`;
+    if (entry.reason) text += `\n  reason: ${entry.reason}`;
+    for (const change of entry.changes.slice(0, 3)) {
+      const path = change.path.length > 0 ? change.path.join('.') : 'entire profile';
+      text += change.item !== undefined ?
+        `\n  ${path}: + ${this.describeValue(change.item)}` :
+        `\n  ${path}: ${this.describeValue(change.before)} → ${this.describeValue(change.after)}`;
+    }
+    if (entry.changes.length > 3) text += `\n  …and ${entry.changes.length - 3} more`;
+
+    return text;
+  }
+}
+
+// Export singleton instance
+export const memoryAuditLog = new MemoryAuditLog();
@@ -1,71 +1,51 @@
-import { FileUtils } from '../utils/fileUtils.js';
 import { config } from '../config/config.js';
+import { storage } from './storage.js';
+import { semanticMemory } from './semanticMemory.js';
+import { memoryAuditLog } from './memoryAuditLog.js';
+import { TimeUtils } from '../utils/timeUtils.js';
 import { createModuleLogger } from '../utils/logger.js';
 
 const logger = createModuleLogger('MemoryManager');
 
+const COLLECTION = 'user_memories';
+
+// Bookkeeping fields that are not facts about the user
+const INTERNAL_FIELDS = new Set(['lastInteraction', 'lastPdfPath', 'lastEmotionalUpdate']);
+
 export class MemoryManager {
   constructor() {
-    this.memoryFile = 'data/user_memories.json';
-    this.lockMap = new Map(); // Simple in-memory lock for concurrent operations
+    this.storage = storage;
   }
 
   /**
    * Set the last created PDF path for a user
    */
   async setLastPdfPath(userId, filePath) {
-    return await this.updateMemory(userId, 'conversationContext', { lastPdfPath: filePath });
-  }
-
-  /**
-   * Get a lock for a specific user to prevent concurrent modifications
-   */
-  async acquireLock(userId) {
-    while (this.lockMap.has(userId)) {
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
-    this.lockMap.set(userId, true);
+    return await this.updateMemory(userId, 'conversationContext', { lastPdfPath: filePath }, true, {
+      actor: 'system',
+      reason: 'PDF created'
+    });
   }
 
   /**
-   * Release lock for a user
-   */
-  releaseLock(userId) {
-    this.lockMap.delete(userId);
-  }
-
-  /**
-   * Read all user memories from JSON file
+   * Read all user memories from storage
    */
   async readMemories() {
     try {
-      const data = await FileUtils.readJsonFile(this.memoryFile, {});
-      return data;
+      return await this.storage.all(COLLECTION);
     } catch (error) {
       logger.error('Failed to read memories:', error);
       return {};
     }
   }
 
-  /**
-   * Write all user memories to JSON file
-   */
-  async writeMemories(data) {
-    try {
-      await FileUtils.writeJsonFile(this.memoryFile, data);
-    } catch (error) {
-      logger.error('Failed to write memories:', error);
-      throw error;
-    }
-  }
-
   /**
    * Get user's memory profile
    */
   async getUserMemory(userId) {
     try {
-      const memories = await this.readMemories();
-      return memories[userId] || this.createEmptyMemoryProfile();
+      const memory = await this.storage.get(COLLECTION, userId);
+      return memory || this.createEmptyMemoryProfile();
     } catch (error) {
       logger.error(`Failed to get memory for ${userId}:`, error);
       return this.createEmptyMemoryProfile();
@@ -133,88 +113,96 @@ export class MemoryManager {
         lastPdfPath: null
       },
       contacts: {},
+      availability: {
+        timezone: null,
+        quietHours: null,
+        doNotDisturbUntil: null
+      },
       createdAt: new Date().toISOString(),
       lastUpdated: new Date().toISOString()
     };
   }
 
   /**
-   * Update specific memory category for a user
+   * Update specific memory category for a user.
+   * provenance ({ actor, reason, sourceMessageId, operation }) is recorded in the audit log.
    */
-  async updateMemory(userId, category, data, merge = true) {
-    await this.acquireLock(userId);
-    
+  async updateMemory(userId, category, data, merge = true, provenance = {}) {
     try {
-      const memories = await this.readMemories();
-      
-      if (!memories[userId]) {
-        memories[userId] = this.createEmptyMemoryProfile();
-      }
+      let before;
+      const memory = await this.storage.update(COLLECTION, userId, (current) => {
+        const memory = current || this.createEmptyMemoryProfile();
+        before = structuredClone(memory[category]);
+
+        if (merge && typeof memory[category] === 'object' && !Array.isArray(memory[category])) {
+          memory[category] = { ...memory[category], ...data };
+        } else {
+          memory[category] = data;
+        }
+
+        memory.lastUpdated = new Date().toISOString();
+        return memory;
+      });
 
-      if (merge && typeof memories[userId][category] === 'object' && !Array.isArray(memories[userId][category])) {
-        memories[userId][category] = { ...memories[userId][category], ...data };
-      } else {
-        memories[userId][category] = data;
-      }
+      await memoryAuditLog.recordChange(userId, {
+        operation: merge ? 'update' : 'replace',
+        ...provenance,
+        category,
+        changes: memoryAuditLog.diffCategory(category, before, memory[category])
+      });
 
-      memories[userId].lastUpdated = new Date().toISOString();
-      
-      await this.writeMemories(memories);
       logger.debug(`Memory updated for ${userId}: ${category}`);
-      
-      return memories[userId];
+      return memory;
     } catch (error) {
       logger.error(`Failed to update memory for ${userId}:`, error);
       throw error;
-    } finally {
-      this.releaseLock(userId);
     }
   }
 
   /**
    * Add to array-based memory categories
    */
-  async addToMemoryArray(userId, category, subcategory, item, maxItems = 20) {
-    await this.acquireLock(userId);
-    
+  async addToMemoryArray(userId, category, subcategory, item, maxItems = 20, provenance = {}) {
     try {
-      const memories = await this.readMemories();
-      
-      if (!memories[userId]) {
-        memories[userId] = this.createEmptyMemoryProfile();
-      }
-
-      if (!memories[userId][category]) {
-        memories[userId][category] = {};
-      }
-
-      if (!Array.isArray(memories[userId][category][subcategory])) {
-        memories[userId][category][subcategory] = [];
-      }
-
       // Add timestamp to item if it's an object
       const itemWithTimestamp = typeof item === 'object' ? 
         { ...item, timestamp: new Date().toISOString() } : 
         { content: item, timestamp: new Date().toISOString() };
 
-      memories[userId][category][subcategory].unshift(itemWithTimestamp);
+      const memory = await this.storage.update(COLLECTION, userId, (current) => {
+        const memory = current || this.createEmptyMemoryProfile();
 
-      // Keep only the most recent items
-      if (memories[userId][category][subcategory].length > maxItems) {
-        memories[userId][category][subcategory] = memories[userId][category][subcategory].slice(0, maxItems);
-      }
+        if (!memory[category]) {
+          memory[category] = {};
+        }
+
+        if (!Array.isArray(memory[category][subcategory])) {
+          memory[category][subcategory] = [];
+        }
+
+        memory[category][subcategory].unshift(itemWithTimestamp);
+
+        // Keep only the most recent items
+        if (memory[category][subcategory].length > maxItems) {
+          memory[category][subcategory] = memory[category][subcategory].slice(0, maxItems);
+        }
+
+        memory.lastUpdated = new Date().toISOString();
+        return memory;
+      });
+
+      await memoryAuditLog.recordChange(userId, {
+        operation: 'append',
+        ...provenance,
+        category,
+        changes: [{ path: [category, subcategory], item: itemWithTimestamp }]
+      });
 
-      memories[userId].lastUpdated = new Date().toISOString();
-      
-      await this.writeMemories(memories);
       logger.debug(`Added to memory array for ${userId}: ${category}.${subcategory}`);
-      
-      return memories[userId];
+      return memory;
     } catch (error) {
       logger.error(`Failed to add to memory array for ${userId}:`, error);
       throw error;
-    } finally {
-      this.releaseLock(userId);
     }
   }
 
@@ -254,7 +242,7 @@ export class MemoryManager {
   /**
    * Store emotional context
    */
-  async storeEmotionalContext(userId, context) {
+  async storeEmotionalContext(userId, context, provenance = {}) {
     const emotionalData = {
       currentMood: context.mood || null,
       stressLevel: context.stressLevel || 'normal',
@@ -265,7 +253,7 @@ export class MemoryManager {
       emotionalData.personalityTraits = context.traits;
     }
 
-    return await this.updateMemory(userId, 'emotionalProfile', emotionalData, true);
+    return await this.updateMemory(userId, 'emotionalProfile', emotionalData, true, provenance);
   }
 
   /**
@@ -326,7 +314,7 @@ export class MemoryManager {
   /**
    * Get memory summary for AI context
    */
-  async getMemorySummary(userId) {
+  async getMemorySummary(userId, currentMessage = null) {
     try {
       const memory = await this.getUserMemory(userId);
       
@@ -345,12 +333,20 @@ export class MemoryManager {
       }
 
       // Academic Info
-      if (memory.academicInfo.stream || memory.academicInfo.strongSubjects.length > 0) {
+      const today = TimeUtils.formatDate(new Date(), memory.availability?.timezone || config.time.defaultTimezone, 'iso');
+      const upcomingExams = Object.values(memory.academicInfo.examSchedule || {})
+        .filter(exam => exam.date >= today)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      const quizResults = Object.entries(memory.academicInfo.quizPerformance || {});
+      if (memory.academicInfo.stream || memory.academicInfo.strongSubjects.length > 0 || memory.academicInfo.weakSubjects.length > 0 ||
+        upcomingExams.length > 0 || quizResults.length > 0) {
         summary += "ACADEMIC INFO:\n";
         if (memory.academicInfo.stream) summary += `- Stream: ${memory.academicInfo.stream}\n`;
         if (memory.academicInfo.currentGrade) summary += `- Current Grade: ${memory.academicInfo.currentGrade}\n`;
         if (memory.academicInfo.strongSubjects.length > 0) summary += `- Strong Subjects: ${memory.academicInfo.strongSubjects.join(', ')}\n`;
         if (memory.academicInfo.weakSubjects.length > 0) summary += `- Weak Subjects: ${memory.academicInfo.weakSubjects.join(', ')}\n`;
+        if (quizResults.length > 0) summary += `- Quiz Accuracy: ${quizResults.map(([subject, result]) => `${subject} ${Math.round(result.accuracy * 100)}% (${result.recent.length} answers)`).join(', ')}\n`;
+        if (upcomingExams.length > 0) summary += `- Upcoming Exams: ${upcomingExams.slice(0, 5).map(exam => `${exam.name || exam.subject} on ${exam.date}${exam.time ? ` at ${exam.time}` : ''}`).join(', ')}\n`;
         summary += "\n";
       }
 
@@ -376,6 +372,22 @@ export class MemoryManager {
         summary += "\n";
       }
 
+      // Memories relevant to what the user just said replace the fixed slices below
+      const relevantMemories = currentMessage && config.embeddings.enabled ?
+        await semanticMemory.getRelevantMemories(userId, memory, currentMessage) :
+        null;
+
+      if (relevantMemories) {
+        if (relevantMemories.length > 0) {
+          summary += "RELEVANT MEMORIES:\n";
+          relevantMemories.forEach(item => {
+            summary += `- ${item.text}\n`;
+          });
+          summary += "\n";
+        }
+        return summary;
+      }
+
       // Recent Events
       if (memory.lifeEvents.recentEvents && memory.lifeEvents.recentEvents.length > 0) {
         summary += "RECENT EVENTS:\n";
@@ -414,19 +426,213 @@ export class MemoryManager {
   /**
    * Clear all memories for a user
    */
-  async clearUserMemory(userId) {
-    await this.acquireLock(userId);
-    
+  async clearUserMemory(userId, provenance = {}) {
     try {
-      const memories = await this.readMemories();
-      delete memories[userId];
-      await this.writeMemories(memories);
+      const before = await this.storage.get(COLLECTION, userId);
+      await this.storage.delete(COLLECTION, userId);
+      await semanticMemory.clearVectors(userId);
+
+      if (before) {
+        await memoryAuditLog.recordChange(userId, {
+          operation: 'clear',
+          ...provenance,
+          changes: [{ path: [], before, after: undefined }]
+        });
+      }
       logger.info(`All memories cleared for ${userId}`);
     } catch (error) {
       logger.error(`Failed to clear memories for ${userId}:`, error);
       throw error;
-    } finally {
-      this.releaseLock(userId);
+    }
+  }
+
+  /**
+   * Flatten a memory profile into individual facts ({ category, path, text }),
+   * optionally keeping only those whose text contains the query
+   */
+  listMemoryFacts(memory, query = null) {
+    const facts = [];
+    const lowerQuery = query ? query.toLowerCase() : null;
+    const addFact = (category, path, text) => {
+      if (!text || (lowerQuery && !text.toLowerCase().includes(lowerQuery))) return;
+      facts.push({ category, path, text });
+    };
+    const defaults = this.createEmptyMemoryProfile();
+    const isEmpty = (value) => value === null || value === undefined || value === '' ||
+      (typeof value === 'object' && Object.keys(value).length === 0);
+
+    for (const [category, section] of Object.entries(memory || {})) {
+      if (!section || typeof section !== 'object' || Array.isArray(section)) continue;
+
+      for (const [field, value] of Object.entries(section)) {
+        if (INTERNAL_FIELDS.has(field) || isEmpty(value)) continue;
+        if (value === defaults[category]?.[field]) continue; // e.g. stressLevel 'normal'
+        const label = semanticMemory.humanize(field);
+
+        if (Array.isArray(value)) {
+          value.forEach((item, index) => addFact(category, [category, field, index], `${label}: ${semanticMemory.describeValue(item)}`));
+        } else if (typeof value === 'object' && Object.values(value).every(item => item && typeof item === 'object')) {
+          // Keyed records such as relationships.friends.nimal
+          Object.entries(value).forEach(([key, item]) => {
+            addFact(category, [category, field, key], `${label} - ${key}: ${semanticMemory.describeValue(item)}`);
+          });
+        } else {
+          addFact(category, [category, field], `${label}: ${semanticMemory.describeValue(value)}`);
+        }
+      }
+    }
+
+    return facts;
+  }
+
+  /**
+   * Delete every fact matching the query in one audited change.
+   * Nothing is deleted when more than maxMatches facts match; the matches are returned so the user can narrow down.
+   */
+  async forgetFacts(userId, query, provenance = {}, maxMatches = config.commands.forgetMaxMatches) {
+    let matches = [];
+    let before = null;
+
+    const memory = await this.storage.update(COLLECTION, userId, (current) => {
+      if (!current) return undefined;
+
+      matches = this.listMemoryFacts(current, query);
+      if (matches.length === 0 || matches.length > maxMatches) return undefined;
+
+      before = structuredClone(current);
+      // Remove array items from the highest index down so earlier indexes stay valid
+      const indexOf = (match) => (typeof match.path[2] === 'number' ? match.path[2] : -1);
+      const ordered = [...matches].sort((a, b) => indexOf(b) - indexOf(a));
+      for (const { path } of ordered) {
+        const parent = this.getAtPath(current, path.slice(0, -1));
+        const key = path[path.length - 1];
+        if (Array.isArray(parent)) {
+          parent.splice(key, 1);
+        } else if (path.length === 2) {
+          parent[key] = typeof parent[key] === 'object' ? {} : null;
+        } else {
+          delete parent[key];
+        }
+      }
+
+      current.lastUpdated = new Date().toISOString();
+      return current;
+    });
+
+    if (!before || matches.length > maxMatches) {
+      return { matches, forgotten: [], change: null };
+    }
+
+    const categories = [...new Set(matches.map(match => match.category))];
+    const change = await memoryAuditLog.recordChange(userId, {
+      operation: 'forget',
+      actor: 'user',
+      ...provenance,
+      category: categories.join(','),
+      changes: categories.flatMap(category => memoryAuditLog.diffCategory(category, before[category], memory[category]))
+    });
+
+    logger.info(`Forgot ${matches.length} memory facts for ${userId}`);
+    return { matches, forgotten: matches, change };
+  }
+
+  /**
+   * List recent memory changes for a user, newest first
+   */
+  async getMemoryChanges(userId, options = {}) {
+    return await memoryAuditLog.getChanges(userId, options);
+  }
+
+  /**
+   * Undo a recorded memory change by restoring the values it replaced.
+   * Returns { change, rollback, conflicts } where conflicts lists paths edited again since the change.
+   */
+  async rollbackChange(userId, changeId, provenance = {}) {
+    const change = await memoryAuditLog.getChange(userId, changeId);
+    if (!change) {
+      throw new Error(`Memory change '${changeId}' not found`);
+    }
+
+    const conflicts = [];
+    const changes = [];
+    let deleteProfile = false;
+
+    await this.storage.update(COLLECTION, userId, (current) => {
+      let memory = current;
+
+      for (const entry of change.changes) {
+        const before = entry.path.length === 0 ? memory : this.getAtPath(memory, entry.path);
+        let after;
+
+        if (entry.item !== undefined) {
+          // Appended item: remove it wherever it is now
+          const itemJson = JSON.stringify(entry.item);
+          after = Array.isArray(before) ? before.filter(item => JSON.stringify(item) !== itemJson) : before;
+          if (!Array.isArray(before) || after.length === before.length) conflicts.push(entry.path.join('.'));
+        } else {
+          if (JSON.stringify(before) !== JSON.stringify(entry.after)) {
+            conflicts.push(entry.path.join('.') || 'profile');
+          }
+          after = structuredClone(entry.before);
+        }
+
+        if (entry.path.length === 0) {
+          memory = after;
+        } else {
+          memory = memory || this.createEmptyMemoryProfile();
+          this.setAtPath(memory, entry.path, after);
+        }
+        changes.push({ path: entry.path, before: structuredClone(before), after: structuredClone(after) });
+      }
+
+      if (!memory) {
+        // The change created the whole profile; removing it happens outside the updater
+        deleteProfile = Boolean(current);
+        return undefined;
+      }
+      memory.lastUpdated = new Date().toISOString();
+      return memory;
+    });
+
+    if (deleteProfile) {
+      await this.storage.delete(COLLECTION, userId);
+    }
+
+    const rollback = await memoryAuditLog.recordChange(userId, {
+      actor: 'user',
+      ...provenance,
+      operation: 'rollback',
+      reason: provenance.reason || `Undo of #${change.id}`,
+      category: change.category,
+      changes
+    });
+
+    logger.info(`Memory change ${changeId} rolled back for ${userId}`);
+    return { change, rollback, conflicts };
+  }
+
+  /**
+   * Read a nested value by path
+   */
+  getAtPath(object, path) {
+    return path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+  }
+
+  /**
+   * Set (or delete, when value is undefined) a nested value by path
+   */
+  setAtPath(object, path, value) {
+    let target = object;
+    for (const key of path.slice(0, -1)) {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    }
+
+    const last = path[path.length - 1];
+    if (value === undefined) {
+      delete target[last];
+    } else {
+      target[last] = value;
     }
   }
 
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+import { config } from '../config/config.js';
+import { STORAGE_COLLECTIONS, STORAGE_LOGS } from './storage.js';
+import { JsonStorageAdapter } from './jsonStorageAdapter.js';
+import { SqliteStorageAdapter } from './sqliteStorageAdapter.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Migration');
+
+/**
+ * Copy every JSON collection and log into the SQLite database.
+ * Existing rows with the same key are overwritten; the JSON files are left untouched.
+ */
+async function migrateJsonToSqlite() {
+  const source = new JsonStorageAdapter({ files: STORAGE_COLLECTIONS, dataDir: config.paths.dataDir });
+  const target = new SqliteStorageAdapter({ file: config.storage.sqliteFile });
+
+  try {
+    for (const collection of Object.keys(STORAGE_COLLECTIONS)) {
+      const documents = await source.all(collection);
+      const count = Object.keys(documents).length;
+
+      await target.setAll(collection, documents);
+      logger.info(`✨ Migrated ${count} document(s) from ${source.getFile(collection)} into '${collection}'`);
+    }
+
+    for (const log of STORAGE_LOGS) {
+      const keys = await source.listLogKeys(log);
+      let count = 0;
+
+      for (const key of keys) {
+        const entries = await source.readLogEntries(log, key);
+        // Replace rather than append so the migration can be re-run safely
+        await target.deleteLog(log, key);
+        await target.appendAll(log, key, entries);
+        count += entries.length;
+      }
+      logger.info(`✨ Migrated ${count} entr${count === 1 ? 'y' : 'ies'} for ${keys.length} chat(s) into '${log}'`);
+    }
+
+    logger.info(`✨ Migration complete: ${config.storage.sqliteFile}`);
+    logger.info('✨ Set STORAGE_DRIVER=sqlite in .env to start using it');
+  } finally {
+    await target.close();
+  }
+}
+
+migrateJsonToSqlite().catch(error => {
+  logger.error('Migration failed:', error);
+  process.exit(1);
+});
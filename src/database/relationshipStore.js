@@ -0,0 +1,204 @@
+import { config } from '../config/config.js';
+import { storage } from './storage.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('RelationshipStore');
+
+const COLLECTION = 'relationship_levels';
+const MAX_HISTORY = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DECAY_RECORD_STEP = 0.05; // Smaller decay drifts are not written to the timeline
+
+/**
+ * Round a level for storage and display
+ */
+function roundLevel(level) {
+  return Math.round(level * 100) / 100;
+}
+
+export class RelationshipStore {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Create a record for a user starting at the given level
+   */
+  createRecord(level, now = new Date()) {
+    return {
+      level,
+      baseLevel: level, // Level at anchorAt; decay is always computed from here
+      anchorAt: now.toISOString(),
+      lastInteraction: null,
+      history: [],
+      createdAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Clamp a level to the configured range
+   */
+  clampLevel(level) {
+    return roundLevel(Math.min(Math.max(level, 0), config.persona.max_relationship_level));
+  }
+
+  /**
+   * Level after inactivity decay. Decay starts once the grace period after the last interaction has passed
+   * and never takes the level below the configured floor.
+   */
+  getDecayedLevel(record, now = new Date()) {
+    const {
+      relationship_decay: enabled,
+      relationship_decay_curve: curve,
+      relationship_decay_grace_days: graceDays,
+      relationship_decay_half_life_days: halfLifeDays,
+      relationship_decay_per_day: perDay,
+      relationship_decay_floor: floor
+    } = config.persona;
+
+    if (!enabled || record.baseLevel <= floor) return record.baseLevel;
+
+    const graceEnd = record.lastInteraction ?
+      new Date(record.lastInteraction).getTime() + graceDays * DAY_MS :
+      new Date(record.anchorAt).getTime();
+    const decayStart = Math.max(new Date(record.anchorAt).getTime(), graceEnd);
+    const decayDays = Math.max(0, (now.getTime() - decayStart) / DAY_MS);
+    if (decayDays === 0) return record.baseLevel;
+
+    const decayed = curve === 'linear' ?
+      record.baseLevel - perDay * decayDays :
+      floor + (record.baseLevel - floor) * Math.pow(0.5, decayDays / halfLifeDays);
+
+    return roundLevel(Math.max(decayed, floor));
+  }
+
+  /**
+   * Add a timeline entry, keeping only the most recent ones
+   */
+  pushHistory(record, entry) {
+    record.history.push(entry);
+    if (record.history.length > MAX_HISTORY) {
+      record.history = record.history.slice(-MAX_HISTORY);
+    }
+  }
+
+  /**
+   * Get the current level with decay applied (and recorded), or null when the user has no record yet
+   */
+  async getLevel(userId) {
+    const record = await this.storage.get(COLLECTION, userId);
+    if (!record) return null;
+
+    const now = new Date();
+    const decayed = this.getDecayedLevel(record, now);
+    if (Math.abs(decayed - record.level) < DECAY_RECORD_STEP) return decayed;
+
+    await this.storage.update(COLLECTION, userId, (current) => {
+      if (!current) return undefined;
+      const level = this.getDecayedLevel(current, now);
+      if (Math.abs(level - current.level) < DECAY_RECORD_STEP) return undefined;
+
+      this.pushHistory(current, {
+        timestamp: now.toISOString(),
+        from: current.level,
+        to: level,
+        trigger: 'decay',
+        reason: `No interaction since ${current.lastInteraction || current.anchorAt}`
+      });
+      current.level = level;
+      return current;
+    });
+
+    logger.debug(`Relationship level decayed for ${userId}: ${record.level} → ${decayed}`);
+    return decayed;
+  }
+
+  /**
+   * Create the record for a new user from an estimated starting level
+   */
+  async initialize(userId, level, reason = 'Estimated from stored memories') {
+    const record = await this.storage.update(COLLECTION, userId, (current) => {
+      if (current) return undefined;
+
+      const now = new Date();
+      const created = this.createRecord(this.clampLevel(level), now);
+      this.pushHistory(created, { timestamp: now.toISOString(), from: null, to: created.level, trigger: 'initial_estimate', reason });
+      return created;
+    });
+
+    return record.level;
+  }
+
+  /**
+   * Change the level by delta, starting from the decayed level, and record the trigger
+   */
+  async changeLevel(userId, delta, { trigger, reason = null } = {}) {
+    let from = 0;
+    const record = await this.storage.update(COLLECTION, userId, (current) => {
+      const now = new Date();
+      const next = current || this.createRecord(0, now);
+      from = this.getDecayedLevel(next, now);
+      const to = this.clampLevel(from + delta);
+
+      this.pushHistory(next, { timestamp: now.toISOString(), from, to, trigger, reason });
+      next.level = to;
+      next.baseLevel = to;
+      next.anchorAt = now.toISOString();
+      return next;
+    });
+
+    logger.debug(`Relationship level updated for ${userId}: ${from.toFixed(2)} → ${record.level.toFixed(2)} (${trigger})`);
+    return record.level;
+  }
+
+  /**
+   * Record that the user just interacted, which restarts the decay grace period.
+   * Returns the previous interaction time (null on first contact).
+   */
+  async markInteraction(userId) {
+    let previous = null;
+    await this.storage.update(COLLECTION, userId, (current) => {
+      const now = new Date();
+      const next = current || this.createRecord(0, now);
+      previous = next.lastInteraction;
+
+      // Lock in any decay so far before the grace period restarts
+      const level = this.getDecayedLevel(next, now);
+      next.level = level;
+      next.baseLevel = level;
+      next.anchorAt = now.toISOString();
+      next.lastInteraction = now.toISOString();
+      return next;
+    });
+
+    return previous;
+  }
+
+  /**
+   * Ids of users who have interacted, optionally only those who did since a time
+   */
+  async getUserIds({ since = null } = {}) {
+    const records = await this.storage.all(COLLECTION);
+    return Object.entries(records)
+      .filter(([, record]) => record.lastInteraction && (!since || new Date(record.lastInteraction) >= new Date(since)))
+      .map(([userId]) => userId);
+  }
+
+  /**
+   * Get the timeline of level changes, newest first
+   */
+  async getTimeline(userId, limit = 20) {
+    const record = await this.storage.get(COLLECTION, userId);
+    return record ? record.history.slice(-limit).reverse() : [];
+  }
+
+  /**
+   * Delete a user's relationship record
+   */
+  async clearRecord(userId) {
+    await this.storage.delete(COLLECTION, userId);
+  }
+}
+
+// Export singleton instance
+export const relationshipStore = new RelationshipStore();
@@ -0,0 +1,146 @@
+import { config } from '../config/config.js';
+import { storage } from './storage.js';
+import { createEmbeddingProvider, cosineSimilarity, hashString } from './embeddingProviders.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('SemanticMemory');
+
+const COLLECTION = 'memory_vectors';
+const MAX_ITEM_LENGTH = 500;
+
+// Categories and fields that are always shown in the profile summary or carry no recall value
+const SKIPPED_CATEGORIES = new Set(['personalInfo', 'contacts', 'createdAt', 'lastUpdated']);
+const SKIPPED_FIELDS = new Set(['currentMood', 'stressLevel', 'lastInteraction', 'lastPdfPath']);
+
+export class SemanticMemory {
+  constructor(provider = createEmbeddingProvider()) {
+    this.provider = provider;
+    this.storage = storage;
+  }
+
+  /**
+   * Swap the embedding provider (stored vectors are rebuilt on next use)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Turn "thingsToRemember" into "things to remember"
+   */
+  humanize(key) {
+    return key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Readable text for a stored memory value
+   */
+  describeValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) return value.map(item => this.describeValue(item)).filter(Boolean).join(', ');
+    if (value.content) return String(value.content);
+    if (value.issue) return `${value.issue}${value.status ? ` (${value.status})` : ''}`;
+
+    return Object.entries(value)
+      .filter(([key, item]) => key !== 'timestamp' && item !== null && item !== undefined && item !== '')
+      .map(([key, item]) => `${key}: ${this.describeValue(item)}`)
+      .join(', ');
+  }
+
+  /**
+   * Flatten a memory profile into individual items that can be embedded
+   */
+  extractMemoryItems(memory) {
+    const items = [];
+    const addItem = (category, label, text) => {
+      const trimmed = (text || '').trim().slice(0, MAX_ITEM_LENGTH);
+      if (!trimmed) return;
+      const fullText = `${label}: ${trimmed}`;
+      items.push({ id: hashString(`${category}|${fullText}`).toString(16), category, text: fullText });
+    };
+
+    for (const [category, section] of Object.entries(memory || {})) {
+      if (SKIPPED_CATEGORIES.has(category) || !section || typeof section !== 'object') continue;
+
+      for (const [field, value] of Object.entries(section)) {
+        if (SKIPPED_FIELDS.has(field) || value === null || value === undefined) continue;
+        const label = this.humanize(field);
+
+        if (Array.isArray(value)) {
+          value.forEach(item => addItem(category, label, this.describeValue(item)));
+        } else if (typeof value === 'object') {
+          Object.entries(value).forEach(([key, item]) => addItem(category, `${label} - ${key}`, this.describeValue(item)));
+        } else {
+          addItem(category, label, String(value));
+        }
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Make sure every memory item has a vector, dropping vectors of items that no longer exist
+   */
+  async syncVectors(userId, items) {
+    const record = await this.storage.get(COLLECTION, userId) || { provider: null, vectors: {} };
+    const vectors = record.provider === this.provider.id ? record.vectors : {};
+
+    const missing = items.filter(item => !vectors[item.id]);
+    const stale = Object.keys(vectors).filter(id => !items.some(item => item.id === id));
+
+    if (missing.length === 0 && stale.length === 0 && record.provider === this.provider.id) {
+      return vectors;
+    }
+
+    const embedded = missing.length > 0 ? await this.provider.embed(missing.map(item => item.text)) : [];
+    const next = {};
+    for (const item of items) {
+      if (vectors[item.id]) next[item.id] = vectors[item.id];
+    }
+    missing.forEach((item, index) => {
+      next[item.id] = embedded[index].map(value => Math.round(value * 1e6) / 1e6);
+    });
+
+    await this.storage.set(COLLECTION, userId, {
+      provider: this.provider.id,
+      vectors: next,
+      lastUpdated: new Date().toISOString()
+    });
+
+    logger.debug(`Memory vectors synced for ${userId}: +${missing.length} -${stale.length}`);
+    return next;
+  }
+
+  /**
+   * Get the memory items most relevant to a message, or null when retrieval fails
+   */
+  async getRelevantMemories(userId, memory, messageText, topK = config.embeddings.topK) {
+    try {
+      const items = this.extractMemoryItems(memory);
+      if (items.length === 0 || !messageText) return [];
+
+      const vectors = await this.syncVectors(userId, items);
+      const [queryVector] = await this.provider.embed([messageText]);
+
+      return items
+        .map(item => ({ ...item, score: cosineSimilarity(queryVector, vectors[item.id]) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    } catch (error) {
+      logger.error(`Semantic memory retrieval failed for ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete stored vectors for a user
+   */
+  async clearVectors(userId) {
+    await this.storage.delete(COLLECTION, userId);
+  }
+}
+
+// Export singleton instance
+export const semanticMemory = new SemanticMemory();
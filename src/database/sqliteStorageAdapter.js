@@ -0,0 +1,212 @@
+import path from 'path';
+import { FileUtils } from '../utils/fileUtils.js';
+import { StorageAdapter } from './storageAdapter.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('SqliteStorage');
+
+/**
+ * Stores documents as one row per (collection, key) in SQLite.
+ * Writes touch only the affected row, so different users never block each other.
+ * Log entries are rows of log_entries, indexed by (log, key, id).
+ */
+export class SqliteStorageAdapter extends StorageAdapter {
+  constructor({ file = 'data/bot.sqlite' } = {}) {
+    super();
+    this.file = file;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database on first use and prepare statements
+   */
+  async getDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = this.open().catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return await this.dbPromise;
+  }
+
+  /**
+   * Open the database file and create the schema
+   */
+  async open() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error(`SQLite storage needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+
+    await FileUtils.ensureDir(path.dirname(this.file));
+
+    const db = new Database(this.file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      ) WITHOUT ROWID;
+      CREATE INDEX IF NOT EXISTS idx_documents_updated ON documents (collection, updated_at);
+
+      CREATE TABLE IF NOT EXISTS log_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        log TEXT NOT NULL,
+        key TEXT NOT NULL,
+        content TEXT,
+        value TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_log_entries_key ON log_entries (log, key, id);
+    `);
+
+    this.statements = {
+      get: db.prepare('SELECT value FROM documents WHERE collection = ? AND key = ?'),
+      upsert: db.prepare(`
+        INSERT INTO documents (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      delete: db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?'),
+      all: db.prepare('SELECT key, value FROM documents WHERE collection = ?'),
+      append: db.prepare('INSERT INTO log_entries (log, key, content, value, created_at) VALUES (?, ?, ?, ?, ?)'),
+      readLog: db.prepare('SELECT value FROM log_entries WHERE log = ? AND key = ? ORDER BY id DESC LIMIT ? OFFSET ?'),
+      countLog: db.prepare('SELECT COUNT(*) AS total FROM log_entries WHERE log = ? AND key = ?'),
+      searchLog: db.prepare(`
+        SELECT value FROM log_entries WHERE log = ? AND key = ? AND content LIKE ? ESCAPE '\\'
+        ORDER BY id DESC LIMIT ? OFFSET ?
+      `),
+      countSearchLog: db.prepare(`SELECT COUNT(*) AS total FROM log_entries WHERE log = ? AND key = ? AND content LIKE ? ESCAPE '\\'`),
+      deleteLog: db.prepare('DELETE FROM log_entries WHERE log = ? AND key = ?'),
+      logKeys: db.prepare('SELECT DISTINCT key FROM log_entries WHERE log = ?')
+    };
+
+    logger.info(`SQLite storage opened at ${this.file}`);
+    return db;
+  }
+
+  /**
+   * Write one row
+   */
+  writeRow(collection, key, value) {
+    this.statements.upsert.run(collection, key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  async get(collection, key, defaultValue = null) {
+    await this.getDb();
+    const row = this.statements.get.get(collection, key);
+    return row ? JSON.parse(row.value) : defaultValue;
+  }
+
+  async set(collection, key, value) {
+    await this.getDb();
+    return await this.withLock(`${collection}:${key}`, async () => {
+      this.writeRow(collection, key, value);
+      return value;
+    });
+  }
+
+  async delete(collection, key) {
+    await this.getDb();
+    return await this.withLock(`${collection}:${key}`, async () => {
+      return this.statements.delete.run(collection, key).changes > 0;
+    });
+  }
+
+  async all(collection) {
+    await this.getDb();
+    const result = {};
+    for (const row of this.statements.all.iterate(collection)) {
+      result[row.key] = JSON.parse(row.value);
+    }
+    return result;
+  }
+
+  async update(collection, key, updater) {
+    await this.getDb();
+
+    return await this.withLock(`${collection}:${key}`, async () => {
+      const row = this.statements.get.get(collection, key);
+      const current = row ? JSON.parse(row.value) : null;
+      const next = await updater(current);
+      if (next === undefined) return current;
+
+      this.writeRow(collection, key, next);
+      return next;
+    });
+  }
+
+  async setAll(collection, documents) {
+    const db = await this.getDb();
+    db.transaction(() => {
+      for (const [key, value] of Object.entries(documents)) {
+        this.writeRow(collection, key, value);
+      }
+    })();
+  }
+
+  /**
+   * Insert one log row
+   */
+  writeLogRow(log, key, entry) {
+    const content = typeof entry.content === 'string' ? entry.content : null;
+    this.statements.append.run(log, key, content, JSON.stringify(entry), new Date().toISOString());
+  }
+
+  async append(log, key, entry) {
+    await this.getDb();
+    this.writeLogRow(log, key, entry);
+    return entry;
+  }
+
+  async appendAll(log, key, entries) {
+    const db = await this.getDb();
+    db.transaction(() => {
+      for (const entry of entries) {
+        this.writeLogRow(log, key, entry);
+      }
+    })();
+  }
+
+  async readLog(log, key, { offset = 0, limit = 50, query = null } = {}) {
+    await this.getDb();
+    const rowLimit = Number.isFinite(limit) ? limit : -1;
+
+    if (query) {
+      const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+      return {
+        items: this.statements.searchLog.all(log, key, pattern, rowLimit, offset).map(row => JSON.parse(row.value)),
+        total: this.statements.countSearchLog.get(log, key, pattern).total
+      };
+    }
+
+    return {
+      items: this.statements.readLog.all(log, key, rowLimit, offset).map(row => JSON.parse(row.value)),
+      total: this.statements.countLog.get(log, key).total
+    };
+  }
+
+  async deleteLog(log, key) {
+    await this.getDb();
+    return this.statements.deleteLog.run(log, key).changes > 0;
+  }
+
+  async listLogKeys(log) {
+    await this.getDb();
+    return this.statements.logKeys.all(log).map(row => row.key);
+  }
+
+  async close() {
+    if (!this.dbPromise) return;
+    const db = await this.dbPromise;
+    db.close();
+    this.dbPromise = null;
+  }
+}
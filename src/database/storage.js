@@ -0,0 +1,52 @@
+import path from 'path';
+import { config } from '../config/config.js';
+import { JsonStorageAdapter } from './jsonStorageAdapter.js';
+import { SqliteStorageAdapter } from './sqliteStorageAdapter.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Storage');
+
+// Collections stored through the adapter, with the JSON file each one used historically
+export const STORAGE_COLLECTIONS = {
+  chat_history: config.paths.chatHistoryFile,
+  user_memories: config.paths.memoryFile,
+  group_settings: config.paths.groupSettingsFile,
+  conversation_summaries: path.join(config.paths.dataDir, 'conversation_summaries.json'),
+  memory_vectors: path.join(config.paths.dataDir, 'memory_vectors.json'),
+  relationship_levels: path.join(config.paths.dataDir, 'relationship_levels.json'),
+  crisis_cases: path.join(config.paths.dataDir, 'crisis_cases.json'),
+  trusted_contacts: path.join(config.paths.dataDir, 'trusted_contacts.json'),
+  crisis_risk_notes: path.join(config.paths.dataDir, 'crisis_risk_notes.json'),
+  scheduled_jobs: path.join(config.paths.dataDir, 'scheduled_jobs.json'),
+  proactive_outbox: path.join(config.paths.dataDir, 'proactive_outbox.json'),
+  proactive_consent: path.join(config.paths.dataDir, 'proactive_consent.json'),
+  reminders: path.join(config.paths.dataDir, 'reminders.json'),
+  flashcards: path.join(config.paths.dataDir, 'flashcards.json'),
+  quizzes: path.join(config.paths.dataDir, 'quizzes.json'),
+  study_sessions: path.join(config.paths.dataDir, 'study_sessions.json'),
+  planner: path.join(config.paths.dataDir, 'planner.json'),
+  proactive_engagement: path.join(config.paths.dataDir, 'proactive_engagement.json')
+};
+
+// Append-only logs stored through the adapter
+export const STORAGE_LOGS = ['message_archive', 'memory_audit'];
+
+export const STORAGE_DRIVERS = ['json', 'sqlite'];
+
+/**
+ * Create a storage adapter for the given driver
+ */
+export function createStorageAdapter(driver = config.storage.driver) {
+  switch (driver) {
+    case 'sqlite':
+      return new SqliteStorageAdapter({ file: config.storage.sqliteFile });
+    case 'json':
+      return new JsonStorageAdapter({ files: STORAGE_COLLECTIONS, dataDir: config.paths.dataDir });
+    default:
+      logger.warn(`Unknown storage driver '${driver}', falling back to json`);
+      return new JsonStorageAdapter({ files: STORAGE_COLLECTIONS, dataDir: config.paths.dataDir });
+  }
+}
+
+// Export singleton instance
+export const storage = createStorageAdapter();
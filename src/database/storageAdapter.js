@@ -0,0 +1,121 @@
+/**
+ * Base class for storage backends.
+ * Data is organised as collections of JSON documents addressed by key
+ * (e.g. collection 'chat_history', key = sender JID), plus append-only
+ * logs per key (e.g. log 'message_archive', key = sender JID).
+ */
+export class StorageAdapter {
+  constructor() {
+    this.lockChains = new Map(); // Promise chains that serialize writes per lock key
+  }
+
+  /**
+   * Run fn once every earlier holder of the same lock key has finished
+   */
+  async withLock(lockKey, fn) {
+    const previous = this.lockChains.get(lockKey) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const chain = previous.then(() => current);
+    this.lockChains.set(lockKey, chain);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.lockChains.get(lockKey) === chain) {
+        this.lockChains.delete(lockKey);
+      }
+    }
+  }
+
+  /**
+   * Get a document, or defaultValue when it does not exist
+   */
+  async get(collection, key, defaultValue = null) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Create or replace a document
+   */
+  async set(collection, key, value) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  /**
+   * Delete a document
+   */
+  async delete(collection, key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Get every document in a collection as a { key: value } object
+   */
+  async all(collection) {
+    throw new Error(`${this.constructor.name} does not implement all()`);
+  }
+
+  /**
+   * Atomically read-modify-write a document.
+   * The updater receives the current value (or null) and returns the new value;
+   * returning undefined leaves the document unchanged.
+   */
+  async update(collection, key, updater) {
+    throw new Error(`${this.constructor.name} does not implement update()`);
+  }
+
+  /**
+   * Replace many documents of a collection at once (used by migrations)
+   */
+  async setAll(collection, documents) {
+    for (const [key, value] of Object.entries(documents)) {
+      await this.set(collection, key, value);
+    }
+  }
+
+  /**
+   * Append an entry to a log. Entries with a `content` string are searchable.
+   */
+  async append(log, key, entry) {
+    throw new Error(`${this.constructor.name} does not implement append()`);
+  }
+
+  /**
+   * Append many entries to a log in order (used by migrations)
+   */
+  async appendAll(log, key, entries) {
+    for (const entry of entries) {
+      await this.append(log, key, entry);
+    }
+  }
+
+  /**
+   * Read a page of a log, newest first.
+   * Returns { items, total } where total counts every entry matching the query.
+   */
+  async readLog(log, key, { offset = 0, limit = 50, query = null } = {}) {
+    throw new Error(`${this.constructor.name} does not implement readLog()`);
+  }
+
+  /**
+   * Delete every entry of a log
+   */
+  async deleteLog(log, key) {
+    throw new Error(`${this.constructor.name} does not implement deleteLog()`);
+  }
+
+  /**
+   * List the keys that have entries in a log
+   */
+  async listLogKeys(log) {
+    throw new Error(`${this.constructor.name} does not implement listLogKeys()`);
+  }
+
+  /**
+   * Release any resources held by the adapter
+   */
+  async close() {}
+}
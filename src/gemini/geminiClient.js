@@ -1,6 +1,7 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { config } from '../config/config.js';
 import { createModuleLogger } from '../utils/logger.js';
+import { TimeUtils } from '../utils/timeUtils.js';
 
 const logger = createModuleLogger('GeminiClient');
 
@@ -118,28 +119,66 @@ export class GeminiClient {
   }
 
   /**
-   * Get current time context
+   * Get current time context in the user's timezone
    */
-  getCurrentTimeContext() {
+  getCurrentTimeContext(timeZone = null) {
+    const zone = TimeUtils.normalizeTimezone(timeZone) || config.time.defaultTimezone;
     const now = new Date();
-    const sriLankaTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
+
+    return `Current date and time for the user (${zone}): ${TimeUtils.formatDate(now, zone)} at ${TimeUtils.formatTime(now, zone)}`;
+  }
+
+  /**
+   * Build the time, system and memory context prepended to the latest user message
+   */
+  buildContextInfo(memorySummary, timeZone = null) {
+    const timeContext = this.getCurrentTimeContext(timeZone);
+    const systemPrompt = this.createAISystemPrompt();
+    
+    let contextInfo = `${timeContext}\n\n${systemPrompt}`;
     
-    return `Current date and time in Sri Lanka: ${sriLankaTime.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    })} at ${sriLankaTime.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    })}`;
+    if (memorySummary) {
+      contextInfo += `\n\n=== USER MEMORY PROFILE ===
+${memorySummary}
+
+IMPORTANT: Use this memory information to:
+- Personalize your responses based on their interests, struggles, and experiences
+- Reference past conversations naturally (e.g., "Remember when you said...")
+- Show empathy based on their emotional patterns and current state
+- Connect new topics to their known preferences and experiences
+- Be supportive of their academic journey and personal challenges
+
+Make every response feel like it's from a friend who truly knows and cares about them!`;
+    }
+
+    return contextInfo;
   }
 
   /**
-   * Generate content with AI-driven features
+   * Build request contents with the context prepended to the latest user message
    */
-  async generateContent(conversationHistory, memorySummary = null, userMemory = null, maxRetries = 3) {
+  buildContents(conversationHistory, memorySummary, timeZone = null) {
+    const contents = [...conversationHistory];
+    if (contents.length === 0) return contents;
+
+    const contextInfo = this.buildContextInfo(memorySummary, timeZone);
+
+    // Copy the last message so the caller's history isn't modified
+    const lastMessage = { ...contents[contents.length - 1] };
+    lastMessage.parts = [...lastMessage.parts];
+    if (lastMessage.role === 'user') {
+      lastMessage.parts[0] = { ...lastMessage.parts[0], text: `${contextInfo}\n\n${lastMessage.parts[0].text}` };
+    }
+    contents[contents.length - 1] = lastMessage;
+
+    return contents;
+  }
+
+  /**
+   * Call the model once with key rotation and retries.
+   * Returns { text, functionCalls, content }; empty or blocked answers are retried like errors.
+   */
+  async callModel(contents, maxRetries = 3, functionDeclarations = null) {
     let lastError;
     let attempts = 0;
 
@@ -160,51 +199,14 @@ export class GeminiClient {
             maxOutputTokens: config.gemini.maxTokens,
             temperature: config.gemini.temperature,
           },
+          ...(functionDeclarations?.length > 0 ? { tools: [{ functionDeclarations }] } : {})
         });
 
-        const timeContext = this.getCurrentTimeContext();
-        const systemPrompt = this.createAISystemPrompt();
-        
-        let contextInfo = `${timeContext}\n\n${systemPrompt}`;
-        
-        if (memorySummary) {
-          contextInfo += `\n\n=== USER MEMORY PROFILE ===
-${memorySummary}
-
-IMPORTANT: Use this memory information to:
-- Personalize your responses based on their interests, struggles, and experiences
-- Reference past conversations naturally (e.g., "Remember when you said...")
-- Show empathy based on their emotional patterns and current state
-- Connect new topics to their known preferences and experiences
-- Be supportive of their academic journey and personal challenges
-
-Make every response feel like it's from a friend who truly knows and cares about them!`;
-        }
-        
-        const aiHistory = [...conversationHistory];
-        
-        if (aiHistory.length > 0) {
-          const lastMessage = aiHistory[aiHistory.length - 1];
-          if (lastMessage.role === 'user') {
-            lastMessage.parts[0].text = `${contextInfo}\n\n${lastMessage.parts[0].text}`;
-          }
-        }
-        
-        const chat = model.startChat({
-          history: aiHistory.slice(0, -1),
-        });
-        
-        const lastMessage = aiHistory[aiHistory.length - 1];
-        const response = await chat.sendMessage(lastMessage.parts[0].text);
-
-        const result = await response.response;
-        const fullResponse = result.text();
-
-        if (!fullResponse || fullResponse.trim().length === 0) {
-          throw new Error('Empty response from Gemini API');
-        }
+        const { response } = await model.generateContent({ contents });
+        const functionCalls = response.functionCalls?.() || [];
+        const text = functionCalls.length > 0 ? null : this.getResponseText(response);
 
-        return fullResponse.trim();
+        return { text, functionCalls, content: response.candidates[0].content };
 
       } catch (error) {
         lastError = error;
@@ -227,6 +229,155 @@ Make every response feel like it's from a friend who truly knows and cares about
     throw new Error(`Failed to generate content after ${maxRetries} attempts: ${lastError.message}`);
   }
 
+  /**
+   * Embed texts with a Gemini embedding model, rotating keys like content calls
+   */
+  async embedTexts(texts, modelName = config.embeddings.model, maxRetries = 2) {
+    const vectors = [];
+
+    // The batch endpoint accepts at most 100 requests per call
+    for (let start = 0; start < texts.length; start += 100) {
+      const batch = texts.slice(start, start + 100);
+      let lastError;
+      let done = false;
+
+      for (let attempt = 0; attempt < maxRetries && !done; attempt++) {
+        const keyIndex = this.getNextKeyIndex();
+        const genAI = this.clients.get(keyIndex);
+
+        try {
+          this.trackKeyUsage(keyIndex);
+          const model = genAI.getGenerativeModel({ model: modelName });
+          const result = await model.batchEmbedContents({
+            requests: batch.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+          });
+          vectors.push(...result.embeddings.map(embedding => embedding.values));
+          done = true;
+        } catch (error) {
+          lastError = error;
+          if (error.message.includes('quota') || error.message.includes('rate limit')) {
+            this.markKeyAsFailed(keyIndex, error);
+          }
+        }
+      }
+
+      if (!done) {
+        throw new Error(`Failed to embed texts: ${lastError.message}`);
+      }
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Extract the text of a response, failing on empty output
+   */
+  getResponseText(response) {
+    const fullResponse = response.text();
+
+    if (!fullResponse || fullResponse.trim().length === 0) {
+      throw new Error('Empty response from Gemini API');
+    }
+
+    return fullResponse.trim();
+  }
+
+  /**
+   * Generate content with AI-driven features
+   */
+  async generateContent(conversationHistory, memorySummary = null, userMemory = null, maxRetries = 3) {
+    const contents = this.buildContents(conversationHistory, memorySummary, userMemory?.availability?.timezone);
+    const { text } = await this.callModel(contents, maxRetries);
+    return text;
+  }
+
+  /**
+   * Generate content with native function calling.
+   * Runs the tool loop: call the model, execute requested tools, feed results back, repeat.
+   */
+  async generateContentWithTools(conversationHistory, memorySummary = null, userMemory = null, options = {}) {
+    const {
+      functionDeclarations = [],
+      executeTool,
+      maxToolRounds = config.gemini.maxToolRounds,
+      maxRetries = 3
+    } = options;
+
+    const contents = this.buildContents(conversationHistory, memorySummary, userMemory?.availability?.timezone);
+    const toolResults = [];
+
+    for (let round = 0; round <= maxToolRounds; round++) {
+      // On the final round tools are withheld so the model has to answer in text
+      const declarations = round < maxToolRounds ? functionDeclarations : null;
+      const { text, functionCalls, content } = await this.callModel(contents, maxRetries, declarations);
+
+      if (functionCalls.length === 0) {
+        return { text, toolResults };
+      }
+
+      contents.push(content);
+
+      const functionResponses = [];
+      for (const call of functionCalls) {
+        logger.debug(`Model requested tool ${call.name}`);
+        const result = await executeTool(call.name, call.args || {});
+        toolResults.push(result);
+
+        functionResponses.push({
+          functionResponse: {
+            name: call.name,
+            response: result.error ? { error: result.error } : { result: result.result ?? null }
+          }
+        });
+      }
+
+      contents.push({ role: 'function', parts: functionResponses });
+    }
+
+    throw new Error('Gemini tool loop ended without a text response');
+  }
+
+  /**
+   * Build an inline data part for multimodal requests
+   */
+  createInlineDataPart(buffer, mimeType) {
+    return {
+      inlineData: {
+        mimeType,
+        data: buffer.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * Transcribe a voice note or audio clip
+   */
+  async transcribeAudio(buffer, mimeType) {
+    // WhatsApp voice notes are 'audio/ogg; codecs=opus' - Gemini only wants the base type
+    const baseMimeType = (mimeType || 'audio/ogg').split(';')[0].trim();
+
+    const transcriptionRequest = [{
+      role: 'user',
+      parts: [
+        {
+          text: `AUDIO TRANSCRIPTION TASK:
+
+Transcribe this WhatsApp voice note exactly as spoken.
+- The speaker may use Sinhala, English or Singlish (Sinhala in Latin letters) - keep the language they used
+- Do not translate, summarize or answer the message
+- If the audio is silent or unintelligible, respond with "[inaudible]"
+
+RESPOND WITH THE TRANSCRIPT ONLY - NO OTHER TEXT.`
+        },
+        this.createInlineDataPart(buffer, baseMimeType)
+      ]
+    }];
+
+    // Called directly so no persona, time or system context is added to the request
+    const { text } = await this.callModel(transcriptionRequest, 2);
+    return text;
+  }
+
   /**
    * Create AI system prompt (legacy - now handled by PersonaManager)
    */
@@ -242,7 +393,7 @@ This method is deprecated. Please use PersonaManager.generatePersonaPrompt() for
    */
   async generateProactiveMessage(conversationHistory, memorySummary = null, timeContext = null, userMemory = null) {
     try {
-      const timeContextInfo = this.getCurrentTimeContext();
+      const timeContextInfo = this.getCurrentTimeContext(userMemory?.availability?.timezone);
       
       let proactiveContext = `${timeContextInfo}\n\n`;
       
@@ -3,11 +3,15 @@
 import { whatsappClient } from './whatsapp/whatsappClient.js';
 import { chatbotService } from './services/chatbotService.js';
 import { jsonDb } from './database/jsonDb.js';
+import { storage } from './database/storage.js';
 import { config } from './config/config.js';
 import { logger } from './utils/logger.js';
 import { personaManager } from './system/personaManager.js';
+import { personaRegistry } from './system/personaRegistry.js';
 import { proactiveEngagementManager } from './system/proactiveEngagementManager.js';
+import { crisisEscalationManager } from './system/crisisEscalationManager.js';
 import { predictiveAI } from './system/predictiveAI.js';
+import { jobScheduler } from './system/jobScheduler.js';
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
@@ -22,7 +26,10 @@ process.on('SIGTERM', async () => {
 
 async function shutdown() {
   try {
+    jobScheduler.stop();
     await whatsappClient.disconnect();
+    personaRegistry.stopWatching();
+    await storage.close();
     logger.info('AI bot shutdown complete');
     process.exit(0);
   } catch (error) {
@@ -36,8 +43,12 @@ async function startAIBot() {
     logger.success(`✅ Persona System: ${config.persona.name} (${config.persona.age} years old)`);
     logger.success(`✅ Location: ${config.persona.location.city}, ${config.persona.location.country}`);
     logger.success(`✅ Education: ${config.persona.education.level}`);
+    await personaRegistry.ensureLoaded();
+    logger.success(`✅ Personas: ${personaRegistry.listPersonas().map(p => p.name).join(', ')}`);
     logger.success('✅ Dynamic Personality Evolution enabled');
     logger.success('✅ Proactive Engagement Manager ready');
+    await crisisEscalationManager.ensureLoaded();
+    logger.success(`✅ Crisis escalation ${config.crisis.escalation ? 'enabled' : 'disabled'} (${crisisEscalationManager.getStatus().openCases} open cases)`);
     logger.success('✅ Predictive AI Systems active');
     logger.success('✅ AI-driven memory system ready');
     logger.success('✅ AI-powered tools system ready');
@@ -61,6 +72,9 @@ async function startAIBot() {
     // Initialize WhatsApp client
     await whatsappClient.initialize();
 
+    // Run stored and recurring proactive jobs
+    await jobScheduler.start();
+
     logger.success('✅ All AI systems operational');
     logger.success('✅ Dynamic personality system active');
     logger.success('✅ Proactive engagement monitoring');
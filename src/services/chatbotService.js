@@ -7,14 +7,39 @@ import { aiMemoryManager } from '../database/aiMemoryManager.js';
 import { aiTools } from '../tools/aiTools.js';
 import { mcpTools } from '../tools/mcpTools.js';
 import { memoryManager } from '../database/memoryManager.js';
+import { memoryAuditLog } from '../database/memoryAuditLog.js';
 import { chatPresenceManager } from './chatPresenceManager.js';
 import { personaManager } from '../system/personaManager.js';
 import { proactiveEngagementManager } from '../system/proactiveEngagementManager.js';
 import { predictiveAI } from '../system/predictiveAI.js';
+import { signalClassifier } from '../system/signalClassifier.js';
+import { crisisEscalationManager } from '../system/crisisEscalationManager.js';
+import { jobScheduler } from '../system/jobScheduler.js';
+import { availabilityManager, parseQuietHours } from '../system/availabilityManager.js';
+import { proactiveGovernor } from '../system/proactiveGovernor.js';
+import { examCountdownManager } from '../system/examCountdownManager.js';
+import { importantDatesManager } from '../system/importantDatesManager.js';
+import { reminderManager } from '../system/reminderManager.js';
+import { flashcardManager } from '../system/flashcardManager.js';
+import { quizManager, QUIZ_TYPES } from '../system/quizManager.js';
+import { studySessionManager, formatStudyTime } from '../system/studySessionManager.js';
+import { plannerManager } from '../system/plannerManager.js';
+import { consentManager, parseConsentCategories } from '../system/consentManager.js';
+import { groupSettingsManager, GROUP_TRIGGER_MODES } from '../database/groupSettingsManager.js';
+import { conversationSummarizer } from '../database/conversationSummarizer.js';
+import { detectLanguage, translate, translateCategory, translateConsentCategory } from './commandMessages.js';
+import { FileUtils } from '../utils/fileUtils.js';
+import { TimeUtils } from '../utils/timeUtils.js';
 import cron from 'node-cron';
+import fs from 'fs/promises';
+import path from 'path';
 
 const logger = createModuleLogger('ChatbotService');
 
+// Slash commands answered directly, before the AI pipeline
+const USER_COMMANDS = ['/help', '/memory', '/forget', '/reset', '/export', '/trusted', '/quiet', '/timezone', '/proactive', '/cards', '/quiz', '/study'];
+const MAX_LISTED_FACTS = 40;
+
 export class ChatbotService {
   constructor() {
     this.processingMessages = new Set();
@@ -39,10 +64,11 @@ export class ChatbotService {
    * Handle incoming WhatsApp message with enhanced AI-driven approach
    */
   async handleIncomingMessage(messageInfo) {
-    const { sender, text, senderName, isGroup, quotedMessage, hasQuote } = messageInfo;
+    const { sender, senderName, isGroup, quotedMessage, hasQuote } = messageInfo;
+    let { text } = messageInfo;
 
     if (isGroup) {
-      logger.debug(`Skipping group message from ${senderName}`);
+      await this.handleGroupMessage(messageInfo);
       return;
     }
 
@@ -56,13 +82,48 @@ export class ChatbotService {
     await new Promise(resolve => setTimeout(resolve, 100));
 
     try {
+      const command = text.trim().split(/\s+/)[0].toLowerCase();
+      if (command === '/crisis' && crisisEscalationManager.isAdmin(sender)) {
+        await this.handleCrisisCommand(messageInfo);
+        return;
+      }
+      if (command === '/jobs' && config.scheduler.adminNumbers.includes(sender.split('@')[0])) {
+        await this.handleJobsCommand(messageInfo);
+        return;
+      }
+      if (command === '/consent' && config.consent.adminNumbers.includes(sender.split('@')[0])) {
+        await this.handleConsentCommand(messageInfo);
+        return;
+      }
+      if (USER_COMMANDS.includes(command)) {
+        await this.handleUserCommand(messageInfo);
+        return;
+      }
+      // During a quiz or flashcard review, text messages are answers unless they carry a crisis signal
+      let signals = null;
+      let answerHandler = null;
+      if (text.trim() && !messageInfo.media) {
+        if (await quizManager.getActiveSession(sender)) answerHandler = this.handleQuizAnswer;
+        else if (await flashcardManager.getActiveSession(sender)) answerHandler = this.handleFlashcardAnswer;
+      }
+      if (answerHandler) {
+        ({ signals } = await signalClassifier.detectSignals(text));
+        if (!signals.some(signal => signal.type === 'crisis')) {
+          this.processMemoryInBackground(sender, text, messageInfo.id);
+          await answerHandler.call(this, messageInfo);
+          return;
+        }
+
+        // Leave the quiz or review and reply as usual, with the crisis escalation below
+        await quizManager.endQuiz(sender);
+        await flashcardManager.endSession(sender);
+        logger.warn(`Ended the quiz or flashcard review of ${sender} after a crisis signal`);
+      }
+
       const preview = text.length > 50 ? text.substring(0, 50) + '...' : text;
       logger.info(`📨 ${senderName}: ${preview}`);
 
       this.activeUsers.add(sender);
-      
-      // Register user with proactive engagement manager
-      proactiveEngagementManager.registerActiveUser(sender);
 
       // Handle realistic chat presence (seen/read behavior)
       await chatPresenceManager.handleMessagePresence(messageInfo);
@@ -70,11 +131,17 @@ export class ChatbotService {
       // Notify presence manager about user activity
       chatPresenceManager.onUserMessage(sender);
 
+      // Download images/PDFs for the model and transcribe voice notes
+      const mediaInput = await this.prepareMediaInput(messageInfo);
+      text = mediaInput.text;
+
       // AI-driven memory analysis (happens in background)
-      this.processMemoryInBackground(sender, text);
+      this.processMemoryInBackground(sender, text, messageInfo.id);
+      examCountdownManager.processMessage(sender, text, messageInfo.id);
+      importantDatesManager.processMessage(sender, text, messageInfo.id);
 
       // Enhanced relationship and persona analysis
-      await this.processRelationshipAndPersona(sender, text);
+      await this.processRelationshipAndPersona(sender, text, signals);
 
       // Handle reply context
       let finalText = text;
@@ -83,23 +150,6 @@ export class ChatbotService {
         finalText = `${replyContext}\n\nUser's reply: ${text}`;
       }
 
-      // AI-driven tool analysis
-      const toolResults = await this.processToolsWithAI(sender, text);
-      
-      // Add tool results to context if any
-      if (toolResults) {
-        // Handle PDF tool results
-        const pdfResult = toolResults.find(r => r.tool === 'create_pdf_from_topic' || r.tool === 'append_to_pdf');
-        if (pdfResult && !pdfResult.error) {
-            await whatsappClient.sendTyping(sender, true);
-            await mcpTools.executeTool('send_pdf_to_user', { userId: sender, filePath: pdfResult.result.filePath, fileName: `${pdfResult.result.filePath.split('/').pop()}` });
-            await memoryManager.setLastPdfPath(sender, pdfResult.result.filePath);
-        }
-
-        const toolContext = aiTools.formatToolResultsForAI(toolResults);
-        finalText = `${finalText}${toolContext}`;
-      }
-
       // Show typing indicator
       await whatsappClient.sendTyping(sender, true);
 
@@ -118,13 +168,15 @@ export class ChatbotService {
 
       // Get enhanced AI-driven context with persona
       const conversationHistory = await jsonDb.getConversationContext(sender, false); // Don't include legacy system prompt
-      const memorySummary = await memoryManager.getMemorySummary(sender);
+      this.attachMediaParts(conversationHistory, mediaInput.mediaParts);
+      const memorySummary = await memoryManager.getMemorySummary(sender, text);
       const userMemory = await memoryManager.getUserMemory(sender);
       const timeContext = await jsonDb.getTimeContext(sender);
 
       // Generate dynamic persona-based system prompt
       const currentMood = userMemory.emotionalProfile?.currentMood;
       const personaPrompt = await personaManager.generatePersonaPrompt(sender, { userMood: currentMood });
+      const persona = await personaManager.getChatPersona(sender);
 
       // Add persona prompt to conversation context
       const enhancedHistory = [
@@ -134,16 +186,25 @@ export class ChatbotService {
         },
         {
           role: 'model',
-          parts: [{ text: `I understand! I'm ${config.persona.name}, ready to chat with you as your friend! 😊` }]
+          parts: [{ text: `I understand! I'm ${persona.name}, ready to chat with you as your friend! 😊` }]
         },
         ...conversationHistory
       ];
 
-      // Add time context to memory summary
-      const aiMemorySummary = memorySummary + this.formatTimeContextForAI(timeContext);
+      // Add time context and relevant earlier conversations to memory summary
+      const relevantSummaries = await conversationSummarizer.getRelevantSummaries(sender, text);
+      const aiMemorySummary = memorySummary +
+        this.formatTimeContextForAI(timeContext) +
+        conversationSummarizer.formatSummariesForAI(relevantSummaries, timeContext?.timeZone);
 
-      // Generate response using Gemini with enhanced context
-      const response = await geminiClient.generateContent(enhancedHistory, aiMemorySummary, userMemory);
+      // Generate response using Gemini, letting the model call tools natively
+      const { text: response, toolResults } = await geminiClient.generateContentWithTools(enhancedHistory, aiMemorySummary, userMemory, {
+        functionDeclarations: aiTools.getFunctionDeclarations(),
+        executeTool: aiTools.createToolExecutor(sender, messageInfo.id)
+      });
+
+      // Deliver any PDF the model created or updated
+      await this.sendGeneratedPdf(sender, toolResults);
 
       // Clean response
       const cleanResponse = this.cleanResponse(response);
@@ -158,6 +219,11 @@ export class ChatbotService {
       // Notify presence manager about bot response
       chatPresenceManager.onBotResponse(sender);
 
+      await this.sendProactiveInvite(sender, text);
+
+      // Summarize conversation that has left the context window
+      conversationSummarizer.summarizeInBackground(sender);
+
       logger.success(`✨ Enhanced AI reply sent to ${senderName}`);
 
     } catch (err) {
@@ -172,14 +238,917 @@ export class ChatbotService {
     }
   }
 
+  /**
+   * Handle incoming group message - only answers when triggered
+   */
+  async handleGroupMessage(messageInfo) {
+    const { sender: groupId, participant, text, senderName, quotedMessage, hasQuote } = messageInfo;
+
+    const messageKey = `${groupId}-${messageInfo.id}`;
+    if (this.processingMessages.has(messageKey)) {
+      logger.debug(`Duplicate group message detected: ${messageKey}`);
+      return;
+    }
+
+    this.processingMessages.add(messageKey);
+
+    try {
+      if (text.startsWith('/group')) {
+        await this.handleGroupCommand(messageInfo);
+        return;
+      }
+
+      const settings = await groupSettingsManager.getGroupSettings(groupId);
+      if (!settings.enabled) {
+        logger.debug(`Skipping message in disabled group ${groupId}`);
+        return;
+      }
+
+      const trigger = groupSettingsManager.shouldRespond(settings, messageInfo);
+
+      // Media is only downloaded when the bot is actually asked something
+      const mediaInput = trigger.respond ?
+        await this.prepareMediaInput(messageInfo) :
+        { text, mediaParts: [] };
+
+      // Keep group-level history for every message so replies have the full conversation
+      await jsonDb.addMessage(groupId, 'user', mediaInput.text, {
+        senderName,
+        participant,
+        messageId: messageInfo.id,
+        quotedMessage: quotedMessage,
+        hasQuote: hasQuote
+      });
+
+      if (!trigger.respond) {
+        return;
+      }
+
+      const preview = text.length > 50 ? text.substring(0, 50) + '...' : text;
+      logger.info(`📨 ${senderName} (group, ${trigger.reason}): ${preview}`);
+
+      // Participant memory is scoped to the group so private chat memory never leaks in
+      const memoryKey = groupSettingsManager.getParticipantMemoryKey(groupId, participant);
+      this.processMemoryInBackground(memoryKey, mediaInput.text, messageInfo.id);
+
+      await whatsappClient.sendTyping(groupId, true);
+
+      const groupName = await this.getGroupName(groupId);
+      const conversationHistory = await jsonDb.getConversationContext(groupId, false);
+      this.attachMediaParts(conversationHistory, mediaInput.mediaParts);
+      const memorySummary = await memoryManager.getMemorySummary(memoryKey, mediaInput.text);
+      const userMemory = await memoryManager.getUserMemory(memoryKey);
+
+      const personaPrompt = await personaManager.generatePersonaPrompt(memoryKey, {
+        userMood: userMemory.emotionalProfile?.currentMood,
+        chatId: groupId,
+        persona: settings.persona,
+        group: { name: groupName, participantName: senderName }
+      });
+
+      const { name: personaName } = await personaManager.getChatPersona(groupId, settings.persona);
+      const enhancedHistory = [
+        {
+          role: 'user',
+          parts: [{ text: personaPrompt }]
+        },
+        {
+          role: 'model',
+          parts: [{ text: `I understand! I'm ${personaName}, chatting in the group. 😊` }]
+        },
+        ...conversationHistory
+      ];
+
+      const relevantSummaries = await conversationSummarizer.getRelevantSummaries(groupId, mediaInput.text);
+      const aiMemorySummary = memorySummary + conversationSummarizer.formatSummariesForAI(relevantSummaries);
+
+      const response = await geminiClient.generateContent(enhancedHistory, aiMemorySummary, userMemory);
+      const cleanResponse = this.cleanResponse(response);
+
+      await jsonDb.addMessage(groupId, 'assistant', cleanResponse);
+      conversationSummarizer.summarizeInBackground(groupId);
+
+      await whatsappClient.sendTyping(groupId, false);
+      await whatsappClient.sendMessage(groupId, cleanResponse, { quoted: messageInfo.raw });
+
+      logger.success(`✨ Group reply sent to ${senderName} in ${groupName}`);
+    } catch (err) {
+      logger.error(`Failed to process group message from ${senderName}:`, err);
+      await whatsappClient.sendTyping(groupId, false);
+    } finally {
+      this.processingMessages.delete(messageKey);
+    }
+  }
+
+  /**
+   * Handle /group settings commands inside a group
+   */
+  async handleGroupCommand(messageInfo) {
+    const { sender: groupId, participant, text } = messageInfo;
+    const [, action = 'status', ...args] = text.trim().split(/\s+/);
+    const reply = (message) => whatsappClient.sendMessage(groupId, message, { quoted: messageInfo.raw });
+
+    if (action !== 'status' && config.groups.adminOnlySettings && !(await this.isGroupAdmin(groupId, participant))) {
+      await reply('Sorry, only group admins can change my group settings. 🙏');
+      return;
+    }
+
+    try {
+      switch (action.toLowerCase()) {
+        case 'on':
+        case 'enable':
+          await groupSettingsManager.updateGroupSettings(groupId, { enabled: true });
+          await reply('✅ I\'m active in this group now. Mention me or reply to my messages to chat!');
+          break;
+        case 'off':
+        case 'disable':
+          await groupSettingsManager.updateGroupSettings(groupId, { enabled: false });
+          await reply('👋 I\'ll stay quiet in this group.');
+          break;
+        case 'trigger': {
+          const triggerMode = (args[0] || '').toLowerCase();
+          if (!GROUP_TRIGGER_MODES.includes(triggerMode)) {
+            await reply(`Usage: /group trigger <${GROUP_TRIGGER_MODES.join('|')}>`);
+            break;
+          }
+          await groupSettingsManager.updateGroupSettings(groupId, { triggerMode });
+          await reply(`✅ Trigger mode set to *${triggerMode}*`);
+          break;
+        }
+        case 'keywords': {
+          const keywords = args.join(' ').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+          if (keywords.length === 0) {
+            await reply('Usage: /group keywords word1, word2');
+            break;
+          }
+          await groupSettingsManager.updateGroupSettings(groupId, { keywords });
+          await reply(`✅ Trigger keywords: ${keywords.join(', ')}`);
+          break;
+        }
+        case 'status':
+        default: {
+          const settings = await groupSettingsManager.getGroupSettings(groupId);
+          const persona = await personaManager.getChatPersona(groupId, settings.persona);
+          await reply(
+            `⚙️ *Group settings*\n` +
+            `- Enabled: ${settings.enabled ? 'yes' : 'no'}\n` +
+            `- Trigger mode: ${settings.triggerMode}\n` +
+            `- Keywords: ${(settings.keywords || []).join(', ') || '-'}\n` +
+            `- Persona: ${persona.name}\n\n` +
+            `Commands: /group on | off | trigger <${GROUP_TRIGGER_MODES.join('|')}> | keywords a, b`
+          );
+        }
+      }
+    } catch (error) {
+      logger.debug('Group command failed:', error);
+      await reply(`⚠️ ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle user commands in a private chat: inspect, correct, reset and export what the bot stores
+   */
+  async handleUserCommand(messageInfo) {
+    const { sender, text } = messageInfo;
+    const [command, ...args] = text.trim().split(/\s+/);
+    const recentMessages = await jsonDb.getRecentMessages(sender, 10);
+    const language = detectLanguage(recentMessages.filter(msg => msg.role === 'user').map(msg => msg.content));
+    const t = (key, vars) => translate(language, key, vars);
+    const reply = (message) => whatsappClient.sendMessage(sender, message, { quoted: messageInfo.raw });
+    const provenance = { actor: 'user', reason: `${command} command`, sourceMessageId: messageInfo.id };
+
+    try {
+      switch (command.toLowerCase()) {
+        case '/memory':
+          await this.handleMemoryCommand(sender, args, { t, reply, provenance, language });
+          break;
+        case '/forget': {
+          const query = args.join(' ').trim();
+          if (query.length < 2) {
+            await reply(t('forgetUsage'));
+            break;
+          }
+          const { matches, forgotten, change } = await memoryManager.forgetFacts(sender, query, provenance);
+          const list = (facts) => facts.map(fact => `- ${fact.text}`).join('\n');
+          if (matches.length === 0) {
+            await reply(t('forgetNoMatch', { query }));
+          } else if (forgotten.length === 0) {
+            await reply(t('forgetTooMany', { query, count: matches.length, items: list(matches.slice(0, 10)) }));
+          } else {
+            await reply(t('forgetDone', { items: list(forgotten), id: change.id }));
+          }
+          break;
+        }
+        case '/reset':
+          await jsonDb.clearMessagesForSender(sender, true);
+          await conversationSummarizer.clearSummaries(sender);
+          await reply(t('resetDone'));
+          break;
+        case '/export':
+          await this.sendUserDataExport(sender, t('exportCaption'));
+          break;
+        case '/trusted':
+          await this.handleTrustedCommand(sender, args, { t, reply });
+          break;
+        case '/quiet':
+          await this.handleQuietCommand(sender, args, { t, reply, provenance });
+          break;
+        case '/timezone':
+          await this.handleTimezoneCommand(sender, args, { t, reply, provenance });
+          break;
+        case '/proactive':
+          await this.handleProactiveCommand(sender, args, { t, reply, provenance, language });
+          break;
+        case '/cards':
+          await this.handleCardsCommand(sender, args, { t, reply, provenance });
+          break;
+        case '/quiz':
+          await this.handleQuizCommand(sender, args, { t, reply });
+          break;
+        case '/study':
+          await this.handleStudyCommand(sender, args, { t, reply, provenance });
+          break;
+        case '/help':
+        default:
+          await reply(config.crisis.trustedContacts ? `${t('help')}\n${t('helpTrusted')}` : t('help'));
+      }
+    } catch (error) {
+      logger.debug('User command failed:', error);
+      await reply(t('error', { message: error.message }));
+    }
+  }
+
+  /**
+   * /memory shows the stored profile; /memory history and /memory undo <id> work with the audit log
+   */
+  async handleMemoryCommand(userId, args, { t, reply, provenance, language }) {
+    const [action = 'show', ...rest] = args;
+
+    switch (action.toLowerCase()) {
+      case 'undo': {
+        const changeId = (rest[0] || '').replace(/^#/, '');
+        if (!changeId) {
+          await reply(t('undoUsage'));
+          break;
+        }
+        const { change, conflicts } = await memoryManager.rollbackChange(userId, changeId, provenance);
+        let message = t('undoDone', { id: change.id, operation: change.operation, actor: change.actor });
+        if (conflicts.length > 0) {
+          message += `\n${t('undoConflicts', { paths: conflicts.join(', ') })}`;
+        }
+        await reply(message);
+        break;
+      }
+      case 'history': {
+        const page = parseInt(rest[0]) || 1;
+        const { changes, total, totalPages } = await memoryManager.getMemoryChanges(userId, { page, pageSize: 5 });
+        if (total === 0) {
+          await reply(t('historyEmpty'));
+          break;
+        }
+        const timeZone = await availabilityManager.getTimezone(userId);
+        await reply(
+          `${t('historyTitle', { page, totalPages })}\n\n` +
+          changes.map(change => memoryAuditLog.formatChange(change, timeZone)).join('\n\n') +
+          `\n\n${t('historyFooter')}`
+        );
+        break;
+      }
+      default: {
+        const memory = await memoryManager.getUserMemory(userId);
+        const facts = memoryManager.listMemoryFacts(memory);
+        if (facts.length === 0) {
+          await reply(t('memoryEmpty'));
+          break;
+        }
+
+        let message = t('memoryTitle');
+        let currentCategory = null;
+        for (const fact of facts.slice(0, MAX_LISTED_FACTS)) {
+          if (fact.category !== currentCategory) {
+            currentCategory = fact.category;
+            message += `\n\n*${translateCategory(language, currentCategory)}*`;
+          }
+          message += `\n- ${fact.text}`;
+        }
+        if (facts.length > MAX_LISTED_FACTS) {
+          message += `\n${t('memoryMore', { count: facts.length - MAX_LISTED_FACTS })}`;
+        }
+        await reply(`${message}\n\n${t('memoryFooter')}`);
+      }
+    }
+  }
+
+  /**
+   * /trusted shows, sets or removes the contact alerted when the user seems to be in danger
+   */
+  async handleTrustedCommand(userId, args, { t, reply }) {
+    if (!config.crisis.trustedContacts) {
+      await reply(t('trustedDisabled'));
+      return;
+    }
+
+    const input = args.join(' ').trim();
+    if (!input) {
+      const contact = await crisisEscalationManager.getTrustedContact(userId);
+      await reply(contact ?
+        t('trustedShow', { contact: `+${contact.jid.split('@')[0]}`, date: contact.consentedAt.slice(0, 10) }) :
+        t('trustedNone'));
+      return;
+    }
+
+    if (['remove', 'off', 'delete'].includes(input.toLowerCase())) {
+      await crisisEscalationManager.removeTrustedContact(userId);
+      await reply(t('trustedRemoved'));
+      return;
+    }
+
+    const contact = await crisisEscalationManager.setTrustedContact(userId, input);
+    await reply(contact ? t('trustedSet', { contact: `+${contact.jid.split('@')[0]}` }) : t('trustedInvalid'));
+  }
+
+  /**
+   * /quiet shows or changes when proactive messages may be sent: quiet hours, "until <time>", "for <duration>" and resume
+   */
+  async handleQuietCommand(userId, args, { t, reply, provenance }) {
+    const [action = '', ...rest] = args;
+    const value = rest.join(' ').trim();
+    let settings = await availabilityManager.getSettings(userId);
+
+    switch (action.toLowerCase()) {
+      case '': {
+        const quietHours = settings.quietHours ? `${settings.quietHours.start}–${settings.quietHours.end}` : t('quietHoursOff');
+        const paused = settings.doNotDisturbUntil ?
+          t('quietPaused', { until: availabilityManager.formatLocal(settings.doNotDisturbUntil, settings.timezone) }) :
+          t('quietNotPaused');
+        await reply(t('quietShow', { quietHours, timezone: settings.timezone, paused }));
+        break;
+      }
+      case 'off':
+        await availabilityManager.setQuietHours(userId, null, provenance);
+        await reply(t('quietOff'));
+        break;
+      case 'until':
+      case 'for': {
+        const until = availabilityManager.parseUntil(value, settings.timezone, settings.quietHours);
+        if (!until) {
+          await reply(t('quietInvalidTime', { value }));
+          break;
+        }
+        settings = await availabilityManager.setDoNotDisturb(userId, until, provenance);
+        await reply(t('quietPausedUntil', { until: availabilityManager.formatLocal(until, settings.timezone) }));
+        break;
+      }
+      case 'resume':
+        await availabilityManager.setDoNotDisturb(userId, null, provenance);
+        await proactiveGovernor.release(userId);
+        await reply(t('quietResumed'));
+        break;
+      default: {
+        const quietHours = parseQuietHours(args.join(' '));
+        if (!quietHours) {
+          await reply(t('quietUsage'));
+          break;
+        }
+        await availabilityManager.setQuietHours(userId, quietHours, provenance);
+        await reply(t('quietSet', { start: quietHours.start, end: quietHours.end, timezone: settings.timezone }));
+      }
+    }
+  }
+
+  /**
+   * /timezone shows or sets the user's timezone (an IANA name such as Asia/Colombo)
+   */
+  async handleTimezoneCommand(userId, args, { t, reply, provenance }) {
+    const value = args.join(' ').trim();
+    if (!value) {
+      const timezone = await availabilityManager.getTimezone(userId);
+      await reply(t('timezoneShow', { timezone, time: availabilityManager.formatLocal(new Date(), timezone) }));
+      return;
+    }
+
+    const settings = await availabilityManager.setTimezone(userId, value, provenance);
+    await reply(settings ?
+      t('timezoneSet', { timezone: settings.timezone, time: availabilityManager.formatLocal(new Date(), settings.timezone) }) :
+      t('timezoneInvalid', { value }));
+  }
+
+  /**
+   * /proactive shows or changes which kinds of message the bot may send first
+   */
+  async handleProactiveCommand(userId, args, { t, reply, provenance, language }) {
+    const [action = '', ...rest] = args;
+    const value = rest.join(' ').trim();
+    const label = (category) => translateConsentCategory(language, category);
+
+    if (!['on', 'off'].includes(action.toLowerCase())) {
+      const consent = await consentManager.getConsent(userId);
+      const categories = Object.entries(consent)
+        .map(([category, choice]) => `${choice.enabled ? '✅' : '❌'} ${label(category)} (${category})`)
+        .join('\n');
+      await reply(t('proactiveShow', { categories }));
+      return;
+    }
+
+    const categories = parseConsentCategories(value);
+    if (!categories) {
+      await reply(t('proactiveUnknown', { value }));
+      return;
+    }
+
+    const enabled = action.toLowerCase() === 'on';
+    await consentManager.setConsent(userId, categories, enabled, { source: 'command', sourceMessageId: provenance.sourceMessageId });
+    await reply(t(enabled ? 'proactiveOn' : 'proactiveOff', { categories: categories.map(label).join(', ') }));
+  }
+
+  /**
+   * /cards lists the decks; /cards review, stop, add and delete work with the flashcards
+   */
+  async handleCardsCommand(userId, args, { t, reply, provenance }) {
+    const [action = '', ...rest] = args;
+    const value = rest.join(' ').trim();
+
+    switch (action.toLowerCase()) {
+      case 'review': {
+        await quizManager.endQuiz(userId);
+        const question = await flashcardManager.startSession(userId, { deck: value || null });
+        await reply(question ? this.formatFlashcardQuestion(question, t) : t('cardsNoneDue'));
+        break;
+      }
+      case 'stop': {
+        const summary = await flashcardManager.endSession(userId);
+        await reply(summary ? t('cardsStopped', summary) : t('cardsNoneDue'));
+        break;
+      }
+      case 'add': {
+        const [front, back, deck] = value.split('|').map(part => part.trim());
+        if (!front || !back) {
+          await reply(t('cardsAddUsage'));
+          break;
+        }
+        const [card] = await flashcardManager.addCards(userId, [{ front, back }], {
+          deck: deck || 'General', source: 'chat', sourceMessageId: provenance.sourceMessageId
+        });
+        await reply(card ? t('cardsAdded', { id: card.id, deck: card.deck }) : t('cardsExists', { deck: deck || 'General' }));
+        break;
+      }
+      case 'delete': {
+        const card = await flashcardManager.deleteCard(userId, value);
+        await reply(card ? t('cardsDeleted', { id: card.id, front: card.front }) : t('cardsNotFound', { id: value.replace(/^#/, '') }));
+        break;
+      }
+      default: {
+        const decks = await flashcardManager.getDecks(userId);
+        await reply(decks.length === 0 ?
+          t('cardsEmpty') :
+          t('cardsShow', { decks: decks.map(deck => t('cardsDeck', deck)).join('\n') }));
+      }
+    }
+  }
+
+  /**
+   * Grade a reply during a flashcard review and ask the next card
+   */
+  async handleFlashcardAnswer(messageInfo) {
+    const { sender, text } = messageInfo;
+    const recentMessages = await jsonDb.getRecentMessages(sender, 10);
+    const language = detectLanguage([...recentMessages.filter(msg => msg.role === 'user').map(msg => msg.content), text]);
+    const t = (key, vars) => translate(language, key, vars);
+
+    let result;
+    try {
+      result = await flashcardManager.answer(sender, text, { sourceMessageId: messageInfo.id });
+    } catch (error) {
+      // Don't leave the user stuck in a review whose answers can't be checked
+      logger.error(`Flashcard answer failed for ${sender}:`, error);
+      await flashcardManager.endSession(sender).catch(() => null);
+      await whatsappClient.sendMessage(sender, t('cardsFailed'));
+      return;
+    }
+    const parts = [];
+
+    if (result.stopped) {
+      parts.push(result.summary ? t('cardsStopped', result.summary) : t('cardsNoneDue'));
+    } else {
+      const timezone = await availabilityManager.getTimezone(sender);
+      const next = TimeUtils.formatDate(new Date(result.card.dueAt), timezone, 'iso');
+      parts.push(result.grade.correct ?
+        t('cardCorrect', { feedback: result.grade.feedback || t('cardCorrectDefault'), next }) :
+        t('cardWrong', { feedback: result.grade.feedback || t('cardWrongDefault'), back: result.card.back, next }));
+      parts.push(result.next ? this.formatFlashcardQuestion(result.next, t) : t('cardsDone', result.summary));
+    }
+
+    const message = parts.join('\n\n');
+    await jsonDb.addMessage(sender, 'user', text, { messageId: messageInfo.id, type: 'flashcard_answer' });
+    await jsonDb.addMessage(sender, 'assistant', message, { type: 'flashcard' });
+    await whatsappClient.sendMessage(sender, message);
+  }
+
+  /**
+   * Format the card being asked in a flashcard review
+   */
+  formatFlashcardQuestion({ card, index, total }, t) {
+    return t('cardQuestion', { index, total, deck: card.deck, front: card.front });
+  }
+
+  /**
+   * /quiz [mcq|short] <subject>[: topic] starts a quiz; /quiz stop ends it; /quiz alone shows the results per subject
+   */
+  async handleQuizCommand(userId, args, { t, reply }) {
+    const type = QUIZ_TYPES.includes(args[0]?.toLowerCase()) ? args.shift().toLowerCase() : 'mixed';
+    const value = args.join(' ').trim();
+
+    if (value.toLowerCase() === 'stop') {
+      const summary = await quizManager.endQuiz(userId);
+      await reply(summary ? this.formatQuizSummary('quizStopped', summary, t) : t('quizNone'));
+      return;
+    }
+
+    if (!value) {
+      const memory = await memoryManager.getUserMemory(userId);
+      const results = Object.entries(memory.academicInfo?.quizPerformance || {})
+        .map(([subject, result]) => t('quizSubject', {
+          subject, accuracy: Math.round(result.accuracy * 100), answers: result.recent.length, quizzes: result.quizzes
+        }));
+      await reply(t('quizShow', { results: results.join('\n') || t('quizNoResults') }));
+      return;
+    }
+
+    const [subject, ...topic] = value.split(':');
+    await reply(t('quizStarting', { subject: subject.trim() }));
+    const question = await quizManager.startQuiz(userId, { subject: subject.trim(), topic: topic.join(':').trim() || null, type });
+    await whatsappClient.sendMessage(userId, this.formatQuizQuestion(question, t));
+  }
+
+  /**
+   * Grade a reply during a quiz, explain a mistake and ask the next question
+   */
+  async handleQuizAnswer(messageInfo) {
+    const { sender, text } = messageInfo;
+    const recentMessages = await jsonDb.getRecentMessages(sender, 10);
+    const language = detectLanguage([...recentMessages.filter(msg => msg.role === 'user').map(msg => msg.content), text]);
+    const t = (key, vars) => translate(language, key, vars);
+
+    let result;
+    try {
+      result = await quizManager.answer(sender, text);
+    } catch (error) {
+      // Don't leave the user stuck in a quiz whose answers can't be checked
+      logger.error(`Quiz answer failed for ${sender}:`, error);
+      await quizManager.endQuiz(sender).catch(() => null);
+      await whatsappClient.sendMessage(sender, t('quizFailed'));
+      return;
+    }
+    const parts = [];
+
+    if (result.stopped) {
+      parts.push(result.summary ? this.formatQuizSummary('quizStopped', result.summary, t) : t('quizNone'));
+    } else {
+      const { question, grade } = result;
+      const score = question.score + (grade.correct ? 1 : 0);
+      if (grade.correct) {
+        parts.push(t('quizCorrect', { score, answered: question.index }));
+      } else {
+        const answer = question.type === 'mcq' ? `${question.answer}) ${question.options[question.answer.charCodeAt(0) - 65]}` : question.answer;
+        parts.push([
+          t('quizWrong', { feedback: grade.feedback || t('quizWrongDefault'), answer }),
+          question.explanation && t('quizExplanation', { explanation: question.explanation })
+        ].filter(Boolean).join('\n'));
+      }
+      parts.push(result.next ? this.formatQuizQuestion(result.next, t) : this.formatQuizSummary('quizDone', result.summary, t));
+    }
+
+    const message = parts.join('\n\n');
+    await jsonDb.addMessage(sender, 'user', text, { messageId: messageInfo.id, type: 'quiz_answer' });
+    await jsonDb.addMessage(sender, 'assistant', message, { type: 'quiz' });
+    await whatsappClient.sendMessage(sender, message);
+  }
+
+  /**
+   * Format the question being asked in a quiz
+   */
+  formatQuizQuestion(question, t) {
+    const vars = { index: question.index, total: question.total, topic: question.topic, question: question.question };
+    return question.type === 'mcq' ?
+      t('quizQuestionMcq', { ...vars, options: question.options.map((option, index) => `${String.fromCharCode(65 + index)}) ${option}`).join('\n') }) :
+      t('quizQuestion', vars);
+  }
+
+  /**
+   * Format the score of a finished or stopped quiz, with the topics to revise
+   */
+  formatQuizSummary(key, summary, t) {
+    const message = t(key, summary);
+    return summary.missedTopics.length > 0 ? `${message}\n${t('quizMissed', { topics: summary.missedTopics.join(', ') })}` : message;
+  }
+
+  /**
+   * /study start <subject> [minutes] runs a pomodoro session; /study stop logs it; /study week sums up the last 7 days
+   */
+  async handleStudyCommand(userId, args, { t, reply, provenance }) {
+    const [action = '', ...rest] = args;
+
+    switch (action.toLowerCase()) {
+      case 'start': {
+        const focusMinutes = /^\d+$/.test(rest[rest.length - 1] || '') && rest.length > 1 ? rest.pop() : undefined;
+        const subject = rest.join(' ').trim();
+        if (!subject) {
+          await reply(t('studyUsage'));
+          break;
+        }
+        const { session, previous } = await studySessionManager.startSession(userId, {
+          subject, focusMinutes, sourceMessageId: provenance.sourceMessageId
+        });
+        const started = t('studyStarted', { subject: session.subject, minutes: session.focusMinutes });
+        await reply(previous ? `${t('studyStopped', { ...previous, time: formatStudyTime(previous.minutes) })}\n\n${started}` : started);
+        break;
+      }
+      case 'stop': {
+        const entry = await studySessionManager.stopSession(userId);
+        await reply(entry ? t('studyStopped', { ...entry, time: formatStudyTime(entry.minutes) }) : t('studyNone'));
+        break;
+      }
+      case 'week': {
+        const stats = await studySessionManager.getStats(userId, { days: 7 });
+        const subjects = Object.entries(stats.bySubject)
+          .sort(([, a], [, b]) => b.minutes - a.minutes)
+          .map(([subject, entry]) => t('studyWeekSubject', { subject, time: formatStudyTime(entry.minutes) }));
+        await reply(stats.sessions === 0 ?
+          t('studyWeekEmpty') :
+          t('studyWeek', { subjects: subjects.join('\n'), total: formatStudyTime(stats.totalMinutes), sessions: stats.sessions, pomodoros: stats.pomodoros }));
+        break;
+      }
+      default: {
+        const session = await studySessionManager.getActiveSession(userId);
+        await reply(session ?
+          t('studyStatus', {
+            subject: session.subject,
+            focused: session.focusedMinutes,
+            pomodoros: session.pomodoros,
+            phase: t(session.phase === 'focus' ? 'studyPhaseFocus' : 'studyPhaseBreak'),
+            remaining: session.remainingMinutes
+          }) :
+          t('studyUsage'));
+      }
+    }
+  }
+
+  /**
+   * Tell a user once that proactive messages are opt-in, after their first reply
+   */
+  async sendProactiveInvite(userId, text) {
+    if (!config.consent.invite || config.consent.defaultEnabled) return;
+
+    try {
+      if (await consentManager.markInvited(userId)) {
+        await whatsappClient.sendMessage(userId, translate(detectLanguage([text]), 'proactiveInvite'));
+      }
+    } catch (error) {
+      logger.debug(`Could not send the proactive invite to ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Handle /crisis commands from crisis admins: list, show, acknowledge and resolve cases
+   */
+  async handleCrisisCommand(messageInfo) {
+    const { sender, text } = messageInfo;
+    const [, action = 'list', caseId = '', ...rest] = text.trim().split(/\s+/);
+    const id = caseId.replace(/^#/, '');
+    const note = rest.join(' ').trim() || null;
+    const actor = `admin:+${sender.split('@')[0]}`;
+    const reply = (message) => whatsappClient.sendMessage(sender, message, { quoted: messageInfo.raw });
+
+    try {
+      switch (action.toLowerCase()) {
+        case 'show': {
+          const record = await crisisEscalationManager.getCase(id);
+          await reply(record ? crisisEscalationManager.formatCase(record, { withEvents: true }) : `Case #${id} not found.`);
+          break;
+        }
+        case 'ack':
+          await crisisEscalationManager.acknowledgeCase(id, actor, note);
+          await reply(`✅ Case #${id} acknowledged.`);
+          break;
+        case 'resolve':
+          await crisisEscalationManager.resolveCase(id, actor, note);
+          await reply(`✅ Case #${id} resolved.`);
+          break;
+        case 'list': {
+          const cases = await crisisEscalationManager.getOpenCases();
+          await reply(cases.length === 0 ?
+            'No open crisis cases.' :
+            `🚨 *Open crisis cases*\n\n${cases.map(record => crisisEscalationManager.formatCase(record)).join('\n\n')}`);
+          break;
+        }
+        default:
+          await reply('Crisis commands: /crisis [list] | show <id> | ack <id> [note] | resolve <id> [note]');
+      }
+    } catch (error) {
+      logger.debug('Crisis command failed:', error);
+      await reply(`⚠️ ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle /jobs commands from scheduler admins: inspect, cancel and retry scheduled jobs
+   */
+  async handleJobsCommand(messageInfo) {
+    const { sender, text } = messageInfo;
+    const [, action = 'pending', jobId = ''] = text.trim().split(/\s+/);
+    const reply = (message) => whatsappClient.sendMessage(sender, message, { quoted: messageInfo.raw });
+
+    try {
+      switch (action.toLowerCase()) {
+        case 'cancel': {
+          const job = await jobScheduler.cancel(jobId);
+          await reply(job ? `🛑 Job ${jobId} cancelled.` : `Job ${jobId} is not pending.`);
+          break;
+        }
+        case 'retry': {
+          const job = await jobScheduler.retry(jobId);
+          await reply(job ? `🔁 Job ${jobId} queued again.` : `Job ${jobId} is not failed or cancelled.`);
+          break;
+        }
+        case 'pending':
+        case 'failed':
+        case 'completed':
+        case 'cancelled': {
+          const jobs = await jobScheduler.listJobs({ status: action.toLowerCase() });
+          const recurring = jobScheduler.getStatus().recurringJobs.map(entry => `${entry.name} (${entry.schedule})`).join(', ');
+          await reply(
+            `🗓️ *${action.toLowerCase()} jobs* (${jobs.length})\n\n` +
+            (jobs.slice(0, 20).map(job => jobScheduler.formatJob(job)).join('\n\n') || 'None') +
+            (action.toLowerCase() === 'pending' ? `\n\nRecurring: ${recurring}` : '')
+          );
+          break;
+        }
+        default:
+          await reply('Job commands: /jobs [pending|failed|completed|cancelled] | cancel <id> | retry <id>');
+      }
+    } catch (error) {
+      logger.debug('Jobs command failed:', error);
+      await reply(`⚠️ ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle /consent from consent admins: the consent report, or one user's choices and history
+   */
+  async handleConsentCommand(messageInfo) {
+    const { sender, text } = messageInfo;
+    const [, number = ''] = text.trim().split(/\s+/);
+    const reply = (message) => whatsappClient.sendMessage(sender, message, { quoted: messageInfo.raw });
+
+    try {
+      const digits = number.replace(/\D/g, '');
+      if (number && !digits) {
+        await reply('Consent commands: /consent | /consent <number>');
+        return;
+      }
+      await reply(digits ?
+        await consentManager.formatUserRecord(`${digits}@s.whatsapp.net`) :
+        consentManager.formatReport(await consentManager.getReport()));
+    } catch (error) {
+      logger.debug('Consent command failed:', error);
+      await reply(`⚠️ ${error.message}`);
+    }
+  }
+
+  /**
+   * Send everything stored about a user as a JSON file
+   */
+  async sendUserDataExport(userId, caption) {
+    const { messages: archive } = await jsonDb.getArchiveRange(userId, 0, Infinity);
+    const data = {
+      exportedAt: new Date().toISOString(),
+      userId,
+      memory: await memoryManager.getUserMemory(userId),
+      memoryChanges: await memoryAuditLog.getAllChanges(userId),
+      conversationSummaries: (await conversationSummarizer.getSummaries(userId)).episodes,
+      relationshipTimeline: await personaManager.getRelationshipTimeline(userId, Infinity),
+      crisisCases: await crisisEscalationManager.getUserCases(userId),
+      trustedContact: await crisisEscalationManager.getTrustedContact(userId),
+      proactiveConsent: await consentManager.getRecord(userId),
+      reminders: await reminderManager.listReminders(userId, { includeDone: true }),
+      flashcards: await flashcardManager.getCards(userId),
+      quizzes: (await quizManager.getRecord(userId)).history,
+      studySessions: (await studySessionManager.getRecord(userId)).sessions,
+      planner: await plannerManager.getRecord(userId),
+      proactiveEngagement: await proactiveEngagementManager.getRecord(userId),
+      chatHistory: await jsonDb.getMessagesForSender(userId),
+      messageArchive: archive
+    };
+
+    const exportDir = path.join(config.paths.dataDir, 'exports');
+    await FileUtils.ensureDir(exportDir);
+    const fileName = `my-data-${new Date().toISOString().slice(0, 10)}.json`;
+    const filePath = path.join(exportDir, `${userId.split('@')[0]}-${Date.now()}.json`);
+
+    try {
+      await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+      await whatsappClient.sendDocument(userId, filePath, fileName, caption, 'application/json');
+      logger.info(`Data export sent to ${userId}`);
+    } finally {
+      // The export holds personal data; never keep it on disk
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Check whether a participant is an admin of the group
+   */
+  async isGroupAdmin(groupId, participant) {
+    try {
+      const metadata = await whatsappClient.getGroupMetadata(groupId);
+      const member = metadata.participants?.find(p => p.id === participant);
+      return !!member?.admin;
+    } catch (error) {
+      logger.debug(`Could not check admin status in ${groupId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a group's display name
+   */
+  async getGroupName(groupId) {
+    try {
+      const metadata = await whatsappClient.getGroupMetadata(groupId);
+      return metadata.subject || 'Group';
+    } catch (error) {
+      return 'Group';
+    }
+  }
+
+  /**
+   * Resolve inbound media into model input: inline parts for images/PDFs, a transcript for voice notes
+   */
+  async prepareMediaInput(messageInfo) {
+    const { media, text } = messageInfo;
+    const result = { text, mediaParts: [] };
+
+    if (!media || !config.media.enabled) {
+      return result;
+    }
+
+    if (media.fileLength > config.media.maxInlineBytes) {
+      logger.debug(`Media too large to process (${media.fileLength} bytes)`);
+      return result;
+    }
+
+    const mimeType = (media.mimetype || '').split(';')[0].trim();
+    const isAudio = media.type === 'audio';
+    const isSupported = config.media.supportedMimeTypes.includes(mimeType);
+
+    if (!isAudio && !isSupported) {
+      return result;
+    }
+
+    if (isAudio && !config.media.transcribeVoiceNotes) {
+      return result;
+    }
+
+    try {
+      const buffer = await whatsappClient.downloadMedia(messageInfo.raw);
+
+      if (isAudio) {
+        const transcript = await geminiClient.transcribeAudio(buffer, media.mimetype);
+        result.text = `${text} ${transcript}`;
+        logger.debug(`Voice note transcribed for ${messageInfo.sender}: ${transcript.substring(0, 50)}`);
+        return result;
+      }
+
+      const label = media.type === 'image' ? 'Image' : 'Document';
+      result.text = text.startsWith('[') ? text : `[${label}] ${text}`;
+      result.mediaParts.push(geminiClient.createInlineDataPart(buffer, mimeType));
+    } catch (error) {
+      logger.warn(`Could not process ${media.type} from ${messageInfo.sender}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Attach inline media parts to the latest user message in a Gemini conversation
+   */
+  attachMediaParts(conversationHistory, mediaParts) {
+    if (!mediaParts || mediaParts.length === 0) return;
+
+    const lastMessage = conversationHistory[conversationHistory.length - 1];
+    if (lastMessage?.role === 'user') {
+      lastMessage.parts.push(...mediaParts);
+    }
+  }
+
   /**
    * Process memory operations in background using AI
    */
-  async processMemoryInBackground(userId, userMessage) {
+  async processMemoryInBackground(userId, userMessage, messageId = null) {
     try {
       // Run AI memory analysis in background
       setTimeout(async () => {
-        await aiMemoryManager.analyzeMessageForMemoryOperations(userId, userMessage, geminiClient);
+        await aiMemoryManager.analyzeMessageForMemoryOperations(userId, userMessage, geminiClient, messageId);
       }, 100);
     } catch (error) {
       logger.debug('Background memory processing error:', error);
@@ -189,28 +1158,32 @@ export class ChatbotService {
   /**
    * Process relationship building and persona evolution
    */
-  async processRelationshipAndPersona(userId, userMessage) {
+  async processRelationshipAndPersona(userId, userMessage, detectedSignals = null) {
     try {
-      // Analyze relationship building opportunities
-      const opportunities = await personaManager.analyzeRelationshipOpportunities(userId, userMessage);
+      await personaManager.recordUserInteraction(userId);
+
+      // Classify the message once for relationship and crisis signals
+      const signals = detectedSignals || (await signalClassifier.detectSignals(userMessage)).signals;
+      const opportunities = await personaManager.analyzeRelationshipOpportunities(userId, userMessage, signals);
       
       // Process relationship opportunities
       if (opportunities.length > 0) {
         await personaManager.processRelationshipOpportunities(userId, opportunities);
       }
 
-      // Check for crisis indicators
-      const crisisKeywords = ['depressed', 'want to die', 'hate myself', 'give up', 'can\'t handle', 'suicidal'];
-      if (crisisKeywords.some(keyword => userMessage.toLowerCase().includes(keyword))) {
-        proactiveEngagementManager.markUserInCrisis(userId, 'high', 'Crisis keywords detected in conversation');
+      const crisis = signals.find(signal => signal.type === 'crisis');
+      if (crisis) {
+        const severity = crisis.confidence >= 0.8 ? 'high' : 'medium';
+        await proactiveEngagementManager.markUserInCrisis(userId, severity, crisis.reason || 'Crisis signal detected in conversation', {
+          source: 'signal_classifier',
+          message: userMessage
+        });
       }
 
       // Trigger predictive analysis for high-engagement interactions
       if (opportunities.length > 0 || userMessage.length > 100) {
         // Run predictive analysis in background
-        setTimeout(async () => {
-          await predictiveAI.predictUserMood(userId, 12);
-        }, 5000); // 5 second delay
+        await predictiveAI.scheduleMoodPrediction(userId, 12, 5000); // 5 second delay
       }
     } catch (error) {
       logger.debug('Error in relationship and persona processing:', error);
@@ -218,15 +1191,20 @@ export class ChatbotService {
   }
 
   /**
-   * Process tools using AI analysis
+   * Send a PDF created or updated by a tool call during the reply
    */
-  async processToolsWithAI(userId, userMessage) {
+  async sendGeneratedPdf(userId, toolResults) {
+    const pdfResult = (toolResults || []).find(r =>
+      (r.tool === 'create_pdf_from_topic' || r.tool === 'append_to_pdf') && !r.error && r.result?.filePath
+    );
+    if (!pdfResult) return;
+
     try {
-      const availableTools = mcpTools.getAvailableTools();
-      return await aiTools.analyzeMessageForToolOperations(userId, userMessage, availableTools, geminiClient);
+      const filePath = pdfResult.result.filePath;
+      await mcpTools.executeTool('send_pdf_to_user', { userId, filePath, fileName: filePath.split('/').pop() });
+      await memoryManager.setLastPdfPath(userId, filePath);
     } catch (error) {
-      logger.debug('AI tool processing error:', error);
-      return null;
+      logger.error('Failed to send generated PDF:', error);
     }
   }
 
@@ -247,7 +1225,7 @@ export class ChatbotService {
     if (!timeContext) return '';
 
     let context = `\n\n=== REAL-TIME CONTEXT ===\n`;
-    context += `Current time: ${timeContext.currentTime} (${timeContext.currentTimeOfDay})\n`;
+    context += `Current time: ${timeContext.currentTime} (${timeContext.currentTimeOfDay}, ${timeContext.timeZone})\n`;
     
     if (timeContext.timeSinceLastMessage !== null) {
       context += `Time since last message: ${timeContext.timeSinceLastMessage} minutes ago\n`;
@@ -306,9 +1284,10 @@ export class ChatbotService {
   }
 
   /**
-   * Get comprehensive service status
+   * Get comprehensive service status; the persona shown is the one assigned to chatId
    */
-  getStatus() {
+  async getStatus(chatId = null) {
+    const persona = await personaManager.getChatPersona(chatId);
     return {
       activeUsers: this.activeUsers.size,
       processingMessages: this.processingMessages.size,
@@ -328,8 +1307,18 @@ export class ChatbotService {
       
       proactiveEngagement: {
         enabled: config.features.proactive.mental_health_checkins,
-        ...proactiveEngagementManager.getStatus()
+        ...proactiveEngagementManager.getStatus(),
+        governor: proactiveGovernor.getStatus()
       },
+
+      crisisEscalation: crisisEscalationManager.getStatus(),
+      examCountdown: examCountdownManager.getStatus(),
+      importantDates: importantDatesManager.getStatus(),
+      flashcards: flashcardManager.getStatus(),
+      studySessions: studySessionManager.getStatus(),
+      planner: plannerManager.getStatus(),
+
+      scheduler: jobScheduler.getStatus(),
       
       predictiveAI: {
         enabled: config.features.predictive.mood_analysis,
@@ -338,11 +1327,11 @@ export class ChatbotService {
       
       // Persona configuration
       currentPersona: {
-        name: config.persona.name,
-        age: config.persona.age,
-        location: `${config.persona.location.city}, ${config.persona.location.country}`,
-        education: config.persona.education.level,
-        traits: config.persona.personality_traits.slice(0, 5) // Show first 5 traits
+        name: persona.name,
+        age: persona.age,
+        location: `${persona.location.city}, ${persona.location.country}`,
+        education: persona.education.level,
+        traits: persona.personality_traits.slice(0, 5) // Show first 5 traits
       }
     };
   }
@@ -0,0 +1,344 @@
+import { config } from '../config/config.js';
+
+export const COMMAND_LANGUAGES = ['en', 'si'];
+
+// Sinhala script block, used to guess the language a user chats in
+const SINHALA_SCRIPT = /[\u0D80-\u0DFF]/;
+
+const MESSAGES = {
+  en: {
+    help:
+      '🤖 *Commands*\n' +
+      '/memory – See what I remember about you\n' +
+      '/memory history [page] – See recent memory changes\n' +
+      '/memory undo <id> – Undo one memory change\n' +
+      '/forget <item> – Remove something from my memory\n' +
+      '/reset – Clear our chat history\n' +
+      '/export – Get all your data as a file\n' +
+      '/quiet – Quiet hours, or pause my messages for a while\n' +
+      '/timezone <zone> – Set your timezone\n' +
+      '/proactive – Choose which messages I may send you first\n' +
+      '/cards – Your flashcards; /cards review to practise\n' +
+      '/quiz <subject> – Take a quick quiz\n' +
+      '/study start <subject> – Pomodoro study timer; /study week for your study time\n' +
+      '/help – Show this message',
+    memoryEmpty: '🧠 I haven\'t saved anything about you yet.',
+    memoryTitle: '🧠 *What I remember about you*',
+    memoryMore: '…and {count} more',
+    memoryFooter: 'Remove something with /forget <item>. See changes with /memory history.',
+    forgetUsage: 'Usage: /forget <item>  (e.g. /forget nimal)',
+    forgetNoMatch: '🤔 I couldn\'t find anything about "{query}".',
+    forgetTooMany: '"{query}" matches {count} things. Please be more specific:\n{items}',
+    forgetDone: '🗑️ Forgotten:\n{items}\n\nChanged your mind? /memory undo {id}',
+    resetDone: '🧹 Our chat history is cleared. What I remember about you is still there – see /memory.',
+    exportCaption: '📦 Everything I have stored about you',
+    historyEmpty: '🧠 No memory changes recorded yet.',
+    historyTitle: '🧠 *Memory changes* (page {page}/{totalPages})',
+    historyFooter: 'Commands: /memory history [page] | undo <id>',
+    undoUsage: 'Usage: /memory undo <change id>',
+    undoDone: '↩️ Undid change #{id} ({operation} by {actor}).',
+    undoConflicts: '⚠️ These were changed again afterwards and were reverted too: {paths}',
+    error: '⚠️ Sorry, that didn\'t work: {message}',
+    helpTrusted: '/trusted <number> – Someone I can alert if you seem to be in danger',
+    trustedNone: '👤 You haven\'t named a trusted contact. Add one with /trusted <phone number>. If you ever seem to be in danger, I\'ll send them a short message asking them to check on you – never what we talked about.',
+    trustedShow: '👤 Your trusted contact is {contact} (added {date}). Remove with /trusted remove.',
+    trustedSet: '👤 Saved {contact} as your trusted contact. If you ever seem to be in danger, I\'ll send them a short message asking them to check on you – never what we talked about. Remove any time with /trusted remove.',
+    trustedRemoved: '👤 Trusted contact removed.',
+    trustedInvalid: '🤔 That doesn\'t look like a phone number. Use the full number, e.g. /trusted +94771234567',
+    trustedDisabled: 'Trusted contacts aren\'t enabled on this bot.',
+    quietShow:
+      '🌙 *Quiet hours:* {quietHours}\n🕒 *Timezone:* {timezone}\n{paused}\n\n' +
+      'I won\'t message you first during quiet hours or while paused – anything I wanted to say waits until after. You can always message me.\n' +
+      'Commands: /quiet 22:00-07:00 | off | until <time> | for <duration> | resume',
+    quietHoursOff: 'off',
+    quietPaused: '⏸️ Paused until {until}',
+    quietNotPaused: '▶️ Not paused',
+    quietSet: '🌙 Quiet hours set to {start}–{end} ({timezone}). I won\'t message you first during that time.',
+    quietOff: '🔔 Quiet hours turned off.',
+    quietPausedUntil: '⏸️ Got it – I won\'t message you first until {until}. You can still message me any time. Changed your mind? /quiet resume',
+    quietResumed: '▶️ Pause lifted – I\'m back to normal.',
+    quietUsage: 'Usage: /quiet 22:00-07:00 | off | until 18:00 | until tomorrow 9am | for 2h | resume',
+    quietInvalidTime: '🤔 I couldn\'t read "{value}" as a time. Try /quiet until 18:00, /quiet until tomorrow 9am or /quiet for 3h.',
+    timezoneShow: '🕒 Your timezone is {timezone} (it\'s {time} there). Change it with /timezone <zone>, e.g. /timezone Europe/London',
+    timezoneSet: '🕒 Timezone set to {timezone}. It\'s {time} there now.',
+    timezoneInvalid: '🤔 "{value}" isn\'t a timezone I know. Use a name like Asia/Colombo or Europe/London.',
+    reminderDue: '⏰ *Reminder:* {text}\n\n_Want it again later? Just say "snooze 10 min"._',
+    reminderDueRepeating: '⏰ *Reminder:* {text}\n\n_Repeats {repeat}. Say "snooze 10 min" or "stop this reminder"._',
+    cardsEmpty: '🃏 You don\'t have any flashcards yet. Ask me to make some ("make flashcards on organic chemistry") or add one with /cards add <question> | <answer>.',
+    cardsShow: '🃏 *Your flashcards*\n{decks}\n\nCommands: /cards review [deck] | add <question> | <answer> [| deck] | delete <id>',
+    cardsDeck: '- {deck}: {total} cards, {due} due, {learned} learned',
+    cardsAddUsage: 'Usage: /cards add <question> | <answer> [| deck]',
+    cardsAdded: '🃏 Added card #{id} to {deck}.',
+    cardsExists: '🤔 {deck} already has that question.',
+    cardsDeleted: '🗑️ Deleted card #{id}: {front}',
+    cardsNotFound: '🤔 You don\'t have a card #{id}.',
+    cardsNoneDue: '🎉 Nothing to review right now. Well done!',
+    cardQuestion: '🃏 *Card {index}/{total}* · {deck}\n\n{front}\n\n_Reply with your answer, "skip" or "stop"._',
+    cardCorrect: '✅ {feedback}\n_Next time: {next}_',
+    cardWrong: '❌ {feedback}\n*Answer:* {back}\n_You\'ll see it again {next}._',
+    cardCorrectDefault: 'Correct!',
+    cardWrongDefault: 'Not quite.',
+    cardsDone: '🏁 Review done: {correct}/{reviewed} right.',
+    cardsStopped: '⏸️ Review stopped: {correct}/{reviewed} right. Carry on with /cards review.',
+    cardsFailed: '😕 Something went wrong checking that answer, so I stopped the review. Your progress is saved, carry on with /cards review.',
+    quizShow: '📝 *Quiz*\n{results}\n\nStart one with /quiz [mcq|short] <subject>[: topic], e.g. /quiz physics: waves',
+    quizNoResults: 'No quizzes yet.',
+    quizSubject: '- {subject}: {accuracy}% over the last {answers} answers ({quizzes} quizzes)',
+    quizStarting: '📝 Making your {subject} quiz…',
+    quizQuestion: '📝 *Question {index}/{total}* · {topic}\n\n{question}\n\n_Reply with your answer, "skip" or "stop"._',
+    quizQuestionMcq: '📝 *Question {index}/{total}* · {topic}\n\n{question}\n\n{options}\n\n_Reply A, B, C or D, "skip" or "stop"._',
+    quizCorrect: '✅ Correct! ({score}/{answered})',
+    quizWrong: '❌ {feedback}\n*Answer:* {answer}',
+    quizWrongDefault: 'Not quite.',
+    quizExplanation: '💡 {explanation}',
+    quizDone: '🏁 *Quiz done:* {score}/{answered} ({percent}%) in {subject}.',
+    quizStopped: '⏸️ Quiz stopped: {score}/{answered} in {subject}.',
+    quizFailed: '😕 Something went wrong checking that answer, so I stopped the quiz. Start a new one with /quiz <subject>.',
+    quizMissed: 'Worth revising: {topics}',
+    quizNone: '🤔 There\'s no quiz running. Start one with /quiz <subject>.',
+    studyUsage:
+      '📚 *Study timer*\n' +
+      '/study start <subject> [minutes] – Start a pomodoro session\n' +
+      '/study stop – Stop and log it\n' +
+      '/study week – Your study time in the last 7 days',
+    studyStarted: '📚 Studying *{subject}*. Focus for {minutes} min – I\'ll tell you when it\'s break time. Stop with /study stop.',
+    studyStatus: '📚 *{subject}*: {focused} min of focus so far, {pomodoros} pomodoros. {phase}, {remaining} min left. Stop with /study stop.',
+    studyPhaseFocus: 'Focusing',
+    studyPhaseBreak: 'On a break',
+    studyBreak: '☕ Pomodoro {count} done! Take a {minutes} min break – stand up, stretch, drink some water.',
+    studyLongBreak: '🌴 {count} pomodoros of {subject} – great work! Take a longer {minutes} min break.',
+    studyResume: '📚 Break\'s over – pomodoro {count} of {subject}, {minutes} min. You\'ve got this!',
+    studyStopped: '✅ Logged {time} of {subject} ({pomodoros} pomodoros).',
+    studyAutoStopped: '⏹️ Your {subject} session was running for {hours} hours, so I stopped it and logged {time}. Start again with /study start.',
+    studyNone: '🤔 You\'re not studying right now. Start with /study start <subject>.',
+    studyWeek: '📊 *Study in the last 7 days*\n{subjects}\n\nTotal: {total} in {sessions} sessions ({pomodoros} pomodoros)',
+    studyWeekSubject: '- {subject}: {time}',
+    studyWeekEmpty: '📊 No study logged in the last 7 days. Start a session with /study start <subject>.',
+    proactiveShow:
+      '🔔 *Messages I send first*\n{categories}\n\n' +
+      'If you ever seem to be in danger, I\'ll still check on you afterwards.\n' +
+      'Commands: /proactive on|off [checkins|study|celebrations|maintenance|all]',
+    proactiveOn: '🔔 Turned on: {categories}. Pause any time with /quiet, or turn off with /proactive off.',
+    proactiveOff: '🔕 Turned off: {categories}. I won\'t message you first about that. Turn back on with /proactive on.',
+    proactiveUnknown: '🤔 "{value}" isn\'t one of the message types. Use checkins, study, celebrations, maintenance or all.',
+    proactiveInvite:
+      '💬 By the way – I can also message you first: check in on how you\'re doing, nudge you to study, celebrate your wins, ' +
+      'or say hi when we haven\'t talked for a while. I only do that if you want. Reply /proactive on for all of it, or /proactive to choose.',
+    crisisResources:
+      '💛 I\'m really glad you told me. You don\'t have to go through this alone. ' +
+      'Please talk to someone who can help right now:\n\n{helplines}\n\n' +
+      'If you are in danger right now, call {emergency}. I\'m still here to talk too.',
+    crisisResourcesInternational:
+      '💛 I\'m really glad you told me. You don\'t have to go through this alone. ' +
+      'Please talk to someone who can help right now – you can find a free helpline in your country at {url}.\n\n' +
+      'If you are in danger right now, call your local emergency number. I\'m still here to talk too.',
+    crisisContactNotified: '💛 I\'ve let your trusted contact ({contact}) know you might need someone right now. I didn\'t share what we talked about.',
+    crisisContactMessage:
+      '💛 Hi, this is an automated message from {botName}, a chat companion. {userName} added you as their trusted contact. ' +
+      'They may be going through a hard time right now – please check in on them when you can. ' +
+      'Nothing from their conversation has been shared.',
+    categories: {
+      personalInfo: 'Personal info',
+      relationships: 'People',
+      preferences: 'Likes & dislikes',
+      emotionalProfile: 'Feelings',
+      academicInfo: 'Studies',
+      lifeEvents: 'Life events',
+      conversationContext: 'Things we talked about',
+      contacts: 'Contacts',
+      availability: 'Quiet hours & timezone'
+    },
+    consentCategories: {
+      checkins: 'Check-ins on how you\'re doing',
+      study: 'Study nudges & exam reminders',
+      celebrations: 'Birthdays & celebrations',
+      maintenance: 'Hi when we haven\'t talked for a while'
+    }
+  },
+  si: {
+    help:
+      '🤖 *විධාන*\n' +
+      '/memory – මම ඔයා ගැන මතක තියාගෙන ඉන්න දේවල් බලන්න\n' +
+      '/memory history [පිටුව] – මතකයේ අලුත් වෙනස්කම් බලන්න\n' +
+      '/memory undo <id> – එක් වෙනස්කමක් ආපසු හරවන්න\n' +
+      '/forget <දෙය> – මගේ මතකයෙන් යමක් මකන්න\n' +
+      '/reset – අපේ chat history එක මකන්න\n' +
+      '/export – ඔයාගේ සියලු දත්ත file එකක් විදිහට ගන්න\n' +
+      '/quiet – නිහඬ වේලාවන්, නැත්නම් මගේ පණිවිඩ ටික වෙලාවකට නවත්වන්න\n' +
+      '/timezone <කලාපය> – ඔයාගේ වේලා කලාපය දාන්න\n' +
+      '/proactive – මම මුලින් එවන්න පුළුවන් පණිවිඩ තෝරන්න\n' +
+      '/cards – ඔයාගේ flashcards; පුහුණු වෙන්න /cards review\n' +
+      '/quiz <විෂයය> – පොඩි quiz එකක් කරන්න\n' +
+      '/study start <විෂයය> – Pomodoro පාඩම් timer එක; පාඩම් කරපු වෙලාව බලන්න /study week\n' +
+      '/help – මේ පණිවිඩය පෙන්වන්න',
+    memoryEmpty: '🧠 මම තාම ඔයා ගැන මොකුත් save කරලා නෑ.',
+    memoryTitle: '🧠 *මම ඔයා ගැන මතක තියාගෙන ඉන්න දේවල්*',
+    memoryMore: '…තව {count}ක්',
+    memoryFooter: 'යමක් මකන්න /forget <දෙය>. වෙනස්කම් බලන්න /memory history.',
+    forgetUsage: 'භාවිතය: /forget <දෙය>  (උදා: /forget nimal)',
+    forgetNoMatch: '🤔 "{query}" ගැන මට මොකුත් හම්බුනේ නෑ.',
+    forgetTooMany: '"{query}" එකට දේවල් {count}ක් ගැලපෙනවා. ටිකක් පැහැදිලිව කියන්න:\n{items}',
+    forgetDone: '🗑️ මේවා අමතක කළා:\n{items}\n\nහිත වෙනස් වුණාද? /memory undo {id}',
+    resetDone: '🧹 අපේ chat history එක මැකුවා. ඔයා ගැන මතක තියෙන දේවල් එහෙමම තියෙනවා – බලන්න /memory.',
+    exportCaption: '📦 මම ඔයා ගැන තියාගෙන ඉන්න සියලු දත්ත',
+    historyEmpty: '🧠 තාම මතකයේ වෙනස්කම් කිසිවක් නෑ.',
+    historyTitle: '🧠 *මතකයේ වෙනස්කම්* (පිටුව {page}/{totalPages})',
+    historyFooter: 'විධාන: /memory history [පිටුව] | undo <id>',
+    undoUsage: 'භාවිතය: /memory undo <වෙනස්කමේ id>',
+    undoDone: '↩️ #{id} වෙනස්කම ආපසු හැරෙව්වා ({operation}, {actor}).',
+    undoConflicts: '⚠️ මේවා පස්සේ ආයෙත් වෙනස් වෙලා තිබුණා, ඒවත් ආපසු හැරෙව්වා: {paths}',
+    error: '⚠️ සමාවෙන්න, ඒක වැඩ කළේ නෑ: {message}',
+    helpTrusted: '/trusted <අංකය> – ඔයා අනතුරක වගේ පෙනුනොත් මම දැනුම් දෙන්න ඕනේ කෙනා',
+    trustedNone: '👤 ඔයා තාම විශ්වාසවන්ත කෙනෙක් දාලා නෑ. /trusted <දුරකථන අංකය> එකෙන් එකතු කරන්න. ඔයා කවදහරි අනතුරක වගේ පෙනුනොත්, ඔයාව බලන්න කියලා මම එයාට කෙටි පණිවිඩයක් යවනවා – අපි කතා කරපු දේවල් කවදාවත් නෑ.',
+    trustedShow: '👤 ඔයාගේ විශ්වාසවන්ත කෙනා {contact} ({date} එකතු කළා). අයින් කරන්න /trusted remove.',
+    trustedSet: '👤 {contact} ඔයාගේ විශ්වාසවන්ත කෙනා විදිහට save කළා. ඔයා කවදහරි අනතුරක වගේ පෙනුනොත්, ඔයාව බලන්න කියලා මම එයාට කෙටි පණිවිඩයක් යවනවා – අපි කතා කරපු දේවල් කවදාවත් නෑ. ඕනෑම වෙලාවක /trusted remove එකෙන් අයින් කරන්න.',
+    trustedRemoved: '👤 විශ්වාසවන්ත කෙනා අයින් කළා.',
+    trustedInvalid: '🤔 ඒක දුරකථන අංකයක් වගේ නෑ. සම්පූර්ණ අංකය දාන්න, උදා: /trusted +94771234567',
+    trustedDisabled: 'මේ bot එකේ විශ්වාසවන්ත contacts සක්‍රිය කරලා නෑ.',
+    quietShow:
+      '🌙 *නිහඬ වේලාවන්:* {quietHours}\n🕒 *වේලා කලාපය:* {timezone}\n{paused}\n\n' +
+      'නිහඬ වේලාවන්වලදී හරි නවත්තලා තියෙද්දී හරි මම මුලින් පණිවිඩ එවන්නේ නෑ – මට කියන්න තිබුණ දේවල් ඊට පස්සේ එවනවා. ඔයාට ඕනෑම වෙලාවක මට message කරන්න පුළුවන්.\n' +
+      'විධාන: /quiet 22:00-07:00 | off | until <වෙලාව> | for <කාලය> | resume',
+    quietHoursOff: 'නෑ',
+    quietPaused: '⏸️ {until} වෙනකන් නවත්තලා',
+    quietNotPaused: '▶️ නවත්තලා නෑ',
+    quietSet: '🌙 නිහඬ වේලාවන් {start}–{end} ({timezone}) විදිහට දැම්මා. ඒ වෙලාවට මම මුලින් පණිවිඩ එවන්නේ නෑ.',
+    quietOff: '🔔 නිහඬ වේලාවන් අයින් කළා.',
+    quietPausedUntil: '⏸️ හරි – {until} වෙනකන් මම මුලින් පණිවිඩ එවන්නේ නෑ. ඔයාට ඕනෑම වෙලාවක මට message කරන්න පුළුවන්. හිත වෙනස් වුණාද? /quiet resume',
+    quietResumed: '▶️ නැවැත්තුම අයින් කළා – ආයෙත් සාමාන්‍ය විදිහට.',
+    quietUsage: 'භාවිතය: /quiet 22:00-07:00 | off | until 18:00 | until tomorrow 9am | for 2h | resume',
+    quietInvalidTime: '🤔 "{value}" වෙලාවක් විදිහට තේරුම් ගන්න බැරි වුණා. උදා: /quiet until 18:00, /quiet until tomorrow 9am, /quiet for 3h.',
+    timezoneShow: '🕒 ඔයාගේ වේලා කලාපය {timezone} (එහේ දැන් {time}). වෙනස් කරන්න /timezone <කලාපය>, උදා: /timezone Europe/London',
+    timezoneSet: '🕒 වේලා කලාපය {timezone} විදිහට දැම්මා. එහේ දැන් {time}.',
+    timezoneInvalid: '🤔 "{value}" කියන වේලා කලාපය මම දන්නේ නෑ. Asia/Colombo, Europe/London වගේ නමක් දාන්න.',
+    reminderDue: '⏰ *මතක් කිරීම:* {text}\n\n_ආයෙත් පස්සේ මතක් කරන්න ඕනෙද? "snooze 10 min" කියන්න._',
+    reminderDueRepeating: '⏰ *මතක් කිරීම:* {text}\n\n_{repeat} නැවත එනවා. "snooze 10 min" හරි "stop this reminder" හරි කියන්න._',
+    cardsEmpty: '🃏 ඔයාට තාම flashcards නෑ. මගෙන් හදලා දෙන්න කියන්න ("organic chemistry flashcards හදන්න") නැත්නම් /cards add <ප්‍රශ්නය> | <උත්තරය> එකෙන් එකක් දාන්න.',
+    cardsShow: '🃏 *ඔයාගේ flashcards*\n{decks}\n\nවිධාන: /cards review [deck] | add <ප්‍රශ්නය> | <උත්තරය> [| deck] | delete <id>',
+    cardsDeck: '- {deck}: cards {total}, බලන්න තියෙන්නේ {due}, ඉගෙනගත්ත {learned}',
+    cardsAddUsage: 'භාවිතය: /cards add <ප්‍රශ්නය> | <උත්තරය> [| deck]',
+    cardsAdded: '🃏 Card #{id} එක {deck} එකට දැම්මා.',
+    cardsExists: '🤔 {deck} එකේ ඒ ප්‍රශ්නය දැනටමත් තියෙනවා.',
+    cardsDeleted: '🗑️ Card #{id} මැකුවා: {front}',
+    cardsNotFound: '🤔 ඔයාට #{id} කියලා card එකක් නෑ.',
+    cardsNoneDue: '🎉 දැනට බලන්න cards නෑ. නියමයි!',
+    cardQuestion: '🃏 *Card {index}/{total}* · {deck}\n\n{front}\n\n_උත්තරය එවන්න, නැත්නම් "skip" හරි "stop" හරි කියන්න._',
+    cardCorrect: '✅ {feedback}\n_ඊළඟ වතාව: {next}_',
+    cardWrong: '❌ {feedback}\n*උත්තරය:* {back}\n_{next} ආයෙත් අහනවා._',
+    cardCorrectDefault: 'හරි!',
+    cardWrongDefault: 'පොඩ්ඩක් වැරදියි.',
+    cardsDone: '🏁 Review එක ඉවරයි: {reviewed}න් {correct}ක් හරි.',
+    cardsStopped: '⏸️ Review එක නැවැත්තුවා: {reviewed}න් {correct}ක් හරි. ආයෙත් පටන් ගන්න /cards review.',
+    cardsFailed: '😕 ඒ උත්තරේ බලද්දි මොකක්හරි වැරදුණා, ඒ නිසා review එක නැවැත්තුවා. කලින් උත්තර save වෙලා තියෙනවා, ආයෙත් පටන් ගන්න /cards review.',
+    quizShow: '📝 *Quiz*\n{results}\n\nපටන් ගන්න /quiz [mcq|short] <විෂයය>[: මාතෘකාව], උදා: /quiz physics: waves',
+    quizNoResults: 'තාම quiz කරලා නෑ.',
+    quizSubject: '- {subject}: අන්තිම උත්තර {answers}න් {accuracy}% (quiz {quizzes})',
+    quizStarting: '📝 ඔයාගේ {subject} quiz එක හදනවා…',
+    quizQuestion: '📝 *ප්‍රශ්නය {index}/{total}* · {topic}\n\n{question}\n\n_උත්තරය එවන්න, නැත්නම් "skip" හරි "stop" හරි කියන්න._',
+    quizQuestionMcq: '📝 *ප්‍රශ්නය {index}/{total}* · {topic}\n\n{question}\n\n{options}\n\n_A, B, C හරි D හරි එවන්න, නැත්නම් "skip" හරි "stop" හරි කියන්න._',
+    quizCorrect: '✅ හරි! ({answered}න් {score})',
+    quizWrong: '❌ {feedback}\n*උත්තරය:* {answer}',
+    quizWrongDefault: 'පොඩ්ඩක් වැරදියි.',
+    quizExplanation: '💡 {explanation}',
+    quizDone: '🏁 *Quiz එක ඉවරයි:* {subject} {answered}න් {score} ({percent}%).',
+    quizStopped: '⏸️ Quiz එක නැවැත්තුවා: {subject} {answered}න් {score}.',
+    quizFailed: '😕 ඒ උත්තරේ බලද්දි මොකක්හරි වැරදුණා, ඒ නිසා quiz එක නැවැත්තුවා. අලුත් එකක් පටන් ගන්න /quiz <විෂයය>.',
+    quizMissed: 'ආයෙත් බලන්න: {topics}',
+    quizNone: '🤔 දැන් quiz එකක් යන්නේ නෑ. පටන් ගන්න /quiz <විෂයය>.',
+    studyUsage:
+      '📚 *පාඩම් timer එක*\n' +
+      '/study start <විෂයය> [මිනිත්තු] – Pomodoro session එකක් පටන් ගන්න\n' +
+      '/study stop – නවත්තලා save කරන්න\n' +
+      '/study week – පහුගිය දවස් 7 පාඩම් කරපු වෙලාව',
+    studyStarted: '📚 *{subject}* පාඩම් කරනවා. මිනිත්තු {minutes}ක් focus කරන්න – break වෙලාවට මම කියන්නම්. නවත්තන්න /study stop.',
+    studyStatus: '📚 *{subject}*: මේ වෙනකොට focus මිනිත්තු {focused}, pomodoros {pomodoros}. {phase}, තව මිනිත්තු {remaining}. නවත්තන්න /study stop.',
+    studyPhaseFocus: 'Focus කරනවා',
+    studyPhaseBreak: 'Break එකක',
+    studyBreak: '☕ Pomodoro {count} ඉවරයි! මිනිත්තු {minutes}ක break එකක් ගන්න – නැගිටලා ඇඟ දිගඇරලා වතුර ටිකක් බොන්න.',
+    studyLongBreak: '🌴 {subject} pomodoros {count}ක් – නියමයි! මිනිත්තු {minutes}ක දිග break එකක් ගන්න.',
+    studyResume: '📚 Break එක ඉවරයි – {subject} pomodoro {count}, මිනිත්තු {minutes}. ඔයාට පුළුවන්!',
+    studyStopped: '✅ {subject} {time} save කළා (pomodoros {pomodoros}).',
+    studyAutoStopped: '⏹️ ඔයාගේ {subject} session එක පැය {hours}ක් තිස්සේ ගියා, ඒ නිසා මම ඒක නවත්තලා {time} save කළා. ආයෙත් පටන් ගන්න /study start.',
+    studyNone: '🤔 ඔයා දැන් පාඩම් session එකක නෑ. පටන් ගන්න /study start <විෂයය>.',
+    studyWeek: '📊 *පහුගිය දවස් 7 පාඩම්*\n{subjects}\n\nමුළු වෙලාව: sessions {sessions}ක {total} (pomodoros {pomodoros})',
+    studyWeekSubject: '- {subject}: {time}',
+    studyWeekEmpty: '📊 පහුගිය දවස් 7 පාඩම් කරපු වෙලාවක් save වෙලා නෑ. /study start <විෂයය> එකෙන් session එකක් පටන් ගන්න.',
+    proactiveShow:
+      '🔔 *මම මුලින් එවන පණිවිඩ*\n{categories}\n\n' +
+      'ඔයා කවදහරි අනතුරක වගේ පෙනුනොත්, ඊට පස්සේ මම ඔයාගෙන් අහලා බලනවා.\n' +
+      'විධාන: /proactive on|off [checkins|study|celebrations|maintenance|all]',
+    proactiveOn: '🔔 සක්‍රිය කළා: {categories}. ඕනෑම වෙලාවක /quiet එකෙන් නවත්වන්න, නැත්නම් /proactive off.',
+    proactiveOff: '🔕 අක්‍රිය කළා: {categories}. ඒ ගැන මම මුලින් පණිවිඩ එවන්නේ නෑ. ආයෙත් සක්‍රිය කරන්න /proactive on.',
+    proactiveUnknown: '🤔 "{value}" කියන්නේ පණිවිඩ වර්ගයක් නෙවෙයි. checkins, study, celebrations, maintenance නැත්නම් all දාන්න.',
+    proactiveInvite:
+      '💬 අනිත් එක – මටත් ඔයාට මුලින් message කරන්න පුළුවන්: ඔයා කොහොමද කියලා අහන්න, පාඩම් කරන්න මතක් කරන්න, ඔයාගේ සතුට සමරන්න, ' +
+      'නැත්නම් ටික කාලෙකින් කතා නොකළොත් hi කියන්න. ඒ ඔයා කැමති නම් විතරයි. ඔක්කොටම /proactive on, තෝරගන්න /proactive.',
+    crisisResources:
+      '💛 ඔයා මට මේ ගැන කිව්වට මම ගොඩක් සතුටුයි. ඔයා මේක තනියම විඳදරාගන්න ඕනේ නෑ. ' +
+      'කරුණාකරලා දැන්ම උදව් කරන්න පුළුවන් කෙනෙක් එක්ක කතා කරන්න:\n\n{helplines}\n\n' +
+      'ඔයා දැන්ම අනතුරක නම්, {emergency} අමතන්න. මමත් කතා කරන්න මෙතන ඉන්නවා.',
+    crisisResourcesInternational:
+      '💛 ඔයා මට මේ ගැන කිව්වට මම ගොඩක් සතුටුයි. ඔයා මේක තනියම විඳදරාගන්න ඕනේ නෑ. ' +
+      'කරුණාකරලා දැන්ම උදව් කරන්න පුළුවන් කෙනෙක් එක්ක කතා කරන්න – ඔයාගේ රටේ නොමිලේ helpline එකක් {url} එකෙන් හොයාගන්න පුළුවන්.\n\n' +
+      'ඔයා දැන්ම අනතුරක නම්, ඔයාගේ රටේ හදිසි ඇමතුම් අංකයට කතා කරන්න. මමත් කතා කරන්න මෙතන ඉන්නවා.',
+    crisisContactNotified: '💛 ඔයාට දැන් කෙනෙක් ඕනේ වෙන්න පුළුවන් කියලා මම ඔයාගේ විශ්වාසවන්ත කෙනාට ({contact}) දැනුම් දුන්නා. අපි කතා කරපු දේවල් මම කිව්වේ නෑ.',
+    crisisContactMessage:
+      '💛 ආයුබෝවන්, මේ {botName} chat සහායකයාගෙන් ස්වයංක්‍රීයව එන පණිවිඩයක්. {userName} ඔයාව එයාගේ විශ්වාසවන්ත කෙනා විදිහට එකතු කරලා තියෙනවා. ' +
+      'එයා දැන් අමාරු කාලයක් පහු කරනවා වෙන්න පුළුවන් – පුළුවන් ඉක්මනින් එයාගෙන් අහලා බලන්න. ' +
+      'එයාගේ කතාබහෙන් කිසිම දෙයක් බෙදාගෙන නෑ.',
+    categories: {
+      personalInfo: 'පෞද්ගලික තොරතුරු',
+      relationships: 'මිනිස්සු',
+      preferences: 'කැමති අකමැති දේවල්',
+      emotionalProfile: 'හැඟීම්',
+      academicInfo: 'පාඩම්',
+      lifeEvents: 'ජීවිතයේ සිදුවීම්',
+      conversationContext: 'අපි කතා කරපු දේවල්',
+      contacts: 'Contacts',
+      availability: 'නිහඬ වේලාවන් සහ වේලා කලාපය'
+    },
+    consentCategories: {
+      checkins: 'ඔයා කොහොමද කියලා අහන එක',
+      study: 'පාඩම් සහ විභාග මතක් කිරීම්',
+      celebrations: 'උපන්දින සහ සැමරුම්',
+      maintenance: 'ටික කාලෙකින් කතා නොකළොත් hi කියන එක'
+    }
+  }
+};
+
+/**
+ * Pick the command language: the configured one, or 'auto' to guess from the user's recent messages
+ */
+export function detectLanguage(recentTexts = []) {
+  if (COMMAND_LANGUAGES.includes(config.commands.language)) {
+    return config.commands.language;
+  }
+
+  return recentTexts.some(text => SINHALA_SCRIPT.test(text || '')) ? 'si' : 'en';
+}
+
+/**
+ * Get a localized command message, filling {placeholders} from vars
+ */
+export function translate(language, key, vars = {}) {
+  const messages = MESSAGES[language] || MESSAGES.en;
+  const template = messages[key] ?? MESSAGES.en[key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * Get the localized label of a memory category
+ */
+export function translateCategory(language, category) {
+  const messages = MESSAGES[language] || MESSAGES.en;
+  return messages.categories[category] || MESSAGES.en.categories[category] || category;
+}
+
+/**
+ * Get the localized label of a proactive message category
+ */
+export function translateConsentCategory(language, category) {
+  const messages = MESSAGES[language] || MESSAGES.en;
+  return messages.consentCategories[category] || MESSAGES.en.consentCategories[category] || category;
+}
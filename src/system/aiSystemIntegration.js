@@ -46,7 +46,7 @@ export class AISystemIntegration {
   /**
    * Get system health status
    */
-  getSystemHealth() {
+  async getSystemHealth() {
     const health = {
       status: 'healthy',
       components: {},
@@ -57,7 +57,7 @@ export class AISystemIntegration {
       // Check chatbot service
       health.components.chatbot = {
         status: 'active',
-        stats: this.systemComponents.chatbot.getStatus()
+        stats: await this.systemComponents.chatbot.getStatus()
       };
 
       // Check Gemini client
@@ -132,18 +132,18 @@ export class AISystemIntegration {
     try {
       logger.info('Testing AI Tools System...');
 
-      // Test tool analysis
-      const testMessage = "What time is it now?";
-      const availableTools = {
-        get_current_time: { description: "Get current time" }
-      };
-      
-      const result = await aiTools.analyzeMessageForToolOperations(
-        testUserId, 
-        testMessage, 
-        availableTools,
-        this.systemComponents.gemini
-      );
+      // Test a native function call round trip
+      const testHistory = [
+        { role: 'user', parts: [{ text: 'What time is it now?' }] }
+      ];
+      const functionDeclarations = aiTools.getFunctionDeclarations()
+        .filter(declaration => declaration.name === 'get_current_time');
+
+      const result = await this.systemComponents.gemini.generateContentWithTools(testHistory, null, null, {
+        functionDeclarations,
+        executeTool: aiTools.createToolExecutor(testUserId),
+        maxToolRounds: 2
+      });
 
       logger.success('AI Tools System test completed');
       return {
@@ -0,0 +1,167 @@
+import { config } from '../config/config.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Availability');
+
+const CATEGORY = 'availability';
+
+/**
+ * Parse a "22:00-07:00" window into { start, end } clock strings, or null
+ */
+export function parseQuietHours(text) {
+  const [start, end] = String(text || '').split(/\s*(?:-|–|to)\s*/i);
+  const startMinutes = TimeUtils.parseClock(start);
+  const endMinutes = TimeUtils.parseClock(end);
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) return null;
+
+  return { start: TimeUtils.formatClock(startMinutes), end: TimeUtils.formatClock(endMinutes) };
+}
+
+/**
+ * Per-user timezone, quiet hours and do-not-disturb, stored in the user's memory profile.
+ * Proactive senders ask getNextAllowedTime() and defer their message when it is not null.
+ */
+export class AvailabilityManager {
+  /**
+   * Get a user's availability settings with defaults filled in
+   */
+  async getSettings(userId) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const stored = memory.availability || {};
+    const timezone = TimeUtils.normalizeTimezone(stored.timezone) || config.time.defaultTimezone;
+    const ownQuietHours = stored.quietHours === 'off' || Boolean(stored.quietHours?.start);
+
+    return {
+      timezone,
+      timezoneIsDefault: !stored.timezone,
+      quietHours: ownQuietHours ? (stored.quietHours === 'off' ? null : stored.quietHours) : parseQuietHours(config.time.defaultQuietHours),
+      quietHoursIsDefault: !ownQuietHours,
+      doNotDisturbUntil: stored.doNotDisturbUntil && new Date(stored.doNotDisturbUntil) > new Date() ?
+        stored.doNotDisturbUntil :
+        null
+    };
+  }
+
+  /**
+   * Get a user's timezone
+   */
+  async getTimezone(userId) {
+    return (await this.getSettings(userId)).timezone;
+  }
+
+  /**
+   * Save availability fields for a user, recording the change in the memory audit log
+   */
+  async saveSettings(userId, data, provenance = {}) {
+    await memoryManager.updateMemory(userId, CATEGORY, data, true, { actor: 'user', ...provenance });
+    return await this.getSettings(userId);
+  }
+
+  /**
+   * Set a user's timezone; returns null when the name is not a known IANA timezone
+   */
+  async setTimezone(userId, timezone, provenance = {}) {
+    const normalized = TimeUtils.normalizeTimezone(timezone);
+    if (!normalized) return null;
+    return await this.saveSettings(userId, { timezone: normalized }, { reason: 'Timezone set', ...provenance });
+  }
+
+  /**
+   * Set quiet hours from a { start, end } window, or null to turn them off
+   */
+  async setQuietHours(userId, quietHours, provenance = {}) {
+    return await this.saveSettings(userId, { quietHours: quietHours || 'off' }, {
+      reason: quietHours ? 'Quiet hours set' : 'Quiet hours turned off',
+      ...provenance
+    });
+  }
+
+  /**
+   * Pause proactive messages until a time (null clears it)
+   */
+  async setDoNotDisturb(userId, until, provenance = {}) {
+    const value = until ? new Date(until).toISOString() : null;
+    return await this.saveSettings(userId, { doNotDisturbUntil: value }, {
+      reason: value ? `Do not disturb until ${value}` : 'Do not disturb cleared',
+      ...provenance
+    });
+  }
+
+  /**
+   * When the quiet window containing `now` ends, or null when now is outside quiet hours
+   */
+  getQuietHoursEnd(quietHours, timezone, now = new Date()) {
+    if (!quietHours) return null;
+
+    const start = TimeUtils.parseClock(quietHours.start);
+    const end = TimeUtils.parseClock(quietHours.end);
+    if (start === null || end === null) return null;
+
+    const minutes = TimeUtils.getMinutesOfDay(now, timezone);
+    return TimeUtils.isWithinWindow(minutes, start, end) ? TimeUtils.nextOccurrence(end, timezone, now) : null;
+  }
+
+  /**
+   * The earliest time a proactive message may be sent, or null when it may be sent now
+   */
+  async getNextAllowedTime(userId, now = new Date()) {
+    const settings = await this.getSettings(userId);
+    let next = settings.doNotDisturbUntil ? new Date(settings.doNotDisturbUntil) : null;
+
+    // The do-not-disturb end itself may fall into quiet hours
+    const quietEnd = this.getQuietHoursEnd(settings.quietHours, settings.timezone, next || now);
+    if (quietEnd) next = quietEnd;
+
+    if (next) logger.debug(`Proactive messages to ${userId} held until ${next.toISOString()}`);
+    return next;
+  }
+
+  /**
+   * Local time context for a user, for prompts and schedules
+   */
+  async getLocalTime(userId, now = new Date()) {
+    const timezone = await this.getTimezone(userId);
+    const parts = TimeUtils.getZonedParts(now, timezone);
+    return { timezone, ...parts, timeOfDay: TimeUtils.getTimeOfDay(parts.hour) };
+  }
+
+  /**
+   * Parse when a pause should end, in the user's timezone: a duration ("2h", "1h30m"), "18:00", "7am",
+   * "tomorrow", "tomorrow 9am" or "2025-05-01 09:00". "tomorrow" alone means when tomorrow's quiet hours end (or 08:00).
+   */
+  parseUntil(text, timezone, quietHours = null, now = new Date()) {
+    const value = String(text || '').trim().toLowerCase();
+    const duration = TimeUtils.parseDuration(value);
+    if (duration) return new Date(now.getTime() + duration);
+
+    const tomorrow = value.match(/^tomorrow\s*(.*)$/);
+
+    if (tomorrow) {
+      const minutes = tomorrow[1] ?
+        TimeUtils.parseClock(tomorrow[1]) :
+        (TimeUtils.parseClock(quietHours?.end) ?? 8 * 60);
+      if (minutes === null) return null;
+      const parts = TimeUtils.getZonedParts(now, timezone);
+      return TimeUtils.zonedTimeToDate({ ...parts, day: parts.day + 1, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timezone);
+    }
+
+    const minutes = TimeUtils.parseClock(value);
+    if (minutes !== null) return TimeUtils.nextOccurrence(minutes, timezone, now);
+
+    const date = TimeUtils.parseLocalDateTime(value, timezone);
+    return date && date > now ? date : null;
+  }
+
+  /**
+   * Format a moment in the user's timezone, e.g. "2025-05-01 09:00"
+   */
+  formatLocal(date, timezone) {
+    const value = new Date(date);
+    return `${TimeUtils.formatDate(value, timezone, 'iso')} ${TimeUtils.formatTime(value, timezone, { hour12: false })}`;
+  }
+}
+
+// Export singleton instance
+export const availabilityManager = new AvailabilityManager();
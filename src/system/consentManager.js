@@ -0,0 +1,156 @@
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Consent');
+
+const COLLECTION = 'proactive_consent';
+const RECENT_CHANGES = 10;
+
+// Proactive categories users can opt in or out of, with the words they may use for them
+export const CONSENT_CATEGORIES = {
+  checkins: ['checkin', 'checkins', 'check-in', 'check-ins', 'wellbeing', 'mood'],
+  study: ['study', 'studies', 'nudges', 'motivation', 'exams', 'flashcards', 'agenda', 'planner'],
+  celebrations: ['celebration', 'celebrations', 'birthday', 'birthdays', 'achievements'],
+  maintenance: ['maintenance', 'friendship', 'miss', 'missed']
+};
+
+/**
+ * Resolve "all" or a category name/alias to a list of categories, or null when unknown
+ */
+export function parseConsentCategories(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value || ['all', 'everything'].includes(value)) return Object.keys(CONSENT_CATEGORIES);
+
+  const category = Object.keys(CONSENT_CATEGORIES).find(name => name === value || CONSENT_CATEGORIES[name].includes(value));
+  return category ? [category] : null;
+}
+
+/**
+ * Per-user opt-in/opt-out of each proactive category, with a timestamped history of every choice.
+ * Crisis follow-ups are a safety measure and are not covered by consent.
+ */
+export class ConsentManager {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Get a user's stored consent record, or null when they never chose anything
+   */
+  async getRecord(userId) {
+    return await this.storage.get(COLLECTION, userId, null);
+  }
+
+  /**
+   * Get a user's effective choice per category; categories they never chose use the configured default
+   */
+  async getConsent(userId) {
+    const record = await this.getRecord(userId);
+    return Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category => {
+      const choice = record?.categories?.[category];
+      return [category, choice ?
+        { enabled: choice.enabled, updatedAt: choice.updatedAt, source: choice.source, isDefault: false } :
+        { enabled: config.consent.defaultEnabled, updatedAt: null, source: 'default', isDefault: true }];
+    }));
+  }
+
+  /**
+   * Whether a user currently allows proactive messages of a category
+   */
+  async isAllowed(userId, category) {
+    return (await this.getConsent(userId))[category]?.enabled ?? false;
+  }
+
+  /**
+   * Opt a user in or out of categories. source is 'command', 'tool' or 'admin'.
+   */
+  async setConsent(userId, categories, enabled, { source = 'command', sourceMessageId = null } = {}) {
+    const unknown = categories.filter(category => !CONSENT_CATEGORIES[category]);
+    if (unknown.length > 0) throw new Error(`Unknown proactive category '${unknown[0]}'`);
+
+    const at = new Date().toISOString();
+    await this.storage.update(COLLECTION, userId, (current) => {
+      const record = current || { categories: {}, history: [], createdAt: at };
+      for (const category of categories) {
+        record.categories[category] = { enabled, updatedAt: at, source };
+        record.history.push({ category, enabled, at, source, sourceMessageId });
+      }
+      return record;
+    });
+
+    logger.info(`${userId} opted ${enabled ? 'in to' : 'out of'} ${categories.join(', ')} (${source})`);
+    return await this.getConsent(userId);
+  }
+
+  /**
+   * Note that a user was told about proactive messages; true only the first time
+   */
+  async markInvited(userId) {
+    let invited = false;
+    await this.storage.update(COLLECTION, userId, (current) => {
+      if (current?.invitedAt) return undefined;
+      invited = true;
+      const at = new Date().toISOString();
+      return { categories: {}, history: [], createdAt: at, ...current, invitedAt: at };
+    });
+    return invited;
+  }
+
+  /**
+   * Consent state across all users: per-category counts and the latest changes
+   */
+  async getReport() {
+    const records = await this.storage.all(COLLECTION);
+    const byCategory = Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category => [category, { optedIn: 0, optedOut: 0, noChoice: 0 }]));
+
+    for (const record of Object.values(records)) {
+      for (const category of Object.keys(CONSENT_CATEGORIES)) {
+        const choice = record.categories?.[category];
+        if (!choice) byCategory[category].noChoice++;
+        else if (choice.enabled) byCategory[category].optedIn++;
+        else byCategory[category].optedOut++;
+      }
+    }
+
+    const recentChanges = Object.entries(records)
+      .flatMap(([userId, record]) => (record.history || []).map(entry => ({ userId, ...entry })))
+      .sort((a, b) => b.at.localeCompare(a.at))
+      .slice(0, RECENT_CHANGES);
+
+    return { users: Object.keys(records).length, defaultEnabled: config.consent.defaultEnabled, byCategory, recentChanges };
+  }
+
+  /**
+   * Format the consent report for admins
+   */
+  formatReport(report) {
+    const counts = Object.entries(report.byCategory)
+      .map(([category, count]) => `- ${category}: ${count.optedIn} in, ${count.optedOut} out, ${count.noChoice} no choice`)
+      .join('\n');
+    const changes = report.recentChanges
+      .map(entry => `- ${entry.at.slice(0, 16).replace('T', ' ')} +${entry.userId.split('@')[0]} ${entry.enabled ? 'in' : 'out'} ${entry.category} (${entry.source})`)
+      .join('\n');
+
+    return `📋 *Proactive consent* (${report.users} users, default: ${report.defaultEnabled ? 'opted in' : 'opted out'})\n\n` +
+      `${counts}\n\n*Recent changes*\n${changes || 'None'}`;
+  }
+
+  /**
+   * Format one user's consent and history for admins
+   */
+  async formatUserRecord(userId) {
+    const consent = await this.getConsent(userId);
+    const record = await this.getRecord(userId);
+    const lines = Object.entries(consent)
+      .map(([category, choice]) => `- ${category}: ${choice.enabled ? 'in' : 'out'}${choice.isDefault ? ' (default)' : ` since ${choice.updatedAt.slice(0, 10)} (${choice.source})`}`);
+    const history = (record?.history || []).slice(-RECENT_CHANGES).reverse()
+      .map(entry => `- ${entry.at.slice(0, 16).replace('T', ' ')} ${entry.enabled ? 'in' : 'out'} ${entry.category} (${entry.source})`);
+
+    return `📋 *Consent of +${userId.split('@')[0]}*\n\n${lines.join('\n')}\n\n*History*\n${history.join('\n') || 'None'}` +
+      (record?.invitedAt ? `\n\nInvited ${record.invitedAt.slice(0, 10)}` : '');
+  }
+}
+
+// Export singleton instance
+export const consentManager = new ConsentManager();
@@ -0,0 +1,417 @@
+import { config } from '../config/config.js';
+import { HELPLINES, INTERNATIONAL_HELPLINES, CALLING_CODES } from '../config/helplines.js';
+import { crisisCaseStore } from '../database/crisisCaseStore.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { jsonDb } from '../database/jsonDb.js';
+import { whatsappClient } from '../whatsapp/whatsappClient.js';
+import { personaManager } from './personaManager.js';
+import { detectLanguage, translate } from '../services/commandMessages.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('CrisisEscalation');
+
+const SEVERITIES = ['medium', 'high'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Whether a severity is at least the given minimum
+ */
+function meetsSeverity(severity, minimum) {
+  const index = SEVERITIES.indexOf(minimum);
+  return index !== -1 && SEVERITIES.indexOf(severity) >= index;
+}
+
+/**
+ * Phone number part of a WhatsApp JID
+ */
+function jidNumber(jid) {
+  return (jid || '').split('@')[0];
+}
+
+/**
+ * Deterministic crisis escalation: helpline resources, admin and trusted-contact
+ * notifications, and a persistent case record. Nothing here depends on the model.
+ */
+export class CrisisEscalationManager {
+  constructor() {
+    this.store = crisisCaseStore;
+    this.openCases = new Map(); // userId -> id of the user's unresolved case
+    this.loaded = null;
+  }
+
+  /**
+   * Load the unresolved cases once
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this.store.listCases({ status: ['open', 'acknowledged'] }).then(cases => {
+        // listCases is newest first; keep the newest case per user
+        for (const record of [...cases].reverse()) {
+          this.openCases.set(record.userId, record.id);
+        }
+      });
+    }
+    return await this.loaded;
+  }
+
+  /**
+   * Calling code at the start of a phone number, if it's one we know
+   */
+  getCallingCode(number) {
+    return [3, 2, 1].map(length => number.slice(0, length)).find(code => CALLING_CODES[code]) || null;
+  }
+
+  /**
+   * Country of a user from their WhatsApp number. JIDs without a phone number use the configured default;
+   * numbers from other countries get null (the international directory).
+   */
+  getCountry(userId) {
+    if (!userId.endsWith('@s.whatsapp.net')) return config.crisis.defaultCountry;
+    const callingCode = this.getCallingCode(jidNumber(userId));
+    return callingCode ? CALLING_CODES[callingCode] : null;
+  }
+
+  /**
+   * Build the helpline message for a country
+   */
+  formatResources(country, language) {
+    const resources = HELPLINES[country];
+    if (!resources) {
+      return translate(language, 'crisisResourcesInternational', { url: INTERNATIONAL_HELPLINES });
+    }
+
+    const helplines = resources.lines
+      .map(line => `📞 *${line.name}*: ${line.number}${line.hours ? ` (${line.hours})` : ''}`)
+      .join('\n');
+    return translate(language, 'crisisResources', { helplines, emergency: resources.emergency });
+  }
+
+  /**
+   * Language to talk to the user in, from their recent messages
+   */
+  async getUserLanguage(userId, message = null) {
+    const recentMessages = await jsonDb.getRecentMessages(userId, 10);
+    const texts = recentMessages.filter(msg => msg.role === 'user').map(msg => msg.content);
+    return detectLanguage(message ? [message, ...texts] : texts);
+  }
+
+  /**
+   * Whether a JID belongs to a configured crisis admin
+   */
+  isAdmin(jid) {
+    return config.crisis.adminNumbers.includes(jidNumber(jid));
+  }
+
+  /**
+   * Escalate a crisis for a user according to the configured policy.
+   * Opens a case (or updates the user's open one), sends helpline resources,
+   * and notifies admins and the user's trusted contact once per case.
+   */
+  async escalate(userId, { severity = 'high', reason = null, source = 'conversation', message = null } = {}) {
+    if (!config.crisis.escalation) return null;
+
+    try {
+      await this.ensureLoaded();
+      severity = SEVERITIES.includes(severity) ? severity : 'high';
+
+      const openId = this.openCases.get(userId);
+      let record = openId ? await this.store.getCase(openId) : null;
+
+      if (!record || record.status === 'resolved') {
+        record = await this.store.createCase(userId, { severity, reason, source, country: this.getCountry(userId) });
+        this.openCases.set(userId, record.id);
+        logger.warn(`Crisis case ${record.id} opened for ${userId}: ${severity} - ${reason}`);
+      } else {
+        record = await this.store.updateCase(record.id, (current) => {
+          this.store.addEvent(current, 'redetected', source, reason);
+          if (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(current.severity)) {
+            this.store.addEvent(current, 'escalated', source, `${current.severity} → ${severity}`);
+            current.severity = severity;
+          }
+        });
+      }
+
+      const language = await this.getUserLanguage(userId, message);
+      const resourcesDue = !record.resourcesSentAt ||
+        Date.now() - new Date(record.resourcesSentAt).getTime() >= config.crisis.resourceCooldownHours * HOUR_MS;
+
+      if (resourcesDue) {
+        record = await this.sendResources(record, language);
+      }
+      if (!record.adminNotifiedAt && config.crisis.adminNumbers.length > 0 && meetsSeverity(record.severity, config.crisis.adminMinSeverity)) {
+        record = await this.notifyAdmins(record);
+      }
+      if (!record.contactNotifiedAt && config.crisis.trustedContacts && meetsSeverity(record.severity, config.crisis.contactMinSeverity)) {
+        record = await this.notifyTrustedContact(record, language);
+      }
+
+      return record;
+    } catch (error) {
+      logger.error(`Crisis escalation failed for ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Send a notification and record the outcome on the case
+   */
+  async deliver(record, { jid, text, field, type, note }) {
+    try {
+      await whatsappClient.sendMessage(jid, text);
+      return await this.store.updateCase(record.id, (current) => {
+        current[field] = new Date().toISOString();
+        this.store.addEvent(current, type, 'system', note);
+      });
+    } catch (error) {
+      logger.error(`Crisis case ${record.id}: ${type} failed:`, error);
+      return await this.store.updateCase(record.id, (current) => {
+        this.store.addEvent(current, 'notify_failed', 'system', `${type}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Reply to the user with helplines for their country
+   */
+  async sendResources(record, language) {
+    return await this.deliver(record, {
+      jid: record.userId,
+      text: this.formatResources(record.country, language),
+      field: 'resourcesSentAt',
+      type: 'resources_sent',
+      note: HELPLINES[record.country] ? record.country : 'international'
+    });
+  }
+
+  /**
+   * Alert every crisis admin about a case
+   */
+  async notifyAdmins(record) {
+    const memory = await memoryManager.getUserMemory(record.userId);
+    const name = memory.personalInfo?.name || 'Unknown';
+    const text =
+      `🚨 *Crisis case #${record.id}*\n` +
+      `User: ${name} (+${jidNumber(record.userId)})\n` +
+      `Severity: ${record.severity}\n` +
+      `Source: ${record.source}\n` +
+      `Reason: ${record.reason || '-'}\n` +
+      `Opened: ${record.openedAt}\n\n` +
+      `Reply /crisis ack ${record.id} when you are handling it, and /crisis resolve ${record.id} <note> when it's resolved.`;
+
+    let updated = record;
+    for (const number of config.crisis.adminNumbers) {
+      updated = await this.deliver(updated, {
+        jid: `${number}@s.whatsapp.net`,
+        text,
+        field: 'adminNotifiedAt',
+        type: 'admin_notified',
+        note: `+${number}`
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Tell the admins about a predicted risk. Admin-only: no case is opened and the user gets nothing.
+   * Skipped while the user has an unresolved case, and sent at most once per resource cooldown.
+   */
+  async notifyAdminsOfRisk(userId, reason, source = 'predictive_ai') {
+    if (!config.crisis.escalation || config.crisis.adminNumbers.length === 0) return false;
+
+    try {
+      await this.ensureLoaded();
+      if (this.openCases.has(userId)) return false;
+
+      const lastNote = await this.store.getRiskNote(userId);
+      if (lastNote && Date.now() - new Date(lastNote.sentAt).getTime() < config.crisis.resourceCooldownHours * HOUR_MS) {
+        return false;
+      }
+
+      const memory = await memoryManager.getUserMemory(userId);
+      const name = memory.personalInfo?.name || 'Unknown';
+      const text =
+        `⚠️ *Possible risk (no case opened)*\n` +
+        `User: ${name} (+${jidNumber(userId)})\n` +
+        `Source: ${source}\n` +
+        `Reason: ${reason || '-'}\n\n` +
+        `This is a prediction, not a detected crisis. The user only gets a gentle check-in.`;
+
+      for (const number of config.crisis.adminNumbers) {
+        await whatsappClient.sendMessage(`${number}@s.whatsapp.net`, text)
+          .catch(error => logger.error(`Risk note to +${number} failed:`, error));
+      }
+      await this.store.setRiskNote(userId, { reason, source });
+      logger.warn(`Admins notified of a possible risk for ${userId} (${source}): ${reason}`);
+      return true;
+    } catch (error) {
+      logger.error(`Risk note failed for ${userId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Alert the user's trusted contact, if they consented to one. Nothing from the conversation is shared.
+   */
+  async notifyTrustedContact(record, language) {
+    const contact = await this.store.getTrustedContact(record.userId);
+    if (!contact) return record;
+
+    const memory = await memoryManager.getUserMemory(record.userId);
+    const userName = memory.personalInfo?.name || `+${jidNumber(record.userId)}`;
+    const { name: botName } = await personaManager.getChatPersona(record.userId);
+    const updated = await this.deliver(record, {
+      jid: contact.jid,
+      text: translate(language, 'crisisContactMessage', { botName, userName }),
+      field: 'contactNotifiedAt',
+      type: 'contact_notified',
+      note: `+${jidNumber(contact.jid)}`
+    });
+
+    if (updated.contactNotifiedAt) {
+      await whatsappClient.sendMessage(record.userId, translate(language, 'crisisContactNotified', { contact: `+${jidNumber(contact.jid)}` }))
+        .catch(error => logger.debug('Could not tell user about contact notification:', error));
+    }
+    return updated;
+  }
+
+  /**
+   * Record an event on a case
+   */
+  async recordEvent(caseId, type, actor = 'system', note = null, fields = {}) {
+    return await this.store.updateCase(caseId, (current) => {
+      Object.assign(current, fields);
+      this.store.addEvent(current, type, actor, note);
+    });
+  }
+
+  /**
+   * Mark a case as being handled
+   */
+  async acknowledgeCase(caseId, actor, note = null) {
+    const record = await this.store.getCase(caseId);
+    if (!record) throw new Error(`Case #${caseId} not found`);
+    if (record.status === 'resolved') throw new Error(`Case #${caseId} is already resolved`);
+
+    return await this.recordEvent(caseId, 'acknowledged', actor, note, {
+      status: 'acknowledged',
+      acknowledgedAt: new Date().toISOString(),
+      acknowledgedBy: actor
+    });
+  }
+
+  /**
+   * Close a case with a resolution note
+   */
+  async resolveCase(caseId, actor, resolution = null) {
+    const record = await this.store.getCase(caseId);
+    if (!record) throw new Error(`Case #${caseId} not found`);
+    if (record.status === 'resolved') throw new Error(`Case #${caseId} is already resolved`);
+
+    await this.ensureLoaded();
+    const resolved = await this.recordEvent(caseId, 'resolved', actor, resolution, {
+      status: 'resolved',
+      resolvedAt: new Date().toISOString(),
+      resolvedBy: actor,
+      resolution
+    });
+    if (this.openCases.get(record.userId) === caseId) {
+      this.openCases.delete(record.userId);
+    }
+    logger.info(`Crisis case ${caseId} resolved by ${actor}`);
+    return resolved;
+  }
+
+  /**
+   * Get a case by id
+   */
+  async getCase(caseId) {
+    return await this.store.getCase(caseId);
+  }
+
+  /**
+   * Get unresolved cases, newest first
+   */
+  async getOpenCases() {
+    await this.ensureLoaded();
+    return await this.store.listCases({ status: ['open', 'acknowledged'] });
+  }
+
+  /**
+   * Resolve cases with no activity for the configured time
+   */
+  async resolveStaleCases() {
+    const cutoff = Date.now() - config.crisis.autoResolveHours * HOUR_MS;
+    for (const record of await this.getOpenCases()) {
+      if (new Date(record.updatedAt).getTime() < cutoff) {
+        await this.resolveCase(record.id, 'system', `No activity for ${config.crisis.autoResolveHours} hours`);
+      }
+    }
+  }
+
+  /**
+   * Get every case of a user, newest first
+   */
+  async getUserCases(userId) {
+    return await this.store.listCases({ userId });
+  }
+
+  /**
+   * Get a user's trusted contact
+   */
+  async getTrustedContact(userId) {
+    return await this.store.getTrustedContact(userId);
+  }
+
+  /**
+   * Save a trusted contact from a phone number the user typed.
+   * Local numbers (leading 0) take the user's own calling code. Returns null when the number is invalid.
+   */
+  async setTrustedContact(userId, input) {
+    let digits = (input || '').replace(/\D/g, '');
+    if (/^0[1-9]/.test(digits)) {
+      const callingCode = this.getCallingCode(jidNumber(userId));
+      if (!callingCode) return null;
+      digits = callingCode + digits.slice(1);
+    }
+    if (digits.length < 8 || digits.length > 15 || digits === jidNumber(userId)) return null;
+
+    return await this.store.setTrustedContact(userId, `${digits}@s.whatsapp.net`);
+  }
+
+  /**
+   * Remove a user's trusted contact
+   */
+  async removeTrustedContact(userId) {
+    await this.store.removeTrustedContact(userId);
+  }
+
+  /**
+   * Format a case for admins
+   */
+  formatCase(record, { withEvents = false } = {}) {
+    let text = `#${record.id} [${record.status}] ${record.severity} – +${jidNumber(record.userId)}\n` +
+      `  ${record.reason || '-'} (${record.source}, ${record.openedAt.slice(0, 16).replace('T', ' ')})`;
+
+    if (withEvents) {
+      text += '\n' + record.events
+        .map(event => `  ${event.timestamp.slice(0, 16).replace('T', ' ')} ${event.type} (${event.actor})${event.note ? `: ${event.note}` : ''}`)
+        .join('\n');
+    }
+    return text;
+  }
+
+  /**
+   * Get escalation status
+   */
+  getStatus() {
+    return {
+      enabled: config.crisis.escalation,
+      openCases: this.openCases.size,
+      admins: config.crisis.adminNumbers.length,
+      trustedContacts: config.crisis.trustedContacts
+    };
+  }
+}
+
+// Export singleton instance
+export const crisisEscalationManager = new CrisisEscalationManager();
@@ -0,0 +1,342 @@
+import { config } from '../config/config.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { personaManager } from './personaManager.js';
+import { availabilityManager } from './availabilityManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { proactiveGovernor } from './proactiveGovernor.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('ExamCountdown');
+
+// Only messages that mention an exam are sent to the extraction model
+const EXAM_HINTS = /\b(exams?|tests?|papers?|a\/l|o\/l|mid-?terms?|finals?|quiz|viva|practicals?)\b|විභාග|පරීක්ෂණ|පේපර්/i;
+const OUTCOME_RESULTS = ['great', 'good', 'okay', 'bad'];
+const OUTCOME_WINDOW_DAYS = 7; // Replies about an exam are recorded this long after the follow-up
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Exam dates extracted from conversation into academicInfo.examSchedule, with countdown reminders,
+ * a good-luck message on the morning of the exam and a follow-up the day after whose answer is recorded.
+ */
+export class ExamCountdownManager {
+  constructor() {
+    jobScheduler.registerHandler('exams.reminder', (payload) => this.runReminder(payload));
+    jobScheduler.registerHandler('exams.sync', () => this.syncAllReminders());
+    jobScheduler.recurring('exam_reminder_sync', '30 3 * * *', 'exams.sync');
+
+    proactiveGovernor.registerKind('exam_good_luck', {
+      priority: 45, // Only useful before the exam starts
+      consentCategory: 'study',
+      mergeable: false,
+      ttlHours: 3,
+      buildPrompt: (userId, context) => this.buildReminderPrompt(userId, 'good_luck', context),
+      describe: ({ subject }) => `Wish them luck for today's ${subject} exam`
+    });
+    proactiveGovernor.registerKind('exam_follow_up', {
+      priority: 35,
+      consentCategory: 'study',
+      ttlHours: 24,
+      buildPrompt: (userId, context) => this.buildReminderPrompt(userId, 'follow_up', context),
+      describe: ({ subject }) => `Ask how yesterday's ${subject} exam went`,
+      onSent: (userId, { examId }) => this.updateExam(userId, examId, { followUpSentAt: new Date().toISOString() }, 'Exam follow-up sent')
+    });
+    proactiveGovernor.registerKind('exam_countdown', {
+      priority: 25,
+      consentCategory: 'study',
+      buildPrompt: (userId, context) => this.buildReminderPrompt(userId, 'countdown', context),
+      describe: ({ subject, days }) => `Remind them the ${subject} exam is ${days === 1 ? 'tomorrow' : `in ${days} days`}`
+    });
+  }
+
+  /**
+   * A user's exams sorted by date
+   */
+  async getExams(userId) {
+    const memory = await memoryManager.getUserMemory(userId);
+    return Object.entries(memory.academicInfo?.examSchedule || {})
+      .map(([id, exam]) => ({ ...exam, id }))
+      .filter(exam => /^\d{4}-\d{2}-\d{2}$/.test(exam.date || ''))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Exams from today on, in the user's timezone
+   */
+  async getUpcomingExams(userId, now = new Date()) {
+    const today = TimeUtils.formatDate(now, await availabilityManager.getTimezone(userId), 'iso');
+    return (await this.getExams(userId)).filter(exam => exam.date >= today);
+  }
+
+  /**
+   * Exams the user was asked about and hasn't answered yet
+   */
+  async getAwaitingOutcome(userId, now = Date.now()) {
+    return (await this.getExams(userId)).filter(exam =>
+      exam.followUpSentAt && !exam.outcome && now - new Date(exam.followUpSentAt).getTime() < OUTCOME_WINDOW_DAYS * DAY_MS);
+  }
+
+  /**
+   * Build the extraction prompt
+   */
+  buildExtractionPrompt(text, { today, weekday, timezone, exams, awaiting }) {
+    const describe = (exam) => `- ${exam.id}: ${exam.name || exam.subject} on ${exam.date}${exam.time ? ` at ${exam.time}` : ''}`;
+
+    return `EXAM SCHEDULE EXTRACTION:
+
+Today is ${weekday}, ${today} (${timezone}). Read this WhatsApp message from a Sri Lankan student. It may be in English, Sinhala script or Singlish.
+
+MESSAGE: "${text}"
+
+KNOWN EXAMS:
+${exams.map(describe).join('\n') || 'None'}
+
+EXAMS WE ASKED ABOUT (waiting to hear how they went):
+${awaiting.map(describe).join('\n') || 'None'}
+
+1. List exams the user says they will sit that have a date you can work out. Resolve relative dates ("next Monday", "on the 5th") from today.
+   Skip exams that are already known with the same date. If the user says a known exam moved, give its id in "replaces".
+2. If the message says how one of the exams we asked about went, give its outcome.
+
+Respond with ONLY this JSON:
+{
+  "exams": [{ "subject": "Chemistry", "name": "A/L Chemistry Paper I", "date": "YYYY-MM-DD", "time": "HH:MM or null", "replaces": null }],
+  "outcomes": [{ "id": "known exam id", "result": "great|good|okay|bad", "notes": "one short sentence in English" }]
+}`;
+  }
+
+  /**
+   * Extract exam dates and outcomes from a user's message and save them; runs in the background
+   */
+  async processMessage(userId, text, sourceMessageId = null) {
+    if (!config.exams.enabled || !text?.trim()) return null;
+
+    try {
+      const awaiting = await this.getAwaitingOutcome(userId);
+      if (!EXAM_HINTS.test(text) && awaiting.length === 0) return null;
+
+      const timezone = await availabilityManager.getTimezone(userId);
+      const now = new Date();
+      const prompt = this.buildExtractionPrompt(text, {
+        today: TimeUtils.formatDate(now, timezone, 'iso'),
+        weekday: now.toLocaleDateString('en-US', { timeZone: timezone, weekday: 'long' }),
+        timezone,
+        exams: await this.getUpcomingExams(userId, now),
+        awaiting
+      });
+
+      const response = await geminiClient.generateContent([{ role: 'user', parts: [{ text: prompt }] }], null, null, 1);
+      const jsonMatch = response?.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) return null;
+
+      const parsed = JSON.parse(jsonMatch[0]);
+      return await this.saveExtraction(userId, parsed, { timezone, sourceMessageId });
+    } catch (error) {
+      logger.debug(`Exam extraction failed for ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Validate extracted exams and outcomes, store them in the memory profile and schedule reminders
+   */
+  async saveExtraction(userId, { exams = [], outcomes = [] }, { timezone, sourceMessageId = null }) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const schedule = { ...(memory.academicInfo?.examSchedule || {}) };
+    const today = TimeUtils.formatDate(new Date(), timezone, 'iso');
+    const added = [];
+    const recorded = [];
+
+    for (const exam of exams) {
+      const subject = String(exam.subject || '').trim();
+      const date = String(exam.date || '');
+      const parsedDate = TimeUtils.parseLocalDateTime(date, timezone);
+      if (!subject || !parsedDate || TimeUtils.formatDate(parsedDate, timezone, 'iso') !== date || date < today) continue;
+
+      const minutes = TimeUtils.parseClock(exam.time);
+      if (exam.replaces && schedule[exam.replaces]) delete schedule[exam.replaces];
+
+      const id = `${subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'exam'}-${date}`;
+      schedule[id] = {
+        subject,
+        name: String(exam.name || subject).trim(),
+        date,
+        time: minutes === null ? null : TimeUtils.formatClock(minutes),
+        addedAt: schedule[id]?.addedAt || new Date().toISOString(),
+        followUpSentAt: null,
+        outcome: null
+      };
+      added.push({ ...schedule[id], id });
+    }
+
+    for (const outcome of outcomes) {
+      if (!schedule[outcome.id] || !OUTCOME_RESULTS.includes(outcome.result)) continue;
+      schedule[outcome.id] = {
+        ...schedule[outcome.id],
+        outcome: { result: outcome.result, notes: outcome.notes || null, recordedAt: new Date().toISOString() }
+      };
+      recorded.push(outcome.id);
+    }
+
+    if (added.length === 0 && recorded.length === 0) return { added, recorded };
+
+    await memoryManager.updateMemory(userId, 'academicInfo', { examSchedule: schedule }, true, {
+      actor: 'exam_extraction',
+      reason: [
+        added.length > 0 ? `Exam dates: ${added.map(exam => `${exam.subject} ${exam.date}`).join(', ')}` : null,
+        recorded.length > 0 ? `Exam outcomes: ${recorded.join(', ')}` : null
+      ].filter(Boolean).join('; '),
+      sourceMessageId
+    });
+
+    for (const exam of added) {
+      await this.scheduleReminders(userId, exam, { timezone, replace: true });
+    }
+    logger.info(`Exam schedule of ${userId}: ${added.length} added, ${recorded.length} outcome(s) recorded`);
+    return { added, recorded };
+  }
+
+  /**
+   * Change one exam in a user's schedule
+   */
+  async updateExam(userId, examId, changes, reason) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const schedule = memory.academicInfo?.examSchedule || {};
+    if (!schedule[examId]) return;
+
+    await memoryManager.updateMemory(userId, 'academicInfo', {
+      examSchedule: { ...schedule, [examId]: { ...schedule[examId], ...changes } }
+    }, true, { actor: 'exam_countdown', reason });
+  }
+
+  /**
+   * Schedule the countdown, good-luck and follow-up messages of an exam that are still ahead
+   */
+  async scheduleReminders(userId, exam, { timezone = null, replace = false, now = new Date() } = {}) {
+    const zone = timezone || await availabilityManager.getTimezone(userId);
+    const [year, month, day] = exam.date.split('-').map(Number);
+    const at = (dayOffset, clock) => {
+      const minutes = TimeUtils.parseClock(clock) ?? 0;
+      return TimeUtils.zonedTimeToDate({ year, month, day: day + dayOffset, hour: Math.floor(minutes / 60), minute: minutes % 60 }, zone);
+    };
+
+    // Wish luck at least an hour before an early exam
+    const examMinutes = TimeUtils.parseClock(exam.time);
+    const goodLuckMinutes = Math.min(TimeUtils.parseClock(config.exams.goodLuckTime) ?? 7 * 60, examMinutes === null ? Infinity : Math.max(examMinutes - 60, 0));
+
+    const reminders = [
+      ...config.exams.reminderDays.map(days => ({ stage: 'countdown', days, runAt: at(-days, config.exams.reminderTime) })),
+      { stage: 'good_luck', days: 0, runAt: at(0, TimeUtils.formatClock(goodLuckMinutes)) },
+      { stage: 'follow_up', days: -1, runAt: at(1, config.exams.followUpTime) }
+    ];
+
+    let scheduled = 0;
+    for (const { stage, days, runAt } of reminders) {
+      if (runAt <= now) continue;
+      await jobScheduler.schedule('exams.reminder', { userId, examId: exam.id, date: exam.date, stage, days }, {
+        runAt,
+        dedupeKey: `exam:${userId}:${exam.id}:${stage}:${days}`,
+        replace
+      });
+      scheduled++;
+    }
+    return scheduled;
+  }
+
+  /**
+   * Make sure every upcoming exam has its reminders (exams can also reach memory through other tools)
+   */
+  async syncAllReminders() {
+    if (!config.exams.enabled) return { users: 0 };
+
+    const memories = await memoryManager.readMemories();
+    let users = 0;
+    for (const [userId, memory] of Object.entries(memories)) {
+      if (Object.keys(memory.academicInfo?.examSchedule || {}).length === 0) continue;
+      if (userId.includes('@g.us')) continue; // Group-scoped memories never get private messages
+      for (const exam of await this.getExams(userId)) {
+        await this.scheduleReminders(userId, exam);
+      }
+      users++;
+    }
+    return { users };
+  }
+
+  /**
+   * Queue a reminder when its exam is still in the schedule on the same date
+   */
+  async runReminder({ userId, examId, date, stage, days }) {
+    if (!config.exams.enabled) return { skipped: true };
+
+    const exam = (await this.getExams(userId)).find(item => item.id === examId);
+    if (!exam || exam.date !== date) return { skipped: true };
+
+    const context = { examId, subject: exam.subject, days };
+    switch (stage) {
+      case 'good_luck':
+        return await proactiveGovernor.submit(userId, 'exam_good_luck', context, { key: examId });
+      case 'follow_up':
+        return exam.outcome ? { skipped: true } : await proactiveGovernor.submit(userId, 'exam_follow_up', context, { key: examId });
+      default:
+        return await proactiveGovernor.submit(userId, 'exam_countdown', context, { key: `${examId}:${days}` });
+    }
+  }
+
+  /**
+   * Build the prompt of a countdown, good-luck or follow-up message; null when the exam is gone
+   */
+  async buildReminderPrompt(userId, stage, { examId, days }) {
+    const exam = (await this.getExams(userId)).find(item => item.id === examId);
+    if (!exam || (stage === 'follow_up' && exam.outcome)) return null;
+
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId);
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    const otherExams = (await this.getUpcomingExams(userId)).filter(item => item.id !== examId).slice(0, 3);
+
+    const tasks = {
+      countdown: `Remind them that their ${exam.name} exam is ${days === 1 ? 'tomorrow' : `in ${days} days`} (${exam.date}${exam.time ? ` at ${exam.time}` : ''}).
+${days === 1 ? '- Tell them to rest well tonight and get their things ready' : '- Suggest a realistic revision focus for the time left'}
+- Be encouraging, never add pressure`,
+      good_luck: `Wish them good luck for their ${exam.name} exam today${exam.time ? ` at ${exam.time}` : ''}.
+- Short, warm and calming
+- Remind them to breathe and read questions carefully`,
+      follow_up: `Their ${exam.name} exam was yesterday. Ask how it went.
+- Sound genuinely curious, not like a survey
+- Make it easy to say it went badly`
+    };
+
+    const prompt = `${personaPrompt}
+
+EXAM ${stage.toUpperCase().replace('_', ' ')} MESSAGE:
+
+User Context: ${JSON.stringify({
+      name: memory.personalInfo?.name || 'friend',
+      stream: memory.academicInfo?.stream,
+      weakSubjects: memory.academicInfo?.weakSubjects,
+      currentMood: memory.emotionalProfile?.currentMood,
+      otherUpcomingExams: otherExams.map(item => `${item.subject} on ${item.date}`)
+    }, null, 2)}
+
+As ${personaName}: ${tasks[stage]}
+- Use a natural Sri Lankan Singlish/Sinhala friendly style
+
+Generate ONLY the message text, nothing else.`;
+
+    return { prompt, metadata: { type: `exam_${stage}`, examId, days } };
+  }
+
+  /**
+   * Get exam countdown status
+   */
+  getStatus() {
+    return {
+      enabled: config.exams.enabled,
+      reminderDays: config.exams.reminderDays
+    };
+  }
+}
+
+// Export singleton instance
+export const examCountdownManager = new ExamCountdownManager();
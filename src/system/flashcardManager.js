@@ -0,0 +1,453 @@
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { personaManager } from './personaManager.js';
+import { availabilityManager } from './availabilityManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { proactiveGovernor } from './proactiveGovernor.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { createModuleLogger } from '../utils/logger.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+const logger = createModuleLogger('Flashcards');
+
+const COLLECTION = 'flashcards';
+const PDF_DIR = 'data/pdfs';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SOURCE_CHARS = 30000; // Study guide text sent to the model when making cards from a PDF
+const MAX_HISTORY = 50; // Reviews kept per card
+
+export const FLASHCARD_SOURCES = ['chat', 'topic', 'pdf'];
+
+// Answers that end the review, or give up on a card without grading
+const STOP_ANSWERS = /^(stop|quit|exit|end|done|stop review|නවත්තන්න|ඇති)$/i;
+const SKIP_ANSWERS = /^(skip|pass|idk|i don'?t know|dunno|no idea|\?|දන්නේ නෑ|දන්නෙ නෑ|මතක නෑ)$/i;
+
+/**
+ * SM-2: the next interval, ease and repetition count of a card after an answer graded 0-5.
+ * Answers below 3 start the card over and show it again the next day.
+ */
+export function scheduleReview({ ease = 2.5, interval = 0, repetitions = 0, lapses = 0 }, quality, now = new Date()) {
+  const next = { ease, interval, repetitions, lapses };
+
+  if (quality < 3) {
+    next.repetitions = 0;
+    next.interval = 1;
+    next.lapses = lapses + (repetitions > 0 ? 1 : 0);
+  } else {
+    next.repetitions = repetitions + 1;
+    next.interval = next.repetitions === 1 ? 1 : next.repetitions === 2 ? 6 : Math.round(interval * ease);
+  }
+
+  next.ease = Math.max(1.3, Math.round((ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)) * 100) / 100);
+  next.dueAt = new Date(now.getTime() + next.interval * DAY_MS).toISOString();
+  return next;
+}
+
+/**
+ * Lowercase text without punctuation, for comparing answers and spotting duplicate cards
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Flashcards for A/L revision, made from chat, a topic or a study guide PDF, and scheduled with SM-2.
+ * Each user has one record: their cards with review history, the review in progress and the last daily reminder.
+ */
+export class FlashcardManager {
+  constructor() {
+    this.storage = storage;
+
+    jobScheduler.registerHandler('flashcards.remind', () => this.checkAllReminders());
+    jobScheduler.recurring('flashcards', '0 * * * *', 'flashcards.remind'); // Sent at FLASHCARDS_REMINDER_HOUR local time
+
+    proactiveGovernor.registerKind('flashcard_review', {
+      priority: 20,
+      consentCategory: 'study',
+      ttlHours: 6, // Only that evening
+      buildPrompt: (userId, context) => this.buildReviewPrompt(userId, context),
+      describe: ({ due }) => `Remind them ${due} flashcard${due === 1 ? ' is' : 's are'} due for review (/cards review)`,
+      onSent: (userId, { date }) => this.markReminded(userId, date)
+    });
+  }
+
+  /**
+   * Generate a short card id
+   */
+  generateId() {
+    return (Date.now().toString(36).slice(-3) + Math.random().toString(36).slice(2, 5)).toLowerCase();
+  }
+
+  /**
+   * Get a user's flashcard record
+   */
+  async getRecord(userId) {
+    return await this.storage.get(COLLECTION, userId, null) || { cards: {}, session: null, lastReminderDate: null };
+  }
+
+  /**
+   * Change a user's flashcard record
+   */
+  async updateRecord(userId, updater) {
+    return await this.storage.update(COLLECTION, userId, (current) =>
+      updater(current || { cards: {}, session: null, lastReminderDate: null }));
+  }
+
+  /**
+   * A user's cards, optionally of one deck (case-insensitive)
+   */
+  async getCards(userId, { deck = null } = {}) {
+    const cards = Object.values((await this.getRecord(userId)).cards);
+    return deck ? cards.filter(card => normalize(card.deck) === normalize(deck)) : cards;
+  }
+
+  /**
+   * Cards due for review, the longest overdue first
+   */
+  async getDueCards(userId, { deck = null, now = new Date() } = {}) {
+    return (await this.getCards(userId, { deck }))
+      .filter(card => new Date(card.dueAt) <= now)
+      .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  }
+
+  /**
+   * Card counts per deck
+   */
+  async getDecks(userId, now = new Date()) {
+    const decks = {};
+    for (const card of await this.getCards(userId)) {
+      const deck = decks[card.deck] ||= { deck: card.deck, total: 0, due: 0, learned: 0 };
+      deck.total++;
+      if (new Date(card.dueAt) <= now) deck.due++;
+      if (card.interval >= 21) deck.learned++; // Mature in SM-2 terms
+    }
+    return Object.values(decks).sort((a, b) => b.due - a.due || a.deck.localeCompare(b.deck));
+  }
+
+  /**
+   * Add cards to a deck, skipping ones whose question is already in it
+   */
+  async addCards(userId, cards, { deck = 'General', source = 'chat', sourceRef = null, sourceMessageId = null } = {}) {
+    const deckName = String(deck || 'General').trim().slice(0, 60) || 'General';
+    const now = new Date().toISOString();
+    const added = [];
+
+    await this.updateRecord(userId, (record) => {
+      const existing = new Set(Object.values(record.cards)
+        .filter(card => normalize(card.deck) === normalize(deckName))
+        .map(card => normalize(card.front)));
+
+      for (const { front, back } of cards) {
+        if (!front?.trim() || !back?.trim() || existing.has(normalize(front))) continue;
+        existing.add(normalize(front));
+
+        let id = this.generateId();
+        while (record.cards[id]) id = this.generateId();
+
+        const card = {
+          id,
+          deck: deckName,
+          front: front.trim(),
+          back: back.trim(),
+          source: FLASHCARD_SOURCES.includes(source) ? source : 'chat',
+          sourceRef,
+          sourceMessageId,
+          createdAt: now,
+          ease: 2.5,
+          interval: 0,
+          repetitions: 0,
+          lapses: 0,
+          dueAt: now, // New cards are due straight away
+          history: []
+        };
+        record.cards[card.id] = card;
+        added.push(card);
+      }
+      return record;
+    });
+
+    logger.info(`Added ${added.length} flashcard(s) to ${deckName} for ${userId} (${source})`);
+    return added;
+  }
+
+  /**
+   * Delete a card; returns it, or null when there is no such card
+   */
+  async deleteCard(userId, cardId) {
+    const id = String(cardId || '').replace(/^#/, '');
+    let deleted = null;
+    await this.updateRecord(userId, (record) => {
+      if (!record.cards[id]) return undefined;
+      deleted = record.cards[id];
+      delete record.cards[id];
+      return record;
+    });
+    return deleted;
+  }
+
+  /**
+   * Read the text source stored next to one of the user's generated PDFs
+   */
+  async readPdfSource(userId, filePath) {
+    const pdfPath = path.resolve(filePath);
+    if (path.dirname(pdfPath) !== path.resolve(PDF_DIR) || !path.basename(pdfPath).startsWith(`${userId.split('@')[0]}-`)) {
+      throw new Error('That PDF was not made for you');
+    }
+
+    try {
+      return (await fs.readFile(pdfPath.replace(/\.pdf$/, '.txt'), 'utf-8')).slice(0, MAX_SOURCE_CHARS);
+    } catch {
+      throw new Error('That PDF has no text source to make cards from');
+    }
+  }
+
+  /**
+   * Ask the model for cards on a topic, or from a study guide's text
+   */
+  async generateCards(userId, { topic = null, filePath = null, deck = null, count = 10, sourceMessageId = null }) {
+    if (!topic && !filePath) throw new Error('A topic or a PDF is required');
+
+    const material = filePath ? await this.readPdfSource(userId, filePath) : null;
+    const memory = await memoryManager.getUserMemory(userId);
+    const total = Math.min(Math.max(parseInt(count) || 10, 1), config.flashcards.maxGenerated);
+
+    const prompt = `FLASHCARD GENERATION:
+
+Write ${total} flashcards for a Sri Lankan A/L student${memory.academicInfo?.stream ? ` in the ${memory.academicInfo.stream} stream` : ''}.
+${material ? `Use ONLY this study guide:\n"""\n${material}\n"""` : `Topic: ${topic}`}
+
+- One fact, definition, formula or concept per card
+- Questions must have a short answer that can be checked (a word, number, formula or one sentence)
+- Write the cards in the language of the ${material ? 'study guide' : 'topic'}; keep technical terms as students learn them
+- No duplicates, no trick questions
+
+Respond with ONLY this JSON:
+{"cards": [{"front": "question", "back": "answer"}]}`;
+
+    const response = await geminiClient.generateContent([{ role: 'user', parts: [{ text: prompt }] }], null, null, 1);
+    const jsonMatch = response?.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('Could not generate flashcards');
+
+    const cards = (JSON.parse(jsonMatch[0]).cards || []).slice(0, total);
+    return await this.addCards(userId, cards, {
+      deck: deck || topic || 'Study guide',
+      source: filePath ? 'pdf' : 'topic',
+      sourceRef: filePath || topic,
+      sourceMessageId
+    });
+  }
+
+  /**
+   * The review in progress, or null when there is none or it was left for longer than the session timeout
+   */
+  async getActiveSession(userId, now = new Date()) {
+    const { session } = await this.getRecord(userId);
+    if (!session) return null;
+    return now - new Date(session.lastActivityAt) < config.flashcards.sessionTimeoutMinutes * 60 * 1000 ? session : null;
+  }
+
+  /**
+   * Start reviewing the due cards; returns the first question, or null when nothing is due
+   */
+  async startSession(userId, { deck = null } = {}) {
+    const due = (await this.getDueCards(userId, { deck })).slice(0, config.flashcards.sessionSize);
+    if (due.length === 0) return null;
+
+    const now = new Date().toISOString();
+    await this.updateRecord(userId, (record) => ({
+      ...record,
+      session: { deck, cardIds: due.map(card => card.id), position: 0, correct: 0, startedAt: now, lastActivityAt: now }
+    }));
+    logger.info(`Flashcard review started for ${userId}: ${due.length} card(s)${deck ? ` in ${deck}` : ''}`);
+    return this.getQuestion(userId);
+  }
+
+  /**
+   * The card currently asked in the review, with its position
+   */
+  async getQuestion(userId) {
+    const record = await this.getRecord(userId);
+    const { session } = record;
+    if (!session) return null;
+
+    const card = record.cards[session.cardIds[session.position]];
+    return card ? { card, index: session.position + 1, total: session.cardIds.length } : null;
+  }
+
+  /**
+   * End the review; returns how it went
+   */
+  async endSession(userId) {
+    let summary = null;
+    await this.updateRecord(userId, (record) => {
+      if (!record.session) return undefined;
+      summary = { reviewed: record.session.position, correct: record.session.correct, total: record.session.cardIds.length };
+      return { ...record, session: null };
+    });
+    return summary;
+  }
+
+  /**
+   * Grade an answer 0-5 against the card. Exact answers and "skip" are graded without the model;
+   * when the model is unavailable, word overlap decides.
+   */
+  async gradeAnswer(card, answer) {
+    if (SKIP_ANSWERS.test(answer.trim())) return { quality: 0, feedback: null };
+    if (normalize(answer) === normalize(card.back)) return { quality: 5, feedback: null };
+
+    try {
+      const prompt = `FLASHCARD GRADING:
+
+QUESTION: "${card.front}"
+CORRECT ANSWER: "${card.back}"
+STUDENT'S ANSWER: "${answer}"
+
+Grade the student's answer on the SM-2 scale:
+5 = correct and complete, 4 = correct with small slips (spelling, units), 3 = mostly correct but incomplete,
+2 = wrong but close, 1 = wrong, 0 = no real attempt.
+Accept answers in English, Sinhala or Singlish that mean the same thing.
+
+Respond with ONLY this JSON:
+{"quality": 0, "feedback": "one short, friendly sentence in the student's language saying what was right or missing"}`;
+
+      const response = await geminiClient.generateContent([{ role: 'user', parts: [{ text: prompt }] }], null, null, 1);
+      const result = JSON.parse(response.match(/\{[\s\S]*\}/)[0]);
+      const quality = Math.min(Math.max(Math.round(Number(result.quality)), 0), 5);
+      if (Number.isNaN(quality)) throw new Error(`Invalid grade '${result.quality}'`);
+      return { quality, feedback: result.feedback || null };
+    } catch (error) {
+      logger.debug(`Model grading failed, using word overlap: ${error.message}`);
+      const expected = normalize(card.back).split(' ');
+      const given = new Set(normalize(answer).split(' '));
+      const overlap = expected.filter(word => given.has(word)).length / expected.length;
+      return { quality: overlap >= 0.8 ? 4 : overlap >= 0.5 ? 3 : 1, feedback: null };
+    }
+  }
+
+  /**
+   * Grade the user's answer to the current card, reschedule it and move on.
+   * Returns { stopped, summary } when the user ends the review, otherwise
+   * { card, grade, next, summary } where next is the following question, or null with the summary when done.
+   */
+  async answer(userId, text, { sourceMessageId = null } = {}) {
+    if (STOP_ANSWERS.test(text.trim())) {
+      return { stopped: true, summary: await this.endSession(userId) };
+    }
+
+    const question = await this.getQuestion(userId);
+    if (!question) return { stopped: true, summary: await this.endSession(userId) };
+
+    const grade = await this.gradeAnswer(question.card, text);
+    const now = new Date();
+    const schedule = scheduleReview(question.card, grade.quality, now);
+    let updated = null;
+
+    await this.updateRecord(userId, (record) => {
+      const card = record.cards[question.card.id];
+      if (card) {
+        record.cards[card.id] = updated = {
+          ...card,
+          ...schedule,
+          lastReviewedAt: now.toISOString(),
+          history: [...(card.history || []), {
+            at: now.toISOString(),
+            answer: text.trim().slice(0, 200),
+            quality: grade.quality,
+            interval: schedule.interval,
+            ease: schedule.ease,
+            sourceMessageId
+          }].slice(-MAX_HISTORY)
+        };
+      }
+      if (record.session) {
+        record.session.position++;
+        if (grade.quality >= 3) record.session.correct++;
+        record.session.lastActivityAt = now.toISOString();
+      }
+      return record;
+    });
+
+    const next = await this.getQuestion(userId);
+    const summary = next ? null : await this.endSession(userId);
+    return { card: updated || question.card, grade: { ...grade, correct: grade.quality >= 3 }, next, summary };
+  }
+
+  /**
+   * Hourly: at the configured local hour, remind users with due cards to review them, once a day
+   */
+  async checkAllReminders() {
+    if (!config.flashcards.enabled) return { queued: 0 };
+
+    const records = await this.storage.all(COLLECTION);
+    let queued = 0;
+
+    for (const [userId, record] of Object.entries(records)) {
+      if (userId.includes('@g.us') || Object.keys(record.cards || {}).length === 0) continue;
+
+      const { timezone, hour } = await availabilityManager.getLocalTime(userId);
+      const date = TimeUtils.formatDate(new Date(), timezone, 'iso');
+      if (hour !== config.flashcards.reminderHour || record.lastReminderDate === date) continue;
+      if (await this.getActiveSession(userId)) continue;
+
+      const due = (await this.getDueCards(userId)).length;
+      if (due === 0) continue;
+
+      const result = await proactiveGovernor.submit(userId, 'flashcard_review', { due, date }, { key: date });
+      if (result.queued) queued++;
+    }
+    return { queued };
+  }
+
+  /**
+   * Remember the day's reminder was sent
+   */
+  async markReminded(userId, date) {
+    await this.updateRecord(userId, (record) => ({ ...record, lastReminderDate: date }));
+  }
+
+  /**
+   * Build the daily review reminder; null when the cards were reviewed in the meantime
+   */
+  async buildReviewPrompt(userId, { date }) {
+    const decks = (await this.getDecks(userId)).filter(deck => deck.due > 0);
+    if (decks.length === 0) return null;
+
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId);
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    const due = decks.reduce((sum, deck) => sum + deck.due, 0);
+
+    const prompt = `${personaPrompt}
+
+FLASHCARD REVIEW REMINDER:
+
+User Name: ${memory.personalInfo?.name || 'friend'}
+Cards due today: ${decks.map(deck => `${deck.deck} (${deck.due})`).join(', ')}
+
+As ${personaName}, remind them that ${due} flashcard${due === 1 ? ' is' : 's are'} waiting for review.
+- Tell them to reply /cards review to start, it only takes a few minutes
+- Keep it short and encouraging, like a study buddy
+- Use a natural Sri Lankan Singlish/Sinhala friendly style
+
+Generate ONLY the message text, nothing else.`;
+
+    return { prompt, metadata: { type: 'flashcard_review', date, due } };
+  }
+
+  /**
+   * Get flashcard status
+   */
+  getStatus() {
+    return {
+      enabled: config.flashcards.enabled,
+      reminderHour: config.flashcards.reminderHour,
+      sessionSize: config.flashcards.sessionSize
+    };
+  }
+}
+
+// Export singleton instance
+export const flashcardManager = new FlashcardManager();
@@ -0,0 +1,272 @@
+import { config } from '../config/config.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { personaManager } from './personaManager.js';
+import { availabilityManager } from './availabilityManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { proactiveGovernor } from './proactiveGovernor.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('ImportantDates');
+
+export const DATE_TYPES = ['birthday', 'anniversary', 'other'];
+
+// Only messages that mention a date worth remembering are sent to the extraction model
+const DATE_HINTS = /\b(birthdays?|bday|b'day|anniversar(y|ies)|born|death anniversary|wedding)\b|උපන්දින|උපන්|සංවත්සර|මංගල/i;
+
+/**
+ * Month and day of a date in a given year; Feb 29 falls on Feb 28 in other years
+ */
+function occursOn({ month, day }, year) {
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  return month === 2 && day === 29 && !leap ? { month: 2, day: 28 } : { month, day };
+}
+
+/**
+ * Birthdays and anniversaries of the user and the people in their life, extracted from conversation into
+ * lifeEvents.importantDates. On the day, in the user's timezone, the bot wishes the user or reminds them to wish others.
+ */
+export class ImportantDatesManager {
+  constructor() {
+    jobScheduler.registerHandler('important_dates.check', () => this.checkAllDates());
+    jobScheduler.recurring('important_dates', '0 * * * *', 'important_dates.check'); // Sent at IMPORTANT_DATES_HOUR local time
+
+    proactiveGovernor.registerKind('important_date', {
+      priority: 30,
+      consentCategory: 'celebrations',
+      ttlHours: 12, // Only on the day itself
+      buildPrompt: (userId, context) => this.buildDatePrompt(userId, context),
+      describe: ({ person, label }) => person ? `Remind them it's ${person}'s ${label} today` : `Wish them a happy ${label}`,
+      onSent: (userId, { dateId, year }) => this.markNotified(userId, dateId, year)
+    });
+  }
+
+  /**
+   * A user's important dates with their ids
+   */
+  async getDates(userId) {
+    const memory = await memoryManager.getUserMemory(userId);
+    return Object.entries(memory.lifeEvents?.importantDates || {})
+      .map(([id, entry]) => ({ ...entry, id }))
+      .filter(entry => Number.isInteger(entry.month) && Number.isInteger(entry.day));
+  }
+
+  /**
+   * Names of the people the user has told us about, with how they relate to the user
+   */
+  getKnownPeople(memory) {
+    return Object.entries(memory.relationships || {}).flatMap(([group, people]) =>
+      Object.entries(people || {}).map(([key, person]) => `${person?.name || key} (${person?.relationship || group})`));
+  }
+
+  /**
+   * Build the extraction prompt
+   */
+  buildExtractionPrompt(text, { today, dates, people }) {
+    const describe = (entry) => `- ${entry.id}: ${entry.person ? `${entry.person}'s ` : 'user\'s own '}${entry.label} on ${entry.month}/${entry.day}${entry.year ? `/${entry.year}` : ''}`;
+
+    return `IMPORTANT DATE EXTRACTION:
+
+Today is ${today}. Read this WhatsApp message from a Sri Lankan student. It may be in English, Sinhala script or Singlish.
+
+MESSAGE: "${text}"
+
+KNOWN DATES:
+${dates.map(describe).join('\n') || 'None'}
+
+PEOPLE THE USER HAS MENTIONED BEFORE:
+${people.join(', ') || 'None'}
+
+List birthdays, anniversaries and other yearly dates that the message gives a day and month for, either of the user or of someone they know.
+Resolve relative dates ("tomorrow is amma's birthday") from today. Use the names above when the message refers to the same person.
+Skip dates that are already known.
+
+Respond with ONLY this JSON:
+{
+  "dates": [{
+    "type": "birthday|anniversary|other",
+    "label": "birthday | wedding anniversary | ...",
+    "person": "name, or null when it is the user's own date",
+    "relationship": "friend | mother | father | sister | ... | null",
+    "month": 1,
+    "day": 31,
+    "year": "number when the year is mentioned, else null"
+  }]
+}`;
+  }
+
+  /**
+   * Extract important dates from a user's message and save them; runs in the background
+   */
+  async processMessage(userId, text, sourceMessageId = null) {
+    if (!config.importantDates.enabled || !text?.trim() || !DATE_HINTS.test(text)) return null;
+
+    try {
+      const memory = await memoryManager.getUserMemory(userId);
+      const timezone = await availabilityManager.getTimezone(userId);
+      const prompt = this.buildExtractionPrompt(text, {
+        today: TimeUtils.formatDate(new Date(), timezone, 'long'),
+        dates: await this.getDates(userId),
+        people: this.getKnownPeople(memory)
+      });
+
+      const response = await geminiClient.generateContent([{ role: 'user', parts: [{ text: prompt }] }], null, null, 1);
+      const jsonMatch = response?.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) return null;
+
+      return await this.saveDates(userId, JSON.parse(jsonMatch[0]).dates || [], { sourceMessageId });
+    } catch (error) {
+      logger.debug(`Important date extraction failed for ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Validate extracted dates and store them in the memory profile
+   */
+  async saveDates(userId, dates, { sourceMessageId = null } = {}) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const importantDates = { ...(memory.lifeEvents?.importantDates || {}) };
+    const added = [];
+
+    for (const entry of dates) {
+      const month = parseInt(entry.month);
+      const day = parseInt(entry.day);
+      const year = parseInt(entry.year) || null;
+      // Any leap year accepts every valid month/day, Feb 29 included
+      const check = new Date(Date.UTC(2024, month - 1, day));
+      if (!(month >= 1 && month <= 12) || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) continue;
+
+      const type = DATE_TYPES.includes(entry.type) ? entry.type : 'other';
+      const person = entry.person ? String(entry.person).trim() : null;
+      const label = String(entry.label || type).trim().toLowerCase();
+      const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const id = `${slug(label) || type}-${person ? slug(person) || 'someone' : 'self'}`;
+
+      importantDates[id] = {
+        type,
+        label,
+        person,
+        relationship: person ? (entry.relationship || null) : null,
+        month,
+        day,
+        year,
+        addedAt: importantDates[id]?.addedAt || new Date().toISOString(),
+        lastNotifiedYear: importantDates[id]?.lastNotifiedYear || null
+      };
+      added.push({ ...importantDates[id], id });
+    }
+
+    if (added.length === 0) return { added };
+
+    await memoryManager.updateMemory(userId, 'lifeEvents', { importantDates }, true, {
+      actor: 'important_date_extraction',
+      reason: `Important dates: ${added.map(entry => `${entry.person || 'own'} ${entry.label} ${entry.month}/${entry.day}`).join(', ')}`,
+      sourceMessageId
+    });
+    logger.info(`Saved ${added.length} important date(s) for ${userId}`);
+    return { added };
+  }
+
+  /**
+   * Dates that fall on the user's local today and were not marked yet this year
+   */
+  async getDatesToday(userId, now = new Date()) {
+    const { year, month, day } = await availabilityManager.getLocalTime(userId, now);
+    return (await this.getDates(userId)).filter(entry => {
+      const date = occursOn(entry, year);
+      return date.month === month && date.day === day && entry.lastNotifiedYear !== year;
+    });
+  }
+
+  /**
+   * Hourly: at the configured local hour, wish users on their own dates and remind them of other people's
+   */
+  async checkAllDates() {
+    if (!config.importantDates.enabled) return { queued: 0 };
+
+    const memories = await memoryManager.readMemories();
+    let queued = 0;
+
+    for (const [userId, memory] of Object.entries(memories)) {
+      if (Object.keys(memory.lifeEvents?.importantDates || {}).length === 0) continue;
+      if (userId.includes('@g.us')) continue; // Group-scoped memories never get private messages
+
+      const { year, hour } = await availabilityManager.getLocalTime(userId);
+      if (hour !== config.importantDates.hour) continue;
+
+      for (const entry of await this.getDatesToday(userId)) {
+        if (entry.person && !config.importantDates.remindOthers) continue;
+
+        const context = { dateId: entry.id, person: entry.person, label: entry.label, year };
+        const result = await proactiveGovernor.submit(userId, 'important_date', context, { key: `${entry.id}:${year}` });
+        if (result.queued) queued++;
+      }
+    }
+    return { queued };
+  }
+
+  /**
+   * Remember that a date was sent this year, so a restart within the hour doesn't repeat it
+   */
+  async markNotified(userId, dateId, year) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const importantDates = memory.lifeEvents?.importantDates || {};
+    if (!importantDates[dateId]) return;
+
+    await memoryManager.updateMemory(userId, 'lifeEvents', {
+      importantDates: { ...importantDates, [dateId]: { ...importantDates[dateId], lastNotifiedYear: year } }
+    }, true, { actor: 'important_dates', reason: `${dateId} marked for ${year}` });
+  }
+
+  /**
+   * Build the prompt wishing the user, or reminding them to wish someone; null when the date is gone
+   */
+  async buildDatePrompt(userId, { dateId, year }) {
+    const entry = (await this.getDates(userId)).find(item => item.id === dateId);
+    if (!entry) return null;
+
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId, { userMood: 'happy' });
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    const years = entry.year ? year - entry.year : null;
+
+    const task = entry.person ?
+      `Today is ${entry.person}'s ${entry.label}${entry.relationship ? ` (their ${entry.relationship})` : ''}${years ? ` - ${years} years` : ''}.
+Remind the user so they don't forget to wish ${entry.person}.
+- Suggest one small, personal way to wish them
+- Keep it light, this is a friendly nudge` :
+      `Today is the user's own ${entry.label}${years ? ` (${entry.type === 'birthday' ? `turning ${years}` : `${years} years`})` : ''}.
+Wish them warmly, like a best friend who remembered.
+- Show genuine excitement
+- Include appropriate celebratory emojis`;
+
+    const prompt = `${personaPrompt}
+
+IMPORTANT DATE MESSAGE:
+
+User Name: ${memory.personalInfo?.name || 'friend'}
+
+As ${personaName}: ${task}
+- Use a natural Sri Lankan Singlish/Sinhala friendly style
+
+Generate ONLY the message text, nothing else.`;
+
+    return { prompt, metadata: { type: 'important_date', dateId, person: entry.person, label: entry.label } };
+  }
+
+  /**
+   * Get important dates status
+   */
+  getStatus() {
+    return {
+      enabled: config.importantDates.enabled,
+      hour: config.importantDates.hour,
+      remindOthers: config.importantDates.remindOthers
+    };
+  }
+}
+
+// Export singleton instance
+export const importantDatesManager = new ImportantDatesManager();
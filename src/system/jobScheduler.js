@@ -0,0 +1,366 @@
+import cron from 'node-cron';
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('JobScheduler');
+
+const COLLECTION = 'scheduled_jobs';
+const MAX_TIMER_MS = 60 * 60 * 1000; // Re-check at least hourly; also keeps below the setTimeout limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+/**
+ * Persistent job scheduler. One-off jobs are stored through the storage adapter and
+ * survive restarts; recurring jobs are cron schedules that enqueue a stored job on every tick.
+ * Jobs run one at a time, are deduplicated by key, and failed jobs are retried with backoff.
+ */
+export class JobScheduler {
+  constructor() {
+    this.storage = storage;
+    this.handlers = new Map(); // job type -> async (payload, job) => result
+    this.recurringJobs = new Map(); // name -> { cronExpression, type, payload, task }
+    this.pending = new Map(); // job id -> job, for every pending job
+    this.timer = null;
+    this.processing = false;
+    this.started = false;
+    this.loaded = null;
+  }
+
+  /**
+   * Generate a job id
+   */
+  generateId() {
+    return (Date.now().toString(36).slice(-5) + Math.random().toString(36).slice(2, 5)).toLowerCase();
+  }
+
+  /**
+   * Register the function that runs jobs of a type. It should throw to have the job retried.
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Register a recurring job: every cron tick enqueues one job of the given type
+   */
+  recurring(name, cronExpression, type, payload = {}) {
+    this.recurringJobs.set(name, { cronExpression, type, payload, task: null });
+    if (this.started) this.startRecurring(name);
+  }
+
+  /**
+   * Start the cron task of a recurring job
+   */
+  startRecurring(name) {
+    const entry = this.recurringJobs.get(name);
+    if (entry.task) return;
+
+    const options = config.scheduler.timezone ? { timezone: config.scheduler.timezone } : {};
+    entry.task = cron.schedule(entry.cronExpression, async () => {
+      const slot = new Date().toISOString().slice(0, 16);
+      await this.schedule(entry.type, entry.payload, { dedupeKey: `${name}@${slot}`, recurring: name });
+    }, options);
+  }
+
+  /**
+   * Load the pending jobs once; jobs left running by a stopped process are run again
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const jobs = Object.values(await this.storage.all(COLLECTION));
+        for (const job of jobs) {
+          if (job.status === 'running') {
+            job.status = 'pending';
+            await this.storage.set(COLLECTION, job.id, job);
+            logger.info(`Resuming interrupted job ${job.id} (${job.type})`);
+          }
+          if (job.status === 'pending') this.pending.set(job.id, job);
+        }
+      })();
+    }
+    return await this.loaded;
+  }
+
+  /**
+   * Load stored jobs, start the recurring schedules and run anything that is due
+   */
+  async start() {
+    if (this.started) return;
+    await this.ensureLoaded();
+    this.started = true;
+
+    this.registerHandler('scheduler.prune', () => this.pruneJobs());
+    this.recurringJobs.set('scheduler.prune', { cronExpression: '30 3 * * *', type: 'scheduler.prune', payload: {}, task: null });
+    for (const name of this.recurringJobs.keys()) {
+      this.startRecurring(name);
+    }
+
+    logger.info(`Scheduler started: ${this.pending.size} pending job(s), ${this.recurringJobs.size} recurring`);
+    this.armTimer();
+  }
+
+  /**
+   * Stop all timers and cron tasks
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const entry of this.recurringJobs.values()) {
+      entry.task?.stop();
+      entry.task = null;
+    }
+    this.started = false;
+  }
+
+  /**
+   * Schedule a one-off job. With a dedupeKey, an existing pending job with the same key
+   * is returned instead (or moved to the new time and payload when replace is true).
+   */
+  async schedule(type, payload = {}, { runAt = null, delayMs = 0, dedupeKey = null, replace = false, maxAttempts = config.scheduler.maxAttempts, recurring = null } = {}) {
+    await this.ensureLoaded();
+    const when = runAt ? new Date(runAt) : new Date(Date.now() + delayMs);
+
+    if (dedupeKey) {
+      const existing = [...this.pending.values()].find(job => job.dedupeKey === dedupeKey);
+      if (existing && !replace) return existing;
+      if (existing) {
+        const updated = await this.updateJob(existing.id, (job) => {
+          job.payload = payload;
+          job.runAt = when.toISOString();
+        });
+        this.armTimer();
+        return updated;
+      }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: this.generateId(),
+      type,
+      payload,
+      runAt: when.toISOString(),
+      status: 'pending',
+      attempts: 0,
+      maxAttempts,
+      dedupeKey,
+      recurring,
+      lastError: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    await this.storage.set(COLLECTION, job.id, job);
+    this.pending.set(job.id, job);
+    logger.debug(`Scheduled ${type} job ${job.id} for ${job.runAt}`);
+    this.armTimer();
+    return job;
+  }
+
+  /**
+   * Atomically change a stored job and keep the pending index in sync
+   */
+  async updateJob(jobId, updater) {
+    const job = await this.storage.update(COLLECTION, jobId, (current) => {
+      if (!current) return undefined;
+      if (updater(current) === false) return undefined;
+      current.updatedAt = new Date().toISOString();
+      return current;
+    });
+
+    if (job?.status === 'pending') {
+      this.pending.set(job.id, job);
+    } else {
+      this.pending.delete(jobId);
+    }
+    return job;
+  }
+
+  /**
+   * Set the timer for the earliest pending job
+   */
+  armTimer() {
+    if (!this.started) return;
+    clearTimeout(this.timer);
+
+    const next = Math.min(...[...this.pending.values()].map(job => new Date(job.runAt).getTime()));
+    if (!Number.isFinite(next)) return;
+
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_MS);
+    this.timer = setTimeout(() => this.runDueJobs(), delay);
+  }
+
+  /**
+   * Run every due job, one at a time
+   */
+  async runDueJobs() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let due;
+      while ((due = [...this.pending.values()]
+        .filter(job => new Date(job.runAt).getTime() <= Date.now())
+        .sort((a, b) => a.runAt.localeCompare(b.runAt))[0])) {
+        await this.runJob(due.id);
+      }
+    } catch (error) {
+      logger.error('Error running scheduled jobs:', error);
+    } finally {
+      this.processing = false;
+      this.armTimer();
+    }
+  }
+
+  /**
+   * Run a job now, retrying it later if the handler fails
+   */
+  async runJob(jobId) {
+    const job = await this.updateJob(jobId, (current) => {
+      if (current.status !== 'pending') return false;
+      current.status = 'running';
+      current.attempts++;
+    });
+    if (!job || job.status !== 'running') return null;
+
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) throw new Error(`No handler for job type '${job.type}'`);
+      const result = await handler(job.payload, job);
+
+      return await this.updateJob(jobId, (current) => {
+        current.status = 'completed';
+        current.result = result ?? null;
+        current.finishedAt = new Date().toISOString();
+      });
+    } catch (error) {
+      const retry = handler && job.attempts < job.maxAttempts;
+      logger.warn(`Job ${job.id} (${job.type}) failed, attempt ${job.attempts}/${job.maxAttempts}: ${error.message}`);
+
+      return await this.updateJob(jobId, (current) => {
+        current.lastError = error.message;
+        if (retry) {
+          current.status = 'pending';
+          current.runAt = new Date(Date.now() + config.scheduler.retryDelayMs * Math.pow(2, job.attempts - 1)).toISOString();
+        } else {
+          current.status = 'failed';
+          current.finishedAt = new Date().toISOString();
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancel a pending job
+   */
+  async cancel(jobId) {
+    const job = await this.updateJob(jobId, (current) => {
+      if (current.status !== 'pending') return false;
+      current.status = 'cancelled';
+      current.finishedAt = new Date().toISOString();
+    });
+    if (job) this.armTimer();
+    return job?.status === 'cancelled' ? job : null;
+  }
+
+  /**
+   * Cancel every pending job that matches a filter (see listJobs)
+   */
+  async cancelWhere(filter) {
+    const jobs = [...this.pending.values()].filter(job => this.matchesFilter(job, filter));
+    const cancelled = [];
+    for (const job of jobs) {
+      if (await this.cancel(job.id)) cancelled.push(job.id);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Put a failed or cancelled job back in the queue
+   */
+  async retry(jobId) {
+    const job = await this.updateJob(jobId, (current) => {
+      if (!['failed', 'cancelled'].includes(current.status)) return false;
+      current.status = 'pending';
+      current.attempts = 0;
+      current.runAt = new Date().toISOString();
+      current.finishedAt = null;
+    });
+    this.armTimer();
+    return job?.status === 'pending' ? job : null;
+  }
+
+  /**
+   * Whether a job matches { status, type, userId, dedupeKey }
+   */
+  matchesFilter(job, { status = null, type = null, userId = null, dedupeKey = null } = {}) {
+    return (!status || [].concat(status).includes(job.status)) &&
+      (!type || job.type === type) &&
+      (!userId || job.payload?.userId === userId) &&
+      (!dedupeKey || job.dedupeKey === dedupeKey);
+  }
+
+  /**
+   * List stored jobs by run time, soonest first
+   */
+  async listJobs(filter = {}) {
+    const jobs = Object.values(await this.storage.all(COLLECTION));
+    return jobs
+      .filter(job => this.matchesFilter(job, filter))
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+  }
+
+  /**
+   * Get a job by id
+   */
+  async getJob(jobId) {
+    return await this.storage.get(COLLECTION, jobId);
+  }
+
+  /**
+   * Delete finished jobs older than the retention period
+   */
+  async pruneJobs() {
+    const cutoff = Date.now() - config.scheduler.retentionDays * DAY_MS;
+    const finished = await this.listJobs({ status: ['completed', 'failed', 'cancelled'] });
+    let removed = 0;
+
+    for (const job of finished) {
+      if (new Date(job.finishedAt || job.updatedAt).getTime() < cutoff) {
+        await this.storage.delete(COLLECTION, job.id);
+        removed++;
+      }
+    }
+    return { removed };
+  }
+
+  /**
+   * Format a job for admins
+   */
+  formatJob(job) {
+    const target = job.payload?.userId ? ` – +${job.payload.userId.split('@')[0]}` : '';
+    let text = `${job.id} [${job.status}] ${job.type}${target}\n  run at ${job.runAt.slice(0, 16).replace('T', ' ')}, attempts ${job.attempts}/${job.maxAttempts}`;
+    if (job.lastError) text += `\n  last error: ${job.lastError}`;
+    return text;
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      started: this.started,
+      pendingJobs: this.pending.size,
+      recurringJobs: [...this.recurringJobs.entries()].map(([name, entry]) => ({ name, schedule: entry.cronExpression, type: entry.type })),
+      handlers: [...this.handlers.keys()]
+    };
+  }
+}
+
+// Export singleton instance
+export const jobScheduler = new JobScheduler();
@@ -1,13 +1,23 @@
 import { config } from '../config/config.js';
 import { createModuleLogger } from '../utils/logger.js';
 import { memoryManager } from '../database/memoryManager.js';
+import { relationshipStore } from '../database/relationshipStore.js';
+import { personaRegistry } from './personaRegistry.js';
+import { signalClassifier } from './signalClassifier.js';
 
 const logger = createModuleLogger('PersonaManager');
 
+// Classifier signal -> relationship opportunity at full confidence
+const OPPORTUNITY_TYPES = {
+  personal_share: { type: 'personal_share', intensity: 1, reason: 'User is sharing personal information' },
+  emotional_support: { type: 'emotional_support', intensity: 1.2, reason: 'User expressing emotions' },
+  crisis: { type: 'crisis_support', intensity: 2, reason: 'User in emotional crisis' },
+  celebration: { type: 'celebration', intensity: 1.5, reason: 'User sharing achievement' },
+  academic_help: { type: 'academic_help', intensity: 1, reason: 'User asking for study help' }
+};
+
 export class PersonaManager {
   constructor() {
-    this.relationshipLevels = new Map(); // Track relationship depth with each user
-    this.personalityState = new Map(); // Dynamic personality state per user
     this.initializePersonaSystem();
   }
 
@@ -45,16 +55,36 @@ export class PersonaManager {
   }
 
   /**
-   * Get relationship level with user (0-5 scale)
+   * Get relationship level with user (0-5 scale), with inactivity decay applied
    */
   async getRelationshipLevel(userId) {
-    if (!this.relationshipLevels.has(userId)) {
-      // Calculate initial relationship level based on conversation history
-      const initialLevel = await this.calculateInitialRelationshipLevel(userId);
-      this.relationshipLevels.set(userId, initialLevel);
+    const level = await relationshipStore.getLevel(userId);
+    if (level !== null) return level;
+
+    // First contact since levels were persisted: estimate from what we already know
+    const initialLevel = await this.calculateInitialRelationshipLevel(userId);
+    return await relationshipStore.initialize(userId, initialLevel);
+  }
+
+  /**
+   * Record a message from the user, applying long_absence when they come back after a long time
+   */
+  async recordUserInteraction(userId) {
+    await this.getRelationshipLevel(userId);
+    const previous = await relationshipStore.markInteraction(userId);
+    if (!previous) return;
+
+    const absenceDays = (Date.now() - new Date(previous).getTime()) / (24 * 60 * 60 * 1000);
+    if (absenceDays >= config.persona.long_absence_days) {
+      await this.updateRelationshipLevel(userId, 'long_absence', 1, `Back after ${Math.floor(absenceDays)} days away`);
     }
-    
-    return this.relationshipLevels.get(userId);
+  }
+
+  /**
+   * Get the timeline of relationship level changes and their triggers, newest first
+   */
+  async getRelationshipTimeline(userId, limit = 20) {
+    return await relationshipStore.getTimeline(userId, limit);
   }
 
   /**
@@ -100,8 +130,8 @@ export class PersonaManager {
   /**
    * Update relationship level based on interaction
    */
-  async updateRelationshipLevel(userId, interactionType, intensity = 1) {
-    const currentLevel = await this.getRelationshipLevel(userId);
+  async updateRelationshipLevel(userId, interactionType, intensity = 1, reason = null) {
+    await this.getRelationshipLevel(userId);
     let increment = 0;
 
     switch (interactionType) {
@@ -130,11 +160,7 @@ export class PersonaManager {
         increment = 0.05 * intensity;
     }
 
-    const newLevel = Math.min(Math.max(currentLevel + increment, 0), 5);
-    this.relationshipLevels.set(userId, newLevel);
-    
-    logger.debug(`Relationship level updated for ${userId}: ${currentLevel.toFixed(2)} → ${newLevel.toFixed(2)} (${interactionType})`);
-    return newLevel;
+    return await relationshipStore.changeLevel(userId, increment, { trigger: interactionType, reason });
   }
 
   /**
@@ -144,7 +170,8 @@ export class PersonaManager {
     const relationshipLevel = await this.getRelationshipLevel(userId);
     const memory = await memoryManager.getUserMemory(userId);
     
-    const basePersonality = config.persona.personality_traits;
+    const persona = await this.getChatPersona(context.chatId || userId, context.persona);
+    const basePersonality = persona.personality_traits;
     const dynamicTraits = [...basePersonality];
 
     // Relationship-based personality adaptation
@@ -199,28 +226,43 @@ export class PersonaManager {
   }
 
   /**
-   * Generate persona-appropriate system prompt
+   * Get the persona a chat uses (see personaRegistry), with an optional partial override on top
+   */
+  async getChatPersona(chatId, override = null) {
+    const persona = await personaRegistry.getPersonaForChat(chatId);
+    return { ...persona, ...(override || {}) };
+  }
+
+  /**
+   * Generate persona-appropriate system prompt.
+   * context.chatId selects the persona (defaults to userId); context.persona is a partial override such as a group's.
    */
   async generatePersonaPrompt(userId, context = {}) {
     const dynamicPersonality = await this.getDynamicPersonality(userId, context);
     const memory = await memoryManager.getUserMemory(userId);
+    const persona = await this.getChatPersona(context.chatId || userId, context.persona);
     
-    let prompt = `PERSONA SYSTEM - You are ${config.persona.name}:\n\n`;
+    let prompt = `PERSONA SYSTEM - You are ${persona.name}:\n\n`;
     
     // Core Identity
     prompt += `CORE IDENTITY:\n`;
-    prompt += `- Name: ${config.persona.name}\n`;
-    prompt += `- Age: ${config.persona.age} years old\n`;
-    prompt += `- Education: ${config.persona.education.level}`;
-    if (config.persona.education.school) prompt += ` at ${config.persona.education.school}`;
-    if (config.persona.education.subjects?.length > 0) {
-      prompt += `\n- Subjects: ${config.persona.education.subjects.join(', ')}`;
+    prompt += `- Name: ${persona.name}\n`;
+    if (persona.age) prompt += `- Age: ${persona.age} years old\n`;
+    if (persona.education?.level) {
+      prompt += `- Education: ${persona.education.level}`;
+      if (persona.education.school) prompt += ` at ${persona.education.school}`;
+      prompt += `\n`;
+    }
+    if (persona.education?.subjects?.length > 0) {
+      prompt += `- Subjects: ${persona.education.subjects.join(', ')}\n`;
+    }
+    if (persona.location?.city) {
+      prompt += `- Location: ${[persona.location.city, persona.location.country].filter(Boolean).join(', ')}\n`;
     }
-    prompt += `\n- Location: ${config.persona.location.city}, ${config.persona.location.country}\n`;
     
     // Personality
     prompt += `\nCORE PERSONALITY:\n`;
-    config.persona.personality_traits.forEach(trait => {
+    persona.personality_traits.forEach(trait => {
       prompt += `- ${trait}\n`;
     });
     
@@ -241,26 +283,26 @@ export class PersonaManager {
     }
 
     // Background & Interests
-    if (config.persona.background) {
-      prompt += `\nBACKGROUND:\n${config.persona.background}\n`;
+    if (persona.background) {
+      prompt += `\nBACKGROUND:\n${persona.background}\n`;
     }
     
-    if (config.persona.interests?.length > 0) {
-      prompt += `\nINTERESTS: ${config.persona.interests.join(', ')}\n`;
+    if (persona.interests?.length > 0) {
+      prompt += `\nINTERESTS: ${persona.interests.join(', ')}\n`;
     }
 
     // Communication rules
     prompt += `\nCOMMUNICATION RULES:\n`;
-    if (config.persona.communication_style?.length > 0) {
-      config.persona.communication_style.forEach(rule => {
+    if (persona.communication_style?.length > 0) {
+      persona.communication_style.forEach(rule => {
         prompt += `- ${rule}\n`;
       });
     }
     
     // Special behavioral rules
-    if (config.persona.special_rules?.length > 0) {
+    if (persona.special_rules?.length > 0) {
       prompt += `\nSPECIAL RULES:\n`;
-      config.persona.special_rules.forEach(rule => {
+      persona.special_rules.forEach(rule => {
         prompt += `- ${rule}\n`;
       });
     }
@@ -277,57 +319,41 @@ export class PersonaManager {
       }
     }
 
+    // Group chat context
+    if (context.group) {
+      prompt += `\nGROUP CHAT CONTEXT:\n`;
+      prompt += `- You're in the WhatsApp group "${context.group.name}" with several people\n`;
+      prompt += `- Messages are prefixed with the sender's name, e.g. [Kasun]: ...\n`;
+      prompt += `- You were called by ${context.group.participantName}; reply to them, keep it short and group-appropriate\n`;
+      prompt += `- Never reveal private details from one-on-one chats in the group\n`;
+    }
+
     return prompt;
   }
 
   /**
-   * Analyze message for relationship building opportunities
+   * Analyze message for relationship building opportunities.
+   * Pass already-detected signals to avoid classifying the message twice.
    */
-  async analyzeRelationshipOpportunities(userId, userMessage) {
-    const opportunities = [];
-    const currentLevel = await this.getRelationshipLevel(userId);
-    
-    // Check for personal sharing
-    const personalKeywords = ['my', 'i feel', 'i think', 'my family', 'my crush', 'my friend'];
-    if (personalKeywords.some(keyword => userMessage.toLowerCase().includes(keyword))) {
-      opportunities.push({
-        type: 'personal_share',
-        intensity: 1,
-        reason: 'User is sharing personal information'
-      });
-    }
-
-    // Check for emotional content
-    const emotionalKeywords = ['sad', 'happy', 'stressed', 'excited', 'worried', 'scared', 'love'];
-    if (emotionalKeywords.some(keyword => userMessage.toLowerCase().includes(keyword))) {
-      opportunities.push({
-        type: 'emotional_support',
-        intensity: 1.2,
-        reason: 'User expressing emotions'
-      });
-    }
-
-    // Check for crisis/serious content
-    const crisisKeywords = ['depressed', 'want to die', 'hate myself', 'give up', 'can\'t handle'];
-    if (crisisKeywords.some(keyword => userMessage.toLowerCase().includes(keyword))) {
-      opportunities.push({
-        type: 'crisis_support',
-        intensity: 2,
-        reason: 'User in emotional crisis'
-      });
-    }
+  async analyzeRelationshipOpportunities(userId, userMessage, signals = null) {
+    const detected = signals || (await signalClassifier.detectSignals(userMessage)).signals;
+    return this.opportunitiesFromSignals(detected);
+  }
 
-    // Check for achievements/celebrations
-    const celebrationKeywords = ['passed', 'got good marks', 'achieved', 'won', 'succeeded'];
-    if (celebrationKeywords.some(keyword => userMessage.toLowerCase().includes(keyword))) {
-      opportunities.push({
-        type: 'celebration',
-        intensity: 1.5,
-        reason: 'User sharing achievement'
+  /**
+   * Turn classifier signals into relationship opportunities, scaling intensity by confidence
+   */
+  opportunitiesFromSignals(signals) {
+    return signals
+      .filter(signal => OPPORTUNITY_TYPES[signal.type])
+      .map(signal => {
+        const { type, intensity, reason } = OPPORTUNITY_TYPES[signal.type];
+        return {
+          type,
+          intensity: Math.round(intensity * signal.confidence * 100) / 100,
+          reason: signal.reason ? `${reason} (${signal.reason})` : reason
+        };
       });
-    }
-
-    return opportunities;
   }
 
   /**
@@ -335,7 +361,7 @@ export class PersonaManager {
    */
   async processRelationshipOpportunities(userId, opportunities) {
     for (const opportunity of opportunities) {
-      await this.updateRelationshipLevel(userId, opportunity.type, opportunity.intensity);
+      await this.updateRelationshipLevel(userId, opportunity.type, opportunity.intensity, opportunity.reason);
     }
   }
 
@@ -345,18 +371,21 @@ export class PersonaManager {
   async getPersonaStatus(userId) {
     const relationshipLevel = await this.getRelationshipLevel(userId);
     const dynamicPersonality = await this.getDynamicPersonality(userId);
+    const persona = await this.getChatPersona(userId);
     
     return {
-      name: config.persona.name,
-      age: config.persona.age,
+      id: persona.id,
+      name: persona.name,
+      age: persona.age,
       relationship: {
         level: relationshipLevel,
         stage: dynamicPersonality.adaptationReason,
-        traits: dynamicPersonality.traits
+        traits: dynamicPersonality.traits,
+        timeline: await this.getRelationshipTimeline(userId, 10)
       },
-      core_personality: config.persona.personality_traits,
-      location: config.persona.location,
-      education: config.persona.education
+      core_personality: persona.personality_traits,
+      location: persona.location,
+      education: persona.education
     };
   }
 }
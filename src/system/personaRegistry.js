@@ -0,0 +1,241 @@
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { config } from '../config/config.js';
+import { validateValue } from '../utils/schemaValidator.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('PersonaRegistry');
+
+// Persona built from the PERSONA_* environment variables
+export const ENV_PERSONA_ID = 'default';
+
+const ASSIGNMENTS_FILE = /^assignments\.(ya?ml|json)$/;
+const PERSONA_FILE = /\.(ya?ml|json)$/;
+const RELOAD_DELAY_MS = 300;
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+export const PERSONA_SCHEMA = {
+  type: 'object',
+  required: ['name', 'personality_traits'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string' },
+    age: { type: 'integer' },
+    gender: { type: 'string' },
+    education: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { level: { type: 'string' }, school: { type: 'string' }, subjects: stringList }
+    },
+    location: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { city: { type: 'string' }, country: { type: 'string' }, region: { type: 'string' } }
+    },
+    personality_traits: stringList,
+    background: { type: 'string' },
+    interests: stringList,
+    communication_style: stringList,
+    special_rules: stringList
+  }
+};
+
+const ASSIGNMENTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    default: { type: 'string' },
+    chats: { type: 'object' }
+  }
+};
+
+export class PersonaRegistry {
+  constructor(dir = path.resolve(config.paths.projectRoot, config.personas.dir)) {
+    this.dir = dir;
+    this.personas = new Map(); // persona id -> persona
+    this.assignments = { default: null, chats: {} };
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.loaded = null;
+  }
+
+  /**
+   * Load personas once; later calls wait for the same load
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this.load().then(() => {
+        if (config.personas.hotReload) this.startWatching();
+      });
+    }
+    return await this.loaded;
+  }
+
+  /**
+   * Parse a YAML or JSON file
+   */
+  async readFile(filePath) {
+    const text = await fs.readFile(filePath, 'utf8');
+    return filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  }
+
+  /**
+   * Fill optional persona fields so prompt building never meets undefined lists
+   */
+  normalizePersona(id, data) {
+    return {
+      id,
+      gender: null,
+      age: null,
+      background: '',
+      interests: [],
+      communication_style: [],
+      special_rules: [],
+      ...data,
+      education: { level: '', subjects: [], ...(data.education || {}) },
+      location: { city: '', country: '', ...(data.location || {}) }
+    };
+  }
+
+  /**
+   * (Re)load every persona file and the assignment table.
+   * A file that fails validation keeps its previously loaded version.
+   */
+  async load() {
+    const personas = new Map([[ENV_PERSONA_ID, { id: ENV_PERSONA_ID, ...config.persona }]]);
+    let files = [];
+    let hasAssignments = false;
+
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error(`Failed to read personas directory ${this.dir}:`, error);
+    }
+
+    for (const file of files.sort()) {
+      if (!PERSONA_FILE.test(file) || file.includes('.example.')) continue;
+      const filePath = path.join(this.dir, file);
+
+      if (ASSIGNMENTS_FILE.test(file)) {
+        hasAssignments = true;
+        await this.loadAssignments(filePath);
+        continue;
+      }
+
+      const id = path.basename(file, path.extname(file)).toLowerCase();
+      try {
+        const data = await this.readFile(filePath);
+        const errors = validateValue(data, PERSONA_SCHEMA, id);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        personas.set(id, this.normalizePersona(id, data));
+      } catch (error) {
+        logger.error(`Invalid persona file ${file}: ${error.message}`);
+        if (this.personas.has(id)) personas.set(id, this.personas.get(id));
+      }
+    }
+
+    if (!hasAssignments) {
+      this.assignments = { default: null, chats: {} };
+    }
+
+    this.personas = personas;
+    logger.info(`Loaded ${personas.size} persona(s): ${[...personas.keys()].join(', ')}`);
+
+    const assignedIds = [config.personas.defaultPersona, this.assignments.default, ...Object.values(this.assignments.chats)];
+    for (const id of new Set(assignedIds.filter(Boolean))) {
+      if (!personas.has(id)) logger.warn(`Persona '${id}' is assigned but not loaded; those chats use the default persona`);
+    }
+  }
+
+  /**
+   * Load the chat -> persona assignment table
+   */
+  async loadAssignments(filePath) {
+    try {
+      const data = await this.readFile(filePath) || {};
+      const errors = validateValue(data, ASSIGNMENTS_SCHEMA, 'assignments');
+      if (errors.length > 0) throw new Error(errors.join('; '));
+
+      this.assignments = {
+        default: data.default ? String(data.default).toLowerCase() : null,
+        chats: Object.fromEntries(Object.entries(data.chats || {}).map(([chat, id]) => [chat, String(id).toLowerCase()]))
+      };
+    } catch (error) {
+      logger.error(`Invalid persona assignments ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Watch the personas directory and reload shortly after any change
+   */
+  startWatching() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = watch(this.dir, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          this.load().catch(error => logger.error('Persona reload failed:', error));
+        }, RELOAD_DELAY_MS);
+      });
+      logger.debug(`Watching ${this.dir} for persona changes`);
+    } catch (error) {
+      // No personas directory: the environment persona is used everywhere
+      logger.debug(`Not watching personas directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop watching for persona changes
+   */
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Get a persona by id
+   */
+  getPersona(id) {
+    return this.personas.get(id) || null;
+  }
+
+  /**
+   * List loaded persona ids and names
+   */
+  listPersonas() {
+    return [...this.personas.values()].map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Resolve which persona id a chat uses: its assignment (by JID or phone number), then the default
+   */
+  getAssignedPersonaId(chatId) {
+    const { chats } = this.assignments;
+    const number = (chatId || '').split('@')[0];
+    const candidates = [
+      chats[chatId],
+      chats[number],
+      config.personas.defaultPersona,
+      this.assignments.default,
+      ENV_PERSONA_ID
+    ];
+
+    return candidates.find(id => id && this.personas.has(id)) || ENV_PERSONA_ID;
+  }
+
+  /**
+   * Get the persona for a chat
+   */
+  async getPersonaForChat(chatId) {
+    await this.ensureLoaded();
+    return this.personas.get(this.getAssignedPersonaId(chatId));
+  }
+}
+
+// Export singleton instance
+export const personaRegistry = new PersonaRegistry();
@@ -0,0 +1,496 @@
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { personaManager } from './personaManager.js';
+import { availabilityManager } from './availabilityManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { proactiveGovernor } from './proactiveGovernor.js';
+import { examCountdownManager } from './examCountdownManager.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Planner');
+
+const COLLECTION = 'planner';
+const MAX_DONE_TASKS = 100; // Finished one-off tasks kept per user
+
+export const TASK_REPEATS = ['none', 'daily', 'weekdays', 'weekly'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_GROUPS = { daily: [0, 1, 2, 3, 4, 5, 6], weekdays: [1, 2, 3, 4, 5], weekends: [0, 6] };
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Weekday (0 = Sunday) of a YYYY-MM-DD date
+ */
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Each user's timetable (weekly classes such as tuition) and to-do list. Tasks can have a due date and repeat;
+ * a repeating task moves to its next date when completed. Users who keep a planner get a morning agenda
+ * built from today's classes, due tasks and upcoming exams.
+ */
+export class PlannerManager {
+  constructor() {
+    this.storage = storage;
+
+    jobScheduler.registerHandler('planner.morning_agenda', () => this.checkMorningAgendas());
+    jobScheduler.recurring('planner_morning_agenda', '0 * * * *', 'planner.morning_agenda'); // Sent at PLANNER_AGENDA_HOUR local time
+
+    proactiveGovernor.registerKind('morning_agenda', {
+      priority: 30,
+      consentCategory: 'study',
+      ttlHours: 4, // Only useful in the morning
+      buildPrompt: (userId, context) => this.buildAgendaPrompt(userId, context),
+      describe: ({ classes, tasks }) => `Send their agenda for today (${classes} class${classes === 1 ? '' : 'es'}, ${tasks} task${tasks === 1 ? '' : 's'})`,
+      onSent: (userId, { date }) => this.updateRecord(userId, (record) => ({ ...record, lastAgendaDate: date }))
+    });
+  }
+
+  /**
+   * Generate a short id that isn't used in the given items
+   */
+  generateId(items = {}) {
+    let id;
+    do {
+      id = (Date.now().toString(36).slice(-4) + Math.random().toString(36).slice(2, 4)).toLowerCase();
+    } while (items[id]);
+    return id;
+  }
+
+  /**
+   * Get a user's planner: { timetable: { id: entry }, tasks: { id: task }, lastAgendaDate }
+   */
+  async getRecord(userId) {
+    return await this.storage.get(COLLECTION, userId, null) || { timetable: {}, tasks: {}, lastAgendaDate: null };
+  }
+
+  /**
+   * Change a user's planner
+   */
+  async updateRecord(userId, updater) {
+    return await this.storage.update(COLLECTION, userId, (current) =>
+      updater(current || { timetable: {}, tasks: {}, lastAgendaDate: null }));
+  }
+
+  /**
+   * Parse class days: "monday", "mon, wed", "weekdays", "weekends", "daily" or an array of those
+   */
+  parseDays(value) {
+    const text = (Array.isArray(value) ? value.join(',') : String(value || '')).toLowerCase()
+      .replace(/every\s*day/g, 'daily')
+      .replace(/\b(every|and|on)\b/g, ' ');
+    const days = new Set();
+
+    for (const word of text.split(/[\s,/&]+/).filter(Boolean)) {
+      if (DAY_GROUPS[word]) {
+        DAY_GROUPS[word].forEach(day => days.add(day));
+        continue;
+      }
+      const day = WEEKDAYS.indexOf(word.slice(0, 3));
+      if (day === -1 || !/^(sun|mon|tue|wed|thu|fri|sat)[a-z]*$/.test(word)) return null;
+      days.add(day);
+    }
+    return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+  }
+
+  /**
+   * Parse a due date in the user's timezone: "today", "tonight", "tomorrow", "friday", "next monday",
+   * "in 3 days" or "YYYY-MM-DD". Returns YYYY-MM-DD, or null when it can't be read.
+   */
+  parseDate(text, timezone, now = new Date()) {
+    const value = String(text || '').trim().toLowerCase().replace(/^(on|by|due)\s+/, '');
+    const today = TimeUtils.formatDate(now, timezone, 'iso');
+
+    if (['today', 'tonight'].includes(value)) return today;
+    if (value === 'tomorrow') return addDays(today, 1);
+    if (value === 'day after tomorrow') return addDays(today, 2);
+
+    const inDays = value.match(/^in\s+(\d+)\s+days?$/);
+    if (inDays) return addDays(today, Number(inDays[1]));
+    if (/^in\s+(a|one)\s+week$/.test(value)) return addDays(today, 7);
+
+    const weekday = value.match(/^(next\s+|this\s+)?(sun|mon|tue|wed|thu|fri|sat)[a-z]*$/);
+    if (weekday) {
+      let offset = (WEEKDAYS.indexOf(weekday[2]) - weekdayOf(today) + 7) % 7;
+      if (offset === 0 && weekday[1]?.startsWith('next')) offset = 7;
+      return addDays(today, offset);
+    }
+
+    const iso = value.match(/^\d{4}-\d{2}-\d{2}$/);
+    return iso && addDays(value, 0) === value ? value : null;
+  }
+
+  /**
+   * Read a clock time as HH:MM; throws when it's given but can't be read
+   */
+  parseTime(text) {
+    if (!text) return null;
+    const minutes = TimeUtils.parseClock(text);
+    if (minutes === null) throw new Error(`Could not read the time '${text}'`);
+    return TimeUtils.formatClock(minutes);
+  }
+
+  // ==================== TIMETABLE ====================
+
+  /**
+   * A user's timetable sorted by first day and start time, optionally only one weekday's classes
+   */
+  async getTimetable(userId, { weekday = null } = {}) {
+    const { timetable } = await this.getRecord(userId);
+    return Object.values(timetable)
+      .filter(entry => weekday === null || entry.days.includes(weekday))
+      .sort((a, b) => (weekday === null ? a.days[0] - b.days[0] : 0) || a.start.localeCompare(b.start));
+  }
+
+  /**
+   * Add a weekly class ("Physics tuition, saturday 8am-12pm")
+   */
+  async addTimetableEntry(userId, { title, days, start, end = null, location = null, sourceMessageId = null }) {
+    if (!title?.trim()) throw new Error('A title is required');
+    const weekdays = this.parseDays(days);
+    if (!weekdays) throw new Error(`Could not read the days '${days}'`);
+    if (!start) throw new Error('A start time is required');
+
+    const { timetable } = await this.getRecord(userId);
+    if (Object.keys(timetable).length >= config.planner.maxTimetableEntries) {
+      throw new Error(`The timetable already has ${Object.keys(timetable).length} classes, remove some first`);
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: this.generateId(timetable),
+      title: title.trim(),
+      days: weekdays,
+      start: this.parseTime(start),
+      end: this.parseTime(end),
+      location: location?.trim() || null,
+      createdAt: now,
+      updatedAt: now,
+      sourceMessageId
+    };
+
+    await this.updateRecord(userId, (record) => ({ ...record, timetable: { ...record.timetable, [entry.id]: entry } }));
+    logger.info(`Timetable entry ${entry.id} added for ${userId}: ${entry.title}`);
+    return entry;
+  }
+
+  /**
+   * Change the days, times or place of a class; returns null when it doesn't exist
+   */
+  async moveTimetableEntry(userId, entryId, { days = null, start = null, end = null, location = null }) {
+    const changes = {};
+    if (days) {
+      changes.days = this.parseDays(days);
+      if (!changes.days) throw new Error(`Could not read the days '${days}'`);
+    }
+    if (start) changes.start = this.parseTime(start);
+    if (end) changes.end = this.parseTime(end);
+    if (location) changes.location = location.trim();
+
+    const id = String(entryId || '').replace(/^#/, '');
+    const record = await this.updateRecord(userId, (current) => {
+      if (!current.timetable[id]) return undefined;
+      return { ...current, timetable: { ...current.timetable, [id]: { ...current.timetable[id], ...changes, updatedAt: new Date().toISOString() } } };
+    });
+    return record?.timetable[id] || null;
+  }
+
+  /**
+   * Remove a class from the timetable; returns the removed entry or null
+   */
+  async removeTimetableEntry(userId, entryId) {
+    const id = String(entryId || '').replace(/^#/, '');
+    const entry = (await this.getRecord(userId)).timetable[id];
+    if (!entry) return null;
+
+    await this.updateRecord(userId, (record) => {
+      const { [id]: removed, ...timetable } = record.timetable;
+      return { ...record, timetable };
+    });
+    return entry;
+  }
+
+  // ==================== TASKS ====================
+
+  /**
+   * A user's tasks: dated ones by date and time first, then undated. Only pending ones unless includeDone.
+   */
+  async getTasks(userId, { includeDone = false } = {}) {
+    const { tasks } = await this.getRecord(userId);
+    return Object.values(tasks)
+      .filter(task => includeDone || task.status === 'pending')
+      .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999') ||
+        (a.dueTime || '99').localeCompare(b.dueTime || '99') ||
+        a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Add a task; repeating tasks are due today unless a date is given
+   */
+  async addTask(userId, { title, due = null, time = null, subject = null, repeat = 'none', sourceMessageId = null }) {
+    if (!title?.trim()) throw new Error('A title is required');
+    if (!TASK_REPEATS.includes(repeat)) throw new Error(`Repeat must be one of: ${TASK_REPEATS.join(', ')}`);
+
+    const pending = await this.getTasks(userId);
+    if (pending.length >= config.planner.maxTasks) {
+      throw new Error(`You already have ${pending.length} tasks, complete or delete some first`);
+    }
+
+    const timezone = await availabilityManager.getTimezone(userId);
+    let dueDate = due ? this.parseDate(due, timezone) : null;
+    if (due && !dueDate) throw new Error(`Could not read the date '${due}'`);
+    if (repeat !== 'none') dueDate = this.nextDueDate(dueDate || TimeUtils.formatDate(new Date(), timezone, 'iso'), repeat, 0);
+
+    const now = new Date().toISOString();
+    const { tasks } = await this.getRecord(userId);
+    const task = {
+      id: this.generateId(tasks),
+      title: title.trim(),
+      subject: subject?.trim() || null,
+      dueDate,
+      dueTime: this.parseTime(time),
+      repeat,
+      status: 'pending',
+      completions: 0,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      sourceMessageId
+    };
+
+    await this.updateRecord(userId, (record) => ({ ...record, tasks: { ...record.tasks, [task.id]: task } }));
+    logger.info(`Task ${task.id} added for ${userId}${dueDate ? ` due ${dueDate}` : ''}${repeat !== 'none' ? ` (${repeat})` : ''}`);
+    return task;
+  }
+
+  /**
+   * The first date a repeating task falls on, at least `minDays` after `date`
+   */
+  nextDueDate(date, repeat, minDays = 1) {
+    let next = addDays(date, minDays);
+    if (repeat === 'weekly' && minDays > 0) return addDays(date, 7 * Math.ceil(minDays / 7));
+    while (repeat === 'weekdays' && DAY_GROUPS.weekends.includes(weekdayOf(next))) next = addDays(next, 1);
+    return next;
+  }
+
+  /**
+   * Mark a task done. A repeating task stays pending and moves to its next date after today.
+   */
+  async completeTask(userId, taskId) {
+    const id = String(taskId || '').replace(/^#/, '');
+    const task = (await this.getRecord(userId)).tasks[id];
+    if (!task || task.status !== 'pending') return null;
+
+    const now = new Date();
+    const changes = { completions: task.completions + 1, completedAt: now.toISOString(), updatedAt: now.toISOString() };
+    if (task.repeat === 'none') {
+      changes.status = 'done';
+    } else {
+      // A task done early or late moves past today, never to a date that has already gone by
+      const today = TimeUtils.formatDate(now, await availabilityManager.getTimezone(userId), 'iso');
+      let next = this.nextDueDate(task.dueDate, task.repeat);
+      while (next <= today) next = this.nextDueDate(next, task.repeat);
+      changes.dueDate = next;
+    }
+
+    const record = await this.updateRecord(userId, (current) => {
+      const tasks = { ...current.tasks, [id]: { ...current.tasks[id], ...changes } };
+      const done = Object.values(tasks)
+        .filter(item => item.status === 'done')
+        .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+      for (const old of done.slice(MAX_DONE_TASKS)) delete tasks[old.id];
+      return { ...current, tasks };
+    });
+    return record.tasks[id];
+  }
+
+  /**
+   * Give a pending task another date (and time); returns null when it doesn't exist
+   */
+  async moveTask(userId, taskId, { due, time = null }) {
+    const timezone = await availabilityManager.getTimezone(userId);
+    const dueDate = this.parseDate(due, timezone);
+    if (!dueDate) throw new Error(`Could not read the date '${due}'`);
+    const dueTime = this.parseTime(time);
+
+    const id = String(taskId || '').replace(/^#/, '');
+    if ((await this.getRecord(userId)).tasks[id]?.status !== 'pending') return null;
+
+    const record = await this.updateRecord(userId, (current) => {
+      const task = { ...current.tasks[id], dueDate, ...(dueTime ? { dueTime } : {}), updatedAt: new Date().toISOString() };
+      return { ...current, tasks: { ...current.tasks, [id]: task } };
+    });
+    return record.tasks[id];
+  }
+
+  /**
+   * Delete a task for good; returns the deleted task or null
+   */
+  async deleteTask(userId, taskId) {
+    const id = String(taskId || '').replace(/^#/, '');
+    const task = (await this.getRecord(userId)).tasks[id];
+    if (!task) return null;
+
+    await this.updateRecord(userId, (record) => {
+      const { [id]: removed, ...tasks } = record.tasks;
+      return { ...record, tasks };
+    });
+    return task;
+  }
+
+  // ==================== AGENDA ====================
+
+  /**
+   * A day's classes, the tasks due that day, overdue tasks and exams coming up, in the user's timezone
+   */
+  async getAgenda(userId, { date = null, now = new Date() } = {}) {
+    const timezone = await availabilityManager.getTimezone(userId);
+    const today = TimeUtils.formatDate(now, timezone, 'iso');
+    const day = date || today;
+    const tasks = await this.getTasks(userId);
+    const examsUntil = addDays(day, config.planner.agendaExamDays);
+
+    return {
+      date: day,
+      weekday: WEEKDAY_NAMES[weekdayOf(day)],
+      classes: await this.getTimetable(userId, { weekday: weekdayOf(day) }),
+      dueTasks: tasks.filter(task => task.dueDate === day),
+      overdueTasks: day === today ? tasks.filter(task => task.dueDate && task.dueDate < today) : [],
+      undatedTasks: tasks.filter(task => !task.dueDate).slice(0, 5),
+      exams: (await examCountdownManager.getUpcomingExams(userId, now))
+        .filter(exam => exam.date >= day && exam.date <= examsUntil)
+        .map(exam => ({ subject: exam.subject, name: exam.name, date: exam.date, time: exam.time, daysLeft: Math.round((Date.parse(exam.date) - Date.parse(day)) / (24 * 60 * 60 * 1000)) }))
+    };
+  }
+
+  /**
+   * Hourly: at the configured local hour, queue the day's agenda for users with a planner and something on
+   */
+  async checkMorningAgendas() {
+    if (!config.planner.morningAgenda) return { queued: 0 };
+
+    const records = await this.storage.all(COLLECTION);
+    let queued = 0;
+
+    for (const [userId, record] of Object.entries(records)) {
+      if (userId.includes('@g.us')) continue;
+      if (Object.keys(record.timetable || {}).length === 0 && Object.keys(record.tasks || {}).length === 0) continue;
+
+      const { timezone, hour } = await availabilityManager.getLocalTime(userId);
+      const date = TimeUtils.formatDate(new Date(), timezone, 'iso');
+      if (hour !== config.planner.agendaHour || record.lastAgendaDate === date) continue;
+
+      const agenda = await this.getAgenda(userId, { date });
+      const tasks = agenda.dueTasks.length + agenda.overdueTasks.length;
+      if (agenda.classes.length === 0 && tasks === 0 && agenda.exams.length === 0) continue;
+
+      const result = await proactiveGovernor.submit(userId, 'morning_agenda', { date, classes: agenda.classes.length, tasks }, { key: date });
+      if (result.queued) queued++;
+    }
+    return { queued };
+  }
+
+  /**
+   * Build the morning agenda message; null when the day has nothing on any more
+   */
+  async buildAgendaPrompt(userId, { date }) {
+    const agenda = await this.getAgenda(userId, { date });
+    if (agenda.classes.length === 0 && agenda.dueTasks.length === 0 && agenda.overdueTasks.length === 0 && agenda.exams.length === 0) {
+      return null;
+    }
+
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId);
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    const list = (items, format) => items.map(item => `- ${format(item)}`).join('\n') || 'None';
+    const taskLine = (task) => `${task.title}${task.dueTime ? ` (by ${task.dueTime})` : ''}${task.subject ? ` [${task.subject}]` : ''}`;
+
+    const prompt = `${personaPrompt}
+
+MORNING AGENDA MESSAGE:
+
+User Name: ${memory.personalInfo?.name || 'friend'}
+Today: ${agenda.weekday}, ${agenda.date}
+
+CLASSES TODAY:
+${list(agenda.classes, entry => `${entry.start}${entry.end ? `-${entry.end}` : ''} ${entry.title}${entry.location ? ` at ${entry.location}` : ''}`)}
+
+TASKS DUE TODAY:
+${list(agenda.dueTasks, taskLine)}
+
+OVERDUE TASKS:
+${list(agenda.overdueTasks.slice(0, 5), task => `${taskLine(task)}, was due ${task.dueDate}`)}
+
+ON THE TO-DO LIST WITHOUT A DATE:
+${list(agenda.undatedTasks, taskLine)}
+
+EXAMS COMING UP:
+${list(agenda.exams, exam => `${exam.name} ${exam.daysLeft === 0 ? 'TODAY' : `in ${exam.daysLeft} day${exam.daysLeft === 1 ? '' : 's'}`}${exam.time ? ` at ${exam.time}` : ''}`)}
+
+As ${personaName}, send a cheerful good-morning message with their plan for today.
+- List the classes with their times and the tasks exactly as given; never add items that aren't listed
+- Mention overdue tasks gently, as something to catch up on, not a scolding
+- If the day is light, suggest one of the undated tasks
+- If an exam is close, suggest one thing to revise for it today
+- Keep it short and easy to read on a phone
+- Use a natural Sri Lankan Singlish/Sinhala friendly style
+
+Generate ONLY the message text, nothing else.`;
+
+    return { prompt, metadata: { type: 'morning_agenda', date } };
+  }
+
+  // ==================== TOOL OUTPUT ====================
+
+  /**
+   * A class as the tools show it
+   */
+  describeEntry(entry) {
+    return {
+      id: entry.id,
+      title: entry.title,
+      days: entry.days.map(day => WEEKDAYS[day]).join(', '),
+      start: entry.start,
+      end: entry.end,
+      location: entry.location
+    };
+  }
+
+  /**
+   * A task as the tools show it
+   */
+  describeTask(task) {
+    return {
+      id: task.id,
+      title: task.title,
+      subject: task.subject,
+      due: task.dueDate ? `${task.dueDate}${task.dueTime ? ` ${task.dueTime}` : ''}` : null,
+      repeat: task.repeat,
+      status: task.status
+    };
+  }
+
+  /**
+   * Get planner status
+   */
+  getStatus() {
+    return {
+      morningAgenda: config.planner.morningAgenda,
+      agendaHour: config.planner.agendaHour
+    };
+  }
+}
+
+// Export singleton instance
+export const plannerManager = new PlannerManager();
@@ -1,14 +1,19 @@
 import { memoryManager } from '../database/memoryManager.js';
 import { jsonDb } from '../database/jsonDb.js';
+import { relationshipStore } from '../database/relationshipStore.js';
 import { geminiClient } from '../gemini/geminiClient.js';
 import { personaManager } from './personaManager.js';
 import { proactiveEngagementManager } from './proactiveEngagementManager.js';
+import { crisisEscalationManager } from './crisisEscalationManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { studySessionManager } from './studySessionManager.js';
 import { createModuleLogger } from '../utils/logger.js';
 import { config } from '../config/config.js';
-import cron from 'node-cron';
 
 const logger = createModuleLogger('PredictiveAI');
 
+const ACTIVE_USER_DAYS = 7; // Analyses run for users who messaged within this many days
+
 export class PredictiveAI {
   constructor() {
     this.moodPredictions = new Map(); // Track mood prediction history
@@ -24,29 +29,43 @@ export class PredictiveAI {
    * Initialize predictive AI system
    */
   initializePredictiveSystem() {
-    // Daily predictive analysis (every morning at 8 AM)
-    cron.schedule('0 8 * * *', async () => {
-      await this.performDailyPredictiveAnalysis();
+    jobScheduler.registerHandler('predictive.daily_analysis', () => this.performDailyPredictiveAnalysis());
+    jobScheduler.registerHandler('predictive.mood_updates', () => this.updateMoodPredictions());
+    jobScheduler.registerHandler('predictive.academic_risk', () => this.performAcademicRiskAssessment());
+    jobScheduler.registerHandler('predictive.study_optimization', () => this.optimizeStudyRecommendations());
+    jobScheduler.registerHandler('predictive.mood', async ({ userId, timeHorizon }) => {
+      await this.predictUserMood(userId, timeHorizon);
     });
+    jobScheduler.registerHandler('predictive.intervention', ({ userId, recommendation }) =>
+      this.executeScheduledIntervention(userId, recommendation));
+    jobScheduler.registerHandler('predictive.academic_support', ({ userId, assessment }) =>
+      this.sendAcademicSupportMessage(userId, assessment));
+
+    // Daily predictive analysis (every morning at 8 AM)
+    jobScheduler.recurring('daily_predictive_analysis', '0 8 * * *', 'predictive.daily_analysis');
 
     // Mood prediction updates (every 4 hours)
-    cron.schedule('0 */4 * * *', async () => {
-      await this.updateMoodPredictions();
-    });
+    jobScheduler.recurring('mood_prediction_updates', '0 */4 * * *', 'predictive.mood_updates');
 
     // Academic risk assessment (weekly on Mondays at 9 AM)
-    cron.schedule('0 9 * * 1', async () => {
-      await this.performAcademicRiskAssessment();
-    });
+    jobScheduler.recurring('academic_risk_assessment', '0 9 * * 1', 'predictive.academic_risk');
 
     // Study optimization analysis (daily at 6 PM)
-    cron.schedule('0 18 * * *', async () => {
-      await this.optimizeStudyRecommendations();
-    });
+    jobScheduler.recurring('study_optimization', '0 18 * * *', 'predictive.study_optimization');
 
     logger.success('Predictive AI system initialized with 4 analysis engines');
   }
 
+  /**
+   * Schedule a mood prediction for a user; repeated requests before it runs are merged
+   */
+  async scheduleMoodPrediction(userId, timeHorizon = 24, delayMs = 0) {
+    return await jobScheduler.schedule('predictive.mood', { userId, timeHorizon }, {
+      delayMs,
+      dedupeKey: `mood:${userId}`
+    });
+  }
+
   /**
    * Perform daily predictive analysis for all active users
    */
@@ -71,13 +90,12 @@ export class PredictiveAI {
   }
 
   /**
-   * Get list of active users (users who've messaged in last 7 days)
+   * Get list of active users (users who've messaged in last 7 days), from storage so restarts don't lose them
    */
   async getActiveUsers() {
     try {
-      // This would ideally come from the database
-      // For now, we'll use proactive engagement manager's active users
-      return Array.from(proactiveEngagementManager.activeUsers);
+      const since = Date.now() - ACTIVE_USER_DAYS * 24 * 60 * 60 * 1000;
+      return (await relationshipStore.getUserIds({ since })).filter(userId => !userId.includes('@g.us'));
     } catch (error) {
       logger.error('Error getting active users:', error);
       return [];
@@ -203,6 +221,12 @@ Respond with JSON:
         return null;
       }
 
+      // Measured study time from the /study timer
+      const studyWeek = await studySessionManager.getStats(userId, { days: 7 });
+      const studyFortnight = await studySessionManager.getStats(userId, { days: 14 });
+      const studyMonth = await studySessionManager.getStats(userId, { days: 28 });
+      const minutesBySubject = (stats) => Object.fromEntries(Object.entries(stats.bySubject).map(([subject, entry]) => [subject, entry.minutes]));
+
       const riskPrompt = `ACADEMIC RISK ASSESSMENT:
 
 Student Profile: ${JSON.stringify({
@@ -229,10 +253,17 @@ Recent Academic Events: ${JSON.stringify(
           .slice(0, 3), null, 2
       )}
 
+Logged Study Time (minutes, from the pomodoro study timer): ${studyMonth.sessions > 0 ? JSON.stringify({
+        last7Days: { total: studyWeek.totalMinutes, sessions: studyWeek.sessions, bySubject: minutesBySubject(studyWeek) },
+        previous7Days: { total: studyFortnight.totalMinutes - studyWeek.totalMinutes },
+        last28Days: { total: studyMonth.totalMinutes, bySubject: minutesBySubject(studyMonth) }
+      }, null, 2) : 'None logged (the student may not use the timer; do not read this as no study)'}
+
 ANALYZE academic risk factors and provide comprehensive assessment.
 
 Consider:
 - Subject weakness patterns and impact on overall performance
+- Logged study time per subject: weak subjects or close exams getting little time, and drops from the week before
 - Study habit effectiveness and consistency
 - Emotional stress impact on academic performance
 - Time management and preparation levels
@@ -338,6 +369,9 @@ Respond with JSON:
         moodByTimeOfDay[timeOfDay].push(moodScore);
       });
 
+      // Real study sessions from the /study timer, when the user has logged any
+      const studyLog = await studySessionManager.getStats(userId, { days: 28 });
+
       const optimizationPrompt = `STUDY TIME OPTIMIZATION ANALYSIS:
 
 User Profile: ${JSON.stringify({
@@ -355,10 +389,21 @@ Conversation Patterns by Time: ${JSON.stringify(
         })), null, 2
       )}
 
+Logged Study Sessions (last 28 days, pomodoro study timer): ${studyLog.sessions > 0 ? JSON.stringify({
+        totalMinutes: studyLog.totalMinutes,
+        sessions: studyLog.sessions,
+        averageSessionMinutes: studyLog.averageSessionMinutes,
+        byTimeOfDay: studyLog.byTimeOfDay,
+        minutesByWeekday: studyLog.byWeekday,
+        minutesBySubject: Object.fromEntries(Object.entries(studyLog.bySubject).map(([subject, entry]) => [subject, entry.minutes]))
+      }, null, 2) : 'None logged yet'}
+
 ANALYZE and OPTIMIZE study schedule recommendations.
 
 Consider:
-- Natural energy patterns based on conversation timing
+- Logged study sessions are measured: focused minutes and completed pomodoros per time of day show when they really study well,
+  and shortSessions (stopped before the first pomodoro ended) point to poor times. When sessions are logged, base the schedule on them
+- Natural energy patterns based on conversation timing (only a rough proxy, mainly when no sessions are logged)
 - Academic subject difficulty vs. optimal mental state times
 - Sri Lankan A/L student typical schedules
 - Individual personality and mood patterns
@@ -416,6 +461,7 @@ Respond with JSON:
         // Store optimization
         this.studyTimeOptimization.set(userId, {
           optimization,
+          dataSource: studyLog.sessions > 0 ? 'study_sessions' : 'conversation',
           timestamp: Date.now()
         });
         
@@ -542,10 +588,7 @@ Respond with JSON:
           if (recommendation.timing === 'immediate') {
             await this.executeImmediateIntervention(userId, recommendation);
           } else {
-            // Schedule for later
-            setTimeout(() => {
-              this.executeScheduledIntervention(userId, recommendation);
-            }, this.getTimingDelay(recommendation.timing));
+            await this.scheduleIntervention(userId, recommendation);
           }
         }
       }
@@ -561,16 +604,23 @@ Respond with JSON:
     try {
       switch (recommendation.type) {
         case 'crisis_support':
-          proactiveEngagementManager.markUserInCrisis(userId, 'high', recommendation.reason);
+          // A prediction is not a detected crisis: check in and tell the admins, escalation stays with conversation signals
+          await proactiveEngagementManager.sendMentalHealthCheckIn(userId, { riskScore: 7, factors: [recommendation.reason] });
+          await crisisEscalationManager.notifyAdminsOfRisk(userId, recommendation.reason, 'predictive_ai');
           break;
         case 'check_in':
           // Trigger immediate check-in
           const checkInContext = { riskScore: 5, factors: [recommendation.reason] };
           await proactiveEngagementManager.sendMentalHealthCheckIn(userId, checkInContext);
           break;
-        case 'motivation':
-          // Send motivational message
+        case 'motivation': {
+          const { context } = await proactiveEngagementManager.shouldSendStudyMotivation(userId);
+          await proactiveEngagementManager.sendStudyMotivationMessage(userId, {
+            ...context,
+            factors: [...(context?.factors || []), recommendation.reason]
+          });
           break;
+        }
         default:
           logger.debug(`Unhandled intervention type: ${recommendation.type}`);
       }
@@ -581,6 +631,24 @@ Respond with JSON:
     }
   }
 
+  /**
+   * Schedule an intervention for later, keeping one pending intervention of each type per user
+   */
+  async scheduleIntervention(userId, recommendation) {
+    return await jobScheduler.schedule('predictive.intervention', { userId, recommendation }, {
+      delayMs: this.getTimingDelay(recommendation.timing),
+      dedupeKey: `intervention:${userId}:${recommendation.type}`
+    });
+  }
+
+  /**
+   * Execute an intervention that was scheduled earlier
+   */
+  async executeScheduledIntervention(userId, recommendation) {
+    logger.info(`Running scheduled ${recommendation.type} intervention for ${userId}`);
+    await this.executeImmediateIntervention(userId, recommendation);
+  }
+
   /**
    * Get timing delay in milliseconds
    */
@@ -589,6 +657,9 @@ Respond with JSON:
       case '4h': return 4 * 60 * 60 * 1000;
       case '12h': return 12 * 60 * 60 * 1000;
       case '24h': return 24 * 60 * 60 * 1000;
+      case 'hours': return 4 * 60 * 60 * 1000;
+      case 'days': return 24 * 60 * 60 * 1000;
+      case 'weeks': return 7 * 24 * 60 * 60 * 1000;
       default: return 60 * 60 * 1000; // 1 hour default
     }
   }
@@ -609,14 +680,15 @@ Respond with JSON:
             type: 'academic_risk',
             priority: 'high',
             status: 'active'
-          });
+          }, 20, { actor: 'predictive_ai', reason: `High academic risk in ${recommendation.area}` });
         }
       }
       
       // Schedule academic support message
-      setTimeout(async () => {
-        await this.sendAcademicSupportMessage(userId, assessment);
-      }, 30 * 60 * 1000); // 30 minutes delay
+      await jobScheduler.schedule('predictive.academic_support', { userId, assessment }, {
+        delayMs: 30 * 60 * 1000, // 30 minutes delay
+        dedupeKey: `academic_support:${userId}`
+      });
       
     } catch (error) {
       logger.error('Error processing high-risk academic case:', error);
@@ -641,11 +713,21 @@ Respond with JSON:
    */
   async scheduleProactiveInterventions(userId, recommendations) {
     try {
-      for (const recommendation of recommendations) {
+      for (const recommendation of recommendations || []) {
         if (recommendation.priority === 'high' || recommendation.priority === 'medium') {
-          // Schedule with proactive engagement manager
-          // This could be enhanced to integrate more deeply
-          logger.debug(`Scheduled intervention for ${userId}: ${recommendation.intervention_type} in ${recommendation.timing}`);
+          const intervention = {
+            type: recommendation.intervention_type,
+            timing: recommendation.timing,
+            priority: recommendation.priority,
+            reason: `Social support prediction (${recommendation.approach || 'gentle'} approach)`
+          };
+
+          if (recommendation.timing === 'immediate' && recommendation.priority === 'high') {
+            await this.executeImmediateIntervention(userId, intervention);
+          } else {
+            await this.scheduleIntervention(userId, intervention);
+          }
+          logger.debug(`Scheduled intervention for ${userId}: ${intervention.type} in ${intervention.timing}`);
         }
       }
     } catch (error) {
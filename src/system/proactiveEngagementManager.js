@@ -1,23 +1,29 @@
 import { memoryManager } from '../database/memoryManager.js';
 import { jsonDb } from '../database/jsonDb.js';
-import { whatsappClient } from '../whatsapp/whatsappClient.js';
-import { geminiClient } from '../gemini/geminiClient.js';
+import { storage } from '../database/storage.js';
+import { relationshipStore } from '../database/relationshipStore.js';
 import { personaManager } from './personaManager.js';
 import { predictiveAI } from './predictiveAI.js';
+import { crisisEscalationManager } from './crisisEscalationManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { availabilityManager } from './availabilityManager.js';
+import { proactiveGovernor } from './proactiveGovernor.js';
 import { createModuleLogger } from '../utils/logger.js';
 import { config } from '../config/config.js';
-import cron from 'node-cron';
 
 const logger = createModuleLogger('ProactiveEngagement');
 
+const COLLECTION = 'proactive_engagement';
+const MAX_CELEBRATED = 50; // Celebrated events remembered per user
+
+// Local times (in each user's timezone) of the daily and weekly messages
+const STUDY_MOTIVATION_HOUR = 19;
+const FRIENDSHIP_MAINTENANCE_DAY = 0; // Sunday
+const FRIENDSHIP_MAINTENANCE_HOUR = 10;
+
 export class ProactiveEngagementManager {
   constructor() {
-    this.checkInSchedule = new Map(); // Track check-in schedules per user
-    this.celebrationTracker = new Map(); // Track celebration opportunities
-    this.crisisAlerts = new Map(); // Track users in crisis
-    this.motivationSchedule = new Map(); // Track study motivation schedules
-    this.activeUsers = new Set(); // Track active users
-    
+    this.storage = storage;
     this.initializeProactiveSystem();
   }
 
@@ -25,39 +31,106 @@ export class ProactiveEngagementManager {
    * Initialize proactive engagement system
    */
   initializeProactiveSystem() {
-    // Mental health check-ins (every 6 hours)
-    cron.schedule('0 */6 * * *', async () => {
-      await this.performMentalHealthCheckIns();
+    jobScheduler.registerHandler('proactive.mental_health_checkins', () => this.performMentalHealthCheckIns());
+    jobScheduler.registerHandler('proactive.study_motivation', () => this.sendStudyMotivation());
+    jobScheduler.registerHandler('proactive.celebrations', () => this.checkForCelebrations());
+    jobScheduler.registerHandler('proactive.crisis_monitoring', () => this.monitorCrisisUsers());
+    jobScheduler.registerHandler('proactive.friendship_maintenance', () => this.performFriendshipMaintenance());
+    jobScheduler.registerHandler('crisis.follow_up', ({ caseId }) => this.runCrisisFollowUp(caseId));
+
+    // Every message below goes out through the governor, highest priority first.
+    // Apart from crisis follow-ups, each needs the user's consent for its category (/proactive).
+    proactiveGovernor.registerKind('crisis_follow_up', {
+      priority: 50,
+      exemptFromCaps: true,
+      mergeable: false,
+      ttlHours: 48,
+      buildPrompt: (userId, context) => this.buildCrisisFollowUpPrompt(userId, context),
+      describe: () => 'Gently check how they are doing after the hard time they had',
+      onSent: (userId, { caseId }) => crisisEscalationManager.recordEvent(caseId, 'followup_sent', 'system', null, {
+        followUpSentAt: new Date().toISOString()
+      })
     });
-
-    // Study motivation (daily at 7 PM - typical A/L study time)
-    cron.schedule('0 19 * * *', async () => {
-      await this.sendStudyMotivation();
+    proactiveGovernor.registerKind('checkin', {
+      priority: 40,
+      consentCategory: 'checkins',
+      buildPrompt: (userId, context) => this.buildCheckInPrompt(userId, context),
+      describe: (context) => `Check in on how they are feeling (${(context.factors || []).join(', ') || 'general'})`,
+      onSent: (userId) => this.updateRecord(userId, (record) => ({ ...record, lastCheckInAt: new Date().toISOString() }))
+    });
+    proactiveGovernor.registerKind('celebration', {
+      priority: 30,
+      consentCategory: 'celebrations',
+      buildPrompt: (userId, celebration) => this.buildCelebrationPrompt(userId, celebration),
+      describe: (celebration) => `Celebrate their achievement: ${celebration.event?.content || 'something they did well'}`,
+      onSent: async (userId, celebration) => {
+        await this.updateRecord(userId, (record) => ({
+          ...record,
+          celebrated: Object.fromEntries([...Object.entries(record.celebrated), [celebration.celebrationKey, new Date().toISOString()]]
+            .slice(-MAX_CELEBRATED))
+        }));
+        await personaManager.updateRelationshipLevel(userId, 'celebration', 1.5);
+      }
+    });
+    proactiveGovernor.registerKind('study_motivation', {
+      priority: 20,
+      consentCategory: 'study',
+      ttlHours: 3, // Only useful during the evening study time
+      buildPrompt: (userId, context) => this.buildStudyMotivationPrompt(userId, context),
+      describe: (context) => `Encourage tonight's study session${context.weakSubjects?.length ? ` (${context.weakSubjects.join(', ')})` : ''}`,
+      onSent: (userId) => this.updateRecord(userId, (record) => ({ ...record, lastStudyMotivationAt: new Date().toISOString() }))
     });
+    proactiveGovernor.registerKind('friendship_maintenance', {
+      priority: 10,
+      consentCategory: 'maintenance',
+      buildPrompt: (userId, context) => this.buildFriendshipMaintenancePrompt(userId, context),
+      describe: (context) => `Say you missed them – it's been ${context.daysSinceLastMessage} days`
+    });
+
+    // Mental health check-ins (every 6 hours)
+    jobScheduler.recurring('mental_health_checkins', '0 */6 * * *', 'proactive.mental_health_checkins');
+
+    // Study motivation (checked hourly, sent at 7 PM local time - typical A/L study time)
+    jobScheduler.recurring('study_motivation', '0 * * * *', 'proactive.study_motivation');
 
     // Achievement celebrations (check every 2 hours)
-    cron.schedule('0 */2 * * *', async () => {
-      await this.checkForCelebrations();
-    });
+    jobScheduler.recurring('celebrations', '0 */2 * * *', 'proactive.celebrations');
 
-    // Crisis monitoring (every 30 minutes)
-    cron.schedule('*/30 * * * *', async () => {
-      await this.monitorCrisisUsers();
-    });
+    // Crisis case housekeeping (every 30 minutes)
+    jobScheduler.recurring('crisis_monitoring', '*/30 * * * *', 'proactive.crisis_monitoring');
 
-    // Weekly friendship maintenance (Sundays at 10 AM)
-    cron.schedule('0 10 * * 0', async () => {
-      await this.performFriendshipMaintenance();
-    });
+    // Weekly friendship maintenance (checked hourly, sent Sundays at 10 AM local time)
+    jobScheduler.recurring('friendship_maintenance', '0 * * * *', 'proactive.friendship_maintenance');
 
     logger.success('Proactive engagement system initialized with 5 automated systems');
   }
 
   /**
-   * Register active user for proactive engagement
+   * Get a user's engagement record: when check-ins and study motivation were last sent, and the events celebrated
+   */
+  async getRecord(userId) {
+    return await this.storage.get(COLLECTION, userId, null) || { lastCheckInAt: null, lastStudyMotivationAt: null, celebrated: {} };
+  }
+
+  /**
+   * Change a user's engagement record
    */
-  registerActiveUser(userId) {
-    this.activeUsers.add(userId);
+  async updateRecord(userId, updater) {
+    return await this.storage.update(COLLECTION, userId, (current) =>
+      updater(current || { lastCheckInAt: null, lastStudyMotivationAt: null, celebrated: {} }));
+  }
+
+  /**
+   * Users a kind of message may go to: everyone who has chatted privately and opted in to its category.
+   * Read from storage, so the recurring jobs reach the same users after a restart.
+   */
+  async getTargetUsers(kind) {
+    const users = [];
+    for (const userId of await relationshipStore.getUserIds()) {
+      if (userId.includes('@g.us')) continue; // Group-scoped records never get private messages
+      if (await proactiveGovernor.hasConsent(userId, kind)) users.push(userId);
+    }
+    return users;
   }
 
   /**
@@ -65,7 +138,7 @@ export class ProactiveEngagementManager {
    */
   async performMentalHealthCheckIns() {
     try {
-      for (const userId of this.activeUsers) {
+      for (const userId of await this.getTargetUsers('checkin')) {
         const shouldCheckIn = await this.shouldPerformMentalHealthCheckIn(userId);
         
         if (shouldCheckIn.should) {
@@ -83,8 +156,8 @@ export class ProactiveEngagementManager {
   async shouldPerformMentalHealthCheckIn(userId) {
     try {
       const memory = await memoryManager.getUserMemory(userId);
-      const lastCheckIn = this.checkInSchedule.get(userId) || 0;
-      const timeSinceLastCheckIn = Date.now() - lastCheckIn;
+      const { lastCheckInAt } = await this.getRecord(userId);
+      const timeSinceLastCheckIn = Date.now() - (lastCheckInAt ? new Date(lastCheckInAt).getTime() : 0);
       
       // Don't check in more than once every 4 hours
       if (timeSinceLastCheckIn < 4 * 60 * 60 * 1000) {
@@ -165,31 +238,36 @@ export class ProactiveEngagementManager {
   }
 
   /**
-   * Send personalized mental health check-in
+   * Queue a personalized mental health check-in
    */
   async sendMentalHealthCheckIn(userId, context) {
-    try {
-      logger.info(`Sending mental health check-in to ${userId} (risk score: ${context.riskScore})`);
-      
-      const memory = await memoryManager.getUserMemory(userId);
-      const relationshipLevel = await personaManager.getRelationshipLevel(userId);
-      const personaPrompt = await personaManager.generatePersonaPrompt(userId, { userMood: context.mood });
-      
-      const checkInPrompt = `${personaPrompt}
+    return await proactiveGovernor.submit(userId, 'checkin', context);
+  }
+
+  /**
+   * Build the mental health check-in prompt
+   */
+  async buildCheckInPrompt(userId, context) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const relationshipLevel = await personaManager.getRelationshipLevel(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId, { userMood: context.mood });
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    
+    const checkInPrompt = `${personaPrompt}
 
 MENTAL HEALTH CHECK-IN GENERATION:
 
 User Context: ${JSON.stringify({
-        mood: context.mood,
-        stressLevel: context.stressLevel,
-        riskFactors: context.factors,
-        name: memory.personalInfo?.name || 'friend',
-        academicLevel: memory.academicInfo?.currentGrade
-      }, null, 2)}
+      mood: context.mood,
+      stressLevel: context.stressLevel,
+      riskFactors: context.factors,
+      name: memory.personalInfo?.name || 'friend',
+      academicLevel: memory.academicInfo?.currentGrade
+    }, null, 2)}
 
 Relationship Level: ${relationshipLevel.toFixed(1)}/5.0
 
-Generate a caring, natural check-in message as ${config.persona.name}. Consider:
+Generate a caring, natural check-in message as ${personaName}. Consider:
 - Your relationship depth with this person
 - Their current emotional state and stress factors
 - Recent challenges they've mentioned
@@ -206,37 +284,7 @@ Message should be:
 
 Generate ONLY the message text, nothing else.`;
 
-      const conversationHistory = [{
-        role: 'user',
-        parts: [{ text: checkInPrompt }]
-      }];
-
-      const checkInMessage = await geminiClient.generateContent(conversationHistory, null, null, 1);
-      
-      if (checkInMessage && checkInMessage.trim().length > 10) {
-        // Send typing indicator first
-        await whatsappClient.sendTyping(userId, true);
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Store the check-in message
-        await jsonDb.addMessage(userId, 'assistant', checkInMessage, {
-          type: 'mental_health_checkin',
-          riskScore: context.riskScore,
-          factors: context.factors
-        });
-        
-        // Send the message
-        await whatsappClient.sendTyping(userId, false);
-        await whatsappClient.sendMessage(userId, checkInMessage);
-        
-        // Update check-in schedule
-        this.checkInSchedule.set(userId, Date.now());
-        
-        logger.success(`Mental health check-in sent to ${userId}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to send mental health check-in to ${userId}:`, error);
-    }
+    return { prompt: checkInPrompt, metadata: { type: 'mental_health_checkin', riskScore: context.riskScore, factors: context.factors } };
   }
 
   /**
@@ -244,7 +292,10 @@ Generate ONLY the message text, nothing else.`;
    */
   async sendStudyMotivation() {
     try {
-      for (const userId of this.activeUsers) {
+      for (const userId of await this.getTargetUsers('study_motivation')) {
+        const { hour } = await availabilityManager.getLocalTime(userId);
+        if (hour !== STUDY_MOTIVATION_HOUR) continue;
+
         const shouldMotivate = await this.shouldSendStudyMotivation(userId);
         
         if (shouldMotivate.should) {
@@ -269,8 +320,8 @@ Generate ONLY the message text, nothing else.`;
         return { should: false, reason: 'Not A/L student' };
       }
 
-      const lastMotivation = this.motivationSchedule.get(userId) || 0;
-      const timeSinceLastMotivation = Date.now() - lastMotivation;
+      const { lastStudyMotivationAt } = await this.getRecord(userId);
+      const timeSinceLastMotivation = Date.now() - (lastStudyMotivationAt ? new Date(lastStudyMotivationAt).getTime() : 0);
       
       // Don't send more than once per day
       if (timeSinceLastMotivation < 24 * 60 * 60 * 1000) {
@@ -309,8 +360,7 @@ Generate ONLY the message text, nothing else.`;
       }
 
       // Evening time (study time)
-      const now = new Date();
-      const hour = now.getHours();
+      const { hour } = await availabilityManager.getLocalTime(userId);
       if (hour >= 19 && hour <= 22) {
         motivationScore += 1;
         context.factors.push('study_time');
@@ -332,29 +382,34 @@ Generate ONLY the message text, nothing else.`;
   }
 
   /**
-   * Send personalized study motivation message
+   * Queue a personalized study motivation message
    */
   async sendStudyMotivationMessage(userId, context) {
-    try {
-      logger.info(`Sending study motivation to ${userId} (score: ${context.motivationScore})`);
-      
-      const memory = await memoryManager.getUserMemory(userId);
-      const personaPrompt = await personaManager.generatePersonaPrompt(userId);
-      
-      const motivationPrompt = `${personaPrompt}
+    return await proactiveGovernor.submit(userId, 'study_motivation', context);
+  }
+
+  /**
+   * Build the study motivation prompt
+   */
+  async buildStudyMotivationPrompt(userId, context) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId);
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    
+    const motivationPrompt = `${personaPrompt}
 
 STUDY MOTIVATION MESSAGE GENERATION:
 
 User Context: ${JSON.stringify({
-        name: memory.personalInfo?.name || 'friend',
-        stream: context.stream,
-        weakSubjects: context.weakSubjects,
-        strongSubjects: context.strongSubjects,
-        factors: context.factors,
-        currentMood: memory.emotionalProfile?.currentMood
-      }, null, 2)}
-
-Generate an encouraging study motivation message as ${config.persona.name}. Consider:
+      name: memory.personalInfo?.name || 'friend',
+      stream: context.stream,
+      weakSubjects: context.weakSubjects,
+      strongSubjects: context.strongSubjects,
+      factors: context.factors,
+      currentMood: memory.emotionalProfile?.currentMood
+    }, null, 2)}
+
+Generate an encouraging study motivation message as ${personaName}. Consider:
 - It's evening study time (7-10 PM) for A/L students
 - Reference their specific subjects or struggles if known
 - Be motivational but not preachy
@@ -371,37 +426,7 @@ Message should be:
 
 Generate ONLY the message text, nothing else.`;
 
-      const conversationHistory = [{
-        role: 'user',
-        parts: [{ text: motivationPrompt }]
-      }];
-
-      const motivationMessage = await geminiClient.generateContent(conversationHistory, null, null, 1);
-      
-      if (motivationMessage && motivationMessage.trim().length > 10) {
-        // Send typing indicator
-        await whatsappClient.sendTyping(userId, true);
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // Store the message
-        await jsonDb.addMessage(userId, 'assistant', motivationMessage, {
-          type: 'study_motivation',
-          factors: context.factors,
-          motivationScore: context.motivationScore
-        });
-        
-        // Send the message
-        await whatsappClient.sendTyping(userId, false);
-        await whatsappClient.sendMessage(userId, motivationMessage);
-        
-        // Update motivation schedule
-        this.motivationSchedule.set(userId, Date.now());
-        
-        logger.success(`Study motivation sent to ${userId}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to send study motivation to ${userId}:`, error);
-    }
+    return { prompt: motivationPrompt, metadata: { type: 'study_motivation', factors: context.factors, motivationScore: context.motivationScore } };
   }
 
   /**
@@ -409,7 +434,7 @@ Generate ONLY the message text, nothing else.`;
    */
   async checkForCelebrations() {
     try {
-      for (const userId of this.activeUsers) {
+      for (const userId of await this.getTargetUsers('celebration')) {
         const celebrations = await this.detectCelebrationOpportunities(userId);
         
         for (const celebration of celebrations) {
@@ -428,6 +453,7 @@ Generate ONLY the message text, nothing else.`;
     try {
       const memory = await memoryManager.getUserMemory(userId);
       const recentEvents = memory.lifeEvents?.recentEvents || [];
+      const { celebrated } = await this.getRecord(userId);
       const celebrations = [];
       
       // Check for achievements mentioned in recent events
@@ -443,7 +469,7 @@ Generate ONLY the message text, nothing else.`;
           // Check if we've already celebrated this
           const celebrationKey = `${userId}-${event.timestamp}`;
           
-          if (!this.celebrationTracker.has(celebrationKey)) {
+          if (!celebrated[celebrationKey]) {
             celebrations.push({
               type: 'achievement',
               event: event,
@@ -453,27 +479,8 @@ Generate ONLY the message text, nothing else.`;
           }
         }
       }
-      
-      // Check for birthdays (if personal info includes birth date)
-      const today = new Date();
-      const personalInfo = memory.personalInfo;
-      
-      if (personalInfo.dateOfBirth) {
-        const birthDate = new Date(personalInfo.dateOfBirth);
-        if (birthDate.getMonth() === today.getMonth() && 
-            birthDate.getDate() === today.getDate()) {
-          
-          const celebrationKey = `${userId}-birthday-${today.getFullYear()}`;
-          if (!this.celebrationTracker.has(celebrationKey)) {
-            celebrations.push({
-              type: 'birthday',
-              reason: 'Birthday detected',
-              celebrationKey
-            });
-          }
-        }
-      }
-      
+
+      // Birthdays and anniversaries are sent by importantDatesManager
       return celebrations;
     } catch (error) {
       logger.error('Error detecting celebrations:', error);
@@ -482,16 +489,21 @@ Generate ONLY the message text, nothing else.`;
   }
 
   /**
-   * Send celebration message
+   * Queue a celebration message
    */
   async sendCelebrationMessage(userId, celebration) {
-    try {
-      logger.info(`Sending celebration message to ${userId}: ${celebration.type}`);
-      
-      const memory = await memoryManager.getUserMemory(userId);
-      const personaPrompt = await personaManager.generatePersonaPrompt(userId, { userMood: 'happy' });
-      
-      const celebrationPrompt = `${personaPrompt}
+    return await proactiveGovernor.submit(userId, 'celebration', celebration, { key: celebration.celebrationKey });
+  }
+
+  /**
+   * Build the celebration prompt
+   */
+  async buildCelebrationPrompt(userId, celebration) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId, { userMood: 'happy' });
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    
+    const celebrationPrompt = `${personaPrompt}
 
 CELEBRATION MESSAGE GENERATION:
 
@@ -499,7 +511,7 @@ Celebration Type: ${celebration.type}
 Event Details: ${JSON.stringify(celebration.event || {}, null, 2)}
 User Name: ${memory.personalInfo?.name || 'friend'}
 
-Generate a joyful celebration message as ${config.persona.name}. Consider:
+Generate a joyful celebration message as ${personaName}. Consider:
 - This is a ${celebration.type} celebration
 - Show genuine excitement and pride
 - Reference the specific achievement if known
@@ -516,98 +528,86 @@ Message should be:
 
 Generate ONLY the message text, nothing else.`;
 
-      const conversationHistory = [{
-        role: 'user',
-        parts: [{ text: celebrationPrompt }]
-      }];
-
-      const celebrationMessage = await geminiClient.generateContent(conversationHistory, null, null, 1);
-      
-      if (celebrationMessage && celebrationMessage.trim().length > 10) {
-        // Send typing indicator
-        await whatsappClient.sendTyping(userId, true);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Store the message
-        await jsonDb.addMessage(userId, 'assistant', celebrationMessage, {
-          type: 'celebration',
-          celebrationType: celebration.type,
-          eventDetails: celebration.event
-        });
-        
-        // Send the message
-        await whatsappClient.sendTyping(userId, false);
-        await whatsappClient.sendMessage(userId, celebrationMessage);
-        
-        // Mark as celebrated
-        this.celebrationTracker.set(celebration.celebrationKey, Date.now());
-        
-        // Update relationship level
-        await personaManager.updateRelationshipLevel(userId, 'celebration', 1.5);
-        
-        logger.success(`Celebration message sent to ${userId}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to send celebration message to ${userId}:`, error);
-    }
+    return { prompt: celebrationPrompt, metadata: { type: 'celebration', celebrationType: celebration.type, eventDetails: celebration.event } };
   }
 
   /**
-   * Monitor users in crisis
+   * Monitor users in crisis: catch up on missed follow-ups and close stale cases
    */
   async monitorCrisisUsers() {
     try {
-      for (const userId of this.crisisAlerts.keys()) {
-        const crisisData = this.crisisAlerts.get(userId);
-        const timeSinceCrisis = Date.now() - crisisData.detectedAt;
-        
-        // Follow up after 2 hours if in crisis
-        if (timeSinceCrisis >= 2 * 60 * 60 * 1000 && !crisisData.followUpSent) {
-          await this.sendCrisisFollowUp(userId, crisisData);
-          crisisData.followUpSent = true;
-        }
-        
-        // Remove from crisis tracking after 24 hours
-        if (timeSinceCrisis >= 24 * 60 * 60 * 1000) {
-          this.crisisAlerts.delete(userId);
+      for (const crisisCase of await crisisEscalationManager.getOpenCases()) {
+        if (!crisisCase.followUpSentAt) {
+          await this.scheduleCrisisFollowUp(crisisCase);
         }
       }
+
+      // Close cases nobody has touched for a long time
+      await crisisEscalationManager.resolveStaleCases();
     } catch (error) {
       logger.error('Error monitoring crisis users:', error);
     }
   }
 
   /**
-   * Mark user as in crisis
+   * Schedule the follow-up message of a crisis case (once per case)
    */
-  markUserInCrisis(userId, severity, reason) {
-    this.crisisAlerts.set(userId, {
-      severity,
-      reason,
-      detectedAt: Date.now(),
-      followUpSent: false
+  async scheduleCrisisFollowUp(crisisCase) {
+    const runAt = new Date(crisisCase.openedAt).getTime() + config.crisis.followUpHours * 60 * 60 * 1000;
+    return await jobScheduler.schedule('crisis.follow_up', { caseId: crisisCase.id, userId: crisisCase.userId }, {
+      runAt: Math.max(runAt, Date.now()),
+      dedupeKey: `crisis_follow_up:${crisisCase.id}`
     });
-    
+  }
+
+  /**
+   * Queue the scheduled follow-up of a crisis case, unless it was resolved or already followed up
+   */
+  async runCrisisFollowUp(caseId) {
+    const crisisCase = await crisisEscalationManager.getCase(caseId);
+    if (!crisisCase || crisisCase.status === 'resolved' || crisisCase.followUpSentAt) {
+      return { skipped: true };
+    }
+
+    // Held back by quiet hours or an ongoing chat; monitorCrisisUsers would otherwise queue it again every run
+    if (await proactiveGovernor.hasCandidate(crisisCase.userId, 'crisis_follow_up', caseId)) {
+      return { queued: true };
+    }
+    return await proactiveGovernor.submit(crisisCase.userId, 'crisis_follow_up', { caseId }, { key: caseId });
+  }
+
+  /**
+   * Mark user as in crisis and run the escalation policy
+   */
+  async markUserInCrisis(userId, severity, reason, { source = 'conversation', message = null } = {}) {
     logger.warn(`User ${userId} marked in crisis: ${severity} - ${reason}`);
+    const crisisCase = await crisisEscalationManager.escalate(userId, { severity, reason, source, message });
+    if (crisisCase && !crisisCase.followUpSentAt) {
+      await this.scheduleCrisisFollowUp(crisisCase);
+    }
+    return crisisCase;
   }
 
   /**
-   * Send crisis follow-up
+   * Build the crisis follow-up prompt; null when the case was resolved or followed up in the meantime
    */
-  async sendCrisisFollowUp(userId, crisisData) {
-    try {
-      const memory = await memoryManager.getUserMemory(userId);
-      const personaPrompt = await personaManager.generatePersonaPrompt(userId, { userMood: 'concerned' });
-      
-      const followUpPrompt = `${personaPrompt}
+  async buildCrisisFollowUpPrompt(userId, { caseId }) {
+    const crisisData = await crisisEscalationManager.getCase(caseId);
+    if (!crisisData || crisisData.status === 'resolved' || crisisData.followUpSentAt) return null;
+
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId, { userMood: 'concerned' });
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    
+    const followUpPrompt = `${personaPrompt}
 
 CRISIS FOLLOW-UP MESSAGE:
 
-Crisis Context: ${JSON.stringify(crisisData, null, 2)}
+Crisis Context: ${JSON.stringify({ severity: crisisData.severity, reason: crisisData.reason }, null, 2)}
 User Name: ${memory.personalInfo?.name || 'friend'}
-Time Since Crisis: ${Math.floor((Date.now() - crisisData.detectedAt) / (1000 * 60 * 60))} hours ago
+Time Since Crisis: ${Math.floor((Date.now() - new Date(crisisData.openedAt).getTime()) / (1000 * 60 * 60))} hours ago
 
-Generate a caring follow-up message as ${config.persona.name}. Consider:
+Generate a caring follow-up message as ${personaName}. Consider:
 - You detected signs of emotional crisis earlier
 - Checking in after some time has passed
 - Show genuine concern and care
@@ -624,30 +624,7 @@ Message should be:
 
 Generate ONLY the message text, nothing else.`;
 
-      const conversationHistory = [{
-        role: 'user',
-        parts: [{ text: followUpPrompt }]
-      }];
-
-      const followUpMessage = await geminiClient.generateContent(conversationHistory, null, null, 1);
-      
-      if (followUpMessage && followUpMessage.trim().length > 10) {
-        await whatsappClient.sendTyping(userId, true);
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        await jsonDb.addMessage(userId, 'assistant', followUpMessage, {
-          type: 'crisis_followup',
-          originalCrisis: crisisData
-        });
-        
-        await whatsappClient.sendTyping(userId, false);
-        await whatsappClient.sendMessage(userId, followUpMessage);
-        
-        logger.success(`Crisis follow-up sent to ${userId}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to send crisis follow-up to ${userId}:`, error);
-    }
+    return { prompt: followUpPrompt, metadata: { type: 'crisis_followup', crisisCaseId: crisisData.id } };
   }
 
   /**
@@ -655,7 +632,10 @@ Generate ONLY the message text, nothing else.`;
    */
   async performFriendshipMaintenance() {
     try {
-      for (const userId of this.activeUsers) {
+      for (const userId of await this.getTargetUsers('friendship_maintenance')) {
+        const { weekday, hour } = await availabilityManager.getLocalTime(userId);
+        if (weekday !== FRIENDSHIP_MAINTENANCE_DAY || hour !== FRIENDSHIP_MAINTENANCE_HOUR) continue;
+
         const shouldMaintain = await this.shouldPerformFriendshipMaintenance(userId);
         
         if (shouldMaintain.should) {
@@ -703,14 +683,21 @@ Generate ONLY the message text, nothing else.`;
   }
 
   /**
-   * Send friendship maintenance message
+   * Queue a friendship maintenance message
    */
   async sendFriendshipMaintenanceMessage(userId, context) {
-    try {
-      const memory = await memoryManager.getUserMemory(userId);
-      const personaPrompt = await personaManager.generatePersonaPrompt(userId);
-      
-      const maintenancePrompt = `${personaPrompt}
+    return await proactiveGovernor.submit(userId, 'friendship_maintenance', context);
+  }
+
+  /**
+   * Build the friendship maintenance prompt
+   */
+  async buildFriendshipMaintenancePrompt(userId, context) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId);
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    
+    const maintenancePrompt = `${personaPrompt}
 
 FRIENDSHIP MAINTENANCE MESSAGE:
 
@@ -718,7 +705,7 @@ Context: ${JSON.stringify(context, null, 2)}
 User Name: ${memory.personalInfo?.name || 'friend'}
 Relationship Level: ${context.relationshipLevel.toFixed(1)}/5.0
 
-Generate a natural "thinking of you" message as ${config.persona.name}. Consider:
+Generate a natural "thinking of you" message as ${personaName}. Consider:
 - You haven't talked in ${context.daysSinceLastMessage} days
 - You're genuinely missing the friendship
 - Check in on how they're doing
@@ -735,30 +722,7 @@ Message should be:
 
 Generate ONLY the message text, nothing else.`;
 
-      const conversationHistory = [{
-        role: 'user',
-        parts: [{ text: maintenancePrompt }]
-      }];
-
-      const maintenanceMessage = await geminiClient.generateContent(conversationHistory, null, null, 1);
-      
-      if (maintenanceMessage && maintenanceMessage.trim().length > 10) {
-        await whatsappClient.sendTyping(userId, true);
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        await jsonDb.addMessage(userId, 'assistant', maintenanceMessage, {
-          type: 'friendship_maintenance',
-          daysSinceLastMessage: context.daysSinceLastMessage
-        });
-        
-        await whatsappClient.sendTyping(userId, false);
-        await whatsappClient.sendMessage(userId, maintenanceMessage);
-        
-        logger.success(`Friendship maintenance sent to ${userId}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to send friendship maintenance to ${userId}:`, error);
-    }
+    return { prompt: maintenancePrompt, metadata: { type: 'friendship_maintenance', daysSinceLastMessage: context.daysSinceLastMessage } };
   }
 
   /**
@@ -766,11 +730,7 @@ Generate ONLY the message text, nothing else.`;
    */
   getStatus() {
     return {
-      activeUsers: this.activeUsers.size,
-      usersInCrisis: this.crisisAlerts.size,
-      scheduledCheckIns: this.checkInSchedule.size,
-      trackedCelebrations: this.celebrationTracker.size,
-      studyMotivationScheduled: this.motivationSchedule.size
+      usersInCrisis: crisisEscalationManager.getStatus().openCases
     };
   }
 }
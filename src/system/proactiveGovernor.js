@@ -0,0 +1,303 @@
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { jsonDb } from '../database/jsonDb.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { whatsappClient } from '../whatsapp/whatsappClient.js';
+import { availabilityManager } from './availabilityManager.js';
+import { consentManager } from './consentManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('ProactiveGovernor');
+
+const COLLECTION = 'proactive_outbox';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Single gate for every message the bot sends without being asked.
+ * Senders submit candidates; a per-user dispatch job picks the highest-priority one after a short
+ * merge window, folds the other pending candidates into the same message, and enforces consent, quiet hours,
+ * active conversations, a minimum gap and daily/weekly caps.
+ */
+export class ProactiveGovernor {
+  constructor() {
+    this.storage = storage;
+    this.kinds = new Map(); // kind -> { priority, consentCategory, exemptFromCaps, mergeable, ttlHours, buildPrompt, describe, onSent }
+    this.stats = { submitted: 0, sent: 0, merged: 0, dropped: 0, deferred: 0, declined: 0 };
+
+    jobScheduler.registerHandler('proactive.dispatch', ({ userId }) => this.dispatch(userId));
+  }
+
+  /**
+   * Register a kind of proactive message.
+   * consentCategory is the consent the user must have given (null means always allowed, e.g. crisis follow-ups).
+   * buildPrompt(userId, context) returns { prompt, metadata } or null to skip; describe(context) is
+   * one line used when the message is folded into another; onSent(userId, context) runs after sending.
+   */
+  registerKind(kind, { priority, consentCategory = null, exemptFromCaps = false, mergeable = true, ttlHours = config.proactive.candidateTtlHours, buildPrompt, describe, onSent = null }) {
+    this.kinds.set(kind, { priority, consentCategory, exemptFromCaps, mergeable, ttlHours, buildPrompt, describe, onSent });
+  }
+
+  /**
+   * Whether the user allows messages of a kind
+   */
+  async hasConsent(userId, kind) {
+    const { consentCategory } = this.kinds.get(kind);
+    return !consentCategory || await consentManager.isAllowed(userId, consentCategory);
+  }
+
+  /**
+   * Queue a proactive message. Candidates with the same kind and key replace each other.
+   */
+  async submit(userId, kind, context = {}, { key = kind } = {}) {
+    const definition = this.kinds.get(kind);
+    if (!definition) throw new Error(`Unknown proactive message kind '${kind}'`);
+
+    if (!(await this.hasConsent(userId, kind))) {
+      this.stats.declined++;
+      logger.debug(`Not queuing ${kind} message for ${userId}: not opted in`);
+      return { queued: false, reason: 'no consent' };
+    }
+
+    const now = Date.now();
+    await this.storage.update(COLLECTION, userId, (current) => {
+      const outbox = current || { candidates: [], sent: [] };
+      outbox.candidates = outbox.candidates.filter(candidate => !(candidate.kind === kind && candidate.key === key));
+      outbox.candidates.push({
+        kind,
+        key,
+        context,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + definition.ttlHours * HOUR_MS).toISOString()
+      });
+      return outbox;
+    });
+
+    this.stats.submitted++;
+    logger.debug(`Queued ${kind} message for ${userId}`);
+
+    // Anything else submitted within the merge window goes out in the same message
+    await jobScheduler.schedule('proactive.dispatch', { userId }, {
+      delayMs: config.proactive.mergeWindowMinutes * MINUTE_MS,
+      dedupeKey: `proactive_dispatch:${userId}`
+    });
+    return { queued: true };
+  }
+
+  /**
+   * Get a user's outbox
+   */
+  async getOutbox(userId) {
+    return await this.storage.get(COLLECTION, userId, { candidates: [], sent: [] });
+  }
+
+  /**
+   * Whether a message of this kind and key is waiting in a user's outbox
+   */
+  async hasCandidate(userId, kind, key = kind) {
+    const { candidates } = await this.getOutbox(userId);
+    return candidates.some(candidate => candidate.kind === kind && candidate.key === key);
+  }
+
+  /**
+   * Move a user's dispatch to a later time
+   */
+  async defer(userId, runAt, reason) {
+    this.stats.deferred++;
+    logger.info(`Proactive messages to ${userId} deferred until ${runAt.toISOString()} (${reason})`);
+    await jobScheduler.schedule('proactive.dispatch', { userId }, { runAt, dedupeKey: `proactive_dispatch:${userId}`, replace: true });
+    return { deferredUntil: runAt.toISOString(), reason };
+  }
+
+  /**
+   * Send held messages as soon as the other rules allow (after the user ends a pause)
+   */
+  async release(userId) {
+    const { candidates } = await this.getOutbox(userId);
+    if (candidates.length === 0) return 0;
+
+    await jobScheduler.schedule('proactive.dispatch', { userId }, { dedupeKey: `proactive_dispatch:${userId}`, replace: true });
+    return candidates.length;
+  }
+
+  /**
+   * When the user's current conversation counts as over, or null when they are not chatting
+   */
+  async getConversationEnd(userId, now = Date.now()) {
+    const messages = await jsonDb.getMessagesForSender(userId);
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user' && jsonDb.isChatMessage(msg));
+    if (!lastUserMessage) return null;
+
+    const end = new Date(lastUserMessage.timestamp).getTime() + config.proactive.activeConversationMinutes * MINUTE_MS;
+    return end > now ? new Date(end) : null;
+  }
+
+  /**
+   * Count messages sent in the last day and week
+   */
+  countRecentSends(sent, now = Date.now()) {
+    const times = sent.map(entry => new Date(entry.at).getTime());
+    return {
+      day: times.filter(time => now - time < DAY_MS).length,
+      week: times.filter(time => now - time < WEEK_MS).length,
+      lastSentAt: times.length > 0 ? Math.max(...times) : null
+    };
+  }
+
+  /**
+   * Order candidates by priority (highest first), oldest first within a priority
+   */
+  sortCandidates(candidates) {
+    return [...candidates].sort((a, b) =>
+      (this.kinds.get(b.kind)?.priority ?? 0) - (this.kinds.get(a.kind)?.priority ?? 0) ||
+      a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Decide what to send to a user now and send it. Throws when sending fails so the job is retried.
+   */
+  async dispatch(userId) {
+    const now = Date.now();
+    const outbox = await this.getOutbox(userId);
+    const live = [];
+    for (const candidate of outbox.candidates) {
+      // The user may have opted out while the message was held
+      if (this.kinds.has(candidate.kind) && new Date(candidate.expiresAt).getTime() > now && await this.hasConsent(userId, candidate.kind)) {
+        live.push(candidate);
+      }
+    }
+    if (live.length === 0) {
+      await this.removeCandidates(userId, outbox.candidates);
+      return { sent: false, reason: 'nothing queued' };
+    }
+
+    const nextAllowed = await availabilityManager.getNextAllowedTime(userId, new Date(now));
+    if (nextAllowed) return await this.defer(userId, nextAllowed, 'quiet hours');
+
+    const conversationEnd = await this.getConversationEnd(userId, now);
+    if (conversationEnd) return await this.defer(userId, conversationEnd, 'active conversation');
+
+    // Over the cap, only exempt kinds (crisis follow-ups) still go out
+    const counts = this.countRecentSends(outbox.sent, now);
+    const overCap = counts.day >= config.proactive.dailyCap || counts.week >= config.proactive.weeklyCap;
+    const allowed = this.sortCandidates(live).filter(candidate => !overCap || this.kinds.get(candidate.kind).exemptFromCaps);
+    const dropped = outbox.candidates.filter(candidate => !allowed.includes(candidate));
+    if (dropped.length > 0) {
+      this.stats.dropped += dropped.length;
+      await this.removeCandidates(userId, dropped);
+      if (overCap) logger.info(`Dropped ${dropped.length} proactive message(s) for ${userId}: cap reached (${counts.day}/day, ${counts.week}/week)`);
+    }
+    if (allowed.length === 0) return { sent: false, reason: 'cap reached' };
+
+    const [primary] = allowed;
+    const primaryKind = this.kinds.get(primary.kind);
+    const gapEnd = counts.lastSentAt + config.proactive.minGapMinutes * MINUTE_MS;
+    if (counts.lastSentAt && gapEnd > now && !primaryKind.exemptFromCaps) {
+      return await this.defer(userId, new Date(gapEnd), 'minimum gap');
+    }
+
+    // Fold the rest into the same message unless either side has to stand alone
+    const batch = primaryKind.mergeable ?
+      allowed.filter(candidate => this.kinds.get(candidate.kind).mergeable) :
+      [primary];
+
+    const sent = await this.send(userId, batch);
+    if (!sent) throw new Error(`Could not generate the ${primary.kind} message`);
+
+    const remaining = allowed.filter(candidate => !batch.includes(candidate));
+    if (remaining.length > 0) {
+      await jobScheduler.schedule('proactive.dispatch', { userId }, {
+        delayMs: config.proactive.minGapMinutes * MINUTE_MS,
+        dedupeKey: `proactive_dispatch:${userId}`
+      });
+    }
+    return { sent: true, kinds: batch.map(candidate => candidate.kind) };
+  }
+
+  /**
+   * Generate and send one message covering a batch of candidates (the first is the main topic)
+   */
+  async send(userId, batch) {
+    const [primary, ...others] = batch;
+    const built = await this.kinds.get(primary.kind).buildPrompt(userId, primary.context);
+    if (!built) {
+      await this.removeCandidates(userId, [primary]);
+      return true;
+    }
+
+    let prompt = built.prompt;
+    if (others.length > 0) {
+      prompt += `\n\nALSO COVER IN THIS SAME MESSAGE (briefly and naturally, no second greeting):\n` +
+        others.map(candidate => `- ${this.kinds.get(candidate.kind).describe(candidate.context)}`).join('\n') +
+        `\n\nStill generate ONLY one message text.`;
+    }
+
+    const message = await geminiClient.generateContent([{ role: 'user', parts: [{ text: prompt }] }], null, null, 1);
+    if (!message || message.trim().length <= 10) return false;
+
+    await whatsappClient.sendTyping(userId, true);
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    await jsonDb.addMessage(userId, 'assistant', message, {
+      ...built.metadata,
+      ...(others.length > 0 ? { mergedKinds: others.map(candidate => candidate.kind) } : {})
+    });
+    await whatsappClient.sendTyping(userId, false);
+    await whatsappClient.sendMessage(userId, message);
+
+    const sentAt = new Date().toISOString();
+    await this.storage.update(COLLECTION, userId, (current) => {
+      const outbox = current || { candidates: [], sent: [] };
+      outbox.candidates = outbox.candidates.filter(candidate => !batch.some(item => item.kind === candidate.kind && item.key === candidate.key));
+      outbox.sent = [...outbox.sent.filter(entry => Date.now() - new Date(entry.at).getTime() < WEEK_MS), {
+        at: sentAt,
+        kinds: batch.map(candidate => candidate.kind)
+      }];
+      return outbox;
+    });
+
+    this.stats.sent++;
+    this.stats.merged += others.length;
+    logger.success(`Proactive ${batch.map(candidate => candidate.kind).join(' + ')} message sent to ${userId}`);
+
+    for (const candidate of batch) {
+      try {
+        await this.kinds.get(candidate.kind).onSent?.(userId, candidate.context);
+      } catch (error) {
+        logger.error(`After-send step for ${candidate.kind} failed:`, error);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Remove candidates from a user's outbox
+   */
+  async removeCandidates(userId, candidates) {
+    if (candidates.length === 0) return;
+    await this.storage.update(COLLECTION, userId, (current) => {
+      if (!current) return undefined;
+      current.candidates = current.candidates.filter(candidate => !candidates.some(item => item.kind === candidate.kind && item.key === candidate.key));
+      return current;
+    });
+  }
+
+  /**
+   * Get governor status
+   */
+  getStatus() {
+    return {
+      kinds: [...this.kinds.entries()]
+        .sort(([, a], [, b]) => b.priority - a.priority)
+        .map(([kind, definition]) => kind + (definition.exemptFromCaps ? ' (uncapped)' : '')),
+      dailyCap: config.proactive.dailyCap,
+      weeklyCap: config.proactive.weeklyCap,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+export const proactiveGovernor = new ProactiveGovernor();
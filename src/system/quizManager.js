@@ -0,0 +1,342 @@
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { flashcardManager } from './flashcardManager.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Quiz');
+
+const COLLECTION = 'quizzes';
+const MAX_HISTORY = 50; // Finished quizzes kept per user
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+
+export const QUIZ_TYPES = ['mcq', 'short', 'mixed'];
+
+// Answers that end the quiz, or give up on a question
+const STOP_ANSWERS = /^(stop|quit|exit|end|done|stop quiz|නවත්තන්න|ඇති)$/i;
+const SKIP_ANSWERS = /^(skip|pass|idk|i don'?t know|dunno|no idea|\?|දන්නේ නෑ|දන්නෙ නෑ)$/i;
+
+/**
+ * Lowercase text without punctuation, for comparing answers
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Interactive quizzes in chat: MCQ and short-answer questions asked one at a time, graded with explanations.
+ * Scores per subject and topic are kept in academicInfo.quizPerformance, and strongSubjects/weakSubjects
+ * follow the measured accuracy once a subject has enough answers.
+ */
+export class QuizManager {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Generate a short quiz id
+   */
+  generateId() {
+    return (Date.now().toString(36).slice(-4) + Math.random().toString(36).slice(2, 4)).toLowerCase();
+  }
+
+  /**
+   * Get a user's quiz record: the quiz in progress and finished quizzes
+   */
+  async getRecord(userId) {
+    return await this.storage.get(COLLECTION, userId, null) || { session: null, history: [] };
+  }
+
+  /**
+   * Change a user's quiz record
+   */
+  async updateRecord(userId, updater) {
+    return await this.storage.update(COLLECTION, userId, (current) => updater(current || { session: null, history: [] }));
+  }
+
+  /**
+   * The subject as the memory profile already spells it, so "physics" and "Physics" are one subject
+   */
+  async resolveSubject(userId, subject) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const known = [
+      ...Object.keys(memory.academicInfo?.quizPerformance || {}),
+      ...(memory.academicInfo?.strongSubjects || []),
+      ...(memory.academicInfo?.weakSubjects || [])
+    ];
+    const value = String(subject).trim();
+    return known.find(name => normalize(name) === normalize(value)) || value.charAt(0).toUpperCase() + value.slice(1);
+  }
+
+  /**
+   * Ask the model for the questions of a quiz
+   */
+  async generateQuestions(userId, { subject, topic, type, count }) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const kinds = {
+      mcq: 'multiple choice questions with exactly 4 options',
+      short: 'short-answer questions (a word, number, formula or one sentence)',
+      mixed: 'a mix of multiple choice (4 options) and short-answer questions'
+    };
+
+    const prompt = `QUIZ GENERATION:
+
+Write ${count} ${kinds[type]} for a Sri Lankan A/L student${memory.academicInfo?.stream ? ` in the ${memory.academicInfo.stream} stream` : ''}.
+Subject: ${subject}${topic ? `\nTopic: ${topic}` : ''}
+
+- Follow the Sri Lankan A/L syllabus and past-paper style
+- Cover different parts of the ${topic ? 'topic' : 'subject'}, from easier to harder
+- Give each question the syllabus topic it tests
+- The explanation says why the answer is right, in 1-2 sentences
+- Write in the language the subject is usually studied in by the student; keep technical terms as students learn them
+
+Respond with ONLY this JSON:
+{"questions": [
+  {"type": "mcq", "topic": "topic", "question": "question", "options": ["option A", "option B", "option C", "option D"], "answer": "A", "explanation": "why"},
+  {"type": "short", "topic": "topic", "question": "question", "answer": "short answer", "explanation": "why"}
+]}`;
+
+    const response = await geminiClient.generateContent([{ role: 'user', parts: [{ text: prompt }] }], null, null, 1);
+    const jsonMatch = response?.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('Could not make the quiz');
+
+    // MCQs without exactly 4 options are dropped rather than asked as short answers
+    return (JSON.parse(jsonMatch[0]).questions || [])
+      .filter(question => question.type !== 'mcq' || (Array.isArray(question.options) && question.options.length === OPTION_LETTERS.length))
+      .map(question => {
+        const isMcq = question.type === 'mcq';
+        const answer = String(question.answer || '').trim();
+        return {
+          type: isMcq ? 'mcq' : 'short',
+          topic: String(question.topic || topic || subject).trim(),
+          question: String(question.question || '').trim(),
+          options: isMcq ? question.options.map(String) : null,
+          answer: isMcq ? answer.charAt(0).toUpperCase() : answer,
+          explanation: question.explanation || null
+        };
+      })
+      .filter(question => question.question && question.answer && (question.type === 'short' || OPTION_LETTERS.includes(question.answer)))
+      .slice(0, count);
+  }
+
+  /**
+   * Start a quiz; returns the first question. Replaces a quiz in progress.
+   */
+  async startQuiz(userId, { subject, topic = null, type = 'mixed', count = config.quiz.questions }) {
+    if (!subject?.trim()) throw new Error('A subject is required');
+    if (!QUIZ_TYPES.includes(type)) throw new Error(`Quiz type must be one of: ${QUIZ_TYPES.join(', ')}`);
+
+    const resolved = await this.resolveSubject(userId, subject);
+    const total = Math.min(Math.max(parseInt(count) || config.quiz.questions, 1), config.quiz.maxQuestions);
+    const questions = await this.generateQuestions(userId, { subject: resolved, topic, type, count: total });
+    if (questions.length === 0) throw new Error('Could not make the quiz');
+
+    // One quiz or flashcard review at a time
+    if ((await this.getRecord(userId)).session) await this.endQuiz(userId);
+    await flashcardManager.endSession(userId);
+
+    const now = new Date().toISOString();
+    await this.updateRecord(userId, (record) => ({
+      ...record,
+      session: {
+        id: this.generateId(),
+        subject: resolved,
+        topic,
+        type,
+        questions,
+        answers: [],
+        startedAt: now,
+        lastActivityAt: now
+      }
+    }));
+
+    logger.info(`Quiz started for ${userId}: ${resolved}${topic ? ` / ${topic}` : ''}, ${questions.length} ${type} question(s)`);
+    return await this.getQuestion(userId);
+  }
+
+  /**
+   * The quiz in progress, or null when there is none or it was left for longer than the session timeout
+   */
+  async getActiveSession(userId, now = new Date()) {
+    const { session } = await this.getRecord(userId);
+    if (!session) return null;
+    return now - new Date(session.lastActivityAt) < config.quiz.sessionTimeoutMinutes * 60 * 1000 ? session : null;
+  }
+
+  /**
+   * The question currently asked, with its position and the score so far
+   */
+  async getQuestion(userId) {
+    const { session } = await this.getRecord(userId);
+    if (!session) return null;
+
+    const question = session.questions[session.answers.length];
+    return question ? {
+      ...question,
+      subject: session.subject,
+      index: session.answers.length + 1,
+      total: session.questions.length,
+      score: session.answers.filter(answer => answer.correct).length
+    } : null;
+  }
+
+  /**
+   * Grade an answer. MCQs are checked by letter or option text; short answers by the model,
+   * or by word overlap when the model is unavailable.
+   */
+  async gradeAnswer(question, answer) {
+    if (SKIP_ANSWERS.test(answer.trim())) return { correct: false, feedback: null };
+
+    if (question.type === 'mcq') {
+      const letter = answer.trim().match(/^\(?([a-d])\)?[.)]?(\s|$)/i)?.[1].toUpperCase() ||
+        OPTION_LETTERS[question.options.findIndex(option => normalize(option) === normalize(answer))];
+      return { correct: letter === question.answer, feedback: null };
+    }
+
+    if (normalize(answer) === normalize(question.answer)) return { correct: true, feedback: null };
+
+    try {
+      const prompt = `QUIZ GRADING:
+
+QUESTION: "${question.question}"
+CORRECT ANSWER: "${question.answer}"
+STUDENT'S ANSWER: "${answer}"
+
+Decide if the student's answer is correct. Accept answers in English, Sinhala or Singlish that mean the same thing,
+small spelling slips and equivalent forms (units, formulas). An incomplete answer that misses the key point is wrong.
+
+Respond with ONLY this JSON:
+{"correct": true, "feedback": "when wrong, one short sentence in the student's language on what they got wrong; else null"}`;
+
+      const response = await geminiClient.generateContent([{ role: 'user', parts: [{ text: prompt }] }], null, null, 1);
+      const result = JSON.parse(response.match(/\{[\s\S]*\}/)[0]);
+      return { correct: result.correct === true, feedback: result.correct === true ? null : result.feedback || null };
+    } catch (error) {
+      logger.debug(`Model grading failed, using word overlap: ${error.message}`);
+      const expected = normalize(question.answer).split(' ');
+      const given = new Set(normalize(answer).split(' '));
+      return { correct: expected.filter(word => given.has(word)).length / expected.length >= 0.8, feedback: null };
+    }
+  }
+
+  /**
+   * Grade the user's answer to the current question and move on.
+   * Returns { stopped, summary } when the user ends the quiz, otherwise
+   * { question, grade, next, summary } where next is the following question, or null with the summary when done.
+   */
+  async answer(userId, text) {
+    if (STOP_ANSWERS.test(text.trim())) {
+      return { stopped: true, summary: await this.endQuiz(userId) };
+    }
+
+    const question = await this.getQuestion(userId);
+    if (!question) return { stopped: true, summary: await this.endQuiz(userId) };
+
+    const grade = await this.gradeAnswer(question, text);
+    await this.updateRecord(userId, (record) => {
+      if (!record.session) return undefined;
+      record.session.answers.push({ answer: text.trim().slice(0, 200), correct: grade.correct, at: new Date().toISOString() });
+      record.session.lastActivityAt = new Date().toISOString();
+      return record;
+    });
+
+    const next = await this.getQuestion(userId);
+    const summary = next ? null : await this.endQuiz(userId);
+    return { question, grade, next, summary };
+  }
+
+  /**
+   * End the quiz, save the result and update the subject's measured performance.
+   * Returns the summary, or null when no quiz was running.
+   */
+  async endQuiz(userId) {
+    const { session } = await this.getRecord(userId);
+    if (!session) return null;
+
+    const answered = session.questions.slice(0, session.answers.length)
+      .map((question, index) => ({ topic: question.topic, question: question.question, ...session.answers[index] }));
+    const missed = answered.filter(item => !item.correct);
+    const summary = {
+      id: session.id,
+      subject: session.subject,
+      topic: session.topic,
+      type: session.type,
+      score: answered.length - missed.length,
+      answered: answered.length,
+      total: session.questions.length,
+      percent: answered.length ? Math.round(((answered.length - missed.length) / answered.length) * 100) : 0,
+      missedTopics: [...new Set(missed.map(item => item.topic))],
+      startedAt: session.startedAt,
+      endedAt: new Date().toISOString()
+    };
+
+    await this.updateRecord(userId, (record) => ({
+      ...record,
+      session: null,
+      history: [...record.history, { ...summary, answers: answered }].slice(-MAX_HISTORY)
+    }));
+
+    if (answered.length > 0) {
+      await this.recordPerformance(userId, session.subject, answered, summary);
+    }
+    logger.info(`Quiz ${session.id} for ${userId} ended: ${summary.score}/${summary.answered} in ${session.subject}`);
+    return summary;
+  }
+
+  /**
+   * Add answers to academicInfo.quizPerformance and re-derive strongSubjects/weakSubjects.
+   * Accuracy is measured over the latest QUIZ_ACCURACY_WINDOW answers of a subject; subjects with fewer than
+   * QUIZ_MIN_ANSWERS answers keep whatever the conversation said about them.
+   */
+  async recordPerformance(userId, subject, answered, summary) {
+    const memory = await memoryManager.getUserMemory(userId);
+    const academicInfo = memory.academicInfo || {};
+    const performance = { ...(academicInfo.quizPerformance || {}) };
+    const current = performance[subject] || { answered: 0, correct: 0, quizzes: 0, recent: [], topics: {} };
+
+    const topics = { ...current.topics };
+    for (const item of answered) {
+      const topic = topics[item.topic] || { answered: 0, correct: 0 };
+      topics[item.topic] = { answered: topic.answered + 1, correct: topic.correct + (item.correct ? 1 : 0) };
+    }
+    const recent = [...current.recent, ...answered.map(item => (item.correct ? 1 : 0))].slice(-config.quiz.accuracyWindow);
+
+    performance[subject] = {
+      answered: current.answered + answered.length,
+      correct: current.correct + summary.score,
+      quizzes: current.quizzes + 1,
+      recent,
+      accuracy: Math.round((recent.reduce((sum, value) => sum + value, 0) / recent.length) * 100) / 100,
+      topics,
+      lastQuizAt: summary.endedAt
+    };
+
+    // Measured subjects are placed by their accuracy; the rest stay as they were
+    const measured = Object.entries(performance).filter(([, entry]) => entry.recent.length >= config.quiz.minAnswers);
+    const isMeasured = (name) => measured.some(([measuredName]) => normalize(measuredName) === normalize(name));
+    const strongSubjects = [
+      ...(academicInfo.strongSubjects || []).filter(name => !isMeasured(name)),
+      ...measured.filter(([, entry]) => entry.accuracy >= config.quiz.strongAccuracy).map(([name]) => name)
+    ];
+    const weakSubjects = [
+      ...(academicInfo.weakSubjects || []).filter(name => !isMeasured(name)),
+      ...measured.filter(([, entry]) => entry.accuracy < config.quiz.weakAccuracy).map(([name]) => name)
+    ];
+
+    await memoryManager.updateMemory(userId, 'academicInfo', { quizPerformance: performance, strongSubjects, weakSubjects }, true, {
+      actor: 'quiz',
+      reason: `Quiz in ${subject}: ${summary.score}/${summary.answered} (${Math.round(performance[subject].accuracy * 100)}% over the last ${recent.length} answers)`
+    });
+  }
+
+  /**
+   * Finished quizzes, newest first
+   */
+  async getHistory(userId, limit = 10) {
+    return (await this.getRecord(userId)).history.slice(-limit).reverse();
+  }
+}
+
+// Export singleton instance
+export const quizManager = new QuizManager();
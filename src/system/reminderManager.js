@@ -0,0 +1,269 @@
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { jsonDb } from '../database/jsonDb.js';
+import { whatsappClient } from '../whatsapp/whatsappClient.js';
+import { availabilityManager } from './availabilityManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { detectLanguage, translate } from '../services/commandMessages.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('Reminders');
+
+const COLLECTION = 'reminders';
+const MINUTE_MS = 60 * 1000;
+
+export const REMINDER_REPEATS = ['none', 'daily', 'weekly'];
+const REPEAT_DAYS = { daily: 1, weekly: 7 };
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_CLOCK = 9 * 60; // "on monday" without a time
+
+/**
+ * Reminders the user asked for ("remind me at 8pm to revise organic chemistry").
+ * Each active reminder has one persistent 'reminders.deliver' job, so it fires on time across restarts.
+ * They are sent as asked, without the proactive budget, consent or quiet hours.
+ */
+export class ReminderManager {
+  constructor() {
+    this.storage = storage;
+    jobScheduler.registerHandler('reminders.deliver', ({ reminderId }, job) => this.deliver(reminderId, job));
+  }
+
+  /**
+   * Generate a short reminder id
+   */
+  generateId() {
+    return (Date.now().toString(36).slice(-4) + Math.random().toString(36).slice(2, 4)).toLowerCase();
+  }
+
+  /**
+   * Parse when a reminder is due, in the user's timezone: "8pm", "in 30m", "tomorrow 7am", "today 18:00",
+   * "tonight", "friday 4pm", "next monday" or "2025-05-01 09:00"
+   */
+  parseWhen(text, timezone, now = new Date()) {
+    const value = String(text || '').trim().toLowerCase().replace(/^(at|on|in)\s+/, '');
+    const parts = TimeUtils.getZonedParts(now, timezone);
+    const onDay = (dayOffset, minutes) => TimeUtils.zonedTimeToDate({
+      ...parts, day: parts.day + dayOffset, hour: Math.floor(minutes / 60), minute: minutes % 60
+    }, timezone);
+
+    if (value === 'tonight') return onDay(0, 20 * 60) > now ? onDay(0, 20 * 60) : null;
+
+    const today = value.match(/^today\s+(.+)$/);
+    if (today) {
+      const minutes = TimeUtils.parseClock(today[1].replace(/^at\s+/, ''));
+      return minutes !== null && onDay(0, minutes) > now ? onDay(0, minutes) : null;
+    }
+
+    const weekday = value.match(/^(next\s+)?(sun|mon|tue|wed|thu|fri|sat)[a-z]*\s*(?:at\s+)?(.*)$/);
+    if (weekday) {
+      const minutes = weekday[3] ? TimeUtils.parseClock(weekday[3]) : DEFAULT_CLOCK;
+      if (minutes === null) return null;
+      let offset = (WEEKDAYS.indexOf(weekday[2]) - parts.weekday + 7) % 7;
+      if (offset === 0 && (weekday[1] || onDay(0, minutes) <= now)) offset = 7;
+      return onDay(offset, minutes);
+    }
+
+    return availabilityManager.parseUntil(value.replace(/^tomorrow\s+at\s+/, 'tomorrow '), timezone, null, now);
+  }
+
+  /**
+   * The next regular time of a repeating reminder after `now`, keeping its local wall-clock time
+   */
+  nextOccurrence(scheduleAt, repeat, timezone, now = new Date()) {
+    const step = REPEAT_DAYS[repeat];
+    if (!step) return null;
+
+    // scheduleAt is already ahead when a snoozed delivery comes after the regular one
+    const parts = TimeUtils.getZonedParts(new Date(scheduleAt), timezone);
+    let next = new Date(scheduleAt);
+    for (let days = step; next <= now; days += step) {
+      next = TimeUtils.zonedTimeToDate({ ...parts, day: parts.day + days }, timezone);
+    }
+    return next;
+  }
+
+  /**
+   * Create a reminder; throws when the time can't be read
+   */
+  async createReminder(userId, { text, when, repeat = 'none', sourceMessageId = null }) {
+    if (!text?.trim()) throw new Error('Reminder text is required');
+    if (!REMINDER_REPEATS.includes(repeat)) throw new Error(`Repeat must be one of: ${REMINDER_REPEATS.join(', ')}`);
+
+    const active = await this.listReminders(userId);
+    if (active.length >= config.reminders.maxPerUser) {
+      throw new Error(`You already have ${active.length} reminders, cancel some first`);
+    }
+
+    const timezone = await availabilityManager.getTimezone(userId);
+    const dueAt = this.parseWhen(when, timezone);
+    if (!dueAt) throw new Error(`Could not read the time '${when}'`);
+
+    const now = new Date().toISOString();
+    const reminder = {
+      id: this.generateId(),
+      userId,
+      text: text.trim(),
+      repeat,
+      timezone,
+      scheduleAt: dueAt.toISOString(), // Regular time; repeats keep its local clock time
+      dueAt: dueAt.toISOString(), // Next delivery, later than scheduleAt when snoozed
+      status: 'active',
+      createdAt: now,
+      updatedAt: now,
+      lastSentAt: null,
+      sentCount: 0,
+      sourceMessageId
+    };
+
+    await this.storage.set(COLLECTION, reminder.id, reminder);
+    await this.scheduleDelivery(reminder);
+    logger.info(`Reminder ${reminder.id} for ${userId} due ${reminder.dueAt}${repeat !== 'none' ? ` (${repeat})` : ''}`);
+    return reminder;
+  }
+
+  /**
+   * Get a reminder, only when it belongs to the user
+   */
+  async getReminder(userId, reminderId) {
+    const reminder = await this.storage.get(COLLECTION, String(reminderId || '').replace(/^#/, ''));
+    return reminder?.userId === userId ? reminder : null;
+  }
+
+  /**
+   * A user's reminders, soonest first; only active ones unless includeDone
+   */
+  async listReminders(userId, { includeDone = false } = {}) {
+    const reminders = Object.values(await this.storage.all(COLLECTION));
+    return reminders
+      .filter(reminder => reminder.userId === userId && (includeDone || reminder.status === 'active'))
+      .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  }
+
+  /**
+   * Cancel a reminder and its pending delivery
+   */
+  async cancelReminder(userId, reminderId) {
+    const reminder = await this.getReminder(userId, reminderId);
+    if (!reminder || reminder.status !== 'active') return null;
+
+    await jobScheduler.cancelWhere({ dedupeKey: `reminder:${reminder.id}` });
+    return await this.updateReminder(reminder.id, { status: 'cancelled' });
+  }
+
+  /**
+   * Deliver a reminder again later. Without an id, the reminder sent most recently is snoozed.
+   * A repeating reminder keeps its regular schedule afterwards.
+   */
+  async snoozeReminder(userId, { reminderId = null, duration = null, until = null } = {}) {
+    const reminder = reminderId ?
+      await this.getReminder(userId, reminderId) :
+      (await this.listReminders(userId, { includeDone: true }))
+        .filter(item => item.lastSentAt && item.status !== 'cancelled')
+        .sort((a, b) => b.lastSentAt.localeCompare(a.lastSentAt))[0];
+    if (!reminder || reminder.status === 'cancelled') return null;
+
+    const timezone = await availabilityManager.getTimezone(userId);
+    const durationMs = duration ? TimeUtils.parseDuration(duration) : null;
+    const dueAt = until ?
+      this.parseWhen(until, timezone) :
+      new Date(Date.now() + (durationMs || config.reminders.defaultSnoozeMinutes * MINUTE_MS));
+    if (!dueAt) throw new Error(`Could not read the time '${until || duration}'`);
+
+    const updated = await this.updateReminder(reminder.id, { status: 'active', dueAt: dueAt.toISOString() });
+    await this.scheduleDelivery(updated);
+    return updated;
+  }
+
+  /**
+   * Change a stored reminder
+   */
+  async updateReminder(reminderId, changes) {
+    return await this.storage.update(COLLECTION, reminderId, (current) => {
+      if (!current) return undefined;
+      return { ...current, ...changes, updatedAt: new Date().toISOString() };
+    });
+  }
+
+  /**
+   * Create or move the delivery job of a reminder
+   */
+  async scheduleDelivery(reminder) {
+    return await jobScheduler.schedule('reminders.deliver', { reminderId: reminder.id, userId: reminder.userId }, {
+      runAt: reminder.dueAt,
+      dedupeKey: `reminder:${reminder.id}`,
+      replace: true
+    });
+  }
+
+  /**
+   * Send a due reminder, then schedule its next occurrence or mark it done.
+   * The reminder is marked failed when its job runs out of retries.
+   */
+  async deliver(reminderId, job = null) {
+    try {
+      return await this.sendDue(reminderId);
+    } catch (error) {
+      if (job && job.attempts >= job.maxAttempts) {
+        await this.updateReminder(reminderId, { status: 'failed', lastError: error.message });
+        logger.error(`Reminder ${reminderId} failed after ${job.attempts} attempts: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a reminder if it is due; it is recorded as sent right after sending so a retry never sends it twice
+   */
+  async sendDue(reminderId) {
+    const reminder = await this.storage.get(COLLECTION, reminderId);
+    if (!reminder || reminder.status !== 'active') return { skipped: true };
+
+    // A retry after this occurrence was recorded only needs the next delivery scheduled
+    if (new Date(reminder.dueAt) > new Date()) {
+      await this.scheduleDelivery(reminder);
+      return { skipped: true, next: reminder.dueAt };
+    }
+
+    const recentMessages = await jsonDb.getRecentMessages(reminder.userId, 10);
+    const language = detectLanguage(recentMessages.filter(msg => msg.role === 'user').map(msg => msg.content));
+    const message = translate(language, reminder.repeat === 'none' ? 'reminderDue' : 'reminderDueRepeating', {
+      text: reminder.text,
+      repeat: reminder.repeat
+    });
+
+    await whatsappClient.sendMessage(reminder.userId, message);
+
+    const now = new Date();
+    const next = this.nextOccurrence(reminder.scheduleAt, reminder.repeat, reminder.timezone, now);
+    const updated = await this.updateReminder(reminderId, {
+      lastSentAt: now.toISOString(),
+      sentCount: reminder.sentCount + 1,
+      ...(next ?
+        { scheduleAt: next.toISOString(), dueAt: next.toISOString() } :
+        { status: 'done' })
+    });
+
+    await jsonDb.addMessage(reminder.userId, 'assistant', message, { type: 'reminder', reminderId })
+      .catch(error => logger.warn(`Reminder ${reminderId} was sent but not added to the chat history: ${error.message}`));
+    if (next) await this.scheduleDelivery(updated);
+    logger.info(`Reminder ${reminderId} sent to ${reminder.userId}${next ? `, next ${next.toISOString()}` : ''}`);
+    return { sent: true, next: next?.toISOString() || null };
+  }
+
+  /**
+   * A reminder as the tools show it, with times in the user's timezone
+   */
+  describe(reminder) {
+    return {
+      id: reminder.id,
+      text: reminder.text,
+      due: availabilityManager.formatLocal(reminder.dueAt, reminder.timezone),
+      repeat: reminder.repeat,
+      status: reminder.status
+    };
+  }
+}
+
+// Export singleton instance
+export const reminderManager = new ReminderManager();
@@ -0,0 +1,197 @@
+import { config } from '../config/config.js';
+import { geminiClient } from '../gemini/geminiClient.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('SignalClassifier');
+
+export const SIGNAL_TYPES = ['personal_share', 'emotional_support', 'crisis', 'celebration', 'academic_help'];
+
+const SIGNAL_DESCRIPTIONS = {
+  personal_share: 'the user shares something personal about themselves, their family, friends or relationships',
+  emotional_support: 'the user expresses feelings (sad, stressed, anxious, lonely, angry, excited) or wants comfort',
+  crisis: 'the user mentions self-harm, suicide, wanting to die, or feels hopeless and unable to go on',
+  celebration: 'the user shares good news, an achievement, results or a win',
+  academic_help: 'the user asks about studies, exams, subjects, homework or past papers'
+};
+
+// Offline fallback. English, Singlish and Sinhala phrases; a strong phrase alone passes the default thresholds,
+// a weak phrase only counts together with another weak phrase.
+const KEYWORDS = {
+  personal_share: {
+    strong: ['my family', 'my mom', 'my mother', 'my dad', 'my father', 'my sister', 'my brother', 'my crush',
+      'my best friend', 'my girlfriend', 'my boyfriend', 'never told anyone', 'mage amma', 'mage thaththa',
+      'mage yaluwa', 'මගේ අම්මා', 'මගේ තාත්තා', 'මගේ යාළුවා', 'කාටවත් කිව්වේ නෑ'],
+    weak: ['i feel', 'i think', 'my friend', 'to be honest']
+  },
+  emotional_support: {
+    strong: ['so sad', 'really sad', 'stressed', 'anxious', 'worried', 'scared', 'lonely', 'crying', 'heartbroken',
+      'upset', 'dukai', 'dukak', 'baya', 'tension', 'දුකයි', 'දුකක්', 'බයයි', 'පාළුයි', 'කේන්තියි', 'ටෙන්ෂන්'],
+    weak: ['sad', 'tired', 'angry', 'happy', 'excited', 'love', 'mood']
+  },
+  crisis: {
+    strong: ['want to die', 'kill myself', 'suicide', 'suicidal', 'end my life', 'hurt myself', 'self harm',
+      'no reason to live', 'better off dead', 'maranna one', 'මැරෙන්න ඕනෙ', 'මැරෙන්න ඕනේ', 'ජීවිතේ එපා', 'මරාගන්න'],
+    weak: ['depressed', 'hate myself', 'give up', 'can\'t handle', 'cant handle', 'hopeless', 'worthless',
+      'jeewithe epa', 'එපා වෙලා']
+  },
+  celebration: {
+    strong: ['passed', 'got good marks', 'got selected', 'first place', 'i did it', 'i won', 'we won', 'pass una',
+      'pass wuna', 'dinuwa', 'සමත්', 'දිනුවා', 'ජය'],
+    weak: ['achieved', 'succeeded', 'good news', 'celebrate', 'results']
+  },
+  academic_help: {
+    strong: ['explain', 'how do i solve', 'help me with', 'homework', 'assignment', 'past paper', 'model paper',
+      'kiyala denna', 'කියලා දෙන්න', 'පසුගිය ප්‍රශ්න පත්‍ර'],
+    weak: ['exam', 'study', 'physics', 'chemistry', 'maths', 'biology', 'lesson', 'revision', 'paper', 'විභාගය', 'පාඩම']
+  }
+};
+
+const STRONG_CONFIDENCE = 0.85;
+const WEAK_CONFIDENCE = 0.4;
+const WEAK_MAX_CONFIDENCE = 0.8;
+const EXTRA_MATCH_BONUS = 0.1;
+const EXTRA_WEAK_MATCH_BONUS = 0.2;
+
+export class SignalClassifier {
+  /**
+   * Whole-word / whole-phrase match that also works for Sinhala script
+   */
+  containsPhrase(lowerText, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escaped}($|[^\\p{L}\\p{M}\\p{N}])`, 'u').test(lowerText);
+  }
+
+  /**
+   * Offline keyword classification, used when the model is disabled or fails
+   */
+  classifyWithKeywords(text) {
+    const lowerText = (text || '').toLowerCase();
+    const signals = [];
+
+    for (const [type, { strong, weak }] of Object.entries(KEYWORDS)) {
+      const strongHits = strong.filter(phrase => this.containsPhrase(lowerText, phrase));
+      const weakHits = weak.filter(phrase => this.containsPhrase(lowerText, phrase));
+      const hits = [...strongHits, ...weakHits];
+      if (hits.length === 0) continue;
+
+      // Weak-only matches stay below STRONG_CONFIDENCE so they never act as the crisis safety floor
+      const confidence = strongHits.length > 0 ?
+        Math.min(STRONG_CONFIDENCE + (hits.length - 1) * EXTRA_MATCH_BONUS, 0.95) :
+        Math.min(WEAK_CONFIDENCE + (hits.length - 1) * EXTRA_WEAK_MATCH_BONUS, WEAK_MAX_CONFIDENCE);
+      signals.push({ type, confidence: Math.round(confidence * 100) / 100, reason: `Matched: ${hits.slice(0, 3).join(', ')}` });
+    }
+
+    return signals;
+  }
+
+  /**
+   * Build the classification prompt
+   */
+  buildPrompt(text) {
+    const descriptions = SIGNAL_TYPES.map(type => `- ${type}: ${SIGNAL_DESCRIPTIONS[type]}`).join('\n');
+
+    return `MESSAGE SIGNAL CLASSIFICATION:
+
+Classify this WhatsApp message from a Sri Lankan student. It may be in English, Sinhala script or Singlish (Sinhala in Latin letters).
+
+MESSAGE: "${text}"
+
+SIGNAL TYPES:
+${descriptions}
+
+Only include signals that are actually present. Words like "my" or "sad" used casually are not signals on their own.
+Give each signal a confidence from 0 to 1. Never leave out a possible crisis; give it a lower confidence instead.
+
+Respond with ONLY this JSON:
+{
+  "signals": [
+    { "type": "signal_type", "confidence": 0.0, "reason": "short reason" }
+  ]
+}`;
+  }
+
+  /**
+   * Ask the model for signals; throws when the response can't be used
+   */
+  async classifyWithModel(text) {
+    const request = geminiClient.generateContent([{ role: 'user', parts: [{ text: this.buildPrompt(text) }] }], null, null, 1);
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Signal classification timed out')), config.signals.timeoutMs);
+    });
+
+    try {
+      const response = await Promise.race([request, timeout]);
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) throw new Error('No JSON in classifier response');
+
+      const parsed = JSON.parse(jsonMatch[0]);
+      return (parsed.signals || [])
+        .filter(signal => SIGNAL_TYPES.includes(signal.type))
+        .map(signal => ({
+          type: signal.type,
+          confidence: Math.min(Math.max(Number(signal.confidence) || 0, 0), 1),
+          reason: signal.reason || null
+        }));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Classify a message into typed signals with confidence scores.
+   * Returns { signals, source } where source is 'model' or 'keywords'.
+   */
+  async classify(text) {
+    if (!text || !text.trim()) return { signals: [], source: 'keywords' };
+
+    const keywordSignals = this.classifyWithKeywords(text);
+
+    if (config.signals.classifier === 'model') {
+      try {
+        return { signals: this.withCrisisFloor(await this.classifyWithModel(text), keywordSignals), source: 'model' };
+      } catch (error) {
+        logger.debug(`Model classification failed, using keywords: ${error.message}`);
+      }
+    }
+
+    return { signals: keywordSignals, source: 'keywords' };
+  }
+
+  /**
+   * Safety floor: a strong crisis keyword always yields a crisis signal, even when the model missed or underrated it
+   */
+  withCrisisFloor(modelSignals, keywordSignals) {
+    const keywordCrisis = keywordSignals.find(signal => signal.type === 'crisis' && signal.confidence >= STRONG_CONFIDENCE);
+    if (!keywordCrisis) return modelSignals;
+
+    const modelCrisis = modelSignals.find(signal => signal.type === 'crisis');
+    if (modelCrisis && modelCrisis.confidence >= keywordCrisis.confidence) return modelSignals;
+
+    logger.warn(`Crisis keywords the model missed or underrated: ${keywordCrisis.reason}`);
+    return [...modelSignals.filter(signal => signal !== modelCrisis), keywordCrisis];
+  }
+
+  /**
+   * Keep only signals at or above their configured threshold
+   */
+  filterByThreshold(signals) {
+    return signals.filter(signal => signal.confidence >= (config.signals.thresholds[signal.type] ?? 1));
+  }
+
+  /**
+   * Classify and return only the signals that pass their thresholds
+   */
+  async detectSignals(text) {
+    const { signals, source } = await this.classify(text);
+    const active = this.filterByThreshold(signals);
+
+    if (active.length > 0) {
+      logger.debug(`Signals (${source}): ${active.map(s => `${s.type}=${s.confidence}`).join(', ')}`);
+    }
+    return { signals: active, source };
+  }
+}
+
+// Export singleton instance
+export const signalClassifier = new SignalClassifier();
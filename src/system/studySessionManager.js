@@ -0,0 +1,359 @@
+import { config } from '../config/config.js';
+import { storage } from '../database/storage.js';
+import { jsonDb } from '../database/jsonDb.js';
+import { memoryManager } from '../database/memoryManager.js';
+import { whatsappClient } from '../whatsapp/whatsappClient.js';
+import { personaManager } from './personaManager.js';
+import { availabilityManager } from './availabilityManager.js';
+import { jobScheduler } from './jobScheduler.js';
+import { proactiveGovernor } from './proactiveGovernor.js';
+import { detectLanguage, translate } from '../services/commandMessages.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { createModuleLogger } from '../utils/logger.js';
+
+const logger = createModuleLogger('StudySessions');
+
+const COLLECTION = 'study_sessions';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_LOGGED = 500; // Finished sessions kept per user
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Format minutes as "1h 25m"
+ */
+export function formatStudyTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${Math.round(minutes % 60)}m` : `${Math.round(minutes)}m`;
+}
+
+/**
+ * Study sessions the user starts with /study start <subject>: pomodoro focus and break phases with reminders,
+ * and a log of every session per subject. The log feeds weekly summaries and predictiveAI's study timing
+ * and academic risk analysis. Each phase change is a persistent job, so timers survive restarts.
+ */
+export class StudySessionManager {
+  constructor() {
+    this.storage = storage;
+
+    jobScheduler.registerHandler('study.phase', ({ userId, sessionId }) => this.advancePhase(userId, sessionId));
+    jobScheduler.registerHandler('study.weekly_summary', () => this.checkWeeklySummaries());
+    jobScheduler.recurring('study_weekly_summary', '0 * * * *', 'study.weekly_summary'); // Sent on Sunday at STUDY_WEEKLY_SUMMARY_HOUR local time
+
+    proactiveGovernor.registerKind('study_summary', {
+      priority: 25,
+      consentCategory: 'study',
+      ttlHours: 12,
+      buildPrompt: (userId, context) => this.buildWeeklySummaryPrompt(userId, context),
+      describe: ({ totalMinutes }) => `Share their weekly study summary (${formatStudyTime(totalMinutes)} studied)`,
+      onSent: (userId, { date }) => this.updateRecord(userId, (record) => ({ ...record, lastWeeklySummary: date }))
+    });
+  }
+
+  /**
+   * Generate a short session id
+   */
+  generateId() {
+    return (Date.now().toString(36).slice(-4) + Math.random().toString(36).slice(2, 4)).toLowerCase();
+  }
+
+  /**
+   * Get a user's study record: the running session and the session log
+   */
+  async getRecord(userId) {
+    return await this.storage.get(COLLECTION, userId, null) || { active: null, sessions: [], lastWeeklySummary: null };
+  }
+
+  /**
+   * Change a user's study record
+   */
+  async updateRecord(userId, updater) {
+    return await this.storage.update(COLLECTION, userId, (current) =>
+      updater(current || { active: null, sessions: [], lastWeeklySummary: null }));
+  }
+
+  /**
+   * The subject as the user logged it before, or as their memory profile spells it
+   */
+  async resolveSubject(userId, subject) {
+    const value = String(subject).trim();
+    const { sessions } = await this.getRecord(userId);
+    const memory = await memoryManager.getUserMemory(userId);
+    const known = [
+      ...sessions.map(session => session.subject),
+      ...Object.keys(memory.academicInfo?.quizPerformance || {}),
+      ...(memory.academicInfo?.strongSubjects || []),
+      ...(memory.academicInfo?.weakSubjects || [])
+    ];
+    return known.find(name => name.toLowerCase() === value.toLowerCase()) || value.charAt(0).toUpperCase() + value.slice(1);
+  }
+
+  /**
+   * Start a session with a focus phase. A running session is stopped and logged first.
+   * Returns { session, previous } where previous is the logged session that was replaced, if any.
+   */
+  async startSession(userId, { subject, focusMinutes = config.study.focusMinutes, sourceMessageId = null }) {
+    if (!subject?.trim()) throw new Error('A subject is required');
+    const focus = Math.min(Math.max(parseInt(focusMinutes) || config.study.focusMinutes, 5), 120);
+
+    const previous = await this.stopSession(userId);
+    const now = new Date();
+    const session = {
+      id: this.generateId(),
+      subject: await this.resolveSubject(userId, subject),
+      startedAt: now.toISOString(),
+      focusMinutes: focus,
+      phase: 'focus',
+      phaseStartedAt: now.toISOString(),
+      phaseEndsAt: new Date(now.getTime() + focus * MINUTE_MS).toISOString(),
+      focusedMs: 0,
+      pomodoros: 0,
+      sourceMessageId
+    };
+
+    await this.updateRecord(userId, (record) => ({ ...record, active: session }));
+    await this.schedulePhase(userId, session);
+    logger.info(`Study session ${session.id} started for ${userId}: ${session.subject}, ${focus} min pomodoros`);
+    return { session, previous };
+  }
+
+  /**
+   * Schedule the end of the current phase
+   */
+  async schedulePhase(userId, session) {
+    return await jobScheduler.schedule('study.phase', { userId, sessionId: session.id }, {
+      runAt: session.phaseEndsAt,
+      dedupeKey: `study:${userId}`,
+      replace: true
+    });
+  }
+
+  /**
+   * The running session with its focused minutes so far, or null
+   */
+  async getActiveSession(userId, now = new Date()) {
+    const { active } = await this.getRecord(userId);
+    if (!active) return null;
+
+    const inFocus = active.phase === 'focus' ? Math.min(now - new Date(active.phaseStartedAt), active.focusMinutes * MINUTE_MS) : 0;
+    return {
+      ...active,
+      focusedMinutes: Math.round((active.focusedMs + inFocus) / MINUTE_MS),
+      elapsedMinutes: Math.round((now - new Date(active.startedAt)) / MINUTE_MS),
+      remainingMinutes: Math.max(0, Math.ceil((new Date(active.phaseEndsAt) - now) / MINUTE_MS))
+    };
+  }
+
+  /**
+   * Stop the running session and log it; returns the log entry, or null when nothing was running
+   */
+  async stopSession(userId, { reason = 'stopped' } = {}) {
+    const active = await this.getActiveSession(userId);
+    if (!active) return null;
+
+    const endedAt = new Date();
+    const { timezone, hour, weekday } = await availabilityManager.getLocalTime(userId, new Date(active.startedAt));
+    const entry = {
+      id: active.id,
+      subject: active.subject,
+      startedAt: active.startedAt,
+      endedAt: endedAt.toISOString(),
+      minutes: active.focusedMinutes,
+      pomodoros: active.pomodoros,
+      focusMinutes: active.focusMinutes,
+      localHour: hour,
+      timeOfDay: TimeUtils.getTimeOfDay(hour),
+      weekday,
+      timezone,
+      endReason: reason
+    };
+
+    await this.updateRecord(userId, (record) => ({
+      ...record,
+      active: null,
+      sessions: [...record.sessions, entry].slice(-MAX_LOGGED)
+    }));
+    await jobScheduler.cancelWhere({ dedupeKey: `study:${userId}` });
+    logger.info(`Study session ${active.id} for ${userId} ended (${reason}): ${entry.minutes} min of ${entry.subject}`);
+    return entry;
+  }
+
+  /**
+   * End the current focus or break phase: announce a break or the next pomodoro, or stop a session
+   * that has run for longer than STUDY_MAX_SESSION_HOURS
+   */
+  async advancePhase(userId, sessionId) {
+    const { active } = await this.getRecord(userId);
+    if (!active || active.id !== sessionId) return { skipped: true };
+
+    const now = new Date();
+    let next;
+    let message;
+
+    if (now - new Date(active.startedAt) >= config.study.maxSessionHours * 60 * MINUTE_MS) {
+      const entry = await this.stopSession(userId, { reason: 'timeout' });
+      await this.send(userId, 'studyAutoStopped', { subject: entry.subject, hours: config.study.maxSessionHours, time: formatStudyTime(entry.minutes) });
+      return { stopped: true };
+    }
+
+    if (active.phase === 'focus') {
+      const pomodoros = active.pomodoros + 1;
+      const longBreak = pomodoros % config.study.pomodorosBeforeLongBreak === 0;
+      const breakMinutes = longBreak ? config.study.longBreakMinutes : config.study.shortBreakMinutes;
+      next = {
+        ...active,
+        phase: 'break',
+        pomodoros,
+        focusedMs: active.focusedMs + active.focusMinutes * MINUTE_MS,
+        phaseStartedAt: now.toISOString(),
+        phaseEndsAt: new Date(now.getTime() + breakMinutes * MINUTE_MS).toISOString()
+      };
+      message = [longBreak ? 'studyLongBreak' : 'studyBreak', { count: pomodoros, subject: active.subject, minutes: breakMinutes }];
+    } else {
+      next = {
+        ...active,
+        phase: 'focus',
+        phaseStartedAt: now.toISOString(),
+        phaseEndsAt: new Date(now.getTime() + active.focusMinutes * MINUTE_MS).toISOString()
+      };
+      message = ['studyResume', { count: active.pomodoros + 1, subject: active.subject, minutes: active.focusMinutes }];
+    }
+
+    await this.updateRecord(userId, (record) => ({ ...record, active: next }));
+    await this.schedulePhase(userId, next);
+    await this.send(userId, ...message);
+    return { phase: next.phase, pomodoros: next.pomodoros };
+  }
+
+  /**
+   * Send a timer message in the user's language. The user started the timer, so these
+   * go out directly, without the proactive budget, consent or quiet hours.
+   */
+  async send(userId, key, vars) {
+    const recentMessages = await jsonDb.getRecentMessages(userId, 10);
+    const language = detectLanguage(recentMessages.filter(msg => msg.role === 'user').map(msg => msg.content));
+    const message = translate(language, key, vars);
+
+    await whatsappClient.sendMessage(userId, message);
+    await jsonDb.addMessage(userId, 'assistant', message, { type: 'study_timer' });
+  }
+
+  /**
+   * Logged study over the last `days` days: totals per subject, time of day and weekday
+   */
+  async getStats(userId, { days = 7, now = new Date() } = {}) {
+    const since = new Date(now.getTime() - days * DAY_MS);
+    const sessions = (await this.getRecord(userId)).sessions.filter(session => new Date(session.startedAt) >= since);
+
+    const bySubject = {};
+    const byTimeOfDay = {};
+    const byWeekday = {};
+    for (const session of sessions) {
+      const subject = bySubject[session.subject] ||= { minutes: 0, sessions: 0, pomodoros: 0, lastStudiedAt: null };
+      subject.minutes += session.minutes;
+      subject.sessions++;
+      subject.pomodoros += session.pomodoros;
+      subject.lastStudiedAt = session.startedAt;
+
+      const period = byTimeOfDay[session.timeOfDay] ||= { minutes: 0, sessions: 0, pomodoros: 0, shortSessions: 0 };
+      period.minutes += session.minutes;
+      period.sessions++;
+      period.pomodoros += session.pomodoros;
+      if (session.pomodoros === 0) period.shortSessions++; // Stopped before the first pomodoro ended
+
+      byWeekday[WEEKDAYS[session.weekday]] = (byWeekday[WEEKDAYS[session.weekday]] || 0) + session.minutes;
+    }
+
+    const totalMinutes = sessions.reduce((sum, session) => sum + session.minutes, 0);
+    return {
+      days,
+      from: since.toISOString(),
+      to: now.toISOString(),
+      sessions: sessions.length,
+      totalMinutes,
+      pomodoros: sessions.reduce((sum, session) => sum + session.pomodoros, 0),
+      averageSessionMinutes: sessions.length ? Math.round(totalMinutes / sessions.length) : 0,
+      bySubject,
+      byTimeOfDay,
+      byWeekday
+    };
+  }
+
+  /**
+   * Hourly: on Sunday at the configured local hour, send last week's summary to users who logged study
+   */
+  async checkWeeklySummaries() {
+    if (!config.study.weeklySummary) return { queued: 0 };
+
+    const records = await this.storage.all(COLLECTION);
+    let queued = 0;
+
+    for (const [userId, record] of Object.entries(records)) {
+      if (userId.includes('@g.us') || (record.sessions || []).length === 0) continue;
+
+      const { timezone, hour, weekday } = await availabilityManager.getLocalTime(userId);
+      const date = TimeUtils.formatDate(new Date(), timezone, 'iso');
+      if (weekday !== 0 || hour !== config.study.weeklySummaryHour || record.lastWeeklySummary === date) continue;
+
+      const stats = await this.getStats(userId, { days: 7 });
+      if (stats.sessions === 0) continue;
+
+      const result = await proactiveGovernor.submit(userId, 'study_summary', { date, totalMinutes: stats.totalMinutes }, { key: date });
+      if (result.queued) queued++;
+    }
+    return { queued };
+  }
+
+  /**
+   * Build the weekly summary message, comparing with the week before
+   */
+  async buildWeeklySummaryPrompt(userId, { date }) {
+    const stats = await this.getStats(userId, { days: 7 });
+    if (stats.sessions === 0) return null;
+
+    const fortnight = await this.getStats(userId, { days: 14 });
+    const previousMinutes = fortnight.totalMinutes - stats.totalMinutes;
+    const memory = await memoryManager.getUserMemory(userId);
+    const personaPrompt = await personaManager.generatePersonaPrompt(userId);
+    const { name: personaName } = await personaManager.getChatPersona(userId);
+    const subjects = Object.entries(stats.bySubject)
+      .sort(([, a], [, b]) => b.minutes - a.minutes)
+      .map(([subject, entry]) => `- ${subject}: ${formatStudyTime(entry.minutes)} (${entry.sessions} sessions)`)
+      .join('\n');
+
+    const prompt = `${personaPrompt}
+
+WEEKLY STUDY SUMMARY:
+
+User Name: ${memory.personalInfo?.name || 'friend'}
+Logged study in the last 7 days: ${formatStudyTime(stats.totalMinutes)} in ${stats.sessions} sessions, ${stats.pomodoros} pomodoros
+${subjects}
+The week before: ${formatStudyTime(previousMinutes)}
+Weak subjects: ${(memory.academicInfo?.weakSubjects || []).join(', ') || 'none known'}
+
+As ${personaName}, send them their weekly study summary.
+- List the time per subject exactly as given above
+- Compare with the week before in one line, and praise real effort
+- If a weak subject got little time, gently suggest one session for it next week
+- Use a natural Sri Lankan Singlish/Sinhala friendly style
+
+Generate ONLY the message text, nothing else.`;
+
+    return { prompt, metadata: { type: 'study_summary', date } };
+  }
+
+  /**
+   * Get study tracking status
+   */
+  getStatus() {
+    return {
+      focusMinutes: config.study.focusMinutes,
+      shortBreakMinutes: config.study.shortBreakMinutes,
+      longBreakMinutes: config.study.longBreakMinutes,
+      weeklySummary: config.study.weeklySummary
+    };
+  }
+}
+
+// Export singleton instance
+export const studySessionManager = new StudySessionManager();
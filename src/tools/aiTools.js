@@ -1,47 +1,28 @@
 import { createModuleLogger } from '../utils/logger.js';
-import { aiMemoryManager } from '../database/aiMemoryManager.js';
 import { mcpTools } from './mcpTools.js';
-import { jsonDb } from '../database/jsonDb.js';
 
 const logger = createModuleLogger('AITools');
 
 export class AITools {
-  constructor() {
-    this.toolExecutionQueue = new Map();
+  /**
+   * Get function declarations for the main chat call
+   */
+  getFunctionDeclarations() {
+    return mcpTools.getFunctionDeclarations();
   }
 
   /**
-   * Process AI tool decisions from conversation
+   * Create an executor for the Gemini tool loop, bound to one user and the message being answered
    */
-  async processAIToolDecisions(userId, toolDecisions, geminiClient) {
-    if (this.toolExecutionQueue.has(userId)) {
-      logger.debug(`Tool execution already in progress for ${userId}`);
-      return null;
-    }
-
-    this.toolExecutionQueue.set(userId, true);
-
-    try {
-      if (!toolDecisions || !toolDecisions.tool_operations) {
-        return null;
-      }
-
-      const operations = toolDecisions.tool_operations;
-      logger.info(`Processing ${operations.length} tool operations for ${userId}`);
-
-      let results = [];
-      for (const operation of operations) {
-        const result = await this.executeToolOperation(userId, operation);
-        if (result) results.push(result);
-      }
-
-      return results.length > 0 ? results : null;
-    } catch (error) {
-      logger.error('Error processing AI tool decisions:', error);
-      return null;
-    } finally {
-      this.toolExecutionQueue.delete(userId);
-    }
+  createToolExecutor(userId, messageId = null) {
+    return async (toolName, args) => {
+      return await this.executeToolOperation(userId, {
+        tool: toolName,
+        parameters: mcpTools.coerceToolArguments(toolName, args),
+        reason: 'model function call',
+        sourceMessageId: messageId
+      });
+    };
   }
 
   /**
@@ -49,18 +30,22 @@ export class AITools {
    */
   async executeToolOperation(userId, operation) {
     try {
-      const { tool, parameters, reason } = operation;
+      const { tool, parameters, reason, sourceMessageId = null } = operation;
 
       if (!tool) {
         logger.warn('Invalid tool operation format:', operation);
-        return null;
+        return {
+          tool,
+          error: 'Tool name is required',
+          reason
+        };
       }
 
       logger.debug(`Executing tool ${tool} for ${userId}: ${reason}`);
 
-      // Execute the tool using MCP tools
-      const result = await mcpTools.executeTool(tool, { userId, ...(parameters || {}) });
-      
+      // userId always comes from the conversation so the model can't act on other users
+      const result = await mcpTools.executeTool(tool, { ...(parameters || {}), userId, sourceMessageId });
+
       logger.success(`Tool ${tool} executed successfully`);
       return {
         tool,
@@ -76,112 +61,7 @@ export class AITools {
       };
     }
   }
-
-  /**
-   * Generate tool analysis prompt for AI
-   */
-  generateToolAnalysisPrompt(userMessage, conversationHistory, availableTools) {
-    const toolsList = Object.entries(availableTools).map(([name, info]) => 
-      `- ${name}: ${info.description} (parameters: ${JSON.stringify(info.parameters)})`
-    ).join('\n');
-
-    const history = conversationHistory.map(m => `${m.role}: ${m.parts[0].text}`).join('\n');
-
-    return `TOOL ANALYSIS TASK:
-
-Analyze the user's message in the context of the conversation history and determine if any tools should be executed.
-
-CONVERSATION HISTORY:
-${history}
-
-LATEST USER MESSAGE: "${userMessage}"
-
-AVAILABLE TOOLS:
-${toolsList}
-
-RESPOND WITH JSON ONLY:
-{
-  "tool_operations": [
-    {
-      "tool": "tool_name",
-      "parameters": {"param1": "value1", ...},
-      "reason": "why this tool should be executed"
-    }
-  ]
-}
-
-TOOL EXECUTION RULES:
-1. Only suggest tools that are clearly needed based on the user's message and history.
-2. For 'store_memory', the 'data' parameter must be a JSON object with the information to store.
-3. For 'analyze_emotional_state', the 'emotionalContext' must be a JSON object describing the user's mood, stress level, and any relevant emotional traits observed.
-4. If no tools are needed, return an empty array for "tool_operations": [].
-5. Ensure all required parameters for a tool are provided in the 'parameters' object.
-6. Base your decision on the full context. For example, if the user says "remember this", you need to find "this" from the conversation.
-
-RESPOND WITH VALID JSON ONLY - NO OTHER TEXT.`;
-  }
-
-  /**
-   * Ask AI to analyze message for tool operations
-   */
-  async analyzeMessageForToolOperations(userId, userMessage, availableTools, geminiClient) {
-    try {
-      const conversationHistory = await jsonDb.getConversationContext(userId, true, 10); // Get last 10 messages
-      const analysisPrompt = this.generateToolAnalysisPrompt(userMessage, conversationHistory, availableTools);
-
-      // Create a simple conversation for analysis
-      const analysisHistoryForAI = [
-        {
-          role: 'user',
-          parts: [{ text: analysisPrompt }]
-        }
-      ];
-
-      const response = await geminiClient.generateContent(analysisHistoryForAI, null, null, 1);
-      
-      // Extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const toolDecisions = JSON.parse(jsonMatch[0]);
-        
-        if (toolDecisions.tool_operations && toolDecisions.tool_operations.length > 0) {
-          logger.info(`AI identified ${toolDecisions.tool_operations.length} tool operations`);
-          return await this.processAIToolDecisions(userId, toolDecisions, geminiClient);
-        }
-        
-        return null;
-      } else {
-        logger.debug('No valid JSON found in AI tool analysis response');
-        return null;
-      }
-    } catch (error) {
-      logger.error('Error in AI tool analysis:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Format tool results for AI context
-   */
-  formatToolResultsForAI(toolResults) {
-    if (!toolResults || toolResults.length === 0) {
-      return '';
-    }
-
-    let context = '\n\n=== TOOL EXECUTION RESULTS ===\n';
-    
-    for (const result of toolResults) {
-      if (result.error) {
-        context += `❌ ${result.tool}: ${result.error}\n`;
-      } else {
-        context += `✅ ${result.tool}: ${JSON.stringify(result.result)}\n`;
-      }
-    }
-    
-    context += '\nUse these results naturally in your response.\n';
-    return context;
-  }
 }
 
 // Export singleton instance
-export const aiTools = new AITools();
\ No newline at end of file
+export const aiTools = new AITools();
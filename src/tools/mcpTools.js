@@ -4,6 +4,8 @@ import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
 import { geminiClient } from '../gemini/geminiClient.js';
 import { FileUtils } from '../utils/fileUtils.js';
+import { TimeUtils } from '../utils/timeUtils.js';
+import { validateValue } from '../utils/schemaValidator.js';
 import { memoryManager } from '../database/memoryManager.js';
 import { config } from '../config/config.js';
 import path from 'path';
@@ -24,401 +26,1359 @@ export class MCPTools {
    */
   initializeTools() {
     // Time and Date Tools
-    this.registerTool('get_current_time', this.getCurrentTime.bind(this));
-    this.registerTool('get_current_date', this.getCurrentDate.bind(this));
-    this.registerTool('get_timestamp', this.getTimestamp.bind(this));
-    
-    // WhatsApp Tools
-    this.registerTool('send_message_to_number', this.sendMessageToNumber.bind(this));
-    this.registerTool('send_message_to_contact', this.sendMessageToContact.bind(this));
-    this.registerTool('delete_message', this.deleteMessage.bind(this));
-    this.registerTool('get_chat_info', this.getChatInfo.bind(this));
-    this.registerTool('set_typing_status', this.setTypingStatus.bind(this));
-    
-    // Contact Management Tools
-    this.registerTool('store_contact', this.storeContact.bind(this));
-    this.registerTool('get_contacts', this.getContacts.bind(this));
-    this.registerTool('find_contact', this.findContact.bind(this));
-    
-    // System Tools
-    this.registerTool('get_system_status', this.getSystemStatus.bind(this));
-    this.registerTool('clear_chat_history', this.clearChatHistory.bind(this));
-    
-    // Memory Tools
-    this.registerTool('get_user_memory', this.getUserMemory.bind(this));
-    this.registerTool('get_user_memory_details', this.getUserMemoryDetails.bind(this));
-    this.registerTool('store_memory', this.storeMemory.bind(this));
-    
-    // Emotional Intelligence Tools
-    this.registerTool('analyze_emotional_state', this.analyzeEmotionalState.bind(this));
-    
-    // Utility Tools
-    this.registerTool('generate_random_number', this.generateRandomNumber.bind(this));
-    this.registerTool('calculate', this.calculate.bind(this));
-    this.registerTool('format_text', this.formatText.bind(this));
-
-    // Enhanced PDF Tools
-    this.registerTool('create_pdf_from_topic', this.createPdfFromTopic.bind(this));
-    this.registerTool('create_study_guide_pdf', this.createStudyGuidePdf.bind(this));
-    this.registerTool('create_custom_pdf', this.createCustomPdf.bind(this));
-    this.registerTool('append_to_pdf', this.appendToPdf.bind(this));
-    this.registerTool('insert_pdf_section', this.insertPdfSection.bind(this));
-    this.registerTool('create_pdf_with_images', this.createPdfWithImages.bind(this));
-    this.registerTool('merge_pdfs', this.mergePdfs.bind(this));
-    this.registerTool('send_pdf_to_user', this.sendPdfToUser.bind(this));
-    this.registerTool('get_pdf_info', this.getPdfInfo.bind(this));
-    this.registerTool('list_user_pdfs', this.listUserPdfs.bind(this));
-
-    // Message Context Tools
-    this.registerTool('store_outgoing_message_context', this.storeOutgoingMessageContext.bind(this));
-    this.registerTool('get_outgoing_message_context', this.getOutgoingMessageContext.bind(this));
-    this.registerTool('check_incoming_message_context', this.checkIncomingMessageContext.bind(this));
-
-    logger.success(`${this.tools.size} MCP tools initialized`);
-  }
-
-  /**
-   * Register a new tool
-   */
-  registerTool(name, handler) {
-    this.tools.set(name, handler);
-  }
-
-  /**
-   * Execute a tool by name
-   */
-  async executeTool(toolName, params = {}) {
-    try {
-      const tool = this.tools.get(toolName);
-      if (!tool) {
-        throw new Error(`Tool '${toolName}' not found`);
-      }
-
-      const result = await tool(params);
-      return result;
-    } catch (error) {
-      logger.error(`Tool execution failed: ${toolName}`, error);
-      throw error;
-    }
-  }
-
-  /**
-   * Get list of available tools with descriptions
-   */
-  getAvailableTools() {
-    return {
-      // Time and Date Tools
-      get_current_time: {
-        description: "Get current time in Sri Lanka timezone",
-        parameters: {
-          format: "Optional format (12h/24h), default: 12h"
+    this.registerTool('get_current_time', this.getCurrentTime.bind(this), {
+      category: 'time',
+      description: "Get current time in the user's timezone",
+      parameters: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: ['12h', '24h'], description: "Time format, default: 12h" }
         }
       },
-      get_current_date: {
-        description: "Get current date in Sri Lanka",
-        parameters: {
-          format: "Optional format (short/long/iso), default: long"
+      returns: { type: 'string', description: 'Formatted time' }
+    });
+    this.registerTool('get_current_date', this.getCurrentDate.bind(this), {
+      category: 'time',
+      description: "Get current date in the user's timezone",
+      parameters: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: ['short', 'long', 'iso'], description: "Date format, default: long" }
         }
       },
-      get_timestamp: {
-        description: "Get current Unix timestamp",
-        parameters: {}
-      },
-      
-      // WhatsApp Tools
-      send_message_to_number: {
-        description: "Send a message to a specific WhatsApp number",
-        parameters: {
-          number: "Phone number with country code (e.g., 94771234567)",
-          message: "Message text to send"
+      returns: { type: 'string', description: 'Formatted date' }
+    });
+    this.registerTool('get_timestamp', this.getTimestamp.bind(this), {
+      category: 'time',
+      description: "Get current Unix timestamp",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'integer', description: 'Seconds since the Unix epoch' }
+    });
+    this.registerTool('get_availability', this.getAvailability.bind(this), {
+      category: 'time',
+      description: "Get the user's timezone, quiet hours and do-not-disturb setting (when I may message them first)",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: '{ timezone, localTime, quietHours, doNotDisturbUntil }' }
+    });
+    this.registerTool('set_availability', this.setAvailability.bind(this), {
+      category: 'time',
+      description: "Change when I may message the user first, e.g. when they say \"don't message me until 6pm\" or mention where they live. Only set the fields the user asked for.",
+      parameters: {
+        type: 'object',
+        properties: {
+          timezone: { type: 'string', description: "IANA timezone, e.g. Asia/Colombo or Europe/London" },
+          quietHours: { type: 'string', description: "Daily quiet window in local time, e.g. 22:00-07:00, or 'off'" },
+          doNotDisturbUntil: { type: 'string', description: "Pause proactive messages until a local time: '18:00', 'tomorrow 9am', 'YYYY-MM-DD HH:MM', or 'off' to resume" },
+          doNotDisturbFor: { type: 'string', description: "Pause proactive messages for a duration, e.g. 2h, 30m, 1d" }
         }
       },
-      send_message_to_contact: {
-        description: "Send a message to a stored contact",
-        parameters: {
-          contactName: "Name of the stored contact",
-          message: "Message text to send",
-          userId: "User ID who owns the contact"
-        }
+      returns: { type: 'object', description: '{ success, timezone, quietHours, doNotDisturbUntil }' }
+    });
+    this.registerTool('get_proactive_consent', this.getProactiveConsent.bind(this), {
+      category: 'consent',
+      description: "Get which kinds of message the user allows me to send first (check-ins, study nudges, celebrations, maintenance)",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: '{ checkins, study, celebrations, maintenance } each { enabled, updatedAt }' }
+    });
+    this.registerTool('set_proactive_consent', this.setProactiveConsent.bind(this), {
+      category: 'consent',
+      description: "Opt the user in or out of messages I send first, only when they clearly ask, e.g. \"stop sending me study reminders\" or \"you can check in on me\"",
+      parameters: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: ['checkins', 'study', 'celebrations', 'maintenance', 'all'], description: "Kind of message" },
+          enabled: { type: 'boolean', description: "true to opt in, false to opt out" }
+        },
+        required: ['category', 'enabled']
       },
-      delete_message: {
-        description: "Delete a message by its ID",
-        parameters: {
-          messageId: "Message ID to delete",
-          chatId: "Chat ID where the message is located"
-        }
+      returns: { type: 'object', description: '{ success, checkins, study, celebrations, maintenance }' }
+    });
+
+    // Reminder Tools
+    this.registerTool('create_reminder', this.createReminder.bind(this), {
+      category: 'reminders',
+      description: "Remind the user of something at a time they ask for, e.g. \"remind me at 8pm to revise organic chemistry\". Can repeat daily or weekly.",
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', description: "What to remind them of, in their words, e.g. 'Revise organic chemistry'" },
+          when: { type: 'string', description: "Local time in the user's timezone: '20:00', '8pm', 'in 30m', 'in 2h', 'tomorrow 7am', 'today 18:00', 'tonight', 'friday 4pm', 'next monday 9am' or 'YYYY-MM-DD HH:MM'" },
+          repeat: { type: 'string', enum: ['none', 'daily', 'weekly'], description: "Repeat the reminder, default: none" }
+        },
+        required: ['text', 'when']
       },
-      get_chat_info: {
-        description: "Get information about a chat",
-        parameters: {
-          chatId: "Chat ID to get info for"
-        }
+      returns: { type: 'object', description: '{ success, id, text, due, repeat, status }' }
+    });
+    this.registerTool('list_reminders', this.listReminders.bind(this), {
+      category: 'reminders',
+      description: "List the user's upcoming reminders with their ids",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'array', description: 'Reminders: { id, text, due, repeat, status }' }
+    });
+    this.registerTool('cancel_reminder', this.cancelReminder.bind(this), {
+      category: 'reminders',
+      description: "Cancel one of the user's reminders (a repeating one stops for good). Use list_reminders to find the id.",
+      parameters: {
+        type: 'object',
+        properties: {
+          reminderId: { type: 'string', description: "Reminder id from list_reminders" }
+        },
+        required: ['reminderId']
       },
-      set_typing_status: {
-        description: "Set typing indicator for a chat",
-        parameters: {
-          chatId: "Chat ID",
-          isTyping: "true/false"
+      returns: { type: 'object', description: '{ success, id, text, status }' }
+    });
+    this.registerTool('snooze_reminder', this.snoozeReminder.bind(this), {
+      category: 'reminders',
+      description: "Send a reminder again later, e.g. when the user says \"snooze\" or \"remind me again in 20 minutes\". Without an id, the reminder sent most recently is snoozed.",
+      parameters: {
+        type: 'object',
+        properties: {
+          reminderId: { type: 'string', description: "Reminder id, optional" },
+          duration: { type: 'string', description: "How long to wait, e.g. 10m, 1h, default 10m" },
+          until: { type: 'string', description: "Local time in the user's timezone: '20:00', '8pm', 'in 30m', 'in 2h', 'tomorrow 7am', 'today 18:00', 'tonight', 'friday 4pm', 'next monday 9am' or 'YYYY-MM-DD HH:MM'" }
         }
       },
-      
-      // Contact Management Tools
-      store_contact: {
-        description: "Store a contact with name, number and relationship",
-        parameters: {
-          userId: "User ID who owns the contact",
-          contactName: "Name of the contact",
-          contactNumber: "Phone number",
-          relationship: "Relationship type (friend/crush/family/etc)"
+      returns: { type: 'object', description: '{ success, id, text, due, repeat, status }' }
+    });
+
+    // Flashcard Tools
+    this.registerTool('create_flashcards', this.createFlashcards.bind(this), {
+      category: 'flashcards',
+      description: "Make spaced-repetition flashcards for the user: from question/answer pairs in the chat, generated on a topic, or generated from one of their study guide PDFs. Give exactly one of cards, topic or pdfFilePath.",
+      parameters: {
+        type: 'object',
+        properties: {
+          cards: {
+            type: 'array',
+            description: "Cards the user gave or agreed on",
+            items: {
+              type: 'object',
+              properties: {
+                front: { type: 'string', description: "Question" },
+                back: { type: 'string', description: "Short answer" }
+              },
+              required: ['front', 'back']
+            }
+          },
+          topic: { type: 'string', description: "Topic to generate cards on, e.g. 'Organic chemistry - functional groups'" },
+          pdfFilePath: { type: 'string', description: "A PDF from list_user_pdfs to generate cards from" },
+          deck: { type: 'string', description: "Deck name, e.g. 'Chemistry'; defaults to the topic or PDF subject" },
+          count: { type: 'number', description: "Cards to generate from a topic or PDF, default 10" }
         }
       },
-      get_contacts: {
-        description: "Get all stored contacts for a user",
-        parameters: {
-          userId: "User ID"
+      returns: { type: 'object', description: '{ success, deck, added, cards: [{ id, front, back }] }' }
+    });
+    this.registerTool('list_flashcards', this.listFlashcards.bind(this), {
+      category: 'flashcards',
+      description: "List the user's flashcard decks with how many cards are due",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: '{ decks: [{ deck, total, due, learned }], reviewInProgress }' }
+    });
+    this.registerTool('start_flashcard_review', this.startFlashcardReview.bind(this), {
+      category: 'flashcards',
+      description: "Start reviewing the user's due flashcards. Ask the returned question exactly as given; their next messages are graded as answers until the review ends.",
+      parameters: {
+        type: 'object',
+        properties: {
+          deck: { type: 'string', description: "Only review this deck (optional)" }
         }
       },
-      find_contact: {
-        description: "Find a contact by name",
-        parameters: {
-          userId: "User ID",
-          contactName: "Name to search for"
+      returns: { type: 'object', description: '{ success, question, card, total, deck } or { success: false, message } when nothing is due' }
+    });
+
+    // Quiz Tools
+    this.registerTool('start_quiz', this.startQuiz.bind(this), {
+      category: 'quiz',
+      description: "Start an interactive quiz for the user. Ask the returned question exactly as given, with its options; their next messages are graded as answers until the quiz ends.",
+      parameters: {
+        type: 'object',
+        properties: {
+          subject: { type: 'string', description: "Subject, e.g. 'Physics'" },
+          topic: { type: 'string', description: "Topic within the subject (optional), e.g. 'Waves'" },
+          type: { type: 'string', enum: ['mcq', 'short', 'mixed'], description: "Question type, default: mixed" },
+          count: { type: 'number', description: "Number of questions, default 5" }
+        },
+        required: ['subject']
+      },
+      returns: { type: 'object', description: '{ success, subject, question, options, index, total }' }
+    });
+    this.registerTool('get_quiz_results', this.getQuizResults.bind(this), {
+      category: 'quiz',
+      description: "Get the user's measured quiz performance per subject and topic, and their recent quizzes",
+      parameters: {
+        type: 'object',
+        properties: {
+          subject: { type: 'string', description: "Only this subject (optional)" }
         }
       },
-      
-      // System Tools
-      get_system_status: {
-        description: "Get current system status and statistics",
-        parameters: {}
+      returns: { type: 'object', description: '{ performance, recentQuizzes }' }
+    });
+
+    // Study Session Tools
+    this.registerTool('start_study_session', this.startStudySession.bind(this), {
+      category: 'study',
+      description: "Start a pomodoro study timer when the user says they're starting to study a subject. They get break reminders, and the session is logged per subject.",
+      parameters: {
+        type: 'object',
+        properties: {
+          subject: { type: 'string', description: "Subject, e.g. 'Physics'" },
+          focusMinutes: { type: 'number', description: "Minutes per pomodoro, default 25" }
+        },
+        required: ['subject']
       },
-      clear_chat_history: {
-        description: "Clear chat history for a user",
-        parameters: {
-          userId: "User ID to clear history for"
+      returns: { type: 'object', description: '{ success, subject, focusMinutes, focusEndsAt, previous }' }
+    });
+    this.registerTool('stop_study_session', this.stopStudySession.bind(this), {
+      category: 'study',
+      description: "Stop the user's study timer when they say they're done studying, and log it",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: '{ success, subject, minutes, pomodoros }' }
+    });
+    this.registerTool('get_study_stats', this.getStudyStats.bind(this), {
+      category: 'study',
+      description: "Get the user's logged study time per subject, time of day and weekday, and their running session",
+      parameters: {
+        type: 'object',
+        properties: {
+          days: { type: 'number', description: "Days to look back, default 7" }
         }
       },
-      get_user_memory: {
-        description: "Get comprehensive memory profile for a user",
-        parameters: {
-          userId: "User ID to get memory for"
-        }
+      returns: { type: 'object', description: '{ active, stats: { totalMinutes, sessions, pomodoros, bySubject, byTimeOfDay, byWeekday } }' }
+    });
+
+    // Planner Tools
+    this.registerTool('add_timetable_entry', this.addTimetableEntry.bind(this), {
+      category: 'planner',
+      description: "Add a weekly class or fixed commitment to the user's timetable, e.g. \"remember my physics tuition is on saturday 8 to 12\". Use this instead of saving class times as memories.",
+      parameters: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: "What it is, e.g. 'Physics tuition'" },
+          days: { type: 'string', description: "Days it's on: 'saturday', 'mon, wed', 'weekdays', 'weekends' or 'daily'" },
+          start: { type: 'string', description: "Start time, e.g. '8am' or '16:30'" },
+          end: { type: 'string', description: "End time (optional)" },
+          location: { type: 'string', description: "Where (optional)" }
+        },
+        required: ['title', 'days', 'start']
       },
-      get_user_memory_details: {
-        description: "Get specific details from user's memory profile",
-        parameters: {
-          userId: "User ID",
-          category: "Memory category (personalInfo, relationships, academicInfo, emotionalProfile, etc.)",
-          subcategory: "Optional subcategory within the category"
+      returns: { type: 'object', description: '{ success, id, title, days, start, end, location }' }
+    });
+    this.registerTool('list_timetable', this.listTimetable.bind(this), {
+      category: 'planner',
+      description: "List the user's weekly timetable with entry ids, or only one day's classes",
+      parameters: {
+        type: 'object',
+        properties: {
+          day: { type: 'string', description: "Only this day, e.g. 'monday' (optional)" }
         }
       },
-      store_memory: {
-        description: "Store specific memory information for a user",
-        parameters: {
-          userId: "User ID",
-          category: "Memory category (personalInfo, relationships, academicInfo, etc.)",
-          data: "Memory data to store"
+      returns: { type: 'array', description: 'Classes: { id, title, days, start, end, location }' }
+    });
+    this.registerTool('move_timetable_entry', this.moveTimetableEntry.bind(this), {
+      category: 'planner',
+      description: "Change the days, times or place of a class in the user's timetable. Use list_timetable to find the id.",
+      parameters: {
+        type: 'object',
+        properties: {
+          entryId: { type: 'string', description: "Entry id from list_timetable" },
+          days: { type: 'string', description: "New days (optional)" },
+          start: { type: 'string', description: "New start time (optional)" },
+          end: { type: 'string', description: "New end time (optional)" },
+          location: { type: 'string', description: "New place (optional)" }
+        },
+        required: ['entryId']
+      },
+      returns: { type: 'object', description: '{ success, id, title, days, start, end, location }' }
+    });
+    this.registerTool('remove_timetable_entry', this.removeTimetableEntry.bind(this), {
+      category: 'planner',
+      description: "Remove a class from the user's timetable, e.g. when a tuition class ends",
+      parameters: {
+        type: 'object',
+        properties: {
+          entryId: { type: 'string', description: "Entry id from list_timetable" }
+        },
+        required: ['entryId']
+      },
+      returns: { type: 'object', description: '{ success, id, title }' }
+    });
+    this.registerTool('add_task', this.addTask.bind(this), {
+      category: 'planner',
+      description: "Add a task to the user's to-do list, e.g. \"I need to finish the chemistry past paper by friday\". Tasks can repeat (\"do 10 maths problems every day\").",
+      parameters: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: "The task, in their words" },
+          due: { type: 'string', description: "Local date in the user's timezone: 'today', 'tomorrow', 'friday', 'next monday', 'in 3 days' or 'YYYY-MM-DD' (optional)" },
+          time: { type: 'string', description: "Time it's due by, e.g. '6pm' (optional)" },
+          subject: { type: 'string', description: "Subject it belongs to (optional)" },
+          repeat: { type: 'string', enum: ['none', 'daily', 'weekdays', 'weekly'], description: "Repeat the task, default: none" }
+        },
+        required: ['title']
+      },
+      returns: { type: 'object', description: '{ success, id, title, subject, due, repeat, status }' }
+    });
+    this.registerTool('list_tasks', this.listTasks.bind(this), {
+      category: 'planner',
+      description: "List the user's pending tasks with their ids, soonest first",
+      parameters: {
+        type: 'object',
+        properties: {
+          includeDone: { type: 'boolean', description: "Also list finished tasks, default false" }
         }
       },
-      
-      // Emotional Intelligence
-      analyze_emotional_state: {
-        description: "Analyze and store emotional context",
-        parameters: {
-          userId: "User ID",
-          emotionalContext: "Emotional context to analyze"
+      returns: { type: 'array', description: 'Tasks: { id, title, subject, due, repeat, status }' }
+    });
+    this.registerTool('complete_task', this.completeTask.bind(this), {
+      category: 'planner',
+      description: "Mark one of the user's tasks done. A repeating task moves to its next date. Use list_tasks to find the id.",
+      parameters: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'string', description: "Task id from list_tasks" }
+        },
+        required: ['taskId']
+      },
+      returns: { type: 'object', description: '{ success, id, title, due, repeat, status }' }
+    });
+    this.registerTool('move_task', this.moveTask.bind(this), {
+      category: 'planner',
+      description: "Give one of the user's pending tasks another date, e.g. \"move the essay to tomorrow\"",
+      parameters: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'string', description: "Task id from list_tasks" },
+          due: { type: 'string', description: "Local date in the user's timezone: 'today', 'tomorrow', 'friday', 'next monday', 'in 3 days' or 'YYYY-MM-DD'" },
+          time: { type: 'string', description: "Time it's due by (optional)" }
+        },
+        required: ['taskId', 'due']
+      },
+      returns: { type: 'object', description: '{ success, id, title, due, repeat, status }' }
+    });
+    this.registerTool('delete_task', this.deleteTask.bind(this), {
+      category: 'planner',
+      description: "Delete a task the user no longer needs to do (a repeating one stops for good)",
+      parameters: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'string', description: "Task id from list_tasks" }
+        },
+        required: ['taskId']
+      },
+      returns: { type: 'object', description: '{ success, id, title }' }
+    });
+    this.registerTool('get_agenda', this.getAgenda.bind(this), {
+      category: 'planner',
+      description: "Get the user's plan for a day: classes from their timetable, tasks due and overdue, and exams coming up. Use it when they ask \"what should I do today\".",
+      parameters: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', description: "Local date in the user's timezone: 'today', 'tomorrow', 'friday', 'next monday', 'in 3 days' or 'YYYY-MM-DD', default today" }
         }
       },
+      returns: { type: 'object', description: '{ date, weekday, classes, dueTasks, overdueTasks, undatedTasks, exams }' }
+    });
 
-      // Enhanced PDF Tools
-      create_pdf_from_topic: {
-        description: "Create a comprehensive PDF document from a topic with professional formatting",
-        parameters: {
-          topic: "The topic for the PDF content",
-          userId: "User ID for personalization",
-          style: "PDF style: academic, professional, casual, study-guide",
-          includeImages: "Include relevant diagrams/images (true/false)",
-          pageLayout: "single-column, two-column, mixed",
-          colorScheme: "blue, green, purple, orange, monochrome"
-        }
+    // WhatsApp Tools
+    this.registerTool('send_message_to_number', this.sendMessageToNumber.bind(this), {
+      category: 'whatsapp',
+      description: "Send a message to a specific WhatsApp number",
+      parameters: {
+        type: 'object',
+        properties: {
+          number: { type: 'string', description: "Phone number with country code (e.g., 94771234567)" },
+          message: { type: 'string', description: "Message text to send" }
+        },
+        required: ['number', 'message']
       },
-      create_study_guide_pdf: {
-        description: "Create a structured study guide PDF with sections, summaries, and key points",
-        parameters: {
-          subject: "Subject/topic for the study guide",
-          userId: "User ID",
-          chapters: "Array of chapter topics or auto-generate",
-          includeQuizzes: "Include practice questions (true/false)",
-          difficulty: "beginner, intermediate, advanced"
-        }
+      returns: { type: 'object', description: '{ success, message, jid }' }
+    });
+    this.registerTool('send_message_to_contact', this.sendMessageToContact.bind(this), {
+      category: 'whatsapp',
+      description: "Send a message to a stored contact",
+      parameters: {
+        type: 'object',
+        properties: {
+          contactName: { type: 'string', description: "Name of the stored contact" },
+          message: { type: 'string', description: "Message text to send" },
+          purpose: { type: 'string', description: "Why the message is being sent (optional)" }
+        },
+        required: ['contactName', 'message']
       },
-      create_custom_pdf: {
-        description: "Create a custom PDF with specific content and formatting",
-        parameters: {
-          title: "PDF title",
-          content: "Raw content or structured data",
-          userId: "User ID",
-          template: "report, letter, presentation, article, manual",
-          formatting: "Custom formatting options object"
-        }
+      returns: { type: 'object', description: '{ success, message, jid, purpose, context, contactName }' }
+    });
+    this.registerTool('delete_message', this.deleteMessage.bind(this), {
+      category: 'whatsapp',
+      description: "Delete a message by its ID",
+      parameters: {
+        type: 'object',
+        properties: {
+          messageId: { type: 'string', description: "Message ID to delete" },
+          chatId: { type: 'string', description: "Chat ID where the message is located" }
+        },
+        required: ['messageId', 'chatId']
       },
-      append_to_pdf: {
-        description: "Add new content to existing PDF with proper formatting",
-        parameters: {
-          filePath: "Path to existing PDF",
-          newContent: "Content to append",
-          sectionTitle: "Title for new section",
-          insertPosition: "end, beginning, after-section"
-        }
+      returns: { type: 'object', description: '{ success, message }' }
+    });
+    this.registerTool('get_chat_info', this.getChatInfo.bind(this), {
+      category: 'whatsapp',
+      description: "Get information about a chat",
+      parameters: {
+        type: 'object',
+        properties: {
+          chatId: { type: 'string', description: "Chat ID to get info for" }
+        },
+        required: ['chatId']
       },
-      insert_pdf_section: {
-        description: "Insert a new section at specific position in PDF",
-        parameters: {
-          filePath: "Path to existing PDF",
-          sectionContent: "Content for new section",
-          sectionTitle: "Section title",
-          insertAfter: "Insert after this section title",
-          insertBefore: "Insert before this section title"
-        }
+      returns: { type: 'object', description: 'Chat metadata from WhatsApp' }
+    });
+    this.registerTool('set_typing_status', this.setTypingStatus.bind(this), {
+      category: 'whatsapp',
+      description: "Set typing indicator for a chat",
+      parameters: {
+        type: 'object',
+        properties: {
+          chatId: { type: 'string', description: "Chat ID" },
+          isTyping: { type: 'boolean', description: "Whether to show typing" }
+        },
+        required: ['chatId']
       },
-      create_pdf_with_images: {
-        description: "Create PDF with embedded images and diagrams",
-        parameters: {
-          topic: "PDF topic",
-          userId: "User ID",
-          imageUrls: "Array of image URLs to include",
-          imageDescriptions: "Descriptions for each image",
-          layout: "text-image, image-text, mixed"
-        }
+      returns: { type: 'object', description: '{ success, message }' }
+    });
+
+    // Contact Management Tools
+    this.registerTool('store_contact', this.storeContact.bind(this), {
+      category: 'contacts',
+      description: "Store a contact with name, number and relationship",
+      parameters: {
+        type: 'object',
+        properties: {
+          contactName: { type: 'string', description: "Name of the contact" },
+          contactNumber: { type: 'string', description: "Phone number" },
+          relationship: { type: 'string', description: "Relationship type (friend/crush/family/etc)" }
+        },
+        required: ['contactName', 'contactNumber']
       },
-      merge_pdfs: {
-        description: "Merge multiple PDFs into one document",
-        parameters: {
-          pdfPaths: "Array of PDF file paths to merge",
-          outputName: "Name for merged PDF",
-          userId: "User ID",
-          includeBookmarks: "Add navigation bookmarks (true/false)"
-        }
+      returns: { type: 'object', description: '{ success, message, contact }' }
+    });
+    this.registerTool('get_contacts', this.getContacts.bind(this), {
+      category: 'contacts',
+      description: "Get all stored contacts for the user",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'array', description: 'Stored contacts' }
+    });
+    this.registerTool('find_contact', this.findContact.bind(this), {
+      category: 'contacts',
+      description: "Find a contact by name",
+      parameters: {
+        type: 'object',
+        properties: {
+          contactName: { type: 'string', description: "Name to search for" }
+        },
+        required: ['contactName']
       },
-      send_pdf_to_user: {
-        description: "Send a PDF file to user via WhatsApp",
-        parameters: {
-          userId: "User ID to send to",
-          filePath: "Path to PDF file",
-          fileName: "Custom filename (optional)",
-          caption: "Message caption (optional)"
-        }
+      returns: { type: 'object', description: 'Matching contact, or null' }
+    });
+
+    // System Tools
+    this.registerTool('get_system_status', this.getSystemStatus.bind(this), {
+      category: 'system',
+      description: "Get current system status and statistics",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: 'Bot status and statistics' }
+    });
+    this.registerTool('clear_chat_history', this.clearChatHistory.bind(this), {
+      category: 'system',
+      description: "Clear chat history for the user",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: '{ success, message }' }
+    });
+
+    // Memory Tools
+    this.registerTool('get_user_memory', this.getUserMemory.bind(this), {
+      category: 'memory',
+      description: "Get comprehensive memory profile for the user",
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: '{ success, memory }' }
+    });
+    this.registerTool('get_user_memory_details', this.getUserMemoryDetails.bind(this), {
+      category: 'memory',
+      description: "Get specific details from user's memory profile",
+      parameters: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', description: "Memory category (personalInfo, relationships, academicInfo, emotionalProfile, etc.)" },
+          subcategory: { type: 'string', description: "Optional subcategory within the category" }
+        },
+        required: ['category']
       },
-      get_pdf_info: {
-        description: "Get information about a PDF file",
-        parameters: {
-          filePath: "Path to PDF file"
-        }
+      returns: { type: 'object', description: 'Contents of the category, or null' }
+    });
+    this.registerTool('store_memory', this.storeMemory.bind(this), {
+      category: 'memory',
+      description: "Store specific memory information for the user",
+      parameters: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', description: "Memory category (personalInfo, relationships, academicInfo, etc.)" },
+          data: { type: 'object', description: "Memory data to store as key/value pairs" }
+        },
+        required: ['category', 'data']
       },
-      list_user_pdfs: {
-        description: "List all PDFs created for a user",
-        parameters: {
-          userId: "User ID",
-          sortBy: "date, name, size, type"
-        }
+      returns: { type: 'object', description: '{ success, message }' }
+    });
+    this.registerTool('search_conversation_archive', this.searchConversationArchive.bind(this), {
+      category: 'memory',
+      description: "Search the full archive of past messages with the user (older than the recent chat) for a word or phrase",
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: "Text to look for in past messages" },
+          page: { type: 'integer', description: "Result page, 1 = most recent matches (default: 1)" }
+        },
+        required: ['query']
       },
-      
-      // Utility Tools
-      generate_random_number: {
-        description: "Generate a random number",
-        parameters: {
-          min: "Minimum value (default: 1)",
-          max: "Maximum value (default: 100)"
-        }
+      returns: { type: 'object', description: '{ matches: [{ role, content, timestamp }], total, page, totalPages }' }
+    });
+
+    // Emotional Intelligence Tools
+    this.registerTool('analyze_emotional_state', this.analyzeEmotionalState.bind(this), {
+      category: 'emotional',
+      description: "Analyze and store emotional context",
+      parameters: {
+        type: 'object',
+        properties: {
+          emotionalContext: {
+            type: 'object',
+            description: "The user's observed emotional state",
+            properties: {
+              mood: { type: 'string', description: "Current mood" },
+              stressLevel: { type: 'string', description: "low, normal or high" },
+              traits: { type: 'array', items: { type: 'string' }, description: "Observed personality traits" }
+            }
+          }
+        },
+        required: ['emotionalContext']
       },
-      calculate: {
-        description: "Perform mathematical calculations",
-        parameters: {
-          expression: "Mathematical expression to evaluate"
+      returns: { type: 'object', description: '{ success, message, context }' }
+    });
+
+    // Utility Tools
+    this.registerTool('generate_random_number', this.generateRandomNumber.bind(this), {
+      category: 'utility',
+      description: "Generate a random number",
+      parameters: {
+        type: 'object',
+        properties: {
+          min: { type: 'integer', description: "Minimum value (default: 1)" },
+          max: { type: 'integer', description: "Maximum value (default: 100)" }
         }
       },
-      format_text: {
-        description: "Format text in various ways",
-        parameters: {
-          text: "Text to format",
-          style: "Format style (uppercase/lowercase/title/reverse)"
-        }
+      returns: { type: 'object', description: '{ number, range }' }
+    });
+    this.registerTool('calculate', this.calculate.bind(this), {
+      category: 'utility',
+      description: "Perform mathematical calculations",
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: "Mathematical expression to evaluate" }
+        },
+        required: ['expression']
       },
-      
-      // Message Context Tools
-      store_outgoing_message_context: {
-        description: "Store context for messages sent to contacts",
-        parameters: {
-          userId: "User ID who sent the message",
-          contactNumber: "Contact's phone number",
-          context: "Message context object with purpose, relationship, etc."
-        }
+      returns: { type: 'object', description: '{ expression, result, formatted }' }
+    });
+    this.registerTool('format_text', this.formatText.bind(this), {
+      category: 'utility',
+      description: "Format text in various ways",
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', description: "Text to format" },
+          style: {
+            type: 'string',
+            enum: ['uppercase', 'lowercase', 'title', 'sentence', 'reverse', 'clean', 'slug'],
+            description: "Format style"
+          }
+        },
+        required: ['text']
+      },
+      returns: { type: 'object', description: '{ original, formatted, style, length }' }
+    });
+
+    // Enhanced PDF Tools
+    this.registerTool('create_pdf_from_topic', this.createPdfFromTopic.bind(this), {
+      category: 'pdf',
+      description: "Create a comprehensive PDF document from a topic with professional formatting",
+      parameters: {
+        type: 'object',
+        properties: {
+          topic: { type: 'string', description: "The topic for the PDF content" },
+          style: { type: 'string', enum: ['academic', 'professional', 'casual', 'study-guide'], description: "PDF style" },
+          includeImages: { type: 'boolean', description: "Include relevant diagrams/images" },
+          pageLayout: { type: 'string', enum: ['single-column', 'two-column', 'mixed'], description: "Page layout" },
+          colorScheme: { type: 'string', enum: ['blue', 'green', 'purple', 'orange', 'monochrome'], description: "Color scheme" }
+        },
+        required: ['topic']
+      },
+      returns: { type: 'object', description: '{ success, filePath, fileName, message, metadata }' }
+    });
+    this.registerTool('create_study_guide_pdf', this.createStudyGuidePdf.bind(this), {
+      category: 'pdf',
+      description: "Create a structured study guide PDF with sections, summaries, and key points",
+      parameters: {
+        type: 'object',
+        properties: {
+          subject: { type: 'string', description: "Subject/topic for the study guide" },
+          includeQuizzes: { type: 'boolean', description: "Include practice questions" },
+          difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'], description: "Difficulty level" }
+        },
+        required: ['subject']
+      },
+      returns: { type: 'object', description: '{ success, filePath, fileName, message, metadata }' }
+    });
+    this.registerTool('create_custom_pdf', this.createCustomPdf.bind(this), {
+      category: 'pdf',
+      description: "Create a custom PDF with specific content and formatting",
+      parameters: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: "PDF title" },
+          content: { type: 'string', description: "Raw content in markdown-style formatting" },
+          template: { type: 'string', enum: ['report', 'letter', 'presentation', 'article', 'manual'], description: "Document template" }
+        },
+        required: ['title', 'content']
+      },
+      returns: { type: 'object', description: '{ success, filePath, fileName, message }' }
+    });
+    this.registerTool('append_to_pdf', this.appendToPdf.bind(this), {
+      category: 'pdf',
+      description: "Add new content to existing PDF with proper formatting",
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: "Path to existing PDF" },
+          newContent: { type: 'string', description: "Content to append" },
+          sectionTitle: { type: 'string', description: "Title for new section" },
+          insertPosition: { type: 'string', enum: ['end', 'beginning', 'after-section'], description: "Where to add the content" }
+        },
+        required: ['filePath', 'newContent']
+      },
+      returns: { type: 'object', description: '{ success, filePath, message, sectionAdded }' }
+    });
+    this.registerTool('insert_pdf_section', this.insertPdfSection.bind(this), {
+      category: 'pdf',
+      description: "Insert a new section at specific position in PDF",
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: "Path to existing PDF" },
+          sectionContent: { type: 'string', description: "Content for new section" },
+          sectionTitle: { type: 'string', description: "Section title" },
+          insertAfter: { type: 'string', description: "Insert after this section title" },
+          insertBefore: { type: 'string', description: "Insert before this section title" }
+        },
+        required: ['filePath', 'sectionContent', 'sectionTitle']
+      },
+      returns: { type: 'object', description: '{ success, filePath, message }' }
+    });
+    this.registerTool('create_pdf_with_images', this.createPdfWithImages.bind(this), {
+      category: 'pdf',
+      description: "Create PDF with embedded images and diagrams",
+      parameters: {
+        type: 'object',
+        properties: {
+          topic: { type: 'string', description: "PDF topic" },
+          imageUrls: { type: 'array', items: { type: 'string' }, description: "Image URLs to include" },
+          imageDescriptions: { type: 'array', items: { type: 'string' }, description: "Descriptions for each image" },
+          layout: { type: 'string', enum: ['text-image', 'image-text', 'mixed'], description: "Layout" }
+        },
+        required: ['topic']
+      },
+      returns: { type: 'object', description: '{ success, filePath, fileName, message }' }
+    });
+    this.registerTool('merge_pdfs', this.mergePdfs.bind(this), {
+      category: 'pdf',
+      description: "Merge multiple PDFs into one document",
+      parameters: {
+        type: 'object',
+        properties: {
+          pdfPaths: { type: 'array', items: { type: 'string' }, description: "PDF file paths to merge (at least 2)" },
+          outputName: { type: 'string', description: "Name for merged PDF" },
+          includeBookmarks: { type: 'boolean', description: "Add navigation bookmarks" }
+        },
+        required: ['pdfPaths', 'outputName']
+      },
+      returns: { type: 'object', description: '{ success, filePath, fileName, message, sourceCount }' }
+    });
+    this.registerTool('send_pdf_to_user', this.sendPdfToUser.bind(this), {
+      category: 'pdf',
+      description: "Send a PDF file to the user via WhatsApp",
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: "Path to PDF file" },
+          fileName: { type: 'string', description: "Custom filename (optional)" },
+          caption: { type: 'string', description: "Message caption (optional)" }
+        },
+        required: ['filePath']
       },
-      get_outgoing_message_context: {
-        description: "Get context for previous messages sent to a contact",
-        parameters: {
-          userId: "User ID",
-          contactNumber: "Contact's phone number"
+      returns: { type: 'object', description: '{ success, message, fileSize }' }
+    });
+    this.registerTool('get_pdf_info', this.getPdfInfo.bind(this), {
+      category: 'pdf',
+      description: "Get information about a PDF file",
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: "Path to PDF file" }
+        },
+        required: ['filePath']
+      },
+      returns: { type: 'object', description: '{ success, info }' }
+    });
+    this.registerTool('list_user_pdfs', this.listUserPdfs.bind(this), {
+      category: 'pdf',
+      description: "List all PDFs created for the user",
+      parameters: {
+        type: 'object',
+        properties: {
+          sortBy: { type: 'string', enum: ['date', 'name', 'size', 'type'], description: "Sort order" }
         }
       },
-      check_incoming_message_context: {
-        description: "Check if an incoming message is a reply to a previous outgoing message",
-        parameters: {
-          userId: "User ID",
-          senderNumber: "Number of the person who sent the message",
-          messageText: "The incoming message text"
+      returns: { type: 'object', description: '{ success, pdfs, count, totalSize }' }
+    });
+
+    // Message Context Tools
+    this.registerTool('store_outgoing_message_context', this.storeOutgoingMessageContext.bind(this), {
+      category: 'message_context',
+      description: "Store context for messages sent to contacts",
+      parameters: {
+        type: 'object',
+        properties: {
+          contactNumber: { type: 'string', description: "Contact's phone number" },
+          context: { type: 'object', description: "Message context with purpose, relationship, etc." }
+        },
+        required: ['contactNumber', 'context']
+      },
+      returns: { type: 'object', description: '{ success, message }' }
+    });
+    this.registerTool('get_outgoing_message_context', this.getOutgoingMessageContext.bind(this), {
+      category: 'message_context',
+      description: "Get context for previous messages sent to a contact",
+      parameters: {
+        type: 'object',
+        properties: {
+          contactNumber: { type: 'string', description: "Contact's phone number" }
+        },
+        required: ['contactNumber']
+      },
+      returns: { type: 'array', description: 'Contexts of earlier outgoing messages' }
+    });
+    this.registerTool('check_incoming_message_context', this.checkIncomingMessageContext.bind(this), {
+      category: 'message_context',
+      description: "Check if an incoming message is a reply to a previous outgoing message",
+      parameters: {
+        type: 'object',
+        properties: {
+          senderNumber: { type: 'string', description: "Number of the person who sent the message" },
+          messageText: { type: 'string', description: "The incoming message text" }
+        },
+        required: ['senderNumber', 'messageText']
+      },
+      returns: { type: 'object', description: '{ hasContext, ... } describing the matched outgoing message' }
+    });
+
+    logger.success(`${this.tools.size} MCP tools initialized`);
+  }
+
+  /**
+   * Register a new tool with its description, JSON-Schema parameters, return shape and category
+   */
+  registerTool(name, handler, definition = {}) {
+    this.tools.set(name, {
+      handler,
+      category: definition.category || 'general',
+      description: definition.description || '',
+      parameters: definition.parameters || { type: 'object', properties: {} },
+      returns: definition.returns || null
+    });
+  }
+
+  /**
+   * Execute a tool by name
+   */
+  async executeTool(toolName, params = {}) {
+    try {
+      const tool = this.tools.get(toolName);
+      if (!tool) {
+        throw new Error(`Tool '${toolName}' not found`);
+      }
+
+      const errors = this.validateToolParameters(toolName, params);
+      if (errors.length > 0) {
+        throw new Error(`Invalid parameters for '${toolName}': ${errors.join('; ')}`);
+      }
+
+      const result = await tool.handler(params);
+      return result;
+    } catch (error) {
+      logger.error(`Tool execution failed: ${toolName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check parameters against a tool's schema, returning a list of readable errors
+   */
+  validateToolParameters(toolName, params = {}) {
+    const schema = this.tools.get(toolName)?.parameters;
+    if (!schema) return [];
+
+    const errors = [];
+    for (const key of schema.required || []) {
+      if (params[key] === undefined || params[key] === null || params[key] === '') {
+        errors.push(`'${key}' is required`);
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (params[key] === undefined || params[key] === null) continue;
+      errors.push(...validateValue(params[key], propertySchema, key));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get list of available tools built from the registry.
+   * userId is never declared - it is injected from the conversation when a tool runs.
+   */
+  getAvailableTools() {
+    const tools = {};
+    for (const [name, { category, description, parameters, returns }] of this.tools.entries()) {
+      tools[name] = { category, description, parameters, returns };
+    }
+    return tools;
+  }
+
+  /**
+   * Get Gemini function declarations for every available tool
+   */
+  getFunctionDeclarations() {
+    return Object.entries(this.getAvailableTools()).map(([name, info]) => {
+      const declaration = { name, description: info.description };
+      // Tools without parameters must omit the schema entirely
+      if (Object.keys(info.parameters?.properties || {}).length > 0) {
+        declaration.parameters = this._toGeminiSchema(info.parameters);
+      }
+      return declaration;
+    });
+  }
+
+  /**
+   * Parse arguments the model sent as JSON strings back into objects
+   */
+  coerceToolArguments(toolName, args = {}) {
+    const properties = this.tools.get(toolName)?.parameters?.properties || {};
+    const coerced = { ...args };
+
+    for (const [key, schema] of Object.entries(properties)) {
+      if (schema.type === 'object' && typeof coerced[key] === 'string') {
+        try {
+          coerced[key] = JSON.parse(coerced[key]);
+        } catch (error) {
+          // Leave as-is; the tool reports its own error
         }
       }
-    };
+    }
+
+    return coerced;
+  }
+
+  /**
+   * Reduce a JSON Schema to the subset Gemini function declarations accept
+   */
+  _toGeminiSchema(schema) {
+    const result = { type: schema.type };
+
+    if (schema.description) result.description = schema.description;
+    if (schema.enum) result.enum = schema.enum;
+    if (schema.items) result.items = this._toGeminiSchema(schema.items);
+
+    if (schema.type === 'object') {
+      const properties = Object.entries(schema.properties || {});
+      // Gemini rejects objects without properties, so free-form objects are declared as JSON strings
+      if (properties.length === 0 && schema.description) {
+        return { type: 'string', description: `${schema.description} (JSON object as a string)` };
+      }
+      result.properties = Object.fromEntries(
+        properties.map(([key, value]) => [key, this._toGeminiSchema(value)])
+      );
+      if (schema.required?.length > 0) result.required = schema.required;
+    }
+
+    return result;
   }
 
   // ==================== TIME AND DATE TOOLS ====================
 
   async getCurrentTime(params = {}) {
-    const { format = '12h' } = params;
-    const now = new Date();
-    const sriLankaTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
-    
-    if (format === '24h') {
-      return sriLankaTime.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-      });
-    } else {
-      return sriLankaTime.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
-    }
+    const { userId, format = '12h' } = params;
+    const { availabilityManager } = await import('../system/availabilityManager.js');
+    const timeZone = await availabilityManager.getTimezone(userId);
+
+    return format === '24h' ?
+      TimeUtils.formatTime(new Date(), timeZone, { hour12: false, seconds: true }) :
+      TimeUtils.formatTime(new Date(), timeZone);
   }
 
   async getCurrentDate(params = {}) {
-    const { format = 'long' } = params;
-    const now = new Date();
-    const sriLankaTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
-    
-    switch (format) {
-      case 'short':
-        return sriLankaTime.toLocaleDateString('en-US');
-      case 'iso':
-        return sriLankaTime.toISOString().split('T')[0];
-      case 'long':
-      default:
-        return sriLankaTime.toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        });
+    const { userId, format = 'long' } = params;
+    const { availabilityManager } = await import('../system/availabilityManager.js');
+    const timeZone = await availabilityManager.getTimezone(userId);
+
+    return TimeUtils.formatDate(new Date(), timeZone, format);
+  }
+
+  async getAvailability(params) {
+    const { userId } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { availabilityManager } = await import('../system/availabilityManager.js');
+    const settings = await availabilityManager.getSettings(userId);
+
+    return {
+      timezone: settings.timezone,
+      localTime: availabilityManager.formatLocal(new Date(), settings.timezone),
+      quietHours: settings.quietHours ? `${settings.quietHours.start}-${settings.quietHours.end}` : 'off',
+      doNotDisturbUntil: settings.doNotDisturbUntil ? availabilityManager.formatLocal(settings.doNotDisturbUntil, settings.timezone) : null
+    };
+  }
+
+  async setAvailability(params) {
+    const { userId, timezone, quietHours, doNotDisturbUntil, doNotDisturbFor, sourceMessageId = null } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { availabilityManager, parseQuietHours } = await import('../system/availabilityManager.js');
+    const provenance = { actor: 'tool:set_availability', sourceMessageId };
+
+    if (timezone && !(await availabilityManager.setTimezone(userId, timezone, provenance))) {
+      throw new Error(`Unknown timezone '${timezone}', use an IANA name such as Asia/Colombo`);
+    }
+
+    if (quietHours) {
+      const off = quietHours.toLowerCase() === 'off';
+      const window = off ? null : parseQuietHours(quietHours);
+      if (!off && !window) {
+        throw new Error(`Could not read quiet hours '${quietHours}', use HH:MM-HH:MM`);
+      }
+      await availabilityManager.setQuietHours(userId, window, provenance);
+    }
+
+    if (doNotDisturbUntil || doNotDisturbFor) {
+      const settings = await availabilityManager.getSettings(userId);
+      const resume = doNotDisturbUntil?.toLowerCase() === 'off';
+      const until = resume ? null : availabilityManager.parseUntil(doNotDisturbFor || doNotDisturbUntil, settings.timezone, settings.quietHours);
+      if (!resume && !until) {
+        throw new Error(`Could not read the time '${doNotDisturbFor || doNotDisturbUntil}'`);
+      }
+      await availabilityManager.setDoNotDisturb(userId, until, provenance);
+      if (resume) {
+        const { proactiveGovernor } = await import('../system/proactiveGovernor.js');
+        await proactiveGovernor.release(userId);
+      }
+    }
+
+    return { success: true, ...(await this.getAvailability({ userId })) };
+  }
+
+  async getProactiveConsent(params) {
+    const { userId } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
     }
+
+    const { consentManager } = await import('../system/consentManager.js');
+    const consent = await consentManager.getConsent(userId);
+    return Object.fromEntries(Object.entries(consent).map(([category, choice]) => [category, { enabled: choice.enabled, updatedAt: choice.updatedAt }]));
+  }
+
+  async setProactiveConsent(params) {
+    const { userId, category, enabled, sourceMessageId = null } = params;
+    if (!userId || !category || typeof enabled !== 'boolean') {
+      throw new Error('User ID, category and enabled are required');
+    }
+
+    const { consentManager, parseConsentCategories } = await import('../system/consentManager.js');
+    const categories = parseConsentCategories(category);
+    if (!categories) {
+      throw new Error(`Unknown category '${category}', use checkins, study, celebrations, maintenance or all`);
+    }
+
+    await consentManager.setConsent(userId, categories, enabled, { source: 'tool', sourceMessageId });
+    return { success: true, ...(await this.getProactiveConsent({ userId })) };
   }
 
   async getTimestamp() {
     return Math.floor(Date.now() / 1000);
   }
 
+  // ==================== REMINDER TOOLS ====================
+
+  async createReminder(params) {
+    const { userId, text, when, repeat = 'none', sourceMessageId = null } = params;
+    if (!userId || !text || !when) {
+      throw new Error('User ID, text and when are required');
+    }
+
+    const { reminderManager } = await import('../system/reminderManager.js');
+    const reminder = await reminderManager.createReminder(userId, { text, when, repeat, sourceMessageId });
+    return { success: true, ...reminderManager.describe(reminder) };
+  }
+
+  async listReminders(params) {
+    const { userId } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { reminderManager } = await import('../system/reminderManager.js');
+    return (await reminderManager.listReminders(userId)).map(reminder => reminderManager.describe(reminder));
+  }
+
+  async cancelReminder(params) {
+    const { userId, reminderId } = params;
+    if (!userId || !reminderId) {
+      throw new Error('User ID and reminder ID are required');
+    }
+
+    const { reminderManager } = await import('../system/reminderManager.js');
+    const reminder = await reminderManager.cancelReminder(userId, reminderId);
+    if (!reminder) {
+      throw new Error(`No active reminder '${reminderId}'`);
+    }
+    return { success: true, ...reminderManager.describe(reminder) };
+  }
+
+  async snoozeReminder(params) {
+    const { userId, reminderId = null, duration = null, until = null } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { reminderManager } = await import('../system/reminderManager.js');
+    const reminder = await reminderManager.snoozeReminder(userId, { reminderId, duration, until });
+    if (!reminder) {
+      throw new Error(reminderId ? `No reminder '${reminderId}'` : 'No reminder has been sent yet');
+    }
+    return { success: true, ...reminderManager.describe(reminder) };
+  }
+
+  // ==================== FLASHCARD TOOLS ====================
+
+  async createFlashcards(params) {
+    const { userId, cards = null, topic = null, pdfFilePath = null, deck = null, count = 10, sourceMessageId = null } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { flashcardManager } = await import('../system/flashcardManager.js');
+    let added;
+    if (cards?.length) {
+      added = await flashcardManager.addCards(userId, cards, { deck: deck || topic || 'General', source: 'chat', sourceMessageId });
+    } else if (topic || pdfFilePath) {
+      const metadata = pdfFilePath ? this.pdfCache.get(pdfFilePath) || {} : {};
+      added = await flashcardManager.generateCards(userId, {
+        topic: pdfFilePath ? null : topic,
+        filePath: pdfFilePath,
+        deck: deck || metadata.topic || metadata.subject || topic,
+        count,
+        sourceMessageId
+      });
+    } else {
+      throw new Error('Give cards, a topic or a pdfFilePath');
+    }
+
+    return {
+      success: added.length > 0,
+      deck: added[0]?.deck || deck,
+      added: added.length,
+      cards: added.map(card => ({ id: card.id, front: card.front, back: card.back }))
+    };
+  }
+
+  async listFlashcards(params) {
+    const { userId } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { flashcardManager } = await import('../system/flashcardManager.js');
+    return {
+      decks: await flashcardManager.getDecks(userId),
+      reviewInProgress: Boolean(await flashcardManager.getActiveSession(userId))
+    };
+  }
+
+  async startFlashcardReview(params) {
+    const { userId, deck = null } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { flashcardManager } = await import('../system/flashcardManager.js');
+    const { quizManager } = await import('../system/quizManager.js');
+    await quizManager.endQuiz(userId);
+    const question = await flashcardManager.startSession(userId, { deck });
+    if (!question) {
+      return { success: false, message: 'No cards are due for review' };
+    }
+    return { success: true, question: question.card.front, card: question.index, total: question.total, deck: question.card.deck };
+  }
+
+  // ==================== QUIZ TOOLS ====================
+
+  async startQuiz(params) {
+    const { userId, subject, topic = null, type = 'mixed', count } = params;
+    if (!userId || !subject) {
+      throw new Error('User ID and subject are required');
+    }
+
+    const { quizManager } = await import('../system/quizManager.js');
+    const question = await quizManager.startQuiz(userId, { subject, topic, type, count });
+    return {
+      success: true,
+      subject: question.subject,
+      question: question.question,
+      options: question.options?.map((option, index) => `${String.fromCharCode(65 + index)}) ${option}`) || null,
+      index: question.index,
+      total: question.total
+    };
+  }
+
+  async getQuizResults(params) {
+    const { userId, subject = null } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { quizManager } = await import('../system/quizManager.js');
+    const memory = await memoryManager.getUserMemory(userId);
+    const matches = (name) => !subject || name.toLowerCase() === subject.toLowerCase();
+    const performance = Object.fromEntries(Object.entries(memory.academicInfo?.quizPerformance || {})
+      .filter(([name]) => matches(name))
+      .map(([name, result]) => [name, {
+        accuracy: result.accuracy,
+        answersMeasured: result.recent.length,
+        answered: result.answered,
+        quizzes: result.quizzes,
+        topics: result.topics
+      }]));
+
+    return {
+      performance,
+      recentQuizzes: (await quizManager.getHistory(userId))
+        .filter(quiz => matches(quiz.subject))
+        .map(({ answers, ...quiz }) => quiz)
+    };
+  }
+
+  // ==================== STUDY SESSION TOOLS ====================
+
+  async startStudySession(params) {
+    const { userId, subject, focusMinutes, sourceMessageId = null } = params;
+    if (!userId || !subject) {
+      throw new Error('User ID and subject are required');
+    }
+
+    const { studySessionManager } = await import('../system/studySessionManager.js');
+    const { availabilityManager } = await import('../system/availabilityManager.js');
+    const { session, previous } = await studySessionManager.startSession(userId, { subject, focusMinutes, sourceMessageId });
+    const timezone = await availabilityManager.getTimezone(userId);
+    return {
+      success: true,
+      subject: session.subject,
+      focusMinutes: session.focusMinutes,
+      focusEndsAt: availabilityManager.formatLocal(session.phaseEndsAt, timezone),
+      previous: previous ? { subject: previous.subject, minutes: previous.minutes } : null
+    };
+  }
+
+  async stopStudySession(params) {
+    const { userId } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { studySessionManager } = await import('../system/studySessionManager.js');
+    const entry = await studySessionManager.stopSession(userId);
+    if (!entry) {
+      return { success: false, message: 'No study session is running' };
+    }
+    return { success: true, subject: entry.subject, minutes: entry.minutes, pomodoros: entry.pomodoros };
+  }
+
+  async getStudyStats(params) {
+    const { userId, days = 7 } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { studySessionManager } = await import('../system/studySessionManager.js');
+    const active = await studySessionManager.getActiveSession(userId);
+    return {
+      active: active ? { subject: active.subject, phase: active.phase, focusedMinutes: active.focusedMinutes, pomodoros: active.pomodoros } : null,
+      stats: await studySessionManager.getStats(userId, { days: Math.min(Math.max(parseInt(days) || 7, 1), 90) })
+    };
+  }
+
+  // ==================== PLANNER TOOLS ====================
+
+  async addTimetableEntry(params) {
+    const { userId, title, days, start, end = null, location = null, sourceMessageId = null } = params;
+    if (!userId || !title || !days || !start) {
+      throw new Error('User ID, title, days and start are required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const entry = await plannerManager.addTimetableEntry(userId, { title, days, start, end, location, sourceMessageId });
+    return { success: true, ...plannerManager.describeEntry(entry) };
+  }
+
+  async listTimetable(params) {
+    const { userId, day = null } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const weekdays = day ? plannerManager.parseDays(day) : null;
+    if (day && weekdays?.length !== 1) {
+      throw new Error(`Could not read the day '${day}'`);
+    }
+    return (await plannerManager.getTimetable(userId, { weekday: weekdays ? weekdays[0] : null }))
+      .map(entry => plannerManager.describeEntry(entry));
+  }
+
+  async moveTimetableEntry(params) {
+    const { userId, entryId, days = null, start = null, end = null, location = null } = params;
+    if (!userId || !entryId) {
+      throw new Error('User ID and entry ID are required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const entry = await plannerManager.moveTimetableEntry(userId, entryId, { days, start, end, location });
+    if (!entry) {
+      throw new Error(`No timetable entry '${entryId}'`);
+    }
+    return { success: true, ...plannerManager.describeEntry(entry) };
+  }
+
+  async removeTimetableEntry(params) {
+    const { userId, entryId } = params;
+    if (!userId || !entryId) {
+      throw new Error('User ID and entry ID are required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const entry = await plannerManager.removeTimetableEntry(userId, entryId);
+    if (!entry) {
+      throw new Error(`No timetable entry '${entryId}'`);
+    }
+    return { success: true, id: entry.id, title: entry.title };
+  }
+
+  async addTask(params) {
+    const { userId, title, due = null, time = null, subject = null, repeat = 'none', sourceMessageId = null } = params;
+    if (!userId || !title) {
+      throw new Error('User ID and title are required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const task = await plannerManager.addTask(userId, { title, due, time, subject, repeat, sourceMessageId });
+    return { success: true, ...plannerManager.describeTask(task) };
+  }
+
+  async listTasks(params) {
+    const { userId, includeDone = false } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    return (await plannerManager.getTasks(userId, { includeDone })).map(task => plannerManager.describeTask(task));
+  }
+
+  async completeTask(params) {
+    const { userId, taskId } = params;
+    if (!userId || !taskId) {
+      throw new Error('User ID and task ID are required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const task = await plannerManager.completeTask(userId, taskId);
+    if (!task) {
+      throw new Error(`No pending task '${taskId}'`);
+    }
+    return { success: true, ...plannerManager.describeTask(task) };
+  }
+
+  async moveTask(params) {
+    const { userId, taskId, due, time = null } = params;
+    if (!userId || !taskId || !due) {
+      throw new Error('User ID, task ID and due are required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const task = await plannerManager.moveTask(userId, taskId, { due, time });
+    if (!task) {
+      throw new Error(`No pending task '${taskId}'`);
+    }
+    return { success: true, ...plannerManager.describeTask(task) };
+  }
+
+  async deleteTask(params) {
+    const { userId, taskId } = params;
+    if (!userId || !taskId) {
+      throw new Error('User ID and task ID are required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const task = await plannerManager.deleteTask(userId, taskId);
+    if (!task) {
+      throw new Error(`No task '${taskId}'`);
+    }
+    return { success: true, id: task.id, title: task.title };
+  }
+
+  async getAgenda(params) {
+    const { userId, date = null } = params;
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const { plannerManager } = await import('../system/plannerManager.js');
+    const { availabilityManager } = await import('../system/availabilityManager.js');
+    const day = date ? plannerManager.parseDate(date, await availabilityManager.getTimezone(userId)) : null;
+    if (date && !day) {
+      throw new Error(`Could not read the date '${date}'`);
+    }
+
+    const agenda = await plannerManager.getAgenda(userId, { date: day });
+    return {
+      ...agenda,
+      classes: agenda.classes.map(entry => plannerManager.describeEntry(entry)),
+      dueTasks: agenda.dueTasks.map(task => plannerManager.describeTask(task)),
+      overdueTasks: agenda.overdueTasks.map(task => plannerManager.describeTask(task)),
+      undatedTasks: agenda.undatedTasks.map(task => plannerManager.describeTask(task))
+    };
+  }
+
   // ==================== WHATSAPP TOOLS ====================
 
   async sendMessageToNumber(params) {
@@ -593,9 +1553,9 @@ export class MCPTools {
 
   // ==================== SYSTEM TOOLS ====================
 
-  async getSystemStatus() {
+  async getSystemStatus(params = {}) {
     const { chatbotService } = await import('../services/chatbotService.js');
-    return chatbotService.getStatus();
+    return await chatbotService.getStatus(params.userId);
   }
 
   async clearChatHistory(params) {
@@ -652,14 +1612,18 @@ export class MCPTools {
   }
 
   async storeMemory(params) {
-    const { userId, category, data } = params;
+    const { userId, category, data, sourceMessageId = null } = params;
     
     if (!userId || !category || !data) {
       throw new Error('User ID, category, and data are required');
     }
 
     const { memoryManager } = await import('../database/memoryManager.js');
-    await memoryManager.updateMemory(userId, category, data, true);
+    await memoryManager.updateMemory(userId, category, data, true, {
+      actor: 'tool:store_memory',
+      reason: 'Stored by the model during a reply',
+      sourceMessageId
+    });
     
     return {
       success: true,
@@ -667,6 +1631,28 @@ export class MCPTools {
     };
   }
 
+  async searchConversationArchive(params) {
+    const { userId, query, page = 1 } = params;
+
+    if (!userId || !query) {
+      throw new Error('User ID and query are required');
+    }
+
+    const { jsonDb } = await import('../database/jsonDb.js');
+    const result = await jsonDb.searchArchive(userId, query, { page });
+
+    return {
+      matches: result.messages.map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp
+      })),
+      total: result.total,
+      page: result.page,
+      totalPages: result.totalPages
+    };
+  }
+
   async analyzeEmotionalState(params) {
     const { userId, emotionalContext } = params;
     
@@ -683,7 +1669,7 @@ export class MCPTools {
       mood: emotionalContext.mood,
       stressLevel: emotionalContext.stressLevel,
       traits: emotionalContext.traits
-    });
+    }, { actor: 'tool:analyze_emotional_state', sourceMessageId: params.sourceMessageId || null });
     
     return {
       success: true,
@@ -0,0 +1,63 @@
+/**
+ * Validate a value against a JSON-Schema fragment, returning a list of readable errors.
+ * Supports type, enum, array items, and object properties / required / additionalProperties: false.
+ */
+export function validateValue(value, schema, name) {
+  const errors = [];
+  const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) errors.push(`'${name}' must be an integer`);
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) errors.push(`'${name}' must be a number`);
+      break;
+    case 'object':
+      if (actualType !== 'object') {
+        errors.push(`'${name}' must be an object`);
+      } else {
+        errors.push(...validateObject(value, schema, name));
+      }
+      break;
+    case 'array':
+      if (actualType !== 'array') {
+        errors.push(`'${name}' must be an array`);
+      } else if (schema.items) {
+        value.forEach((item, index) => errors.push(...validateValue(item, schema.items, `${name}[${index}]`)));
+      }
+      break;
+    default:
+      if (schema.type && actualType !== schema.type) errors.push(`'${name}' must be a ${schema.type}`);
+  }
+
+  if (errors.length === 0 && schema.enum && !schema.enum.includes(value)) {
+    errors.push(`'${name}' must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the properties of an object schema
+ */
+function validateObject(value, schema, name) {
+  const errors = [];
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push(`'${name}.${key}' is required`);
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    const propertySchema = schema.properties?.[key];
+    if (propertySchema) {
+      if (item !== undefined && item !== null) errors.push(...validateValue(item, propertySchema, `${name}.${key}`));
+    } else if (schema.additionalProperties === false) {
+      errors.push(`'${name}.${key}' is not a known field`);
+    }
+  }
+
+  return errors;
+}
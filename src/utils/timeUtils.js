@@ -0,0 +1,198 @@
+import { config } from '../config/config.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+export class TimeUtils {
+  /**
+   * Whether a string is an IANA timezone the runtime knows (e.g. Asia/Colombo)
+   */
+  static isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Canonical spelling of a timezone name, or null when it is unknown
+   */
+  static normalizeTimezone(timeZone) {
+    if (!TimeUtils.isValidTimezone(timeZone)) return null;
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  }
+
+  /**
+   * Wall-clock parts of a date in a timezone
+   */
+  static getZonedParts(date = new Date(), timeZone = config.time.defaultTimezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to a Date.
+   * Month is 1-based; day, hour and minute may overflow (e.g. day + 1 for tomorrow).
+   */
+  static zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone = config.time.defaultTimezone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = wallClock;
+
+    // Two passes settle the offset, also across DST changes
+    for (let i = 0; i < 2; i++) {
+      const parts = TimeUtils.getZonedParts(new Date(guess), timeZone);
+      const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+      guess += wallClock - shown;
+    }
+    return new Date(guess);
+  }
+
+  /**
+   * Minutes since local midnight
+   */
+  static getMinutesOfDay(date = new Date(), timeZone = config.time.defaultTimezone) {
+    const { hour, minute } = TimeUtils.getZonedParts(date, timeZone);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * Time of day category for an hour
+   */
+  static getTimeOfDay(hour) {
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 21) return 'evening';
+    return 'night';
+  }
+
+  /**
+   * Format a time, e.g. "07:30 PM"
+   */
+  static formatTime(date = new Date(), timeZone = config.time.defaultTimezone, { hour12 = true, seconds = false } = {}) {
+    return date.toLocaleTimeString('en-US', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      ...(seconds ? { second: '2-digit' } : {}),
+      ...(hour12 ? { hour12 } : { hourCycle: 'h23' }) // hour12: false can print midnight as 24:00
+    });
+  }
+
+  /**
+   * Format a date: 'long' (Monday, March 3, 2025), 'short' (3/3/2025) or 'iso' (2025-03-03)
+   */
+  static formatDate(date = new Date(), timeZone = config.time.defaultTimezone, format = 'long') {
+    switch (format) {
+      case 'iso': {
+        const { year, month, day } = TimeUtils.getZonedParts(date, timeZone);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      }
+      case 'short':
+        return date.toLocaleDateString('en-US', { timeZone });
+      case 'long':
+      default:
+        return date.toLocaleDateString('en-US', { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+  }
+
+  /**
+   * Parse a clock time such as "22:00", "7", "7.30", "7am" or "10:15 pm" into minutes since midnight
+   */
+  static parseClock(text) {
+    const match = String(text || '').trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (match[3]) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return null;
+    return hour * 60 + minute;
+  }
+
+  /**
+   * Format minutes since midnight as HH:MM
+   */
+  static formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Whether a local minute falls inside a daily window; windows may wrap past midnight (22:00-07:00)
+   */
+  static isWithinWindow(minutes, start, end) {
+    if (start === end) return false;
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  }
+
+  /**
+   * The next time the local clock shows the given minute of day (today or tomorrow)
+   */
+  static nextOccurrence(minutes, timeZone = config.time.defaultTimezone, now = new Date()) {
+    const parts = TimeUtils.getZonedParts(now, timeZone);
+    let date = TimeUtils.zonedTimeToDate({ ...parts, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+    if (date.getTime() <= now.getTime()) {
+      date = TimeUtils.zonedTimeToDate({ ...parts, day: parts.day + 1, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+    }
+    return date;
+  }
+
+  /**
+   * Parse a local date-time "YYYY-MM-DD HH:MM" (or with T) in a timezone; a full ISO string with offset is used as is
+   */
+  static parseLocalDateTime(text, timeZone = config.time.defaultTimezone) {
+    const value = String(text || '').trim();
+    if (/(z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+    if (!match) return null;
+    const [year, month, day, hour = 0, minute = 0] = match.slice(1).filter(Boolean).map(Number);
+    return TimeUtils.zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+  }
+
+  /**
+   * Parse a duration such as "2h", "30m", "1d", "1h30m" or "2 hours" into milliseconds
+   */
+  static parseDuration(text) {
+    const value = String(text || '').trim().toLowerCase()
+      .replace(/(\d+)\s*(?:minutes?|mins?)\b/g, '$1m')
+      .replace(/(\d+)\s*(?:hours?|hrs?)\b/g, '$1h')
+      .replace(/(\d+)\s*days?\b/g, '$1d')
+      .replace(/\s*(?:and|,)\s*/g, ' ');
+    if (!/^(\d+\s*[dhm]\s*)+$/.test(value)) return null;
+
+    const units = { d: DAY_MINUTES, h: 60, m: 1 };
+    let minutes = 0;
+    for (const [, amount, unit] of value.matchAll(/(\d+)\s*([dhm])/g)) {
+      minutes += Number(amount) * units[unit];
+    }
+    return minutes > 0 ? minutes * MINUTE_MS : null;
+  }
+}
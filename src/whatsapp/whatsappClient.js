@@ -4,6 +4,9 @@ import makeWASocket, {
   Browsers,
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore,
+  getContentType,
+  jidNormalizedUser,
+  downloadMediaMessage,
   delay
 } from '@whiskeysockets/baileys';
 import qrcode from 'qrcode-terminal';
@@ -336,7 +339,10 @@ export class WhatsAppClient {
    */
   extractMessageInfo(message) {
     try {
-      const messageType = Object.keys(message.message || {})[0];
+      // getContentType skips protocol keys like senderKeyDistributionMessage that lead group messages
+      const messageType = getContentType(message.message || {});
+      const content = messageType ? message.message[messageType] : null;
+      const contextInfo = content?.contextInfo;
       let text = '';
       let quotedMessage = null;
       
@@ -347,10 +353,6 @@ export class WhatsAppClient {
           break;
         case 'extendedTextMessage':
           text = message.message.extendedTextMessage.text;
-          // Check for quoted message (reply)
-          if (message.message.extendedTextMessage.contextInfo?.quotedMessage) {
-            quotedMessage = this.extractQuotedMessage(message.message.extendedTextMessage.contextInfo);
-          }
           break;
         case 'imageMessage':
           text = message.message.imageMessage.caption || '[Image]';
@@ -359,24 +361,47 @@ export class WhatsAppClient {
           text = message.message.videoMessage.caption || '[Video]';
           break;
         case 'documentMessage':
-          text = message.message.documentMessage.caption || '[Document]';
+          text = message.message.documentMessage.caption || 
+            `[Document${content.fileName ? `: ${content.fileName}` : ''}]`;
+          break;
+        case 'documentWithCaptionMessage': {
+          // Documents sent with a caption are wrapped one level deeper
+          const document = content.message?.documentMessage;
+          text = document?.caption || `[Document${document?.fileName ? `: ${document.fileName}` : ''}]`;
+          break;
+        }
+        case 'audioMessage':
+          text = content.ptt ? '[Voice note]' : '[Audio]';
           break;
         default:
           text = `[${messageType || 'Unknown message type'}]`;
       }
 
+      // Check for quoted message (reply)
+      if (contextInfo?.quotedMessage) {
+        quotedMessage = this.extractQuotedMessage(contextInfo);
+      }
+
       if (!text || text.trim().length === 0) {
         return null;
       }
 
+      const isGroup = message.key.remoteJid.endsWith('@g.us');
+      const mentionedJids = contextInfo?.mentionedJid || [];
+
       return {
         id: message.key.id,
         sender: message.key.remoteJid,
         senderName: message.pushName || 'Unknown',
+        participant: isGroup ? message.key.participant : null,
         text: text.trim(),
         timestamp: message.messageTimestamp,
         messageType,
-        isGroup: message.key.remoteJid.endsWith('@g.us'),
+        isGroup,
+        mentionedJids,
+        mentionsBot: mentionedJids.some(jid => this.isBotJid(jid)),
+        media: this.extractMediaInfo(messageType, content),
+        isReplyToBot: !!quotedMessage?.isFromBot,
         quotedMessage: quotedMessage,
         hasQuote: !!quotedMessage,
         raw: message
@@ -387,6 +412,79 @@ export class WhatsAppClient {
     }
   }
 
+  /**
+   * Describe downloadable media in a message (null for text-only messages)
+   */
+  extractMediaInfo(messageType, content) {
+    if (!content) return null;
+
+    switch (messageType) {
+      case 'imageMessage':
+        return { type: 'image', mimetype: content.mimetype, fileLength: Number(content.fileLength || 0) };
+      case 'videoMessage':
+        return { type: 'video', mimetype: content.mimetype, fileLength: Number(content.fileLength || 0) };
+      case 'audioMessage':
+        return {
+          type: 'audio',
+          mimetype: content.mimetype,
+          fileLength: Number(content.fileLength || 0),
+          isVoiceNote: !!content.ptt,
+          seconds: content.seconds
+        };
+      case 'documentMessage':
+      case 'documentWithCaptionMessage': {
+        const document = messageType === 'documentMessage' ? content : content.message?.documentMessage;
+        if (!document) return null;
+        return {
+          type: 'document',
+          mimetype: document.mimetype,
+          fileName: document.fileName,
+          fileLength: Number(document.fileLength || 0)
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Download the media of an incoming message as a Buffer
+   */
+  async downloadMedia(message) {
+    if (!this.sock) {
+      throw new Error('WhatsApp client is not connected');
+    }
+
+    try {
+      return await downloadMediaMessage(message, 'buffer', {}, {
+        reuploadRequest: this.sock.updateMediaMessage
+      });
+    } catch (error) {
+      logger.error(`Failed to download media for message ${message.key?.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the bot's own JIDs (phone number JID and LID when available)
+   */
+  getBotJids() {
+    const user = this.sock?.user;
+    if (!user) return [];
+
+    return [user.id, user.lid]
+      .filter(Boolean)
+      .map(jid => jidNormalizedUser(jid));
+  }
+
+  /**
+   * Check whether a JID belongs to the bot
+   */
+  isBotJid(jid) {
+    if (!jid) return false;
+    return this.getBotJids().includes(jidNormalizedUser(jid));
+  }
+
   /**
    * Extract quoted message information
    */
@@ -413,6 +511,9 @@ export class WhatsAppClient {
         case 'videoMessage':
           quotedText = quotedMsg.videoMessage.caption || '[Video]';
           break;
+        case 'audioMessage':
+          quotedText = quotedMsg.audioMessage.ptt ? '[Voice note]' : '[Audio]';
+          break;
         default:
           quotedText = `[${quotedType}]`;
       }
@@ -421,7 +522,8 @@ export class WhatsAppClient {
         text: quotedText,
         sender: participant,
         messageType: quotedType,
-        isFromBot: participant === undefined || participant === this.sock?.user?.id
+        stanzaId: contextInfo.stanzaId,
+        isFromBot: participant === undefined || this.isBotJid(participant)
       };
     } catch (error) {
       logger.debug('Error extracting quoted message:', error);
@@ -429,15 +531,15 @@ export class WhatsAppClient {
     }
   }
   /**
-   * Send a text message
+   * Send a text message (pass options.quoted with a raw message to reply to it)
    */
-  async sendMessage(jid, text) {
+  async sendMessage(jid, text, options = {}) {
     if (!this.isConnected || !this.sock) {
       throw new Error('WhatsApp client is not connected');
     }
 
     try {
-      await this.sock.sendMessage(jid, { text });
+      await this.sock.sendMessage(jid, { text }, options.quoted ? { quoted: options.quoted } : undefined);
     } catch (error) {
       logger.error(`Failed to send message to ${jid}:`, error);
       throw error;
@@ -445,9 +547,9 @@ export class WhatsAppClient {
   }
 
   /**
-   * Send a document
+   * Send a document (PDF unless another mimetype is given)
    */
-  async sendDocument(jid, filePath, fileName) {
+  async sendDocument(jid, filePath, fileName, caption = null, mimetype = 'application/pdf') {
     if (!this.isConnected || !this.sock) {
       throw new Error('WhatsApp client is not connected');
     }
@@ -455,9 +557,12 @@ export class WhatsAppClient {
     try {
       const message = {
         document: { url: filePath },
-        mimetype: 'application/pdf',
+        mimetype,
         fileName: fileName || 'document.pdf'
       };
+      if (caption) {
+        message.caption = caption;
+      }
       await this.sock.sendMessage(jid, message);
     } catch (error) {
       logger.error(`Failed to send document to ${jid}:`, error);
@@ -509,6 +614,22 @@ export class WhatsAppClient {
     }
   }
 
+  /**
+   * Get group metadata (subject and participants with admin flags)
+   */
+  async getGroupMetadata(jid) {
+    if (!this.isConnected || !this.sock) {
+      throw new Error('WhatsApp client is not connected');
+    }
+
+    try {
+      return await this.sock.groupMetadata(jid);
+    } catch (error) {
+      logger.error(`Failed to get group metadata for ${jid}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Mark message as read (seen)
    */
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GEMINI_API_KEYS ||= 'test-key';
+const { config } = await import('../src/config/config.js');
+const { signalClassifier } = await import('../src/system/signalClassifier.js');
+
+config.signals.classifier = 'keywords';
+
+const crisisSignal = async (text) => (await signalClassifier.detectSignals(text)).signals.find(signal => signal.type === 'crisis');
+
+test('a lone weak crisis phrase is not a crisis', async () => {
+  for (const text of [
+    'I give up on this maths question',
+    'this paper is hopeless lol',
+    'I can\'t handle chemistry',
+    'my physics teacher is so depressed today',
+    'jeewithe epa machan exam eka'
+  ]) {
+    assert.equal(await crisisSignal(text), undefined, text);
+  }
+});
+
+test('two weak crisis phrases are a crisis', async () => {
+  assert.ok(await crisisSignal('I feel hopeless and worthless'));
+});
+
+test('a strong crisis phrase is a crisis', async () => {
+  const signal = await crisisSignal('I want to die');
+  assert.ok(signal.confidence >= 0.85);
+});